@@ -205,6 +205,23 @@ fi
 
 echo "Successfully created VISIT_COUNTS namespace with ID: $VISIT_COUNTS_id"
 
+echo "Creating DOWNLOAD_RATELIMIT namespace..."
+DOWNLOAD_RATELIMIT_output=$(npx wrangler kv:namespace create "DOWNLOAD_RATELIMIT" 2>&1)
+if [[ $DOWNLOAD_RATELIMIT_output == *"Error"* ]]; then
+    echo "Error creating DOWNLOAD_RATELIMIT namespace: $DOWNLOAD_RATELIMIT_output"
+    exit 1
+fi
+
+DOWNLOAD_RATELIMIT_id=$(echo "$DOWNLOAD_RATELIMIT_output" | grep 'id = "' | sed 's/.*id = "\([^"]*\)".*/\1/')
+
+if [ -z "$DOWNLOAD_RATELIMIT_id" ]; then
+    echo "Error: Failed to extract DOWNLOAD_RATELIMIT ID"
+    echo "Debug output: $DOWNLOAD_RATELIMIT_output"
+    exit 1
+fi
+
+echo "Successfully created DOWNLOAD_RATELIMIT namespace with ID: $DOWNLOAD_RATELIMIT_id"
+
 # Collect additional configuration
 read -p "Enter your OpenAI API Key (press Enter to skip): " openai_api_key
 read -p "Enter your Anthropic API Key (press Enter to skip): " anthropic_api_key
@@ -228,7 +245,8 @@ type = "ESModule"
 globs = ["**/*.js"]
 
 kv_namespaces = [
-    { binding = "VISIT_COUNTS", id = "$VISIT_COUNTS_id" }
+    { binding = "VISIT_COUNTS", id = "$VISIT_COUNTS_id" },
+    { binding = "DOWNLOAD_RATELIMIT", id = "$DOWNLOAD_RATELIMIT_id" }
 ]
 
 [ai]
@@ -253,6 +271,14 @@ class_name = "UserAuthDO"
 name = "CHARACTER_REGISTRY"
 class_name = "CharacterRegistryDO"
 
+[[durable_objects.bindings]]
+name = "WORLD_PRESENCE"
+class_name = "WorldPresenceDO"
+
+[[durable_objects.bindings]]
+name = "WORLD_ROOMS"
+class_name = "WorldRoomDO"
+
 [[migrations]]
 tag = "v1"
 new_sqlite_classes = ["WorldRegistryDO"]
@@ -269,6 +295,14 @@ new_sqlite_classes = ["CharacterRegistryDO"]
 tag = "v4"
 new_classes = ["DiscordBotDO"]
 
+[[migrations]]
+tag = "v5"
+new_sqlite_classes = ["WorldPresenceDO"]
+
+[[migrations]]
+tag = "v6"
+new_sqlite_classes = ["WorldRoomDO"]
+
 [vars]
 ENVIRONMENT = "production"
 WORLD_BUCKET_URL = ""
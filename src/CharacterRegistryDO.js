@@ -1,5 +1,7 @@
 import { EnhancedSQLiteMemoryAdapter } from './EnhancedSQLiteMemoryAdapter.js';
 import { initializeWorkerCompat } from './WorkerCompatibilityLayer.js';
+import { HIGHLIGHT_START, HIGHLIGHT_END, CHARACTER_SEARCH_COLUMNS, buildMatchQuery } from './worldSearch.js';
+import { toPage } from './pagination.js';
 
 const CORS_HEADERS = {
 	'Access-Control-Allow-Origin': '*',
@@ -21,6 +23,12 @@ function normalizeCharacterName(name) {
 	return name.trim().toLowerCase();
 }
 
+// Lists are read with json_group_array, so values containing commas come back whole
+function parseList(json, fallback = []) {
+	const values = JSON.parse(json || '[]');
+	return values.length > 0 ? values : fallback;
+}
+
 class NonceManager {
 	constructor(sql) {
 		this.sql = sql;
@@ -125,6 +133,8 @@ export class CharacterRegistryDO {
 
 	async initialize() {
 		await this.initializeSchema();
+		await this.migrateTrashField();
+		await this.migrateSearchIndex();
 		// await this.nonceManager.initializeSchema();
 	}
 
@@ -349,6 +359,91 @@ export class CharacterRegistryDO {
 		}
 	}
 
+	// Deleted characters stay in the table, hidden, until the trash retention period ends
+	async migrateTrashField() {
+		try {
+			const tableInfo = await this.sql.exec('PRAGMA table_info(characters)').toArray();
+			const columns = tableInfo.map(col => col.name);
+
+			if (!columns.includes('deleted_at')) {
+				await this.sql.exec('ALTER TABLE characters ADD COLUMN deleted_at TIMESTAMP');
+			}
+			return true;
+		} catch (error) {
+			console.error('Error in trash field migration:', error);
+			throw error;
+		}
+	}
+
+	// Full-text index over characters, rowid is the character id
+	async migrateSearchIndex() {
+		try {
+			await this.sql.exec(`
+				CREATE VIRTUAL TABLE IF NOT EXISTS characters_fts USING fts5(
+					name,
+					bio,
+					topics,
+					author,
+					tokenize = 'unicode61 remove_diacritics 2',
+					prefix = '2 3'
+				)
+			`);
+
+			// Index characters created before search existed
+			const unindexed = await this.sql.exec(
+				'SELECT id FROM characters WHERE id NOT IN (SELECT rowid FROM characters_fts)'
+			).toArray();
+			for (const { id } of unindexed) {
+				await this.indexCharacter(id);
+			}
+			return true;
+		} catch (error) {
+			console.error('Error in search index migration:', error);
+			throw error;
+		}
+	}
+
+	// Rewrites a character's full-text entry from its current row and topics
+	async indexCharacter(characterId) {
+		await this.sql.exec('DELETE FROM characters_fts WHERE rowid = ?', characterId);
+		await this.sql.exec(`
+			INSERT INTO characters_fts (rowid, name, bio, topics, author)
+			SELECT c.id, c.name, c.bio,
+				(SELECT GROUP_CONCAT(topic, ' ') FROM character_topics WHERE character_id = c.id),
+				c.author
+			FROM characters c
+			WHERE c.id = ?
+		`, characterId);
+	}
+
+	// Public characters matching a search, best match first
+	async searchCharacters(query, limit = 20, offset = 0) {
+		const match = buildMatchQuery(query);
+		if (!match) return [];
+
+		const weights = Object.values(CHARACTER_SEARCH_COLUMNS).join(', ');
+		const characters = await this.sql.exec(`
+			SELECT c.id, c.author, c.name, c.slug, c.bio, c.profile_img, c.banner_img, c.updated_at,
+				highlight(characters_fts, 0, ?, ?) as name_highlight,
+				snippet(characters_fts, 1, ?, ?, '…', 24) as bio_highlight,
+				bm25(characters_fts, ${weights}) as rank
+			FROM characters_fts
+			JOIN characters c ON c.id = characters_fts.rowid
+			WHERE characters_fts MATCH ? AND c.status = 'public' AND c.deleted_at IS NULL
+			ORDER BY rank, c.updated_at DESC
+			LIMIT ? OFFSET ?
+		`, HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, match, limit, offset).toArray();
+
+		return characters.map(({ name_highlight, bio_highlight, rank, ...character }) => ({
+			...character,
+			score: -rank,
+			highlights: {
+				name: name_highlight,
+				description: bio_highlight
+			}
+		}));
+	}
+
 	async migrateImageFields() {
 		try {
 			await this.sql.exec('PRAGMA foreign_keys = OFF;');
@@ -937,6 +1032,14 @@ export class CharacterRegistryDO {
 
 				const cleanedData = await this.cleanCharacterData(characterData);
 
+				const trashed = await this.sql.exec(`
+					SELECT id FROM characters
+					WHERE author = ? AND name = ? AND deleted_at IS NOT NULL
+				`, author.trim(), cleanedData.name.trim()).toArray();
+				if (trashed.length > 0) {
+					throw new Error('Character is in the trash, restore it or wait for it to be purged');
+				}
+
 				// Generate slug
 				const slug = this.generateSlug(cleanedData.name);
 
@@ -1086,6 +1189,7 @@ export class CharacterRegistryDO {
 					);
 				}
 
+				await this.indexCharacter(characterId);
 				return characterId;
 			});
 		} catch (error) {
@@ -1094,7 +1198,8 @@ export class CharacterRegistryDO {
 		}
 	}
 
-	async getCharactersByAuthor(author) {
+	// Every character of an author, or with a page ({ limit, cursor }) one page of { items, nextCursor }
+	async getCharactersByAuthor(author, page = null) {
 		try {
 			const characters = await this.sql.exec(`
 			SELECT c.*, 
@@ -1108,23 +1213,24 @@ export class CharacterRegistryDO {
 			  c.slug,
 			  c.created_at,
 			  c.updated_at,
-			  GROUP_CONCAT(DISTINCT cc.client) as clients,
-			  GROUP_CONCAT(DISTINCT cl.lore_text) as lore,
-			  GROUP_CONCAT(DISTINCT cp.post_text) as posts,
-			  GROUP_CONCAT(DISTINCT ct.topic) as topics,
-			  GROUP_CONCAT(DISTINCT ca.adjective) as adjectives
+			  (SELECT json_group_array(client) FROM character_clients WHERE character_id = c.id) as clients,
+			  (SELECT json_group_array(lore_text) FROM (
+				SELECT lore_text FROM character_lore WHERE character_id = c.id ORDER BY order_index, id
+			  )) as lore,
+			  (SELECT json_group_array(post_text) FROM (
+				SELECT post_text FROM character_posts WHERE character_id = c.id ORDER BY id
+			  )) as posts,
+			  (SELECT json_group_array(topic) FROM character_topics WHERE character_id = c.id) as topics,
+			  (SELECT json_group_array(adjective) FROM character_adjectives WHERE character_id = c.id) as adjectives
 			FROM characters c
-			LEFT JOIN character_clients cc ON c.id = cc.character_id
-			LEFT JOIN character_lore cl ON c.id = cl.character_id
-			LEFT JOIN character_posts cp ON c.id = cp.character_id
-			LEFT JOIN character_topics ct ON c.id = ct.character_id
-			LEFT JOIN character_adjectives ca ON c.id = ca.character_id
-			WHERE c.author = ?
-			GROUP BY c.id
-			ORDER BY c.updated_at DESC
-		  `, author).toArray();
-
-			return Promise.all(characters.map(async (char) => {
+			WHERE c.author = ? AND c.deleted_at IS NULL
+			${page?.cursor ? 'AND (c.updated_at < ? OR (c.updated_at = ? AND c.id < ?))' : ''}
+			ORDER BY c.updated_at DESC, c.id DESC
+			${page ? 'LIMIT ?' : ''}
+		  `, author, ...(page?.cursor ? [page.cursor.updated_at, page.cursor.updated_at, page.cursor.id] : []), ...(page ? [page.limit + 1] : [])).toArray();
+
+			const selected = page ? toPage(characters, page.limit, char => ({ updated_at: char.updated_at, id: char.id })) : null;
+			const results = await Promise.all((selected ? selected.items : characters).map(async (char) => {
 				const messages = await this.sql.exec(`
 			  SELECT conversation_id, user, content, message_order
 			  FROM character_messages
@@ -1150,23 +1256,25 @@ export class CharacterRegistryDO {
 					slug: char.slug,     /* Add slug to return object */
 					status: char.status || 'private',
 					modelProvider: char.model_provider,
-					clients: char.clients ? char.clients.split(',') : ['DIRECT'],
+					clients: parseList(char.clients, ['DIRECT']),
 					bio: char.bio,
 					vrmUrl: char.vrm_url,
 					profileImg: char.profile_img,
 					bannerImg: char.banner_img,
-					lore: char.lore ? char.lore.split(',').filter(Boolean) : [],
+					lore: parseList(char.lore),
 					messageExamples: this.groupMessages(messages),
-					postExamples: char.posts ? char.posts.split(',').filter(Boolean) : [],
-					topics: char.topics ? char.topics.split(',').filter(Boolean) : [],
+					postExamples: parseList(char.posts),
+					topics: parseList(char.topics),
 					style: stylesByCategory,
-					adjectives: char.adjectives ? char.adjectives.split(',').filter(Boolean) : [],
+					adjectives: parseList(char.adjectives),
 					settings: JSON.parse(char.settings || '{}'),
 					wallets,
 					created_at: char.created_at,
 					updated_at: char.updated_at
 				};
 			}));
+
+			return selected ? { items: results, nextCursor: selected.nextCursor } : results;
 		} catch (error) {
 			console.error("Error fetching characters for author:", error);
 			throw error;
@@ -1184,7 +1292,7 @@ export class CharacterRegistryDO {
 			}
 			const characterCheck = await this.sql.exec(`
 			SELECT id FROM characters 
-			WHERE author = ? AND slug = ?   /* Changed from name to slug */
+			WHERE author = ? AND slug = ? AND deleted_at IS NULL
 		  `, author, slug).toArray();
 
 			if (characterCheck.length === 0) {
@@ -1205,21 +1313,19 @@ export class CharacterRegistryDO {
 			  c.slug,
 			  c.created_at,
 			  c.updated_at,
-			  GROUP_CONCAT(DISTINCT cc.client) as clients,
-			  GROUP_CONCAT(DISTINCT cl.lore_text) as lore,
-			  GROUP_CONCAT(DISTINCT cp.post_text) as posts,
-			  GROUP_CONCAT(DISTINCT ct.topic) as topics,
-			  GROUP_CONCAT(DISTINCT ca.adjective) as adjectives
+			  (SELECT json_group_array(client) FROM character_clients WHERE character_id = c.id) as clients,
+			  (SELECT json_group_array(lore_text) FROM (
+				SELECT lore_text FROM character_lore WHERE character_id = c.id ORDER BY order_index, id
+			  )) as lore,
+			  (SELECT json_group_array(post_text) FROM (
+				SELECT post_text FROM character_posts WHERE character_id = c.id ORDER BY id
+			  )) as posts,
+			  (SELECT json_group_array(topic) FROM character_topics WHERE character_id = c.id) as topics,
+			  (SELECT json_group_array(adjective) FROM character_adjectives WHERE character_id = c.id) as adjectives
 			FROM characters c
-			LEFT JOIN character_clients cc ON c.id = cc.character_id
-			LEFT JOIN character_lore cl ON c.id = cl.character_id
-			LEFT JOIN character_posts cp ON c.id = cp.character_id
-			LEFT JOIN character_topics ct ON c.id = ct.character_id
-			LEFT JOIN character_adjectives ca ON c.id = ca.character_id
-			WHERE c.author = ? AND c.slug = ?
-			GROUP BY c.id
+			WHERE c.id = ?
 			LIMIT 1
-		  `, author, slug).toArray();
+		  `, characterId).toArray();
 
 			if (character.length === 0) {
 				return null;
@@ -1253,17 +1359,17 @@ export class CharacterRegistryDO {
 				slug: char.slug,
 				status: char.status || 'private',
 				modelProvider: char.model_provider,
-				clients: char.clients ? char.clients.split(',') : ['DIRECT'],
+				clients: parseList(char.clients, ['DIRECT']),
 				bio: char.bio,
 				vrmUrl: char.vrm_url,
 				profileImg: char.profile_img,
 				bannerImg: char.banner_img,
-				lore: char.lore ? char.lore.split(',').filter(Boolean) : [],
+				lore: parseList(char.lore),
 				messageExamples: this.groupMessages(messages),
-				postExamples: char.posts ? char.posts.split(',').filter(Boolean) : [],
-				topics: char.topics ? char.topics.split(',').filter(Boolean) : [],
+				postExamples: parseList(char.posts),
+				topics: parseList(char.topics),
 				style: stylesByCategory,
-				adjectives: char.adjectives ? char.adjectives.split(',').filter(Boolean) : [],
+				adjectives: parseList(char.adjectives),
 				settings: JSON.parse(char.settings || '{}'),
 				wallets,
 				created_at: char.created_at,
@@ -1277,12 +1383,12 @@ export class CharacterRegistryDO {
 
 
 	// Add to CharacterRegistryDO class
-	async getFeaturedCharacters(authors) {
+	// One page ({ limit, cursor }) of featured characters, oldest update first
+	async getFeaturedCharacters(authors, page) {
 		const featuredAuthors = ['antpb'];
 		try {
-			const featuredCharacters = [];
-			for (const author of featuredAuthors) {
-				const characters = await this.sql.exec(`
+			const { limit, cursor } = page;
+			const characters = await this.sql.exec(`
 			  SELECT c.*, 
 				c.vrm_url,  
 				c.profile_img,
@@ -1295,30 +1401,32 @@ export class CharacterRegistryDO {
 				c.created_at,
 				c.updated_at
 			  FROM characters c
-			  WHERE c.author = ?
-			  ORDER BY c.updated_at ASC
-			`, author).toArray();
-
-				featuredCharacters.push(...await Promise.all(characters.map(async char => {
-					const wallets = await this.getCharacterWallets(char.id);
-					return {
-						author,
-						name: char.name,
-						slug: char.slug,
-						bio: char.bio,
-						status: char.status || 'private',
-						vrmUrl: char.vrm_url,
-						profileImg: char.profile_img,
-						bannerImg: char.banner_img,
-						modelProvider: char.model_provider,
-						wallets,
-						created_at: char.created_at,
-						updated_at: char.updated_at
-					};
-				})));
-			}
+			  WHERE c.author IN (${featuredAuthors.map(() => '?').join(',')}) AND c.deleted_at IS NULL
+			  ${cursor ? 'AND (c.updated_at > ? OR (c.updated_at = ? AND c.id > ?))' : ''}
+			  ORDER BY c.updated_at ASC, c.id ASC
+			  LIMIT ?
+			`, ...featuredAuthors, ...(cursor ? [cursor.updated_at, cursor.updated_at, cursor.id] : []), limit + 1).toArray();
+
+			const { items, nextCursor } = toPage(characters, limit, char => ({ updated_at: char.updated_at, id: char.id }));
+			const featuredCharacters = await Promise.all(items.map(async char => {
+				const wallets = await this.getCharacterWallets(char.id);
+				return {
+					author: char.author,
+					name: char.name,
+					slug: char.slug,
+					bio: char.bio,
+					status: char.status || 'private',
+					vrmUrl: char.vrm_url,
+					profileImg: char.profile_img,
+					bannerImg: char.banner_img,
+					modelProvider: char.model_provider,
+					wallets,
+					created_at: char.created_at,
+					updated_at: char.updated_at
+				};
+			}));
 
-			return featuredCharacters;
+			return { items: featuredCharacters, nextCursor };
 		} catch (error) {
 			console.error('Error fetching featured characters:', error);
 			throw error;
@@ -2243,12 +2351,12 @@ export class CharacterRegistryDO {
 	}
 
 
+	// Moves a character to the trash. Its sessions end, everything else is kept until it is purged.
 	async deleteCharacter(author, slug) {
 		try {
-			// First, get the character ID
 			const characters = await this.sql.exec(`
 				SELECT id FROM characters 
-				WHERE author = ? AND slug = ?
+				WHERE author = ? AND slug = ? AND deleted_at IS NULL
 			  `, author, slug).toArray();
 
 			if (!characters.length) {
@@ -2257,6 +2365,58 @@ export class CharacterRegistryDO {
 
 			const characterId = characters[0].id;
 
+			await this.state.storage.transaction(async () => {
+				await this.sql.exec('DELETE FROM character_sessions WHERE character_id = ?', characterId);
+				await this.sql.exec('UPDATE characters SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', characterId);
+			});
+
+			return characterId;
+		} catch (error) {
+			console.error('Delete character error:', error);
+			throw error;
+		}
+	}
+
+	async listTrashedCharacters(author, retentionDays) {
+		return await this.sql.exec(`
+			SELECT id, name, slug, deleted_at,
+				datetime(deleted_at, '+' || ? || ' days') as purge_after
+			FROM characters
+			WHERE author = ? AND deleted_at IS NOT NULL
+			ORDER BY deleted_at DESC
+		`, retentionDays, author).toArray();
+	}
+
+	async restoreCharacter(author, characterId) {
+		const restored = await this.sql.exec(`
+			UPDATE characters
+			SET deleted_at = NULL,
+				updated_at = CURRENT_TIMESTAMP
+			WHERE id = ? AND author = ? AND deleted_at IS NOT NULL
+			RETURNING name, slug
+		`, characterId, author).toArray();
+
+		if (!restored.length) {
+			throw new Error('Character not found in trash');
+		}
+		return restored[0];
+	}
+
+	// Permanently deletes characters whose trash retention period has ended
+	async purgeExpiredCharacters(retentionDays) {
+		const expired = await this.sql.exec(`
+			SELECT id, author, slug, profile_img, banner_img FROM characters
+			WHERE deleted_at <= datetime('now', '-' || ? || ' days')
+		`, retentionDays).toArray();
+
+		for (const character of expired) {
+			await this.purgeCharacter(character.id);
+		}
+		return expired;
+	}
+
+	async purgeCharacter(characterId) {
+		try {
 			await this.state.storage.transaction(async () => {
 				await this.sql.exec('DELETE FROM character_secrets WHERE character_id = ?', characterId);
 				await this.sql.exec('DELETE FROM character_clients WHERE character_id = ?', characterId);
@@ -2268,12 +2428,13 @@ export class CharacterRegistryDO {
 				await this.sql.exec('DELETE FROM character_adjectives WHERE character_id = ?', characterId);
 				await this.sql.exec('DELETE FROM character_wallets WHERE character_id = ?', characterId);
 				await this.sql.exec('DELETE FROM character_sessions WHERE character_id = ?', characterId);
+				await this.sql.exec('DELETE FROM characters_fts WHERE rowid = ?', characterId);
 				await this.sql.exec('DELETE FROM characters WHERE id = ?', characterId);
 			});
 
 			return true;
 		} catch (error) {
-			console.error('Delete character error:', error);
+			console.error('Purge character error:', error);
 			throw error;
 		}
 	}
@@ -2409,6 +2570,7 @@ export class CharacterRegistryDO {
 				);
 			}
 
+			await this.indexCharacter(characterId);
 			return characterId;
 		} catch (error) {
 			console.error("Error updating character metadata:", error);
@@ -2460,7 +2622,7 @@ export class CharacterRegistryDO {
 			// First get the character ID
 			const characters = await this.sql.exec(`
 				SELECT id FROM characters 
-				WHERE author = ? AND slug = ?
+				WHERE author = ? AND slug = ? AND deleted_at IS NULL
 			`, author, slug).toArray();
 
 			if (!characters.length) {
@@ -3843,7 +4005,7 @@ export class CharacterRegistryDO {
 	
 	async handleMemoryList(request) {
 		try {
-			const { slug, sessionId, type, username } = await request.json();
+			const { slug, sessionId, type, username, limit, cursor } = await request.json();
 			console.log('[CharacterRegistryDO] Memory list params:', { slug, sessionId, type, username });
 
 			// Initialize memory adapter if not already done
@@ -3882,17 +4044,20 @@ export class CharacterRegistryDO {
 
 			console.log('[CharacterRegistryDO] Found character:', { id: character.id, slug: character.slug });
 
-			// Get memories using character ID
+			// Get memories using character ID, newest first, one extra to tell whether there is another page
 			const memories = await this.memoryAdapter.getAllMemoriesByCharacter(character.id, {
-				type: type === 'all' ? null : type
+				type: type === 'all' ? null : type,
+				limit: limit + 1,
+				before: cursor
 			});
+			const page = toPage(memories, limit, memory => ({ createdAt: memory.createdAt, id: memory.id }));
 
 			console.log('[CharacterRegistryDO] Memory list result:', {
-					count: memories.length,
-					types: memories.length > 0 ? [...new Set(memories.map(m => m.type))] : []
+					count: page.items.length,
+					types: page.items.length > 0 ? [...new Set(page.items.map(m => m.type))] : []
 			});
 
-			return new Response(JSON.stringify(memories), {
+			return new Response(JSON.stringify(page), {
 				headers: { 'Content-Type': 'application/json' }
 			});
 		} catch (error) {
@@ -4393,6 +4558,44 @@ export class CharacterRegistryDO {
 						});
 					}
 				}
+				case '/search-characters': {
+					const { query, limit, offset } = await request.json();
+					const characters = await this.searchCharacters(query, limit, offset);
+					return new Response(JSON.stringify(characters), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				case '/list-trashed-characters': {
+					const { author, retentionDays } = await request.json();
+					const characters = await this.listTrashedCharacters(author, retentionDays);
+					return new Response(JSON.stringify(characters), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				case '/restore-character': {
+					const { author, characterId } = await request.json();
+					try {
+						const character = await this.restoreCharacter(author, characterId);
+						return new Response(JSON.stringify(character), {
+							headers: { 'Content-Type': 'application/json' }
+						});
+					} catch (error) {
+						return new Response(JSON.stringify({
+							error: 'Failed to restore character',
+							details: error.message
+						}), {
+							status: 404,
+							headers: { 'Content-Type': 'application/json' }
+						});
+					}
+				}
+				case '/purge-expired-characters': {
+					const { retentionDays } = await request.json();
+					const purged = await this.purgeExpiredCharacters(retentionDays);
+					return new Response(JSON.stringify({ success: true, purged }), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
 				case '/get-character': {
 					try {
 						const { author, name, slug } = await request.json();
@@ -4422,8 +4625,8 @@ export class CharacterRegistryDO {
 				}
 				case '/get-featured-characters': {
 					try {
-						const { authors } = await request.json();
-						const characters = await this.getFeaturedCharacters(authors);
+						const { authors, limit, cursor } = await request.json();
+						const characters = await this.getFeaturedCharacters(authors, { limit, cursor });
 						return new Response(JSON.stringify(characters), {
 							headers: { 'Content-Type': 'application/json' }
 						});
@@ -4439,8 +4642,8 @@ export class CharacterRegistryDO {
 					}
 				}
 				case '/get-author-characters': {
-					const { author } = await request.json();
-					const characters = await this.getCharactersByAuthor(author);
+					const { author, limit, cursor } = await request.json();
+					const characters = await this.getCharactersByAuthor(author, limit ? { limit, cursor } : null);
 					return new Response(JSON.stringify(characters), {
 						headers: { 'Content-Type': 'application/json' }
 					});
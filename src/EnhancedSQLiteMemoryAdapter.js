@@ -512,7 +512,8 @@ export class EnhancedSQLiteMemoryAdapter extends SQLiteMemoryAdapter {
 
 	async getAllMemoriesByCharacter(characterId, options = {}) {
 		try {
-			const { limit = 100, type = null } = options;
+			// before is the { createdAt, id } of the last memory on the previous page
+			const { limit = 100, type = null, before = null } = options;
 			console.log('[getAllMemoriesByCharacter] Input:', { characterId, options });
 
 			// First get all unique rooms for this character
@@ -524,12 +525,14 @@ export class EnhancedSQLiteMemoryAdapter extends SQLiteMemoryAdapter {
 				SELECT * FROM memories 
 				WHERE agentId = ?
 				${type ? 'AND type = ?' : ''}
-				ORDER BY createdAt DESC
+				${before ? 'AND (createdAt < ? OR (createdAt = ? AND id < ?))' : ''}
+				ORDER BY createdAt DESC, id DESC
 				LIMIT ?
 			`;
 
 			const params = [characterId];
 			if (type) params.push(type);
+			if (before) params.push(before.createdAt, before.createdAt, before.id);
 			params.push(limit);
 
 			console.log('[getAllMemoriesByCharacter] Query:', {
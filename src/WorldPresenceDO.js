@@ -0,0 +1,315 @@
+// One instance per world, named "<author>/<slug>". Clients hold a WebSocket open while they are in
+// the world, and the live count and participant list come from the open sockets. Sockets use the
+// hibernation API, so an idle world costs nothing between messages.
+//
+// The same instance brokers the world's multiplayer rooms. Each room is a WorldRoomDO holding at
+// most the world's capacity, and reports its occupancy back here.
+
+// Clients send "ping" at least this often. It is answered without waking the object.
+export const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Sockets silent for longer are treated as crashed clients and closed
+export const HEARTBEAT_TIMEOUT_MS = 3 * HEARTBEAT_INTERVAL_MS;
+
+// Participants listed in presence messages and /state, the count covers everyone
+export const MAX_LISTED_PARTICIPANTS = 100;
+
+// Rooms a world can have open at once, so joins can't spin up room objects without end
+export const MAX_ROOMS_PER_WORLD = 20;
+
+// Room joins each address may make in a world per window. Every join holds a slot for a while,
+// so this keeps one client from filling the world's rooms with tickets.
+export const ROOM_JOIN_LIMIT = { limit: 10, windowMs: 60 * 1000 };
+
+const MAX_NAME_LENGTH = 32;
+
+export function cleanName(name) {
+	const trimmed = String(name || '').replace(/[\u0000-\u001f]/g, '').trim().slice(0, MAX_NAME_LENGTH);
+	return trimmed || 'Guest';
+}
+
+// Sockets still open. The alarm closes the ones whose client went silent.
+export function getOpenSockets(state) {
+	return state.getWebSockets().filter(ws => ws.readyState === WebSocket.READY_STATE_OPEN);
+}
+
+// Close sockets that missed their heartbeats, returns the closed sockets
+export function closeSilentSockets(state, now = Date.now()) {
+	const closed = [];
+	for (const ws of getOpenSockets(state)) {
+		const { joined_at, last_message_at } = ws.deserializeAttachment();
+		const pinged = state.getWebSocketAutoResponseTimestamp(ws);
+		const lastSeen = Math.max(Date.parse(joined_at), last_message_at || 0, pinged ? pinged.getTime() : 0);
+		if (now - lastSeen > HEARTBEAT_TIMEOUT_MS) {
+			ws.close(4000, 'Heartbeat timeout');
+			closed.push(ws);
+		}
+	}
+	return closed;
+}
+
+export class WorldPresenceDO {
+	constructor(state, env) {
+		this.state = state;
+		this.env = env;
+		this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+	}
+
+	getPresence() {
+		const participants = getOpenSockets(this.state).map(ws => ws.deserializeAttachment());
+		return {
+			count: participants.length,
+			participants: participants.slice(0, MAX_LISTED_PARTICIPANTS)
+		};
+	}
+
+	// Tell every client who is here and copy the count to the registry for search and listings
+	async broadcastPresence(exclude = null) {
+		const presence = this.getPresence();
+		const message = JSON.stringify({ type: 'presence', ...presence });
+		for (const ws of getOpenSockets(this.state)) {
+			if (ws === exclude) continue;
+			try {
+				ws.send(message);
+			} catch (error) {
+				console.error('Presence send error:', error);
+			}
+		}
+
+		try {
+			const world = await this.state.storage.get('world');
+			if (world && presence.count !== await this.state.storage.get('syncedCount')) {
+				const registry = this.env.WORLD_REGISTRY.get(this.env.WORLD_REGISTRY.idFromName("global"));
+				await registry.fetch(new Request('http://internal/update-active-users', {
+					method: 'POST',
+					body: JSON.stringify({ ...world, count: presence.count })
+				}));
+				await this.state.storage.put('syncedCount', presence.count);
+			}
+		} catch (error) {
+			console.error('Presence sync error:', error);
+		}
+	}
+
+	async scheduleSweep() {
+		if (await this.state.storage.getAlarm() === null) {
+			await this.state.storage.setAlarm(Date.now() + HEARTBEAT_INTERVAL_MS);
+		}
+	}
+
+	async handleConnect(request) {
+		const url = new URL(request.url);
+		const author = url.searchParams.get('author');
+		const slug = url.searchParams.get('slug');
+		if (!author || !slug) {
+			return new Response('Missing author or slug', { status: 400 });
+		}
+		await this.state.storage.put('world', { author, slug });
+
+		const pair = new WebSocketPair();
+		const [client, server] = Object.values(pair);
+		const participant = {
+			id: crypto.randomUUID(),
+			name: cleanName(url.searchParams.get('name')),
+			joined_at: new Date().toISOString()
+		};
+
+		this.state.acceptWebSocket(server);
+		server.serializeAttachment(participant);
+		server.send(JSON.stringify({ type: 'welcome', id: participant.id, ...this.getPresence() }));
+
+		await this.broadcastPresence(server);
+		await this.scheduleSweep();
+
+		return new Response(null, { status: 101, webSocket: client });
+	}
+
+	getRoom(roomId) {
+		const { author, slug } = this.world;
+		return this.env.WORLD_ROOMS.get(this.env.WORLD_ROOMS.idFromName(`${author}/${slug}/${roomId}`));
+	}
+
+	// Counts a join against the address's limit. Returns the seconds until the address may join
+	// again, or 0 when the join is allowed.
+	async countJoin(address, now = Date.now()) {
+		const joins = await this.state.storage.get('joins') || {};
+		for (const [key, times] of Object.entries(joins)) {
+			joins[key] = times.filter(time => time > now - ROOM_JOIN_LIMIT.windowMs);
+			if (joins[key].length === 0) delete joins[key];
+		}
+
+		const recent = joins[address] || [];
+		if (recent.length >= ROOM_JOIN_LIMIT.limit) {
+			await this.state.storage.put('joins', joins);
+			return Math.max(1, Math.ceil((recent[0] + ROOM_JOIN_LIMIT.windowMs - now) / 1000));
+		}
+
+		joins[address] = [...recent, now];
+		await this.state.storage.put('joins', joins);
+		return 0;
+	}
+
+	// Reserve a slot in the fullest room with space, so players end up together. A new room is
+	// opened when every room is at capacity, unless the world already has MAX_ROOMS_PER_WORLD.
+	async joinRoom({ author, slug, capacity }) {
+		this.world = { author, slug };
+		await this.state.storage.put('world', this.world);
+		const rooms = await this.state.storage.get('rooms') || {};
+
+		const candidates = Object.entries(rooms)
+			.filter(([, room]) => room.occupants < capacity)
+			.sort(([, a], [, b]) => b.occupants - a.occupants || a.created_at - b.created_at)
+			.map(([roomId]) => roomId);
+		if (Object.keys(rooms).length < MAX_ROOMS_PER_WORLD) {
+			candidates.push(crypto.randomUUID().slice(0, 8));
+		}
+
+		for (const roomId of candidates) {
+			const response = await this.getRoom(roomId).fetch(new Request('http://internal/reserve', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, roomId, capacity })
+			}));
+			const reservation = await response.json();
+
+			// Rooms can fill up between reports, so the room has the final say
+			const current = await this.state.storage.get('rooms') || {};
+			current[roomId] = {
+				occupants: reservation.occupants,
+				capacity,
+				created_at: current[roomId]?.created_at || Date.now()
+			};
+			await this.state.storage.put('rooms', current);
+
+			if (response.ok) {
+				return { roomId, ticket: reservation.ticket, occupants: reservation.occupants, capacity };
+			}
+		}
+		throw new Error('No room could take another player');
+	}
+
+	// Rooms report their occupancy, empty rooms are forgotten
+	async updateRoom({ roomId, occupants }) {
+		const rooms = await this.state.storage.get('rooms') || {};
+		if (occupants > 0) {
+			rooms[roomId] = { ...rooms[roomId], occupants, created_at: rooms[roomId]?.created_at || Date.now() };
+		} else {
+			delete rooms[roomId];
+		}
+		await this.state.storage.put('rooms', rooms);
+	}
+
+	// Open rooms with their current occupants, asked of each room rather than the last reports
+	async listRooms() {
+		this.world = await this.state.storage.get('world');
+		const rooms = await this.state.storage.get('rooms') || {};
+		if (!this.world) return [];
+
+		const listed = await Promise.all(Object.entries(rooms).map(async ([roomId, room]) => {
+			const response = await this.getRoom(roomId).fetch(new Request('http://internal/state'));
+			const state = response.ok ? await response.json() : { occupants: room.occupants, participants: [] };
+			return { roomId, created_at: new Date(room.created_at).toISOString(), ...state };
+		}));
+		return listed.filter(room => room.occupants > 0);
+	}
+
+	async fetch(request) {
+		const url = new URL(request.url);
+
+		switch (url.pathname) {
+			case '/join-room': {
+				try {
+					const join = await request.json();
+					const retryAfter = await this.countJoin(join.address);
+					if (retryAfter > 0) {
+						return new Response(JSON.stringify({ error: 'Too many joins', retry_after: retryAfter }), {
+							status: 429,
+							headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) }
+						});
+					}
+					return new Response(JSON.stringify(await this.joinRoom(join)), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: 503,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/room-occupancy': {
+				await this.updateRoom(await request.json());
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/rooms': {
+				return new Response(JSON.stringify(await this.listRooms()), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/connect': {
+				if (request.headers.get('Upgrade') !== 'websocket') {
+					return new Response('Expected Upgrade: websocket', { status: 426 });
+				}
+				return this.handleConnect(request);
+			}
+
+			case '/state': {
+				return new Response(JSON.stringify(this.getPresence()), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			default:
+				return new Response('Not found', { status: 404 });
+		}
+	}
+
+	// Clients may rename themselves with { type: 'hello', name }, other messages only count as heartbeats
+	async webSocketMessage(ws, message) {
+		const participant = ws.deserializeAttachment();
+		participant.last_message_at = Date.now();
+
+		let data = null;
+		try {
+			data = typeof message === 'string' ? JSON.parse(message) : null;
+		} catch {
+			// Not JSON, still a sign of life
+		}
+
+		if (data?.type === 'hello' && data.name !== undefined) {
+			participant.name = cleanName(data.name);
+			ws.serializeAttachment(participant);
+			await this.broadcastPresence();
+			return;
+		}
+		ws.serializeAttachment(participant);
+	}
+
+	async webSocketClose(ws, code, reason) {
+		try {
+			ws.close(code, reason);
+		} catch {
+			// Already closed by the client
+		}
+		await this.broadcastPresence(ws);
+	}
+
+	async webSocketError(ws, error) {
+		console.error('Presence socket error:', error);
+		await this.broadcastPresence(ws);
+	}
+
+	// Close sockets whose client stopped sending heartbeats, then check again while anyone is here
+	async alarm() {
+		if (closeSilentSockets(this.state).length > 0) {
+			await this.broadcastPresence();
+		}
+		if (getOpenSockets(this.state).length > 0) {
+			await this.state.storage.setAlarm(Date.now() + HEARTBEAT_INTERVAL_MS);
+		}
+	}
+}
@@ -1,3 +1,8 @@
+import { HIGHLIGHT_START, HIGHLIGHT_END, SEARCH_COLUMNS, AUTHOR_SEARCH_COLUMNS, SORT_MODES, TAG_FACET_LIMIT, buildMatchQuery } from './worldSearch';
+import { toPage } from './pagination';
+import { COVISIT_WINDOW_HOURS, TRENDING_WINDOW_HOURS, activityBucket, similarityScore, trendingScore } from './trending';
+import { statsDay } from './analytics';
+
 export class WorldRegistryDO {
 	constructor(state, env) {
 		this.state = state;
@@ -76,13 +81,257 @@ export class WorldRegistryDO {
 
 				CREATE INDEX IF NOT EXISTS idx_authors_username 
 				ON authors(username);
+
+				-- Chunked upload sessions backed by R2 multipart uploads
+				CREATE TABLE IF NOT EXISTS upload_sessions (
+					upload_id TEXT PRIMARY KEY,
+					author TEXT NOT NULL,
+					slug TEXT NOT NULL,
+					r2_key TEXT NOT NULL,
+					content_type TEXT,
+					status TEXT DEFAULT 'active',
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+				);
+
+				CREATE TABLE IF NOT EXISTS upload_parts (
+					upload_id TEXT NOT NULL,
+					part_number INTEGER NOT NULL,
+					etag TEXT NOT NULL,
+					size INTEGER NOT NULL,
+					uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					FOREIGN KEY(upload_id) REFERENCES upload_sessions(upload_id),
+					PRIMARY KEY(upload_id, part_number)
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_upload_sessions_author
+				ON upload_sessions(author, status);
+
+				-- Content-addressed blobs stored in R2 at blobs/sha256/<hash>
+				CREATE TABLE IF NOT EXISTS blobs (
+					hash TEXT PRIMARY KEY,
+					size INTEGER NOT NULL,
+					content_type TEXT,
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+				);
+
+				-- Which blob each world file points at. scope is a release channel or v:<version> for archives.
+				CREATE TABLE IF NOT EXISTS world_asset_refs (
+					author TEXT NOT NULL,
+					slug TEXT NOT NULL,
+					scope TEXT NOT NULL,
+					path TEXT NOT NULL,
+					hash TEXT NOT NULL,
+					content_type TEXT,
+					size INTEGER,
+					PRIMARY KEY(author, slug, scope, path)
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_world_asset_refs_hash
+				ON world_asset_refs(hash);
+
+				-- Ownership transfers wait here until the receiving author accepts
+				CREATE TABLE IF NOT EXISTS world_transfers (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					from_author TEXT NOT NULL,
+					slug TEXT NOT NULL,
+					to_author TEXT NOT NULL,
+					initiated_by TEXT NOT NULL,
+					status TEXT DEFAULT 'pending',
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					resolved_at TIMESTAMP
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_world_transfers_authors
+				ON world_transfers(status, from_author, to_author);
+
+				-- Old directory URLs of transferred worlds
+				CREATE TABLE IF NOT EXISTS world_redirects (
+					from_author TEXT NOT NULL,
+					from_slug TEXT NOT NULL,
+					to_author TEXT NOT NULL,
+					to_slug TEXT NOT NULL,
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					PRIMARY KEY(from_author, from_slug)
+				);
+
+				-- Deleted worlds and authors. Their files sit under trash/<id>/ until restored or purged.
+				CREATE TABLE IF NOT EXISTS trash (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					item_type TEXT NOT NULL CHECK(item_type IN ('world', 'author')),
+					author TEXT NOT NULL,
+					slug TEXT,
+					deleted_by TEXT,
+					deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_trash_author
+				ON trash(author, deleted_at);
+
+				-- Visits and active user gains per world per hour, for trending
+				CREATE TABLE IF NOT EXISTS world_activity (
+					world_id INTEGER NOT NULL,
+					bucket INTEGER NOT NULL,
+					visits INTEGER DEFAULT 0,
+					active_gain INTEGER DEFAULT 0,
+					PRIMARY KEY (world_id, bucket)
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_world_activity_bucket
+				ON world_activity(bucket);
+
+				-- Worlds each anonymous visitor opened recently. Visitor keys change daily.
+				CREATE TABLE IF NOT EXISTS recent_visits (
+					visitor TEXT NOT NULL,
+					world_id INTEGER NOT NULL,
+					visited_at INTEGER NOT NULL,
+					PRIMARY KEY (visitor, world_id)
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_recent_visits_time
+				ON recent_visits(visited_at);
+
+				-- Visits, unique visitors, downloads and peak active users per world per UTC day
+				CREATE TABLE IF NOT EXISTS world_daily_stats (
+					world_id INTEGER NOT NULL,
+					day TEXT NOT NULL,
+					visits INTEGER DEFAULT 0,
+					unique_visitors INTEGER DEFAULT 0,
+					downloads INTEGER DEFAULT 0,
+					peak_active_users INTEGER DEFAULT 0,
+					PRIMARY KEY (world_id, day)
+				);
+
+				-- Downloads of each version of a world, all time
+				CREATE TABLE IF NOT EXISTS world_version_downloads (
+					world_id INTEGER NOT NULL,
+					version TEXT NOT NULL,
+					downloads INTEGER DEFAULT 0,
+					PRIMARY KEY (world_id, version)
+				);
+
+				-- Download links that have been used, kept until they expire
+				CREATE TABLE IF NOT EXISTS used_download_links (
+					link_id TEXT PRIMARY KEY,
+					expires_at INTEGER NOT NULL
+				);
+
+				-- Visitors who opened both worlds, stored once in each direction
+				CREATE TABLE IF NOT EXISTS world_covisits (
+					world_id INTEGER NOT NULL,
+					other_id INTEGER NOT NULL,
+					visitors INTEGER DEFAULT 0,
+					PRIMARY KEY (world_id, other_id)
+				);
+
+				-- Full-text index over worlds, rowid is the world id
+				CREATE VIRTUAL TABLE IF NOT EXISTS worlds_fts USING fts5(
+					name,
+					short_description,
+					long_description,
+					tags,
+					author,
+					tokenize = 'unicode61 remove_diacritics 2',
+					prefix = '2 3'
+				);
+
+				-- Full-text index over author profiles, rowid is the author id
+				CREATE VIRTUAL TABLE IF NOT EXISTS authors_fts USING fts5(
+					username,
+					bio,
+					tokenize = 'unicode61 remove_diacritics 2',
+					prefix = '2 3'
+				);
 			`);
+
+			this.migrateTables();
 		} catch (error) {
 			console.error("Error initializing schema:", error);
 			throw error;
 		}
 	}
 
+	// Add columns introduced after a table was first created
+	addMissingColumns(table, additions) {
+		const columns = this.sql.exec(`PRAGMA table_info(${table})`).toArray().map(col => col.name);
+
+		for (const [name, definition] of additions) {
+			if (!columns.includes(name)) {
+				this.sql.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+			}
+		}
+	}
+
+	migrateTables() {
+		this.addMissingColumns('worlds', [
+			['publish_at', 'TIMESTAMP'],
+			['publish_status', "TEXT DEFAULT 'live'"],
+			['allow_forks', 'INTEGER DEFAULT 1'],
+			['forked_from_author', 'TEXT'],
+			['forked_from_slug', 'TEXT'],
+			['forked_from_version', 'TEXT'],
+			['trash_id', 'INTEGER']
+		]);
+
+		this.addMissingColumns('authors', [
+			['trash_id', 'INTEGER']
+		]);
+
+		// Which way a trash entry's files are still being moved: 'in' to the trash or 'out' on restore
+		this.addMissingColumns('trash', [
+			['moving', 'TEXT']
+		]);
+
+		// Chunked uploads of bundle files are staged, then moved into the blob store
+		this.addMissingColumns('upload_sessions', [
+			['asset_path', 'TEXT'],
+			['asset_scope', 'TEXT']
+		]);
+
+		// collecting_at is set while the GC considers a blob and cleared when an upload registers it again.
+		// deleting_at is set once the GC is removing it from R2, uploads wait for that to finish.
+		this.addMissingColumns('blobs', [
+			['collecting_at', 'TIMESTAMP'],
+			['deleting_at', 'TIMESTAMP']
+		]);
+
+		this.sql.exec(`
+			CREATE INDEX IF NOT EXISTS idx_worlds_publish
+			ON worlds(publish_status, publish_at);
+
+			CREATE INDEX IF NOT EXISTS idx_worlds_forked_from
+			ON worlds(forked_from_author, forked_from_slug);
+		`);
+
+		// Index worlds published before full-text search existed
+		const unindexed = this.sql.exec(
+			"SELECT id FROM worlds WHERE id NOT IN (SELECT rowid FROM worlds_fts)"
+		).toArray();
+		for (const { id } of unindexed) {
+			this.indexWorld(id);
+		}
+
+		this.sql.exec(`
+			INSERT INTO authors_fts (rowid, username, bio)
+			SELECT id, username, bio FROM authors
+			WHERE id NOT IN (SELECT rowid FROM authors_fts)
+		`);
+	}
+
+	// Rewrites a world's full-text entry from its current row and tags
+	indexWorld(worldId) {
+		this.sql.exec("DELETE FROM worlds_fts WHERE rowid = ?", worldId);
+		this.sql.exec(`
+			INSERT INTO worlds_fts (rowid, name, short_description, long_description, tags, author)
+			SELECT w.id, w.name, w.short_description, w.long_description,
+				(SELECT GROUP_CONCAT(tag, ' ') FROM world_tags WHERE world_id = w.id),
+				w.author
+			FROM worlds w
+			WHERE w.id = ?
+		`, worldId);
+	}
+
 	async syncAuthorData(authorData) {
 		try {
 			if (typeof authorData !== 'object' || authorData === null) {
@@ -114,6 +363,12 @@ export class WorldRegistryDO {
 				authorData.github
 			).one();
 
+			this.sql.exec("DELETE FROM authors_fts WHERE rowid = ?", result.id);
+			this.sql.exec(
+				"INSERT INTO authors_fts (rowid, username, bio) VALUES (?, ?, ?)",
+				result.id, authorData.username, authorData.bio
+			);
+
 			return result.id;
 		} catch (error) {
 			console.error("Error syncing author data:", error);
@@ -121,24 +376,93 @@ export class WorldRegistryDO {
 		}
 	}
 
-	async handleSearch(query = '', tags = [], limit = 20, offset = 0) {
+	// Takes the options from parseSearchParams, returns a page of results and facet counts
+	async handleSearch({
+		query = '',
+		tags = [],
+		ratings = [],
+		minCapacity = null,
+		maxCapacity = null,
+		activeOnly = false,
+		createdAfter = null,
+		updatedAfter = null,
+		sort = 'relevance',
+		limit = 20,
+		cursor = null,
+		withFacets = true
+	} = {}) {
 		try {
-			const whereClause = query ?
-				`WHERE (w.name LIKE ? OR w.short_description LIKE ? OR w.author LIKE ?)` :
-				'WHERE 1=1';
+			const match = buildMatchQuery(query);
 
-			const tagFilters = tags.length > 0 ?
-				`AND w.id IN (
+			// Each filter is a condition with its parameters, so facets can leave one out
+			const filters = {
+				// Unlisted, scheduled and trashed worlds never show up in search
+				base: [`w.visibility = 'public' AND w.publish_status = 'live' AND w.trash_id IS NULL`, []]
+			};
+			if (match) {
+				filters.match = ['worlds_fts MATCH ?', [match]];
+			}
+			if (tags.length > 0) {
+				filters.tags = [`w.id IN (
 					SELECT world_id FROM world_tags 
 					WHERE tag IN (${tags.map(() => '?').join(',')})
 					GROUP BY world_id 
 					HAVING COUNT(DISTINCT tag) = ${tags.length}
-				)` : '';
+				)`, tags];
+			}
+			if (ratings.length > 0) {
+				filters.ratings = [`w.content_rating IN (${ratings.map(() => '?').join(',')})`, ratings];
+			}
+			if (minCapacity !== null) {
+				filters.minCapacity = ['w.capacity >= ?', [minCapacity]];
+			}
+			if (maxCapacity !== null) {
+				filters.maxCapacity = ['w.capacity <= ?', [maxCapacity]];
+			}
+			if (activeOnly) {
+				filters.active = ['w.active_users > 0', []];
+			}
+			if (createdAfter) {
+				filters.createdAfter = ['w.created_at >= ?', [createdAfter]];
+			}
+			if (updatedAfter) {
+				filters.updatedAfter = ['w.updated_at >= ?', [updatedAfter]];
+			}
+
+			// Without a query there is nothing to rank or highlight
+			const weights = Object.values(SEARCH_COLUMNS).join(', ');
+			const sortName = sort === 'relevance' && !match ? 'visits' : (SORT_MODES[sort] ? sort : 'visits');
+			const { column, ascending } = SORT_MODES[sortName];
+			const sortKey = column === 'rank' ? `bm25(worlds_fts, ${weights})` : `w.${column}`;
 
-			const params = query ?
-				[...query.split(' ').flatMap(term => [`%${term}%`, `%${term}%`, `%${term}%`]), ...tags, limit, offset] :
-				[...tags, limit, offset];
+			// Rows after the cursor's world, in sort order
+			if (cursor) {
+				filters.cursor = [
+					`${sortKey} ${ascending ? '>' : '<'} ? OR (${sortKey} = ? AND w.id < ?)`,
+					[cursor.value, cursor.value, cursor.id]
+				];
+			}
+
+			const where = (...excluded) => {
+				const applied = Object.entries(filters).filter(([name]) => !excluded.includes(name));
+				return {
+					clause: applied.map(([, [condition]]) => `(${condition})`).join(' AND '),
+					params: applied.flatMap(([, [, params]]) => params)
+				};
+			};
+			const from = `
+				FROM worlds_fts
+				JOIN worlds w ON w.id = worlds_fts.rowid
+			`;
+
+			const highlightColumns = match ? `,
+					highlight(worlds_fts, 0, ?, ?) as name_highlight,
+					snippet(worlds_fts, 1, ?, ?, '…', 24) as short_description_highlight,
+					snippet(worlds_fts, 2, ?, ?, '…', 24) as long_description_highlight,
+					bm25(worlds_fts, ${weights}) as rank` : '';
+			const markers = match ? Array(3).fill([HIGHLIGHT_START, HIGHLIGHT_END]).flat() : [];
 
+			const { clause, params } = where();
 			const results = this.sql.exec(`
 				SELECT w.*, 
 					a.username as author_username,
@@ -147,26 +471,144 @@ export class WorldRegistryDO {
 						SELECT GROUP_CONCAT(tag) 
 						FROM world_tags 
 						WHERE world_id = w.id
-					) as tags
-				FROM worlds w
+					) as tags${highlightColumns}
+				${from}
 				LEFT JOIN authors a ON w.author = a.username
-				${whereClause}
-				${tagFilters}
-				ORDER BY w.visit_count DESC, w.updated_at DESC
-				LIMIT ? OFFSET ?
-			`, ...params).toArray();
+				WHERE ${clause}
+				ORDER BY ${sortKey} ${ascending ? 'ASC' : 'DESC'}, w.id DESC
+				LIMIT ?
+			`, ...markers, ...params, limit + 1).toArray();
 
-			return results.map(row => ({
+			// The cursor keeps the requested sort, so it still matches the search it came from
+			const { items, nextCursor } = toPage(results, limit, row => ({
+				sort,
+				value: column === 'rank' ? row.rank : row[column],
+				id: row.id
+			}));
+			const rows = items.map(({ name_highlight, short_description_highlight, long_description_highlight, rank, ...row }) => ({
 				...row,
-				tags: row.tags ? row.tags.split(',') : []
+				tags: row.tags ? row.tags.split(',') : [],
+				...(match && {
+					score: -rank,
+					highlights: {
+						name: name_highlight,
+						description: short_description_highlight?.includes(HIGHLIGHT_START) || !long_description_highlight?.includes(HIGHLIGHT_START) ?
+							short_description_highlight :
+							long_description_highlight
+					}
+				})
 			}));
+			if (!withFacets) {
+				return { items: rows, nextCursor };
+			}
+
+			// Tags narrow the results, so their counts are within the current results.
+			// Ratings are alternatives, so their counts ignore the rating filter.
+			const tagFilter = where('cursor');
+			const tagFacet = this.sql.exec(`
+				SELECT t.tag as value, COUNT(*) as count
+				${from}
+				JOIN world_tags t ON t.world_id = w.id
+				WHERE ${tagFilter.clause}
+				GROUP BY t.tag
+				ORDER BY count DESC, t.tag
+				LIMIT ?
+			`, ...tagFilter.params, TAG_FACET_LIMIT).toArray();
+
+			const ratingFilter = where('ratings', 'cursor');
+			const ratingFacet = this.sql.exec(`
+				SELECT w.content_rating as value, COUNT(*) as count
+				${from}
+				WHERE ${ratingFilter.clause}
+				GROUP BY w.content_rating
+				ORDER BY count DESC, w.content_rating
+			`, ...ratingFilter.params).toArray();
+
+			return {
+				items: rows,
+				nextCursor,
+				facets: {
+					tags: tagFacet,
+					content_rating: ratingFacet
+				}
+			};
 		} catch (error) {
 			console.error('Search error:', error);
-			return [];
+			return { items: [], nextCursor: null, facets: { tags: [], content_rating: [] } };
 		}
 	}
 
-	async recordVisit(author, slug) {
+	// One page of an author's listed worlds, in slug order
+	listAuthorWorlds(author, limit, cursor = null) {
+		const rows = this.sql.exec(`
+			SELECT w.*,
+				(
+					SELECT GROUP_CONCAT(tag) 
+					FROM world_tags 
+					WHERE world_id = w.id
+				) as tags
+			FROM worlds w
+			WHERE w.author = ? AND w.slug > ?
+				AND w.visibility = 'public' AND w.publish_status = 'live' AND w.trash_id IS NULL
+			ORDER BY w.slug
+			LIMIT ?
+		`, author, cursor?.slug ?? '', limit + 1).toArray();
+
+		const { items, nextCursor } = toPage(rows, limit, row => ({ slug: row.slug }));
+		return {
+			items: items.map(row => ({ ...row, tags: row.tags ? row.tags.split(',') : [] })),
+			nextCursor
+		};
+	}
+
+	// Listed world counts for a set of authors, keyed by author
+	countAuthorWorlds(authors) {
+		if (authors.length === 0) return {};
+
+		const rows = this.sql.exec(`
+			SELECT author, COUNT(*) as world_count
+			FROM worlds
+			WHERE author IN (${authors.map(() => '?').join(',')})
+				AND visibility = 'public' AND publish_status = 'live' AND trash_id IS NULL
+			GROUP BY author
+		`, ...authors).toArray();
+		return Object.fromEntries(rows.map(row => [row.author, row.world_count]));
+	}
+
+	// Author profiles matching a search, best match first
+	searchAuthors(query, limit = 20, offset = 0) {
+		const match = buildMatchQuery(query);
+		if (!match) return [];
+
+		const weights = Object.values(AUTHOR_SEARCH_COLUMNS).join(', ');
+		const authors = this.sql.exec(`
+			SELECT a.username, a.avatar_url, a.bio,
+				(
+					SELECT COUNT(*) FROM worlds w
+					WHERE w.author = a.username AND w.visibility = 'public'
+						AND w.publish_status = 'live' AND w.trash_id IS NULL
+				) as world_count,
+				highlight(authors_fts, 0, ?, ?) as username_highlight,
+				snippet(authors_fts, 1, ?, ?, '…', 24) as bio_highlight,
+				bm25(authors_fts, ${weights}) as rank
+			FROM authors_fts
+			JOIN authors a ON a.id = authors_fts.rowid
+			WHERE authors_fts MATCH ? AND a.trash_id IS NULL
+			ORDER BY rank, world_count DESC
+			LIMIT ? OFFSET ?
+		`, HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, match, limit, offset).toArray();
+
+		return authors.map(({ username_highlight, bio_highlight, rank, ...author }) => ({
+			...author,
+			score: -rank,
+			highlights: {
+				name: username_highlight,
+				description: bio_highlight
+			}
+		}));
+	}
+
+	async recordVisit(author, slug, visitor = null) {
 		const world = this.sql.exec(
 			"SELECT id FROM worlds WHERE author = ? AND slug = ?",
 			author, slug
@@ -174,28 +616,332 @@ export class WorldRegistryDO {
 
 		if (!world) return false;
 
-		await this.sql.exec(`
-			UPDATE worlds 
-			SET visit_count = visit_count + 1,
-				updated_at = CURRENT_TIMESTAMP 
-			WHERE id = ?
-		`, world.id);
+		// Visits aren't edits, the updated sort and the updatedAfter filter go by updated_at
+		await this.sql.exec(
+			"UPDATE worlds SET visit_count = visit_count + 1 WHERE id = ?",
+			world.id
+		);
+
+		this.recordActivity(world.id, 1, 0);
+		const newVisitor = visitor ? this.recordCovisits(visitor, world.id) : false;
+		this.recordDailyStats(world.id, { visits: 1, uniqueVisitors: newVisitor ? 1 : 0 });
+
+		return true;
+	}
+
+	// Fold visits queued in KV into the totals, as [["author:slug", count], ...]
+	updateVisitCounts(visits) {
+		for (const [worldKey, count] of visits) {
+			const separator = worldKey.indexOf(':');
+			const worldId = this.getWorldId(worldKey.slice(0, separator), worldKey.slice(separator + 1));
+			if (!worldId) continue;
+
+			this.sql.exec(
+				"UPDATE worlds SET visit_count = visit_count + ? WHERE id = ?",
+				count, worldId
+			);
+			this.recordActivity(worldId, count, 0);
+			this.recordDailyStats(worldId, { visits: count });
+		}
+	}
 
+	// Marks a download link used, false if it already was. expiresAt is in epoch seconds.
+	claimDownloadLink(linkId, expiresAt) {
+		this.sql.exec("DELETE FROM used_download_links WHERE expires_at < ?", Math.floor(Date.now() / 1000));
+		return this.sql.exec(`
+			INSERT INTO used_download_links (link_id, expires_at)
+			VALUES (?, ?)
+			ON CONFLICT(link_id) DO NOTHING
+			RETURNING link_id
+		`, linkId, expiresAt).toArray().length > 0;
+	}
+
+	recordDownload(author, slug, version) {
+		const worldId = this.getWorldId(author, slug);
+		if (!worldId) return false;
+
+		this.sql.exec(`
+			INSERT INTO world_version_downloads (world_id, version, downloads)
+			VALUES (?, ?, 1)
+			ON CONFLICT(world_id, version) DO UPDATE SET downloads = downloads + 1
+		`, worldId, version);
+		this.recordDailyStats(worldId, { downloads: 1 });
 		return true;
 	}
 
+	// All time downloads of a world per version, most downloaded first
+	getDownloadCounts(author, slug) {
+		const worldId = this.getWorldId(author, slug);
+		if (!worldId) return null;
+
+		const versions = this.sql.exec(`
+			SELECT version, downloads
+			FROM world_version_downloads
+			WHERE world_id = ?
+			ORDER BY downloads DESC, version
+		`, worldId).toArray();
+		return {
+			downloads: versions.reduce((total, row) => total + row.downloads, 0),
+			versions
+		};
+	}
+
 	async updateActiveUsers(author, slug, count) {
+		const previous = this.sql.exec(
+			"SELECT id, active_users FROM worlds WHERE author = ? AND slug = ?",
+			author, slug
+		).toArray();
+
+		// Presence changes constantly, leave updated_at to changes of the world itself
 		await this.sql.exec(`
 			UPDATE worlds 
-			SET active_users = ?,
-				updated_at = CURRENT_TIMESTAMP 
+			SET active_users = ?
 			WHERE author = ? AND slug = ?
 		`, count, author, slug);
+
+		if (previous.length === 0) return;
+
+		// Only people joining count towards trending, leaving is not a signal
+		if (count > (previous[0].active_users || 0)) {
+			this.recordActivity(previous[0].id, 0, count - (previous[0].active_users || 0));
+		}
+		this.recordDailyStats(previous[0].id, { activeUsers: count });
+	}
+
+	// Add to today's stats for a world. Active users only raise the day's peak.
+	recordDailyStats(worldId, { visits = 0, uniqueVisitors = 0, downloads = 0, activeUsers = 0 }) {
+		this.sql.exec(`
+			INSERT INTO world_daily_stats (world_id, day, visits, unique_visitors, downloads, peak_active_users)
+			VALUES (?, ?, ?, ?, ?, ?)
+			ON CONFLICT(world_id, day) DO UPDATE SET
+				visits = visits + excluded.visits,
+				unique_visitors = unique_visitors + excluded.unique_visitors,
+				downloads = downloads + excluded.downloads,
+				peak_active_users = MAX(peak_active_users, excluded.peak_active_users)
+		`, worldId, statsDay(), visits, uniqueVisitors, downloads, activeUsers);
+	}
+
+	// Daily stats of an author's worlds, or one of them, summed per day. Listed only leaves out
+	// unlisted, private and scheduled worlds for public charts.
+	getDailyStats(author, slug, from, to, listedOnly = false) {
+		const conditions = ['w.author = ?', 'w.trash_id IS NULL', 's.day BETWEEN ? AND ?'];
+		const params = [author, from, to];
+		if (slug) {
+			conditions.push('w.slug = ?');
+			params.push(slug);
+		}
+		if (listedOnly) {
+			conditions.push("w.visibility = 'public' AND w.publish_status = 'live'");
+		}
+
+		const days = this.sql.exec(`
+			SELECT s.day,
+				SUM(s.visits) as visits,
+				SUM(s.unique_visitors) as unique_visitors,
+				SUM(s.downloads) as downloads,
+				MAX(s.peak_active_users) as peak_active_users
+			FROM world_daily_stats s
+			JOIN worlds w ON w.id = s.world_id
+			WHERE ${conditions.join(' AND ')}
+			GROUP BY s.day
+			ORDER BY s.day
+		`, ...params).toArray();
+
+		const worlds = this.sql.exec(`
+			SELECT w.slug, w.name,
+				SUM(s.visits) as visits,
+				SUM(s.unique_visitors) as unique_visitors,
+				SUM(s.downloads) as downloads,
+				MAX(s.peak_active_users) as peak_active_users
+			FROM world_daily_stats s
+			JOIN worlds w ON w.id = s.world_id
+			WHERE ${conditions.join(' AND ')}
+			GROUP BY w.id
+			ORDER BY visits DESC, w.slug
+		`, ...params).toArray();
+
+		return { days, worlds };
+	}
+
+	// Live active user counts of an author's worlds, keyed by slug
+	getActiveUsers(author) {
+		const rows = this.sql.exec(
+			"SELECT slug, active_users FROM worlds WHERE author = ?",
+			author
+		).toArray();
+		return Object.fromEntries(rows.map(row => [row.slug, row.active_users || 0]));
+	}
+
+	// Add to the current hour's activity for a world
+	recordActivity(worldId, visits, activeGain) {
+		this.sql.exec(`
+			INSERT INTO world_activity (world_id, bucket, visits, active_gain)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(world_id, bucket) DO UPDATE SET
+				visits = visits + excluded.visits,
+				active_gain = active_gain + excluded.active_gain
+		`, worldId, activityBucket(), visits, activeGain);
+	}
+
+	// Link a world to the other worlds the same visitor opened within the co-visit window.
+	// Returns whether the visitor is new to the world. Visitor keys change daily, so that makes
+	// them a unique visitor for the day.
+	recordCovisits(visitor, worldId) {
+		const now = Math.floor(Date.now() / 1000);
+		const since = now - COVISIT_WINDOW_HOURS * 3600;
+
+		// Reloading a world doesn't link it again
+		const seen = this.sql.exec(
+			"SELECT 1 FROM recent_visits WHERE visitor = ? AND world_id = ? AND visited_at >= ?",
+			visitor, worldId, since
+		).toArray().length > 0;
+
+		if (!seen) {
+			const others = this.sql.exec(`
+				SELECT world_id FROM recent_visits
+				WHERE visitor = ? AND world_id != ? AND visited_at >= ?
+				ORDER BY visited_at DESC
+				LIMIT 50
+			`, visitor, worldId, since).toArray();
+
+			for (const { world_id: otherId } of others) {
+				for (const [from, to] of [[worldId, otherId], [otherId, worldId]]) {
+					this.sql.exec(`
+						INSERT INTO world_covisits (world_id, other_id, visitors)
+						VALUES (?, ?, 1)
+						ON CONFLICT(world_id, other_id) DO UPDATE SET visitors = visitors + 1
+					`, from, to);
+				}
+			}
+		}
+
+		this.sql.exec(`
+			INSERT INTO recent_visits (visitor, world_id, visited_at)
+			VALUES (?, ?, ?)
+			ON CONFLICT(visitor, world_id) DO UPDATE SET visited_at = excluded.visited_at
+		`, visitor, worldId, now);
+
+		return !seen;
+	}
+
+	// Listed worlds with their tags, keyed by id
+	getListedWorldsById(ids) {
+		if (ids.length === 0) return new Map();
+
+		const rows = this.sql.exec(`
+			SELECT w.*,
+				(
+					SELECT GROUP_CONCAT(tag) 
+					FROM world_tags 
+					WHERE world_id = w.id
+				) as tags
+			FROM worlds w
+			WHERE w.id IN (${ids.map(() => '?').join(',')})
+				AND w.visibility = 'public' AND w.publish_status = 'live' AND w.trash_id IS NULL
+		`, ...ids).toArray();
+		return new Map(rows.map(row => [row.id, { ...row, tags: row.tags ? row.tags.split(',') : [] }]));
+	}
+
+	// Listed worlds with the most recent activity, weighted towards the last few hours
+	getTrendingWorlds(limit) {
+		const since = activityBucket() - TRENDING_WINDOW_HOURS * 3600;
+		const buckets = this.sql.exec(`
+			SELECT a.world_id, a.bucket, a.visits, a.active_gain
+			FROM world_activity a
+			JOIN worlds w ON w.id = a.world_id
+			WHERE a.bucket >= ?
+				AND w.visibility = 'public' AND w.publish_status = 'live' AND w.trash_id IS NULL
+		`, since).toArray();
+
+		const activity = new Map();
+		for (const bucket of buckets) {
+			if (!activity.has(bucket.world_id)) activity.set(bucket.world_id, []);
+			activity.get(bucket.world_id).push(bucket);
+		}
+
+		const now = Date.now();
+		const ranked = [...activity]
+			.map(([id, worldBuckets]) => ({ id, score: trendingScore(worldBuckets, now) }))
+			.sort((a, b) => b.score - a.score || b.id - a.id)
+			.slice(0, limit);
+
+		const worlds = this.getListedWorldsById(ranked.map(world => world.id));
+		return ranked
+			.filter(({ id }) => worlds.has(id))
+			.map(({ id, score }) => ({ ...worlds.get(id), trending_score: score }));
+	}
+
+	// Listed worlds sharing tags or visitors with a world, most alike first
+	getSimilarWorlds(author, slug, limit) {
+		const worldId = this.getWorldId(author, slug);
+		if (!worldId) return [];
+
+		const tagCount = this.sql.exec(
+			"SELECT COUNT(*) as count FROM world_tags WHERE world_id = ?",
+			worldId
+		).one().count;
+
+		const candidates = this.sql.exec(`
+			SELECT w.id,
+				(
+					SELECT COUNT(*) FROM world_tags t
+					JOIN world_tags own ON own.tag = t.tag AND own.world_id = ?
+					WHERE t.world_id = w.id
+				) as shared_tags,
+				(SELECT COUNT(*) FROM world_tags WHERE world_id = w.id) as tag_count,
+				COALESCE((SELECT visitors FROM world_covisits WHERE world_id = ? AND other_id = w.id), 0) as covisits
+			FROM worlds w
+			WHERE w.id != ?
+				AND w.visibility = 'public' AND w.publish_status = 'live' AND w.trash_id IS NULL
+				AND (
+					w.id IN (
+						SELECT t.world_id FROM world_tags t
+						JOIN world_tags own ON own.tag = t.tag
+						WHERE own.world_id = ?
+					)
+					OR w.id IN (SELECT other_id FROM world_covisits WHERE world_id = ?)
+				)
+		`, worldId, worldId, worldId, worldId, worldId).toArray();
+
+		const ranked = candidates
+			.map(candidate => ({
+				id: candidate.id,
+				score: similarityScore({
+					sharedTags: candidate.shared_tags,
+					tagCount,
+					otherTagCount: candidate.tag_count,
+					covisits: candidate.covisits
+				})
+			}))
+			.sort((a, b) => b.score - a.score || b.id - a.id)
+			.slice(0, limit);
+
+		const worlds = this.getListedWorldsById(ranked.map(world => world.id));
+		return ranked
+			.filter(({ id }) => worlds.has(id))
+			.map(({ id, score }) => ({ ...worlds.get(id), similarity: score }));
+	}
+
+	// Drop activity older than the trending window and visits older than the co-visit window
+	pruneActivity() {
+		const now = Math.floor(Date.now() / 1000);
+		this.sql.exec(
+			"DELETE FROM world_activity WHERE bucket < ?",
+			activityBucket() - TRENDING_WINDOW_HOURS * 3600
+		);
+		this.sql.exec(
+			"DELETE FROM recent_visits WHERE visited_at < ?",
+			now - COVISIT_WINDOW_HOURS * 3600
+		);
 	}
 
 	async createOrUpdateWorld(worldData) {
 		try {
 			return await this.state.storage.transaction(async (txn) => {
+				if (this.getTrashedWorld(worldData.author, worldData.slug)) {
+					throw new Error('World is in the trash');
+				}
+
 				// Ensure all required fields have values or defaults
 				const data = {
 					author: worldData.author,
@@ -210,7 +956,11 @@ export class WorldRegistryDO {
 					visibility: worldData.visibility || 'public',
 					capacity: worldData.capacity || 100,
 					content_rating: worldData.content_rating || 'everyone',
-					properties: worldData.properties ? JSON.stringify(worldData.properties) : null
+					properties: worldData.properties ? JSON.stringify(worldData.properties) : null,
+					publish_at: worldData.publish_at || null,
+					publish_status: worldData.publish_at && Date.parse(worldData.publish_at) > Date.now() ? 'scheduled' : 'live',
+					allow_forks: worldData.allow_forks === false ? 0 : 1,
+					forked_from: worldData.forked_from || {}
 				};
 	
 				const result = await this.sql.exec(`
@@ -227,8 +977,14 @@ export class WorldRegistryDO {
 						visibility,
 						capacity,
 						content_rating,
-						properties
-					) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+						properties,
+						publish_at,
+						publish_status,
+						allow_forks,
+						forked_from_author,
+						forked_from_slug,
+						forked_from_version
+					) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime(?), ?, ?, ?, ?, ?)
 					ON CONFLICT(author, slug) DO UPDATE SET
 						name = EXCLUDED.name,
 						short_description = EXCLUDED.short_description,
@@ -241,6 +997,12 @@ export class WorldRegistryDO {
 						capacity = EXCLUDED.capacity,
 						content_rating = EXCLUDED.content_rating,
 						properties = EXCLUDED.properties,
+						publish_at = EXCLUDED.publish_at,
+						publish_status = EXCLUDED.publish_status,
+						allow_forks = EXCLUDED.allow_forks,
+						forked_from_author = COALESCE(worlds.forked_from_author, EXCLUDED.forked_from_author),
+						forked_from_slug = COALESCE(worlds.forked_from_slug, EXCLUDED.forked_from_slug),
+						forked_from_version = COALESCE(worlds.forked_from_version, EXCLUDED.forked_from_version),
 						updated_at = CURRENT_TIMESTAMP
 					RETURNING id
 				`,
@@ -256,7 +1018,13 @@ export class WorldRegistryDO {
 					data.visibility,
 					data.capacity,
 					data.content_rating,
-					data.properties
+					data.properties,
+					data.publish_at,
+					data.publish_status,
+					data.allow_forks,
+					data.forked_from.author || null,
+					data.forked_from.slug || null,
+					data.forked_from.version || null
 				).one();
 	
 				if (!result?.id) {
@@ -274,8 +1042,10 @@ export class WorldRegistryDO {
 						);
 					}
 				}
+
+				this.indexWorld(result.id);
 	
-				// Add version history
+				// Add version history, republishing a version refreshes its entry
 				await this.sql.exec(`
 					INSERT INTO world_versions (
 						world_id,
@@ -283,6 +1053,10 @@ export class WorldRegistryDO {
 						html_url,
 						changelog
 					) VALUES (?, ?, ?, ?)
+					ON CONFLICT(world_id, version) DO UPDATE SET
+						html_url = EXCLUDED.html_url,
+						changelog = COALESCE(NULLIF(EXCLUDED.changelog, ''), world_versions.changelog),
+						published_at = CURRENT_TIMESTAMP
 				`, result.id, data.version, data.html_url, worldData.changelog || '');
 	
 				return result.id;
@@ -293,58 +1067,756 @@ export class WorldRegistryDO {
 		}
 	}
 
-	async fetch(request) {
-		if (request.method === "GET") {
-			return new Response("Method not allowed", { status: 405 });
-		}
+	// Flip scheduled worlds whose publish time has passed and report which ones went live
+	publishScheduledWorlds() {
+		return this.sql.exec(`
+			UPDATE worlds
+			SET publish_status = 'live',
+				updated_at = CURRENT_TIMESTAMP
+			WHERE publish_status = 'scheduled'
+			AND publish_at <= datetime('now')
+			AND trash_id IS NULL
+			RETURNING author, slug
+		`).toArray();
+	}
 
-		const url = new URL(request.url);
+	getWorldId(author, slug) {
+		const rows = this.sql.exec(
+			"SELECT id FROM worlds WHERE author = ? AND slug = ?",
+			author, slug
+		).toArray();
+		return rows.length > 0 ? rows[0].id : null;
+	}
 
-		switch (url.pathname) {
-			case '/search': {
-				const body = await request.json();
-				const results = await this.handleSearch(
-					body.query || '',
-					body.tags || [],
-					parseInt(body.limit || 20),
-					parseInt(body.offset || 0)
-				);
-				return new Response(JSON.stringify(results), {
-					headers: { 'Content-Type': 'application/json' }
-				});
+	// The stable page's R2 key, which says which folder the stable channel is served from
+	getHtmlUrl(author, slug) {
+		const rows = this.sql.exec(
+			"SELECT html_url FROM worlds WHERE author = ? AND slug = ?",
+			author, slug
+		).toArray();
+		return rows.length > 0 ? rows[0].html_url : null;
+	}
+
+	listVersions(author, slug) {
+		return this.sql.exec(`
+			SELECT v.version, v.html_url, v.changelog, v.published_at,
+				(v.version = w.version) as is_current,
+				COALESCE(d.downloads, 0) as downloads
+			FROM world_versions v
+			JOIN worlds w ON w.id = v.world_id
+			LEFT JOIN world_version_downloads d ON d.world_id = v.world_id AND d.version = v.version
+			WHERE w.author = ? AND w.slug = ?
+			ORDER BY v.published_at DESC
+		`, author, slug).toArray().map(row => ({
+			...row,
+			is_current: Boolean(row.is_current)
+		}));
+	}
+
+	getVersion(author, slug, version) {
+		const rows = this.sql.exec(`
+			SELECT v.version, v.html_url, v.changelog, v.published_at
+			FROM world_versions v
+			JOIN worlds w ON w.id = v.world_id
+			WHERE w.author = ? AND w.slug = ? AND v.version = ?
+		`, author, slug, version).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	// Records an archived copy of a version without touching the live world
+	recordArchivedVersion(author, slug, version, htmlUrl, changelog) {
+		const worldId = this.getWorldId(author, slug);
+		if (!worldId) return false;
+
+		this.sql.exec(`
+			INSERT INTO world_versions (world_id, version, html_url, changelog)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(world_id, version) DO UPDATE SET
+				html_url = EXCLUDED.html_url,
+				changelog = COALESCE(world_versions.changelog, EXCLUDED.changelog)
+		`, worldId, version, htmlUrl, changelog || '');
+
+		return true;
+	}
+
+	// Switches the stable channel to a version in one transaction: its files, through htmlUrl and
+	// previewImage, and its blob references
+	async rollbackWorld(author, slug, version, htmlUrl, previewImage) {
+		return await this.state.storage.transaction(async (txn) => {
+			const worldId = this.getWorldId(author, slug);
+			if (!worldId) {
+				throw new Error('World not found');
 			}
 
-			case '/create-world':
-			case '/update-world': {
-				const worldData = await request.json();
-				const worldId = await this.createOrUpdateWorld(worldData);
-				return new Response(JSON.stringify({ success: true, worldId }), {
-					headers: { 'Content-Type': 'application/json' }
-				});
+			const target = this.getVersion(author, slug, version);
+			if (!target) {
+				throw new Error(`Version ${version} not found`);
 			}
 
-			case '/record-visit': {
-				const { author, slug } = await request.json();
-				const success = await this.recordVisit(author, slug);
-				return new Response(JSON.stringify({ success }), {
-					headers: { 'Content-Type': 'application/json' }
-				});
+			this.replaceAssetRefs(author, slug, `v:${version}`, 'stable', { author, slug });
+			await this.sql.exec(`
+				UPDATE worlds
+				SET version = ?,
+					html_url = ?,
+					preview_image = COALESCE(?, preview_image),
+					updated_at = CURRENT_TIMESTAMP
+				WHERE id = ?
+			`, version, htmlUrl, previewImage || null, worldId);
+
+			return target;
+		});
+	}
+
+	createUploadSession({ uploadId, author, slug, key, contentType, assetPath, assetScope }) {
+		this.sql.exec(`
+			INSERT INTO upload_sessions (upload_id, author, slug, r2_key, content_type, asset_path, asset_scope)
+			VALUES (?, ?, ?, ?, ?, ?, ?)
+		`, uploadId, author, slug, key, contentType || null, assetPath || null, assetScope || null);
+	}
+
+	// Everything the registry knows about an author's worlds, for catalog exports
+	exportWorlds(author) {
+		const worlds = this.sql.exec(
+			"SELECT * FROM worlds WHERE author = ? AND trash_id IS NULL ORDER BY slug",
+			author
+		).toArray();
+
+		return worlds.map(world => ({
+			...world,
+			tags: this.sql.exec("SELECT tag FROM world_tags WHERE world_id = ?", world.id).toArray().map(row => row.tag),
+			versions: this.sql.exec(`
+				SELECT version, html_url, changelog, published_at
+				FROM world_versions
+				WHERE world_id = ?
+				ORDER BY published_at
+			`, world.id).toArray(),
+			assets: this.sql.exec(`
+				SELECT scope, path, hash, content_type, size
+				FROM world_asset_refs
+				WHERE author = ? AND slug = ?
+				ORDER BY scope, path
+			`, author, world.slug).toArray()
+		}));
+	}
+
+	// Trash entry holding a world, either on its own or with its author
+	getTrashedWorld(author, slug) {
+		const rows = this.sql.exec(`
+			SELECT t.* FROM trash t
+			JOIN worlds w ON w.trash_id = t.id
+			WHERE w.author = ? AND w.slug = ?
+		`, author, slug).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	getTrashEntry(trashId) {
+		const rows = this.sql.exec("SELECT * FROM trash WHERE id = ?", trashId).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	// Hides a world. The worker moves its files under trash/<id>/.
+	async trashWorld(author, slug, deletedBy) {
+		return await this.state.storage.transaction(async (txn) => {
+			const rows = this.sql.exec(
+				"SELECT id, trash_id FROM worlds WHERE author = ? AND slug = ?",
+				author, slug
+			).toArray();
+			if (rows.length === 0 || rows[0].trash_id !== null) {
+				throw new Error('World not found');
 			}
 
-			case '/update-active-users': {
-				const { author, slug, count } = await request.json();
-				await this.updateActiveUsers(author, slug, count);
-				return new Response(JSON.stringify({ success: true }), {
-					headers: { 'Content-Type': 'application/json' }
-				});
+			const entry = this.sql.exec(`
+				INSERT INTO trash (item_type, author, slug, deleted_by, moving)
+				VALUES ('world', ?, ?, ?, 'in')
+				RETURNING *
+			`, author, slug, deletedBy || null).one();
+			this.sql.exec("UPDATE worlds SET trash_id = ? WHERE id = ?", entry.id, rows[0].id);
+
+			// A world in the trash can't change hands
+			this.sql.exec(`
+				UPDATE world_transfers
+				SET status = 'cancelled',
+					resolved_at = CURRENT_TIMESTAMP
+				WHERE from_author = ? AND slug = ? AND status = 'pending'
+			`, author, slug);
+
+			return entry;
+		});
+	}
+
+	// Hides an author and every world they still have live. Worlds trashed earlier keep their own entries.
+	async trashAuthor(author, deletedBy) {
+		return await this.state.storage.transaction(async (txn) => {
+			const entry = this.sql.exec(`
+				INSERT INTO trash (item_type, author, deleted_by, moving)
+				VALUES ('author', ?, ?, 'in')
+				RETURNING *
+			`, author, deletedBy || null).one();
+
+			this.sql.exec("UPDATE authors SET trash_id = ? WHERE username = ? AND trash_id IS NULL", entry.id, author);
+			const worlds = this.sql.exec(`
+				UPDATE worlds SET trash_id = ?
+				WHERE author = ? AND trash_id IS NULL
+				RETURNING slug
+			`, entry.id, author).toArray();
+			this.sql.exec(`
+				UPDATE world_transfers
+				SET status = 'cancelled',
+					resolved_at = CURRENT_TIMESTAMP
+				WHERE from_author = ? AND status = 'pending'
+			`, author);
+
+			return { ...entry, worlds: worlds.map(world => world.slug) };
+		});
+	}
+
+	// Trash entries for a namespace with the time each will be purged
+	listTrash(author, retentionDays) {
+		return this.sql.exec(`
+			SELECT t.*,
+				datetime(t.deleted_at, '+' || ? || ' days') as purge_after,
+				(SELECT GROUP_CONCAT(slug) FROM worlds WHERE trash_id = t.id) as worlds
+			FROM trash t
+			WHERE t.author = ?
+			ORDER BY t.deleted_at DESC
+		`, retentionDays, author).toArray().map(row => ({
+			...row,
+			worlds: row.worlds ? row.worlds.split(',') : []
+		}));
+	}
+
+	restoreTrash(trashId) {
+		const entry = this.getTrashEntry(trashId);
+		if (!entry) {
+			throw new Error('Trash entry not found');
+		}
+
+		const worlds = this.sql.exec(
+			"UPDATE worlds SET trash_id = NULL WHERE trash_id = ? RETURNING slug",
+			trashId
+		).toArray();
+		this.sql.exec("UPDATE authors SET trash_id = NULL WHERE trash_id = ?", trashId);
+		this.sql.exec("DELETE FROM trash WHERE id = ?", trashId);
+
+		return { ...entry, worlds: worlds.map(world => world.slug) };
+	}
+
+	// Records which way an entry's files are moving, null once they are all in place
+	setTrashMoving(trashId, moving) {
+		const rows = this.sql.exec(
+			"UPDATE trash SET moving = ? WHERE id = ? RETURNING *",
+			moving || null, trashId
+		).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	// Entries whose files didn't all move in the request that trashed or restored them
+	movingTrash(limit) {
+		return this.sql.exec(
+			"SELECT * FROM trash WHERE moving IS NOT NULL ORDER BY deleted_at LIMIT ?",
+			limit
+		).toArray();
+	}
+
+	// Entries being restored are never purged
+	expiredTrash(retentionDays, limit) {
+		return this.sql.exec(`
+			SELECT * FROM trash
+			WHERE deleted_at <= datetime('now', '-' || ? || ' days')
+			AND (moving IS NULL OR moving = 'in')
+			ORDER BY deleted_at
+			LIMIT ?
+		`, retentionDays, limit).toArray();
+	}
+
+	// Permanently removes everything a trash entry holds. Files must already be gone from storage.
+	async purgeTrash(trashId) {
+		return await this.state.storage.transaction(async (txn) => {
+			const entry = this.getTrashEntry(trashId);
+			if (!entry) {
+				throw new Error('Trash entry not found');
 			}
 
-			case '/sync-author': {
-				const authorData = await request.json();
-				const authorId = await this.syncAuthorData(authorData);
-				return new Response(JSON.stringify({ success: true, authorId }), {
-					headers: { 'Content-Type': 'application/json' }
-				});
+			const worlds = this.sql.exec(
+				"SELECT id, author, slug FROM worlds WHERE trash_id = ?",
+				trashId
+			).toArray();
+			for (const world of worlds) {
+				this.sql.exec("DELETE FROM world_tags WHERE world_id = ?", world.id);
+				this.sql.exec("DELETE FROM world_versions WHERE world_id = ?", world.id);
+				// Releasing the references lets blob GC collect files no other world shares
+				this.sql.exec("DELETE FROM world_asset_refs WHERE author = ? AND slug = ?", world.author, world.slug);
+				this.sql.exec(
+					"DELETE FROM world_redirects WHERE to_author = ? AND to_slug = ?",
+					world.author, world.slug
+				);
+				this.sql.exec("DELETE FROM worlds_fts WHERE rowid = ?", world.id);
+				this.sql.exec("DELETE FROM world_activity WHERE world_id = ?", world.id);
+				this.sql.exec("DELETE FROM world_daily_stats WHERE world_id = ?", world.id);
+				this.sql.exec("DELETE FROM world_version_downloads WHERE world_id = ?", world.id);
+				this.sql.exec("DELETE FROM recent_visits WHERE world_id = ?", world.id);
+				this.sql.exec("DELETE FROM world_covisits WHERE world_id = ? OR other_id = ?", world.id, world.id);
+				this.sql.exec("DELETE FROM worlds WHERE id = ?", world.id);
+			}
+			this.sql.exec("DELETE FROM authors_fts WHERE rowid IN (SELECT id FROM authors WHERE trash_id = ?)", trashId);
+			this.sql.exec("DELETE FROM authors WHERE trash_id = ?", trashId);
+			this.sql.exec("DELETE FROM trash WHERE id = ?", trashId);
+
+			return { ...entry, worlds: worlds.map(world => world.slug) };
+		});
+	}
+
+	getTransfer(transferId) {
+		const rows = this.sql.exec("SELECT * FROM world_transfers WHERE id = ?", transferId).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	createTransfer(author, slug, toAuthor, initiatedBy) {
+		if (!this.getWorldId(author, slug) || this.getTrashedWorld(author, slug)) {
+			throw new Error('World not found');
+		}
+		if (this.getWorldId(toAuthor, slug)) {
+			throw new Error(`${toAuthor}/${slug} already exists`);
+		}
+
+		const pending = this.sql.exec(`
+			SELECT id FROM world_transfers
+			WHERE from_author = ? AND slug = ? AND status = 'pending'
+		`, author, slug).toArray();
+		if (pending.length > 0) {
+			throw new Error('A transfer of this world is already pending');
+		}
+
+		return this.sql.exec(`
+			INSERT INTO world_transfers (from_author, slug, to_author, initiated_by)
+			VALUES (?, ?, ?, ?)
+			RETURNING *
+		`, author, slug, toAuthor, initiatedBy).one();
+	}
+
+	// Pending transfers into or out of a namespace
+	listTransfers(author) {
+		return this.sql.exec(`
+			SELECT * FROM world_transfers
+			WHERE status = 'pending'
+			AND (from_author = ? OR to_author = ?)
+			ORDER BY created_at DESC
+		`, author, author).toArray();
+	}
+
+	resolveTransfer(transferId, status) {
+		this.sql.exec(`
+			UPDATE world_transfers
+			SET status = ?,
+				resolved_at = CURRENT_TIMESTAMP
+			WHERE id = ? AND status = 'pending'
+		`, status, transferId);
+	}
+
+	// Moves a world's rows to its new author and leaves a redirect behind. Storage is moved by the worker.
+	async completeTransfer(transferId) {
+		return await this.state.storage.transaction(async (txn) => {
+			const transfer = this.getTransfer(transferId);
+			if (!transfer || transfer.status !== 'pending') {
+				throw new Error('Transfer not found');
+			}
+
+			const { from_author: fromAuthor, to_author: toAuthor, slug } = transfer;
+			if (this.getWorldId(toAuthor, slug)) {
+				throw new Error(`${toAuthor}/${slug} already exists`);
+			}
+
+			const worldId = this.getWorldId(fromAuthor, slug);
+			if (!worldId) {
+				throw new Error('World not found');
+			}
+
+			// Stored paths all start with author/slug/
+			const fromPrefix = `${fromAuthor}/${slug}/`;
+			const toPrefix = `${toAuthor}/${slug}/`;
+			const movePath = `CASE WHEN substr(%s, 1, length(?1)) = ?1 THEN ?2 || substr(%s, length(?1) + 1) ELSE %s END`;
+
+			this.sql.exec(`
+				UPDATE worlds
+				SET author = ?3,
+					html_url = ${movePath.replace(/%s/g, 'html_url')},
+					preview_image = ${movePath.replace(/%s/g, 'preview_image')},
+					updated_at = CURRENT_TIMESTAMP
+				WHERE id = ?4
+			`, fromPrefix, toPrefix, toAuthor, worldId);
+
+			this.sql.exec(`
+				UPDATE world_versions
+				SET html_url = ${movePath.replace(/%s/g, 'html_url')}
+				WHERE world_id = ?3
+			`, fromPrefix, toPrefix, worldId);
+			this.indexWorld(worldId);
+
+			this.sql.exec(
+				"UPDATE world_asset_refs SET author = ? WHERE author = ? AND slug = ?",
+				toAuthor, fromAuthor, slug
+			);
+
+			// Forks keep pointing at their original
+			this.sql.exec(`
+				UPDATE worlds
+				SET forked_from_author = ?
+				WHERE forked_from_author = ? AND forked_from_slug = ?
+			`, toAuthor, fromAuthor, slug);
+
+			// Earlier redirects to the old location follow the world, and the new location is no longer a redirect
+			this.sql.exec(`
+				UPDATE world_redirects
+				SET to_author = ?
+				WHERE to_author = ? AND to_slug = ?
+			`, toAuthor, fromAuthor, slug);
+			this.sql.exec(
+				"DELETE FROM world_redirects WHERE from_author = ? AND from_slug = ?",
+				toAuthor, slug
+			);
+			this.sql.exec(`
+				INSERT INTO world_redirects (from_author, from_slug, to_author, to_slug)
+				VALUES (?, ?, ?, ?)
+				ON CONFLICT(from_author, from_slug) DO UPDATE SET
+					to_author = EXCLUDED.to_author,
+					to_slug = EXCLUDED.to_slug,
+					created_at = CURRENT_TIMESTAMP
+			`, fromAuthor, slug, toAuthor, slug);
+
+			this.resolveTransfer(transferId, 'accepted');
+			return { ...transfer, status: 'accepted' };
+		});
+	}
+
+	getRedirect(author, slug) {
+		const rows = this.sql.exec(`
+			SELECT to_author, to_slug FROM world_redirects
+			WHERE from_author = ? AND from_slug = ?
+		`, author, slug).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	// Records blobs about to be referenced. Touching last_seen_at keeps the GC away from blobs being reused,
+	// and cancels a claim the GC hasn't acted on yet. Blobs the GC is deleting are left alone and returned
+	// in deleting, the caller has to register them again once the sweep is done. A delete that outlived
+	// deleteTimeoutMinutes was interrupted, so those blobs are returned in rewrite and have to be written again.
+	registerBlobs(blobs, deleteTimeoutMinutes = 30) {
+		const deleting = [];
+		const rewrite = [];
+		for (const blob of blobs) {
+			const [row] = this.sql.exec(`
+				SELECT deleting_at > datetime('now', ?) AS active
+				FROM blobs WHERE hash = ? AND deleting_at IS NOT NULL
+			`, `-${deleteTimeoutMinutes} minutes`, blob.hash).toArray();
+			if (row?.active) {
+				deleting.push(blob.hash);
+				continue;
+			}
+			if (row) {
+				rewrite.push(blob.hash);
+			}
+
+			this.sql.exec(`
+				INSERT INTO blobs (hash, size, content_type)
+				VALUES (?, ?, ?)
+				ON CONFLICT(hash) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP, collecting_at = NULL, deleting_at = NULL
+			`, blob.hash, blob.size, blob.contentType || null);
+		}
+		return { deleting, rewrite };
+	}
+
+	// Points a world scope at a set of blobs, replacing the scope's previous files unless merging
+	async setAssetRefs(author, slug, scope, files, replace = true) {
+		return await this.state.storage.transaction(async (txn) => {
+			if (replace) {
+				this.sql.exec(
+					"DELETE FROM world_asset_refs WHERE author = ? AND slug = ? AND scope = ?",
+					author, slug, scope
+				);
+			}
+
+			for (const file of files) {
+				this.sql.exec(`
+					INSERT INTO world_asset_refs (author, slug, scope, path, hash, content_type, size)
+					VALUES (?, ?, ?, ?, ?, ?, ?)
+					ON CONFLICT(author, slug, scope, path) DO UPDATE SET
+						hash = EXCLUDED.hash,
+						content_type = EXCLUDED.content_type,
+						size = EXCLUDED.size
+				`, author, slug, scope, file.path, file.hash, file.contentType || null, file.size || null);
+			}
+
+			return files.length;
+		});
+	}
+
+	// Copies one scope's references over another. A target world can be given to copy between worlds (forks).
+	async copyAssetRefs(author, slug, fromScope, toScope, target = { author, slug }) {
+		return await this.state.storage.transaction(async (txn) => {
+			this.replaceAssetRefs(author, slug, fromScope, toScope, target);
+		});
+	}
+
+	// Replaces one scope's references with another's, for callers already in a transaction
+	replaceAssetRefs(author, slug, fromScope, toScope, target) {
+		this.sql.exec(
+			"DELETE FROM world_asset_refs WHERE author = ? AND slug = ? AND scope = ?",
+			target.author, target.slug, toScope
+		);
+		this.sql.exec(`
+			INSERT INTO world_asset_refs (author, slug, scope, path, hash, content_type, size)
+			SELECT ?, ?, ?, path, hash, content_type, size
+			FROM world_asset_refs
+			WHERE author = ? AND slug = ? AND scope = ?
+		`, target.author, target.slug, toScope, author, slug, fromScope);
+	}
+
+	// Public, live remixes of an author's worlds
+	listForks(author) {
+		return this.sql.exec(`
+			SELECT author, slug, name, short_description, preview_image, version, visit_count,
+				forked_from_author, forked_from_slug, forked_from_version, created_at
+			FROM worlds
+			WHERE forked_from_author = ?
+			AND author != ?
+			AND visibility = 'public'
+			AND publish_status = 'live'
+			AND trash_id IS NULL
+			ORDER BY created_at DESC
+		`, author, author).toArray();
+	}
+
+	resolveAsset(author, slug, scope, path) {
+		const rows = this.sql.exec(`
+			SELECT hash, content_type, size
+			FROM world_asset_refs
+			WHERE author = ? AND slug = ? AND scope = ? AND path = ?
+		`, author, slug, scope, path).toArray();
+		return rows.length > 0 ? rows[0] : null;
+	}
+
+	listAssetRefs(author, slug, scope) {
+		return this.sql.exec(`
+			SELECT path, hash, content_type, size
+			FROM world_asset_refs
+			WHERE author = ? AND slug = ? AND scope = ?
+			ORDER BY path
+		`, author, slug, scope).toArray();
+	}
+
+	// Mark and sweep: claims blobs no scope references, and that no upload has touched within the grace period
+	claimOrphanBlobs(graceHours = 24, limit = 100) {
+		return this.sql.exec(`
+			UPDATE blobs SET collecting_at = CURRENT_TIMESTAMP
+			WHERE hash IN (
+				SELECT b.hash
+				FROM blobs b
+				WHERE NOT EXISTS (SELECT 1 FROM world_asset_refs r WHERE r.hash = b.hash)
+				AND b.last_seen_at < datetime('now', ?)
+				LIMIT ?
+			)
+			RETURNING hash
+		`, `-${graceHours} hours`, limit).toArray().map(row => row.hash);
+	}
+
+	// Marks claimed blobs that are still unreferenced, and that no upload has registered since they were
+	// claimed, as being deleted. From here on uploads of them wait until forgetBlobs drops their rows.
+	confirmOrphanBlobs(hashes) {
+		return hashes.filter(hash => this.sql.exec(`
+			UPDATE blobs SET deleting_at = CURRENT_TIMESTAMP
+			WHERE hash = ? AND collecting_at IS NOT NULL
+			AND NOT EXISTS (SELECT 1 FROM world_asset_refs r WHERE r.hash = blobs.hash)
+			RETURNING hash
+		`, hash).toArray().length > 0);
+	}
+
+	// Drops blobs the GC has deleted from R2. Rows an upload registered again after an interrupted delete
+	// no longer have deleting_at and are kept.
+	forgetBlobs(hashes) {
+		for (const hash of hashes) {
+			this.sql.exec(
+				"DELETE FROM blobs WHERE hash = ? AND deleting_at IS NOT NULL",
+				hash
+			);
+		}
+	}
+
+	getUploadSession(uploadId) {
+		const sessions = this.sql.exec(
+			"SELECT * FROM upload_sessions WHERE upload_id = ?",
+			uploadId
+		).toArray();
+
+		if (sessions.length === 0) return null;
+
+		const parts = this.sql.exec(`
+			SELECT part_number, etag, size, uploaded_at
+			FROM upload_parts
+			WHERE upload_id = ?
+			ORDER BY part_number ASC
+		`, uploadId).toArray();
+
+		return { ...sessions[0], parts };
+	}
+
+	recordUploadPart(uploadId, partNumber, etag, size) {
+		this.sql.exec(`
+			INSERT INTO upload_parts (upload_id, part_number, etag, size)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(upload_id, part_number) DO UPDATE SET
+				etag = EXCLUDED.etag,
+				size = EXCLUDED.size,
+				uploaded_at = CURRENT_TIMESTAMP
+		`, uploadId, partNumber, etag, size);
+
+		this.sql.exec(
+			"UPDATE upload_sessions SET updated_at = CURRENT_TIMESTAMP WHERE upload_id = ?",
+			uploadId
+		);
+	}
+
+	closeUploadSession(uploadId, status) {
+		this.sql.exec(`
+			UPDATE upload_sessions
+			SET status = ?,
+				updated_at = CURRENT_TIMESTAMP
+			WHERE upload_id = ?
+		`, status, uploadId);
+		this.sql.exec("DELETE FROM upload_parts WHERE upload_id = ?", uploadId);
+	}
+
+	// R2 aborts incomplete multipart uploads after 7 days, so drop sessions that old
+	expireUploadSessions(maxAgeDays = 7) {
+		const expired = this.sql.exec(`
+			SELECT upload_id FROM upload_sessions
+			WHERE status = 'active'
+			AND updated_at < datetime('now', ?)
+		`, `-${maxAgeDays} days`).toArray();
+
+		for (const { upload_id } of expired) {
+			this.closeUploadSession(upload_id, 'expired');
+		}
+
+		return expired.map(row => row.upload_id);
+	}
+
+	async fetch(request) {
+		if (request.method === "GET") {
+			return new Response("Method not allowed", { status: 405 });
+		}
+
+		const url = new URL(request.url);
+
+		switch (url.pathname) {
+			case '/search': {
+				const body = await request.json();
+				const results = await this.handleSearch(body);
+				return new Response(JSON.stringify(results), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/list-author-worlds': {
+				const { author, limit, cursor } = await request.json();
+				return new Response(JSON.stringify(this.listAuthorWorlds(author, limit, cursor)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/count-author-worlds': {
+				const { authors } = await request.json();
+				return new Response(JSON.stringify(this.countAuthorWorlds(authors || [])), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/search-authors': {
+				const { query, limit, offset } = await request.json();
+				return new Response(JSON.stringify(this.searchAuthors(query, limit, offset)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/create-world':
+			case '/update-world': {
+				const worldData = await request.json();
+				const worldId = await this.createOrUpdateWorld(worldData);
+				return new Response(JSON.stringify({ success: true, worldId }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/record-visit': {
+				const { author, slug, visitor } = await request.json();
+				const success = await this.recordVisit(author, slug, visitor);
+				return new Response(JSON.stringify({ success }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/active-users': {
+				const { author } = await request.json();
+				return new Response(JSON.stringify(this.getActiveUsers(author)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/update-visit-counts': {
+				const { visits } = await request.json();
+				this.updateVisitCounts(visits || []);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/record-download': {
+				const { author, slug, version, linkId, expiresAt } = await request.json();
+				if (!this.claimDownloadLink(linkId, expiresAt)) {
+					return new Response(JSON.stringify({ error: 'Download link already used' }), {
+						status: 410,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify({ success: this.recordDownload(author, slug, version) }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/download-counts': {
+				const { author, slug } = await request.json();
+				const counts = this.getDownloadCounts(author, slug);
+				if (!counts) {
+					return new Response(JSON.stringify({ error: 'World not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(counts), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/daily-stats': {
+				const { author, slug, from, to, listedOnly } = await request.json();
+				return new Response(JSON.stringify(this.getDailyStats(author, slug, from, to, listedOnly)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/update-active-users': {
+				const { author, slug, count } = await request.json();
+				await this.updateActiveUsers(author, slug, count);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/sync-author': {
+				const authorData = await request.json();
+				const authorId = await this.syncAuthorData(authorData);
+				return new Response(JSON.stringify({ success: true, authorId }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
 			}
 
 			case '/list-authors': {
@@ -356,6 +1828,10 @@ export class WorldRegistryDO {
 							SUM(w.visit_count) as total_visits
 						FROM authors a
 						LEFT JOIN worlds w ON w.author = a.username
+							AND w.visibility = 'public'
+							AND w.publish_status = 'live'
+							AND w.trash_id IS NULL
+						WHERE a.trash_id IS NULL
 						GROUP BY a.id
 						ORDER BY total_visits DESC NULLS LAST, a.updated_at DESC
 					`).toArray();
@@ -372,6 +1848,413 @@ export class WorldRegistryDO {
 				}
 			}
 
+			case '/publish-scheduled': {
+				const published = this.publishScheduledWorlds();
+				return new Response(JSON.stringify({ success: true, published }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/list-versions': {
+				const { author, slug } = await request.json();
+				if (!this.getWorldId(author, slug)) {
+					return new Response(JSON.stringify({ error: 'World not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(this.listVersions(author, slug)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/get-version': {
+				const { author, slug, version } = await request.json();
+				const versionData = this.getVersion(author, slug, version);
+				if (!versionData) {
+					return new Response(JSON.stringify({ error: 'Version not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(versionData), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/record-archived-version': {
+				const { author, slug, version, htmlUrl, changelog } = await request.json();
+				const success = this.recordArchivedVersion(author, slug, version, htmlUrl, changelog);
+				return new Response(JSON.stringify({ success }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/rollback-world': {
+				const { author, slug, version, htmlUrl, previewImage } = await request.json();
+				try {
+					const target = await this.rollbackWorld(author, slug, version, htmlUrl, previewImage);
+					return new Response(JSON.stringify({ success: true, version: target }), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					console.error('Error rolling back world:', error);
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/create-transfer': {
+				const { author, slug, toAuthor, initiatedBy } = await request.json();
+				try {
+					const transfer = this.createTransfer(author, slug, toAuthor, initiatedBy);
+					return new Response(JSON.stringify(transfer), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: error.message === 'World not found' ? 404 : 409,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/get-transfer': {
+				const { transferId } = await request.json();
+				const transfer = this.getTransfer(transferId);
+				if (!transfer) {
+					return new Response(JSON.stringify({ error: 'Transfer not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(transfer), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/list-transfers': {
+				const { author } = await request.json();
+				return new Response(JSON.stringify(this.listTransfers(author)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/resolve-transfer': {
+				const { transferId, status } = await request.json();
+				this.resolveTransfer(transferId, status);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/complete-transfer': {
+				const { transferId } = await request.json();
+				try {
+					const transfer = await this.completeTransfer(transferId);
+					return new Response(JSON.stringify(transfer), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					console.error('Error completing transfer:', error);
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: 409,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/get-redirect': {
+				const { author, slug } = await request.json();
+				const redirect = this.getRedirect(author, slug);
+				if (!redirect) {
+					return new Response(JSON.stringify({ error: 'Redirect not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(redirect), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/delete-world': {
+				const { authorName, worldName, deletedBy } = await request.json();
+				try {
+					const entry = await this.trashWorld(authorName, worldName, deletedBy);
+					return new Response(JSON.stringify(entry), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/delete-author': {
+				const { authorName, deletedBy } = await request.json();
+				const entry = await this.trashAuthor(authorName, deletedBy);
+				return new Response(JSON.stringify(entry), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/export-worlds': {
+				const { author } = await request.json();
+				return new Response(JSON.stringify(this.exportWorlds(author)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/world-exists': {
+				const { author, slug } = await request.json();
+				return new Response(JSON.stringify({ exists: Boolean(this.getWorldId(author, slug)) }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/get-html-url': {
+				const { author, slug } = await request.json();
+				return new Response(JSON.stringify({ html_url: this.getHtmlUrl(author, slug) }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/get-trashed-world': {
+				const { author, slug } = await request.json();
+				const entry = this.getTrashedWorld(author, slug);
+				if (!entry) {
+					return new Response(JSON.stringify({ error: 'World is not in the trash' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(entry), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/get-trash-entry': {
+				const { trashId } = await request.json();
+				const entry = this.getTrashEntry(trashId);
+				if (!entry) {
+					return new Response(JSON.stringify({ error: 'Trash entry not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(entry), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/list-trash': {
+				const { author, retentionDays } = await request.json();
+				return new Response(JSON.stringify(this.listTrash(author, retentionDays)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/restore-trash': {
+				const { trashId } = await request.json();
+				try {
+					return new Response(JSON.stringify(this.restoreTrash(trashId)), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/set-trash-moving': {
+				const { trashId, moving } = await request.json();
+				const entry = this.setTrashMoving(trashId, moving);
+				if (!entry) {
+					return new Response(JSON.stringify({ error: 'Trash entry not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(entry), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/moving-trash': {
+				const { limit } = await request.json();
+				return new Response(JSON.stringify(this.movingTrash(limit)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/expired-trash': {
+				const { retentionDays, limit } = await request.json();
+				return new Response(JSON.stringify(this.expiredTrash(retentionDays, limit)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/purge-trash': {
+				const { trashId } = await request.json();
+				try {
+					return new Response(JSON.stringify(await this.purgeTrash(trashId)), {
+						headers: { 'Content-Type': 'application/json' }
+					});
+				} catch (error) {
+					return new Response(JSON.stringify({ error: error.message }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			case '/register-blobs': {
+				const { blobs, deleteTimeoutMinutes } = await request.json();
+				const { deleting, rewrite } = this.registerBlobs(blobs || [], deleteTimeoutMinutes);
+				return new Response(JSON.stringify({ success: true, deleting, rewrite }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/set-asset-refs': {
+				const { author, slug, scope, files, replace } = await request.json();
+				const count = await this.setAssetRefs(author, slug, scope, files || [], replace !== false);
+				return new Response(JSON.stringify({ success: true, count }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/copy-asset-refs': {
+				const { author, slug, fromScope, toScope, target } = await request.json();
+				await this.copyAssetRefs(author, slug, fromScope, toScope, target || { author, slug });
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/trending-worlds': {
+				const { limit } = await request.json();
+				return new Response(JSON.stringify(this.getTrendingWorlds(limit)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/similar-worlds': {
+				const { author, slug, limit } = await request.json();
+				return new Response(JSON.stringify(this.getSimilarWorlds(author, slug, limit)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/prune-activity': {
+				this.pruneActivity();
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/list-forks': {
+				const { author } = await request.json();
+				return new Response(JSON.stringify(this.listForks(author)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/resolve-asset': {
+				const { author, slug, scope, path } = await request.json();
+				const asset = this.resolveAsset(author, slug, scope, path);
+				if (!asset) {
+					return new Response(JSON.stringify({ error: 'Asset not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(asset), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/list-asset-refs': {
+				const { author, slug, scope } = await request.json();
+				return new Response(JSON.stringify(this.listAssetRefs(author, slug, scope)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/orphan-blobs': {
+				const { graceHours, limit } = await request.json();
+				return new Response(JSON.stringify(this.claimOrphanBlobs(graceHours, limit)), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/confirm-orphan-blobs': {
+				const { hashes } = await request.json();
+				return new Response(JSON.stringify(this.confirmOrphanBlobs(hashes || [])), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/forget-blobs': {
+				const { hashes } = await request.json();
+				this.forgetBlobs(hashes || []);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/create-upload-session': {
+				const sessionData = await request.json();
+				this.createUploadSession(sessionData);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/get-upload-session': {
+				const { uploadId } = await request.json();
+				const session = this.getUploadSession(uploadId);
+				if (!session) {
+					return new Response(JSON.stringify({ error: 'Upload session not found' }), {
+						status: 404,
+						headers: { 'Content-Type': 'application/json' }
+					});
+				}
+				return new Response(JSON.stringify(session), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/record-upload-part': {
+				const { uploadId, partNumber, etag, size } = await request.json();
+				this.recordUploadPart(uploadId, partNumber, etag, size);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/close-upload-session': {
+				const { uploadId, status } = await request.json();
+				this.closeUploadSession(uploadId, status);
+				return new Response(JSON.stringify({ success: true }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			case '/expire-upload-sessions': {
+				const expired = this.expireUploadSessions();
+				return new Response(JSON.stringify({ success: true, expired }), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
 			default:
 				return new Response("Not found", { status: 404 });
 		}
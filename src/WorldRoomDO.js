@@ -0,0 +1,214 @@
+import {
+	HEARTBEAT_INTERVAL_MS,
+	MAX_LISTED_PARTICIPANTS,
+	cleanName,
+	closeSilentSockets,
+	getOpenSockets
+} from './WorldPresenceDO';
+
+// One multiplayer room of a world, named "<author>/<slug>/<roomId>". The world's WorldPresenceDO
+// hands out tickets for it, and occupants relay state to each other over their WebSockets.
+
+// A ticket holds its slot this long before the client has to connect
+export const TICKET_TTL_MS = 60 * 1000;
+
+// Relayed state messages longer than this many characters are dropped
+export const MAX_STATE_MESSAGE_LENGTH = 16 * 1024;
+
+export class WorldRoomDO {
+	constructor(state, env) {
+		this.state = state;
+		this.env = env;
+		this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+	}
+
+	// Unexpired tickets, dropping the rest from storage
+	async getTickets() {
+		const tickets = await this.state.storage.get('tickets') || {};
+		const now = Date.now();
+		for (const [ticket, expiresAt] of Object.entries(tickets)) {
+			if (expiresAt <= now) delete tickets[ticket];
+		}
+		await this.state.storage.put('tickets', tickets);
+		return tickets;
+	}
+
+	// Connected players plus the slots held by tickets
+	async getOccupants() {
+		return getOpenSockets(this.state).length + Object.keys(await this.getTickets()).length;
+	}
+
+	async reportOccupancy() {
+		try {
+			const room = await this.state.storage.get('room');
+			if (!room) return;
+
+			const broker = this.env.WORLD_PRESENCE.get(this.env.WORLD_PRESENCE.idFromName(`${room.author}/${room.slug}`));
+			await broker.fetch(new Request('http://internal/room-occupancy', {
+				method: 'POST',
+				body: JSON.stringify({ roomId: room.roomId, occupants: await this.getOccupants() })
+			}));
+		} catch (error) {
+			console.error('Room occupancy report error:', error);
+		}
+	}
+
+	broadcast(message, exclude = null) {
+		const data = JSON.stringify(message);
+		for (const ws of getOpenSockets(this.state)) {
+			if (ws === exclude) continue;
+			try {
+				ws.send(data);
+			} catch (error) {
+				console.error('Room send error:', error);
+			}
+		}
+	}
+
+	// Hold a slot for a player the broker is sending here
+	async reserve({ author, slug, roomId, capacity }) {
+		await this.state.storage.put('room', { author, slug, roomId, capacity });
+
+		const occupants = await this.getOccupants();
+		if (occupants >= capacity) {
+			return new Response(JSON.stringify({ error: 'Room is full', occupants }), {
+				status: 409,
+				headers: { 'Content-Type': 'application/json' }
+			});
+		}
+
+		const ticket = crypto.randomUUID();
+		const tickets = await this.getTickets();
+		tickets[ticket] = Date.now() + TICKET_TTL_MS;
+		await this.state.storage.put('tickets', tickets);
+
+		// Expired tickets are cleared by the alarm
+		if (await this.state.storage.getAlarm() === null) {
+			await this.state.storage.setAlarm(Date.now() + HEARTBEAT_INTERVAL_MS);
+		}
+
+		return new Response(JSON.stringify({ ticket, occupants: occupants + 1 }), {
+			headers: { 'Content-Type': 'application/json' }
+		});
+	}
+
+	async handleConnect(request) {
+		const url = new URL(request.url);
+		const ticket = url.searchParams.get('ticket');
+		const tickets = await this.getTickets();
+		if (!ticket || !tickets[ticket]) {
+			return new Response('Invalid or expired ticket', { status: 403 });
+		}
+		delete tickets[ticket];
+		await this.state.storage.put('tickets', tickets);
+
+		const pair = new WebSocketPair();
+		const [client, server] = Object.values(pair);
+		const participant = {
+			id: crypto.randomUUID(),
+			name: cleanName(url.searchParams.get('name')),
+			joined_at: new Date().toISOString()
+		};
+
+		this.state.acceptWebSocket(server);
+		server.serializeAttachment(participant);
+
+		const { roomId, capacity } = await this.state.storage.get('room');
+		const participants = getOpenSockets(this.state).map(ws => ws.deserializeAttachment());
+		server.send(JSON.stringify({
+			type: 'welcome',
+			id: participant.id,
+			roomId,
+			capacity,
+			participants: participants.slice(0, MAX_LISTED_PARTICIPANTS)
+		}));
+		this.broadcast({ type: 'join', participant }, server);
+
+		return new Response(null, { status: 101, webSocket: client });
+	}
+
+	async fetch(request) {
+		const url = new URL(request.url);
+
+		switch (url.pathname) {
+			case '/reserve': {
+				return this.reserve(await request.json());
+			}
+
+			case '/connect': {
+				if (request.headers.get('Upgrade') !== 'websocket') {
+					return new Response('Expected Upgrade: websocket', { status: 426 });
+				}
+				return this.handleConnect(request);
+			}
+
+			case '/state': {
+				const room = await this.state.storage.get('room');
+				const participants = getOpenSockets(this.state).map(ws => ws.deserializeAttachment());
+				return new Response(JSON.stringify({
+					capacity: room?.capacity,
+					occupants: await this.getOccupants(),
+					participants: participants.slice(0, MAX_LISTED_PARTICIPANTS)
+				}), {
+					headers: { 'Content-Type': 'application/json' }
+				});
+			}
+
+			default:
+				return new Response('Not found', { status: 404 });
+		}
+	}
+
+	// { type: 'state', data } is relayed to every other occupant, other messages only count as heartbeats
+	async webSocketMessage(ws, message) {
+		const participant = ws.deserializeAttachment();
+		participant.last_message_at = Date.now();
+		ws.serializeAttachment(participant);
+
+		if (typeof message !== 'string' || message.length > MAX_STATE_MESSAGE_LENGTH) return;
+
+		let data = null;
+		try {
+			data = JSON.parse(message);
+		} catch {
+			return;
+		}
+
+		if (data?.type === 'state') {
+			this.broadcast({ type: 'state', from: participant.id, data: data.data }, ws);
+		}
+	}
+
+	async webSocketClose(ws, code, reason) {
+		try {
+			ws.close(code, reason);
+		} catch {
+			// Already closed by the client
+		}
+		this.broadcast({ type: 'leave', id: ws.deserializeAttachment().id }, ws);
+		await this.reportOccupancy();
+	}
+
+	async webSocketError(ws, error) {
+		console.error('Room socket error:', error);
+		this.broadcast({ type: 'leave', id: ws.deserializeAttachment().id }, ws);
+		await this.reportOccupancy();
+	}
+
+	// Close silent sockets and release expired tickets, then check again while the room is in use
+	async alarm() {
+		const ticketsBefore = Object.keys(await this.state.storage.get('tickets') || {}).length;
+		const closed = closeSilentSockets(this.state);
+		for (const ws of closed) {
+			this.broadcast({ type: 'leave', id: ws.deserializeAttachment().id });
+		}
+		const occupants = await this.getOccupants();
+
+		if (closed.length > 0 || Object.keys(await this.getTickets()).length !== ticketsBefore) {
+			await this.reportOccupancy();
+		}
+		if (occupants > 0) {
+			await this.state.storage.setAlarm(Date.now() + HEARTBEAT_INTERVAL_MS);
+		}
+	}
+}
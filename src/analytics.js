@@ -0,0 +1,89 @@
+// Per-day world statistics. The registry's world_daily_stats table holds one row per world per
+// UTC day with visits, unique visitors, downloads and the peak active user count.
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC day a time falls on, as stored in world_daily_stats
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {string} YYYY-MM-DD
+ */
+export function statsDay(time = Date.now()) {
+	return new Date(time).toISOString().slice(0, 10);
+}
+
+function parseDay(value) {
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+	const time = Date.parse(`${value}T00:00:00Z`);
+	return isNaN(time) || statsDay(time) !== value ? null : time;
+}
+
+/**
+ * Reads the from and to days of an analytics request. Both are inclusive and default to the
+ * last DEFAULT_ANALYTICS_DAYS days.
+ * @param {URLSearchParams} searchParams
+ * @returns {{ from: string, to: string }}
+ * @throws {Error} If a day is malformed or the range is backwards or too long
+ */
+export function parseAnalyticsRange(searchParams) {
+	const toParam = searchParams.get('to');
+	const fromParam = searchParams.get('from');
+
+	const to = toParam ? parseDay(toParam) : parseDay(statsDay());
+	if (to === null) {
+		throw new Error('to must be a YYYY-MM-DD date');
+	}
+	const from = fromParam ? parseDay(fromParam) : to - (DEFAULT_ANALYTICS_DAYS - 1) * DAY_MS;
+	if (from === null) {
+		throw new Error('from must be a YYYY-MM-DD date');
+	}
+	if (from > to) {
+		throw new Error('from must not be after to');
+	}
+	if ((to - from) / DAY_MS + 1 > MAX_ANALYTICS_DAYS) {
+		throw new Error(`Range can span at most ${MAX_ANALYTICS_DAYS} days`);
+	}
+
+	return { from: statsDay(from), to: statsDay(to) };
+}
+
+/**
+ * Lays registry rows out over every day of a range, with zeros on days without a row
+ * @param {Array<Object>} rows - Rows with a day and counts
+ * @param {string} from - First day, YYYY-MM-DD
+ * @param {string} to - Last day, YYYY-MM-DD
+ * @returns {Array<{ day: string, visits: number, unique_visitors: number, downloads: number, peak_active_users: number }>}
+ */
+export function buildDailySeries(rows, from, to) {
+	const byDay = new Map(rows.map(row => [row.day, row]));
+	const series = [];
+
+	for (let time = parseDay(from); time <= parseDay(to); time += DAY_MS) {
+		const day = statsDay(time);
+		const row = byDay.get(day) || {};
+		series.push({
+			day,
+			visits: row.visits || 0,
+			unique_visitors: row.unique_visitors || 0,
+			downloads: row.downloads || 0,
+			peak_active_users: row.peak_active_users || 0
+		});
+	}
+	return series;
+}
+
+/**
+ * Totals a daily series. Peak active users is the highest peak of the range, not a sum.
+ * @param {Array<Object>} series - As returned by buildDailySeries
+ * @returns {{ visits: number, unique_visitors: number, downloads: number, peak_active_users: number }}
+ */
+export function summarizeDailySeries(series) {
+	return series.reduce((totals, day) => ({
+		visits: totals.visits + day.visits,
+		unique_visitors: totals.unique_visitors + day.unique_visitors,
+		downloads: totals.downloads + day.downloads,
+		peak_active_users: Math.max(totals.peak_active_users, day.peak_active_users)
+	}), { visits: 0, unique_visitors: 0, downloads: 0, peak_active_users: 0 });
+}
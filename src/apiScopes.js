@@ -0,0 +1,133 @@
+// What an API key may do. A user's primary key holds every scope, named keys only the ones they
+// were created with. Requests made with a key are refused on routes needing a scope the key lacks,
+// requests without a key are left to each route's own checks. Routes that also serve public worlds
+// aren't listed here: a key only needs worlds:read there to reach private, scheduled and draft ones.
+export const API_SCOPES = {
+	'worlds:read': 'Read private, scheduled and draft worlds, analytics, trash and catalog exports',
+	'worlds:write': 'Publish, update, archive, transfer and delete worlds',
+	'characters:write': 'Create, update and delete characters',
+	'characters:chat': 'Chat with characters and post through their connected accounts',
+	'memory:read': 'Read character memories',
+	'memory:write': 'Create, update and delete character memories',
+	'secrets:read': 'Read the credentials stored on characters',
+	'secrets:write': 'Set the credentials stored on characters',
+	'teams:manage': 'Create teams and manage their members',
+	'keys:manage': 'Create, list and revoke API keys and rotate the primary key'
+};
+
+// Named keys are named at most this many characters
+export const MAX_KEY_NAME_LENGTH = 64;
+
+const ROUTE_SCOPES = {
+	GET: {
+		'/trash': 'worlds:read',
+		'/analytics': 'worlds:read',
+		'/rooms': 'worlds:read',
+		'/export-catalog': 'worlds:read',
+		'/world-transfers': 'worlds:read',
+		'/upload-session/status': 'worlds:write',
+		'/clear-cache': 'worlds:write',
+		'/team': 'teams:manage',
+		'/memory-list': 'memory:read',
+		'/api-keys': 'keys:manage'
+	},
+	POST: {
+		'/upload-world': 'worlds:write',
+		'/world-metadata': 'worlds:write',
+		'/world-upload-assets': 'worlds:write',
+		'/upload-session/initiate': 'worlds:write',
+		'/upload-session/part': 'worlds:write',
+		'/upload-session/complete': 'worlds:write',
+		'/upload-session/abort': 'worlds:write',
+		'/update-author-info': 'worlds:write',
+		'/backup-world': 'worlds:write',
+		'/rollback-world': 'worlds:write',
+		'/world-share-link': 'worlds:write',
+		'/fork-world': 'worlds:write',
+		'/delete-world': 'worlds:write',
+		'/delete-author': 'worlds:write',
+		'/import-catalog': 'worlds:write',
+		'/trash/restore': 'worlds:write',
+		'/transfer-world/initiate': 'worlds:write',
+		'/transfer-world/accept': 'worlds:write',
+		'/transfer-world/decline': 'worlds:write',
+		'/record-visit': 'worlds:write',
+		'/clear-cache': 'worlds:write',
+		'/generate-character': 'characters:write',
+		'/upload-character': 'characters:write',
+		'/update-character': 'characters:write',
+		'/update-character-metadata': 'characters:write',
+		'/upload-character-image': 'characters:write',
+		'/delete-character': 'characters:write',
+		'/api/character/session': 'characters:chat',
+		'/api/character/message': 'characters:chat',
+		'/api/character/chat-message': 'characters:chat',
+		'/api/vision/describe': 'characters:chat',
+		'/api/character/memory': 'memory:write',
+		'/api/character/memories': 'memory:read',
+		'/api/character/memories/by-rooms': 'memory:read',
+		'/find-memory': 'memory:read',
+		'/memory-list': 'memory:read',
+		'/update-memory': 'memory:write',
+		'/delete-memory': 'memory:write',
+		'/discord-credentials': 'secrets:read',
+		'/get-my-twitter-credentials': 'secrets:read',
+		'/get-my-telegram-credentials': 'secrets:read',
+		'/update-character-keys': 'secrets:write',
+		'/teams/create': 'teams:manage',
+		'/teams/members/set': 'teams:manage',
+		'/teams/members/remove': 'teams:manage',
+		'/rotate-key': 'keys:manage',
+		'/revoke-previous-key': 'keys:manage',
+		'/api-keys/create': 'keys:manage',
+		'/api-keys/revoke': 'keys:manage'
+	}
+};
+
+// Paths are compared with URL pathnames, so an entry without its leading slash would never match
+for (const [method, routes] of Object.entries(ROUTE_SCOPES)) {
+	for (const path of Object.keys(routes)) {
+		if (!path.startsWith('/')) {
+			throw new Error(`Route scope for ${method} ${path} must start with /`);
+		}
+	}
+}
+
+// Routes matched by prefix, for paths that carry an ID in them
+const PREFIX_ROUTE_SCOPES = [
+	['POST', '/api/twitter/', 'characters:chat'],
+	['POST', '/api/telegram/', 'characters:chat']
+];
+
+/**
+ * Scope a key needs to use a route
+ * @param {string} method - Request method
+ * @param {string} path - Request path
+ * @returns {string|null} null for routes open to any key
+ */
+export function getRouteScope(method, path) {
+	const exact = ROUTE_SCOPES[method]?.[path];
+	if (exact) return exact;
+
+	const prefixed = PREFIX_ROUTE_SCOPES.find(([routeMethod, prefix]) =>
+		routeMethod === method && path.startsWith(prefix)
+	);
+	return prefixed ? prefixed[2] : null;
+}
+
+/**
+ * Validates the scopes requested for a new key
+ * @param {Array<string>} scopes
+ * @returns {Array<string>} The scopes without duplicates, in API_SCOPES order
+ * @throws {Error} If scopes is empty or names a scope that doesn't exist
+ */
+export function normalizeScopes(scopes) {
+	if (!Array.isArray(scopes) || scopes.length === 0) {
+		throw new Error('scopes must be a non-empty array');
+	}
+	const unknown = scopes.filter(scope => !Object.hasOwn(API_SCOPES, scope));
+	if (unknown.length > 0) {
+		throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+	}
+	return Object.keys(API_SCOPES).filter(scope => scopes.includes(scope));
+}
@@ -1,5 +1,38 @@
 import { createSecureHtmlService } from './secureHtmlService';
 import { createHeaderSearchBar } from './headerSearchBar';
+import { responsiveImageAttributes } from './imageVariants';
+
+// Bar chart of daily visits, drawn as inline SVG since the page runs no inline scripts
+function createVisitChart(history = []) {
+    const total = history.reduce((sum, day) => sum + day.visits, 0);
+    if (total === 0) return '';
+
+    const max = Math.max(...history.map(day => day.visits));
+    const barWidth = 100 / history.length;
+
+    return `
+        <div class="worlds-list-container rounded-3xl shadow-3xl p-6 mb-6">
+            <div class="flex justify-between items-baseline mb-4">
+                <h2 class="text-xl font-bold">Visits, last ${history.length} days</h2>
+                <span class="text-gray-400">${total.toLocaleString()} total</span>
+            </div>
+            <svg viewBox="0 0 100 30" preserveAspectRatio="none" class="w-full h-24" role="img" aria-label="Daily visits">
+                ${history.map((day, index) => {
+                    const height = (day.visits / max) * 30;
+                    return `
+                        <rect x="${index * barWidth + barWidth * 0.1}" y="${30 - height}" width="${barWidth * 0.8}" height="${height}" fill="#8e34d7">
+                            <title>${day.day}: ${day.visits} visits</title>
+                        </rect>
+                    `;
+                }).join('')}
+            </svg>
+            <div class="flex justify-between text-xs text-gray-500 mt-2">
+                <span>${history[0].day}</span>
+                <span>${history[history.length - 1].day}</span>
+            </div>
+        </div>
+    `;
+}
 
 export default function generateAuthorHTML(authorData) {
     const secureHtmlService = createSecureHtmlService();
@@ -17,6 +50,12 @@ export default function generateAuthorHTML(authorData) {
         (b.visit_count || 0) - (a.visit_count || 0)
     );
 
+    // Remixes other creators made of this author's worlds
+    const forks = (authorData.forks || []).map(fork => ({
+        ...secureHtmlService.sanitizeWorldData(fork),
+        forked_from_slug: secureHtmlService.sanitizeText(fork.forked_from_slug)
+    }));
+
     const html = `
     <!DOCTYPE html>
     <html lang="en">
@@ -94,7 +133,7 @@ export default function generateAuthorHTML(authorData) {
                     <div class="asset-card-author rounded-b-3xl p-8 mb-8 shadow-2xl transform min-h-[200px]">
                         <div class="flex flex-col md:flex-row items-center md:items-start">
                             <img
-                                src="${safeAuthor.avatar_url || '/images/default-avatar.jpg'}"
+                                ${responsiveImageAttributes(safeAuthor.avatar_url, '/images/default-avatar.jpg', '128px')}
                                 alt="${safeAuthor.username}"
                                 class="w-32 h-32 rounded-full mb-4 md:mb-0 md:mr-8"
                             />
@@ -130,6 +169,8 @@ export default function generateAuthorHTML(authorData) {
                 </div>
             </div>
             <div class="container mx-auto px-4">
+                ${createVisitChart(authorData.visitHistory)}
+
                 <!-- Content Tabs -->
                 <div class="content-tabs flex mb-6">
                     <button class="tab-button active" data-tab="worlds">Worlds</button>
@@ -150,7 +191,7 @@ export default function generateAuthorHTML(authorData) {
                                             <div class="p-6 flex flex-col h-full">
                                                 <div class="flex items-center mb-0">
                                                     <img 
-                                                        src="${world.preview_image || '/images/default-preview.jpg'}" 
+                                                        ${responsiveImageAttributes(world.preview_image, '/images/default-preview.jpg', '128px')} 
                                                         alt="${world.name}" 
                                                         class="w-32 h-24 mb-4 rounded-lg object-cover" 
                                                     />
@@ -192,6 +233,41 @@ export default function generateAuthorHTML(authorData) {
                                 </div>
                             `}
                         </div>
+                        ${forks.length > 0 ? `
+                            <h2 class="text-2xl font-bold text-white mt-12 mb-8 p-4 pl-10 bg-gradient-to-br from-purple-600 to-blue-500">
+                                Remixes of ${safeAuthor.username}'s Worlds
+                            </h2>
+                            <div class="px-8 py-0 world-grid-container mx-4">
+                                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                                    ${forks.map(fork => `
+                                        <div class="bg-gradient-to-br asset-card-container-home rounded-xl shadow-2xl transform flex flex-col h-full">
+                                            <div class="p-6 flex flex-col h-full">
+                                                <div class="flex items-center mb-0">
+                                                    <img 
+                                                        ${responsiveImageAttributes(fork.preview_image, '/images/default-preview.jpg', '128px')} 
+                                                        alt="${fork.name}" 
+                                                        class="w-32 h-24 mb-4 rounded-lg object-cover" 
+                                                    />
+                                                    <a href="/directory/${fork.author}/${fork.slug}" class="">
+                                                        <h3 class="text-xl font-bold mb-2 ml-4">${fork.name}</h3>
+                                                    </a>
+                                                </div>
+                                                <p class="text-gray-200 mb-4 flex-grow">
+                                                    by <a href="/author/${fork.author}" class="text-purple-400 hover:underline">${fork.author}</a>,
+                                                    remixed from <a href="/directory/${safeAuthor.username}/${fork.forked_from_slug}" class="text-purple-400 hover:underline">${fork.forked_from_slug}</a>
+                                                </p>
+                                                <div class="mt-auto">
+                                                    <a href="/directory/${fork.author}/${fork.slug}" 
+                                                        class="w-full text-white bg-gradient-to-br from-purple-600 to-blue-500 hover:bg-gradient-to-bl focus:ring-4 focus:outline-none focus:ring-blue-300 dark:focus:ring-blue-800 font-medium rounded-lg text-sm px-5 py-2.5 text-center me-2 mb-2 block">
+                                                        Enter World
+                                                    </a>
+                                                </div>
+                                            </div>
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
 
@@ -242,8 +318,15 @@ export default function generateAuthorHTML(authorData) {
 
                     // Load characters when characters tab is clicked
                     if (tab.getAttribute('data-tab') === 'characters' && charactersContainer.textContent === 'Loading characters...') {
-                        fetch('/author-characters?author=${safeAuthor.username}')
-                            .then(response => response.json())
+                        // Characters come a page at a time, follow the cursor until every page is in
+                        const loadCharacters = (cursor, loaded = []) =>
+                            fetch('/author-characters?author=${safeAuthor.username}&limit=100' + (cursor ? '&cursor=' + encodeURIComponent(cursor) : ''))
+                                .then(response => response.json())
+                                .then(({ items, nextCursor }) => nextCursor ?
+                                    loadCharacters(nextCursor, loaded.concat(items)) :
+                                    loaded.concat(items));
+
+                        loadCharacters()
                             .then(characters => {
                                 if (characters.length === 0) {
                                     charactersContainer.innerHTML = '<div class="text-center py-12"><p class="text-xl text-gray-400">No characters created yet.</p></div>';
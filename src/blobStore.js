@@ -0,0 +1,190 @@
+// Content-addressed storage for world files. Each unique file is stored once at
+// blobs/sha256/<hash> and worlds point at it through the registry's world_asset_refs table.
+export const BLOB_PREFIX = 'blobs/sha256/';
+
+// Blobs touched by an upload within this window are never collected
+export const BLOB_GC_GRACE_HOURS = 24;
+export const BLOB_GC_BATCH_SIZE = 100;
+// A sweep still deleting after this long was interrupted, uploads stop waiting for it and write the blob again
+export const BLOB_GC_DELETE_TIMEOUT_MINUTES = 30;
+// How often, and how long apart, an upload checks again for blobs the GC is deleting
+const BLOB_REGISTER_ATTEMPTS = 5;
+const BLOB_REGISTER_RETRY_MS = 1000;
+
+function getRegistry(env) {
+	const id = env.WORLD_REGISTRY.idFromName("global");
+	return env.WORLD_REGISTRY.get(id);
+}
+
+function toHex(buffer) {
+	return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * R2 key for a blob
+ * @param {string} hash - Hex SHA-256 of the content
+ * @returns {string}
+ */
+export function getBlobKey(hash) {
+	return `${BLOB_PREFIX}${hash}`;
+}
+
+/**
+ * Hashes file content
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export async function hashContent(data) {
+	return toHex(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * Registers blobs with the registry before they are written or reused. Blobs the GC is deleting
+ * are registered once the sweep has removed them, so they can't be deleted after being written.
+ * @param {Array<{ hash: string, size: number, contentType: string }>} blobs
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<Set<string>>} Hashes that have to be written again even if they exist
+ */
+async function registerBlobs(blobs, env) {
+	const rewrite = new Set();
+	let pending = blobs;
+	for (let attempt = 1; ; attempt++) {
+		const response = await getRegistry(env).fetch(new Request('http://internal/register-blobs', {
+			method: 'POST',
+			body: JSON.stringify({ blobs: pending, deleteTimeoutMinutes: BLOB_GC_DELETE_TIMEOUT_MINUTES })
+		}));
+		if (!response.ok) {
+			throw new Error(`Failed to register blobs: ${response.status}`);
+		}
+		const result = await response.json();
+		for (const hash of result.rewrite || []) {
+			rewrite.add(hash);
+		}
+
+		// The sweep drops a blob's row after deleting it, registering it then makes a fresh row
+		const deleting = new Set(result.deleting || []);
+		if (deleting.size === 0) {
+			return rewrite;
+		}
+		for (const hash of deleting) {
+			rewrite.add(hash);
+		}
+		if (attempt === BLOB_REGISTER_ATTEMPTS) {
+			throw new Error('Blob store is busy removing some of these files, try again shortly');
+		}
+		pending = pending.filter(blob => deleting.has(blob.hash));
+		await new Promise(resolve => setTimeout(resolve, BLOB_REGISTER_RETRY_MS * attempt));
+	}
+}
+
+/**
+ * Stores files in the blob store, skipping any content that is already there
+ * @param {Array<{ path: string, data: Uint8Array, contentType: string }>} files
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<{ files: Array<{ path: string, hash: string, size: number, contentType: string }>, deduplicated: number }>}
+ */
+export async function storeBlobs(files, env) {
+	const hashed = [];
+	for (const file of files) {
+		hashed.push({
+			path: file.path,
+			hash: await hashContent(file.data),
+			size: file.data.byteLength,
+			contentType: file.contentType,
+			data: file.data
+		});
+	}
+
+	// Register before writing so the GC never sweeps a blob we are about to reuse
+	const rewrite = await registerBlobs(
+		hashed.map(({ hash, size, contentType }) => ({ hash, size, contentType })),
+		env
+	);
+
+	let deduplicated = 0;
+	const written = new Set();
+	for (const file of hashed) {
+		if (written.has(file.hash) || (!rewrite.has(file.hash) && await env.WORLD_BUCKET.head(getBlobKey(file.hash)))) {
+			deduplicated++;
+			continue;
+		}
+
+		await env.WORLD_BUCKET.put(getBlobKey(file.hash), file.data, {
+			httpMetadata: {
+				contentType: file.contentType,
+			},
+		});
+		written.add(file.hash);
+	}
+
+	return {
+		files: hashed.map(({ path, hash, size, contentType }) => ({ path, hash, size, contentType })),
+		deduplicated
+	};
+}
+
+/**
+ * Moves an object that was uploaded elsewhere in the bucket (e.g. a finished multipart upload) into the blob store
+ * @param {string} key - R2 key of the staged object
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<{ hash: string, size: number, contentType: string, deduplicated: boolean }>}
+ */
+export async function moveObjectToBlobStore(key, env) {
+	const staged = await env.WORLD_BUCKET.get(key);
+	if (!staged) {
+		throw new Error(`Staged object not found: ${key}`);
+	}
+
+	const digestStream = new crypto.DigestStream('SHA-256');
+	await staged.body.pipeTo(digestStream);
+	const hash = toHex(await digestStream.digest);
+	const contentType = staged.httpMetadata?.contentType || 'application/octet-stream';
+
+	const rewrite = await registerBlobs([{ hash, size: staged.size, contentType }], env);
+
+	const exists = !rewrite.has(hash) && await env.WORLD_BUCKET.head(getBlobKey(hash));
+	if (!exists) {
+		const source = await env.WORLD_BUCKET.get(key);
+		await env.WORLD_BUCKET.put(getBlobKey(hash), source.body, {
+			httpMetadata: { contentType },
+		});
+	}
+	await env.WORLD_BUCKET.delete(key);
+
+	return { hash, size: staged.size, contentType, deduplicated: Boolean(exists) };
+}
+
+/**
+ * Deletes blobs that no world or archived version references anymore
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<number>} Number of blobs deleted
+ */
+export async function collectOrphanBlobs(env) {
+	const registry = getRegistry(env);
+
+	const response = await registry.fetch(new Request('http://internal/orphan-blobs', {
+		method: 'POST',
+		body: JSON.stringify({ graceHours: BLOB_GC_GRACE_HOURS, limit: BLOB_GC_BATCH_SIZE })
+	}));
+	const claimed = await response.json();
+	if (claimed.length === 0) return 0;
+
+	// An upload may have started reusing a blob since it was claimed, so check again right before deleting.
+	// Confirming marks the blobs as being deleted, uploads of them wait until they are forgotten.
+	const confirmed = await registry.fetch(new Request('http://internal/confirm-orphan-blobs', {
+		method: 'POST',
+		body: JSON.stringify({ hashes: claimed })
+	}));
+	const hashes = await confirmed.json();
+	if (hashes.length === 0) return 0;
+
+	// Delete from storage first, a row without a blob is harmless but a blob without a row would leak
+	await env.WORLD_BUCKET.delete(hashes.map(getBlobKey));
+
+	await registry.fetch(new Request('http://internal/forget-blobs', {
+		method: 'POST',
+		body: JSON.stringify({ hashes })
+	}));
+
+	return hashes.length;
+}
@@ -0,0 +1,372 @@
+import { MAX_BUNDLE_BYTES, createZipWriter, readZipDirectory, readZipEntry, getContentType, normalizeBundlePath } from './worldBundle';
+import { getBlobKey, storeBlobs } from './blobStore';
+import { UPLOADS_ORIGIN, getImageKey, storeImageWithVariants } from './imageVariants';
+import { validateWorldUpload } from './worldValidation';
+
+// An author's whole catalog in one zip:
+//   manifest.json                         format, source author and the worlds and characters inside
+//   author_info.json                      author profile, if one was uploaded
+//   worlds/<slug>/world.json              registry row, tags, versions, blob references and R2 object metadata
+//   worlds/<slug>/files/<path>            every R2 object under <author>/<slug>/ (channels and archived versions included)
+//   blobs/<hash>                          blob store files, written once however many worlds share them
+//   characters/<slug>/character.json      character config without secrets
+//   characters/<slug>/images/<field>/<name>  profile and banner images
+export const CATALOG_FORMAT = 'xr-publisher-catalog';
+export const CATALOG_VERSION = 1;
+
+// Each entry is held in memory while it is imported, and the whole archive must fit in one request's work
+export const MAX_IMPORT_ENTRY_BYTES = MAX_BUNDLE_BYTES;
+export const MAX_IMPORT_BYTES = 1024 * 1024 * 1024;
+
+function getRegistry(env) {
+	const id = env.WORLD_REGISTRY.idFromName("global");
+	return env.WORLD_REGISTRY.get(id);
+}
+
+function getCharacterRegistry(env) {
+	const id = env.CHARACTER_REGISTRY.idFromName("global");
+	return env.CHARACTER_REGISTRY.get(id);
+}
+
+async function postJson(stub, route, body) {
+	return stub.fetch(new Request(`http://internal/${route}`, {
+		method: 'POST',
+		body: JSON.stringify(body)
+	}));
+}
+
+async function listObjects(prefix, env) {
+	const objects = [];
+	let cursor;
+	do {
+		const listed = await env.WORLD_BUCKET.list({ prefix, cursor, include: ['httpMetadata', 'customMetadata'] });
+		objects.push(...listed.objects);
+		cursor = listed.truncated ? listed.cursor : undefined;
+	} while (cursor);
+	return objects;
+}
+
+/**
+ * Writes an author's worlds and characters to a zip stream
+ * @param {string} author - Author or team namespace to export
+ * @param {Object} env - Environment containing storage connections
+ * @param {WritableStream} writable - Stream the archive is written to
+ * @returns {Promise<void>}
+ */
+export async function exportCatalog(author, env, writable) {
+	const zip = createZipWriter(writable);
+
+	try {
+		const worlds = await (await postJson(getRegistry(env), 'export-worlds', { author })).json();
+		const characters = await (await postJson(getCharacterRegistry(env), 'get-author-characters', { author })).json();
+
+		await zip.addFile('manifest.json', JSON.stringify({
+			format: CATALOG_FORMAT,
+			version: CATALOG_VERSION,
+			author,
+			exported_at: new Date().toISOString(),
+			worlds: worlds.map(world => world.slug),
+			characters: characters.map(character => character.slug)
+		}, null, 2));
+
+		const authorInfo = await env.WORLD_BUCKET.get(`${author}/author_info.json`);
+		if (authorInfo) {
+			await zip.addFile('author_info.json', authorInfo.body);
+		}
+
+		const hashes = new Set();
+		for (const world of worlds) {
+			const prefix = `${author}/${world.slug}/`;
+			const objects = await listObjects(prefix, env);
+			const { id, trash_id, ...row } = world;
+
+			await zip.addFile(`worlds/${world.slug}/world.json`, JSON.stringify({
+				...row,
+				files: objects.map(object => ({
+					path: object.key.slice(prefix.length),
+					contentType: object.httpMetadata?.contentType || null,
+					customMetadata: object.customMetadata || {}
+				}))
+			}, null, 2));
+
+			for (const object of objects) {
+				const source = await env.WORLD_BUCKET.get(object.key);
+				if (source) {
+					await zip.addFile(`worlds/${world.slug}/files/${object.key.slice(prefix.length)}`, source.body);
+				}
+			}
+
+			for (const asset of world.assets) {
+				hashes.add(asset.hash);
+			}
+		}
+
+		for (const hash of hashes) {
+			const blob = await env.WORLD_BUCKET.get(getBlobKey(hash));
+			if (blob) {
+				await zip.addFile(`blobs/${hash}`, blob.body);
+			}
+		}
+
+		for (const character of characters) {
+			const { secrets, ...settings } = character.settings || {};
+			const images = {};
+
+			for (const field of ['profileImg', 'bannerImg']) {
+				const key = getImageKey(character[field]);
+				const image = key ? await env.WORLD_BUCKET.get(key) : null;
+				if (!image) continue;
+
+				images[field] = `images/${field}/${key.split('/').pop()}`;
+				await zip.addFile(`characters/${character.slug}/${images[field]}`, image.body);
+			}
+
+			await zip.addFile(`characters/${character.slug}/character.json`, JSON.stringify({
+				...character,
+				settings,
+				images
+			}, null, 2));
+		}
+
+		await zip.close();
+	} catch (error) {
+		await zip.abort(error);
+		throw error;
+	}
+}
+
+/**
+ * Recreates the worlds and characters in a catalog archive under an author.
+ * Anything that already exists under the author, or is in its trash, is left alone and reported as a conflict.
+ * The archive is read from R2 one entry at a time, so catalogs larger than memory can be imported.
+ * Entries and the archive are size limited, and world pages are validated like uploaded ones.
+ * @param {string} archiveKey - R2 key of a zip written by exportCatalog
+ * @param {string} author - Author or team namespace to import into
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<{ worlds: Array<string>, characters: Array<string>, conflicts: Array<Object>, failed: Array<Object> }>}
+ * @throws {Error} If the archive is not a catalog this deployment can read
+ */
+export async function importCatalog(archiveKey, author, env) {
+	const archive = await env.WORLD_BUCKET.head(archiveKey);
+	if (!archive) {
+		throw new Error('Archive not found');
+	}
+	const readRange = async (offset, length) => {
+		if (length === 0) return new Uint8Array(0);
+		const object = await env.WORLD_BUCKET.get(archiveKey, { range: { offset, length } });
+		return new Uint8Array(await object.arrayBuffer());
+	};
+
+	const entries = new Map((await readZipDirectory(readRange, archive.size)).map(entry => [entry.path, entry]));
+
+	// Sizes come from the central directory, and no entry may inflate past the size it declares
+	let totalBytes = 0;
+	for (const entry of entries.values()) {
+		if (entry.size > MAX_IMPORT_ENTRY_BYTES) {
+			throw new Error(`${entry.path} is ${entry.size} bytes, the limit is ${MAX_IMPORT_ENTRY_BYTES}`);
+		}
+		totalBytes += entry.size;
+	}
+	if (totalBytes > MAX_IMPORT_BYTES) {
+		throw new Error(`Catalog is ${totalBytes} bytes uncompressed, the limit is ${MAX_IMPORT_BYTES}`);
+	}
+	const readFile = path => entries.has(path) ? readZipEntry(readRange, entries.get(path), entries.get(path).size) : null;
+	const decoder = new TextDecoder();
+	const readJson = async path => entries.has(path) ? JSON.parse(decoder.decode(await readFile(path))) : null;
+
+	const manifest = await readJson('manifest.json');
+	if (manifest?.format !== CATALOG_FORMAT) {
+		throw new Error('Archive is not a catalog export');
+	}
+	if (manifest.version > CATALOG_VERSION) {
+		throw new Error(`Catalog version ${manifest.version} is newer than this deployment supports`);
+	}
+
+	const report = { worlds: [], characters: [], conflicts: [], failed: [] };
+	const registry = getRegistry(env);
+
+	// Keep an existing profile, the archive's is only used for a new author
+	const authorInfoKey = `${author}/author_info.json`;
+	if (entries.has('author_info.json') && !await env.WORLD_BUCKET.head(authorInfoKey)) {
+		await env.WORLD_BUCKET.put(authorInfoKey, await readFile('author_info.json'), {
+			httpMetadata: {
+				contentType: 'application/json',
+			},
+		});
+	}
+
+	for (const slug of manifest.worlds || []) {
+		const world = await readJson(`worlds/${slug}/world.json`);
+		if (!world || normalizeBundlePath(slug) !== slug || slug.includes('/')) {
+			report.failed.push({ type: 'world', slug, reason: 'World is missing from the archive' });
+			continue;
+		}
+
+		const trashed = await postJson(registry, 'get-trashed-world', { author, slug });
+		if (trashed.ok) {
+			report.conflicts.push({ type: 'world', slug, reason: `${author}/${slug} is in the trash` });
+			continue;
+		}
+
+		const { exists } = await (await postJson(registry, 'world-exists', { author, slug })).json();
+		if (exists || await env.WORLD_BUCKET.head(`${author}/${slug}/metadata.json`)) {
+			report.conflicts.push({ type: 'world', slug, reason: `${author}/${slug} already exists` });
+			continue;
+		}
+
+		// Every channel's and archived version's page gets the checks /upload-world runs, before anything is written
+		const pages = (world.files || [])
+			.map(file => normalizeBundlePath(file.path))
+			.filter(path => path && path.split('/').pop() === `${slug}.html`);
+		const assetPaths = new Set((world.assets || []).map(asset => asset.path));
+		const invalid = [];
+		for (const path of pages) {
+			const html = await readFile(`worlds/${slug}/files/${path}`);
+			if (!html) continue;
+			const validation = await validateWorldUpload({ html, filePaths: assetPaths, requireFiles: false });
+			if (!validation.valid) {
+				invalid.push(...validation.errors.map(error => `${path}: ${error.message}`));
+			}
+		}
+		if (invalid.length > 0) {
+			report.failed.push({ type: 'world', slug, reason: `World validation failed: ${invalid.join('; ')}` });
+			continue;
+		}
+
+		try {
+			// Stored paths start with the exporting author's prefix
+			const fromPrefix = `${manifest.author}/${slug}/`;
+			const toPrefix = `${author}/${slug}/`;
+			const rebase = value => typeof value === 'string' && value.startsWith(fromPrefix) ?
+				`${toPrefix}${value.slice(fromPrefix.length)}` :
+				value;
+
+			for (const file of world.files || []) {
+				const path = normalizeBundlePath(file.path);
+				let data = path ? await readFile(`worlds/${slug}/files/${path}`) : null;
+				if (!data) continue;
+
+				if (path.split('/').pop() === 'metadata.json') {
+					const parsed = JSON.parse(decoder.decode(data));
+					const metadata = (Array.isArray(parsed) ? parsed : [parsed]).map(entry => ({
+						...entry,
+						author,
+						html_url: rebase(entry.html_url),
+						preview_image: rebase(entry.preview_image)
+					}));
+					data = JSON.stringify(Array.isArray(parsed) ? metadata : metadata[0]);
+				}
+
+				await env.WORLD_BUCKET.put(`${toPrefix}${path}`, data, {
+					httpMetadata: {
+						contentType: file.contentType || getContentType(path),
+					},
+					customMetadata: file.customMetadata || {}
+				});
+			}
+
+			// Blobs are stored one at a time, only their references are collected per scope
+			const scopes = new Map();
+			for (const asset of world.assets || []) {
+				const data = await readFile(`blobs/${asset.hash}`);
+				if (!data) continue;
+				const { files: [stored] } = await storeBlobs([{
+					path: asset.path,
+					data,
+					contentType: asset.content_type || getContentType(asset.path)
+				}], env);
+				if (!scopes.has(asset.scope)) scopes.set(asset.scope, []);
+				scopes.get(asset.scope).push(stored);
+			}
+			for (const [scope, stored] of scopes) {
+				await postJson(registry, 'set-asset-refs', { author, slug, scope, files: stored });
+			}
+
+			const versions = world.versions || [];
+			const current = versions.find(version => version.version === world.version);
+			const createResponse = await postJson(registry, 'create-world', {
+				...world,
+				author,
+				html_url: rebase(world.html_url),
+				preview_image: rebase(world.preview_image),
+				properties: world.properties ? JSON.parse(world.properties) : null,
+				allow_forks: world.allow_forks !== 0,
+				forked_from: world.forked_from_author ? {
+					author: world.forked_from_author,
+					slug: world.forked_from_slug,
+					version: world.forked_from_version
+				} : null,
+				tags: world.tags || [],
+				changelog: current?.changelog || ''
+			});
+			if (!createResponse.ok) {
+				throw new Error(`Database update failed: ${await createResponse.text()}`);
+			}
+
+			for (const version of versions) {
+				if (version.version === world.version) continue;
+				await postJson(registry, 'record-archived-version', {
+					author,
+					slug,
+					version: version.version,
+					htmlUrl: rebase(version.html_url),
+					changelog: version.changelog
+				});
+			}
+
+			report.worlds.push(slug);
+		} catch (error) {
+			console.error(`Error importing world ${slug}:`, error);
+			report.failed.push({ type: 'world', slug, reason: error.message });
+		}
+	}
+
+	const characterRegistry = getCharacterRegistry(env);
+	const trashedCharacters = await (await postJson(characterRegistry, 'list-trashed-characters', { author, retentionDays: 0 })).json();
+	for (const slug of manifest.characters || []) {
+		const character = await readJson(`characters/${slug}/character.json`);
+		if (!character) {
+			report.failed.push({ type: 'character', slug, reason: 'Character is missing from the archive' });
+			continue;
+		}
+
+		const existing = await postJson(characterRegistry, 'get-character', { author, slug: character.slug });
+		if (existing.ok) {
+			report.conflicts.push({ type: 'character', slug, reason: `${author}/${slug} already exists` });
+			continue;
+		}
+
+		// Images are written before the character is created, and would overwrite a trashed character's
+		if (trashedCharacters.some(trashed => trashed.slug === character.slug || trashed.name === character.name)) {
+			report.conflicts.push({ type: 'character', slug, reason: `${author}/${slug} is in the trash` });
+			continue;
+		}
+
+		try {
+			const { images = {}, ...config } = character;
+			for (const [field, path] of Object.entries(images)) {
+				const data = await readFile(`characters/${slug}/${path}`);
+				if (!data) continue;
+
+				const key = `characters/${author}/${character.name.replace(/\s/g, '-')}/${path.split('/').pop()}`;
+				await storeImageWithVariants(key, data, env, {
+					cacheControl: 'public, max-age=0, must-revalidate'
+				});
+				config[field] = `${UPLOADS_ORIGIN}/${key}?v=${Date.now()}`;
+			}
+
+			const response = await postJson(characterRegistry, 'create-character', { author, character: config });
+			if (!response.ok) {
+				const { details } = await response.json();
+				throw new Error(details || 'Failed to create character');
+			}
+
+			report.characters.push(slug);
+		} catch (error) {
+			console.error(`Error importing character ${slug}:`, error);
+			report.failed.push({ type: 'character', slug, reason: error.message });
+		}
+	}
+
+	return report;
+}
@@ -1,5 +1,6 @@
 import { createSecureHtmlService } from './secureHtmlService';
 import { createHeaderSearchBar } from './headerSearchBar';
+import { getImageUrl, responsiveImageAttributes } from './imageVariants';
 
 export default async function generateCharacterHTML(characterData, env) {
     const secureHtmlService = createSecureHtmlService();
@@ -31,6 +32,13 @@ export default async function generateCharacterHTML(characterData, env) {
     <html lang="en">
     <head>
         <title>${safeCharacter.name} by ${safeCharacter.author}</title>
+        <meta property="og:title" content="${safeCharacter.name} by ${safeCharacter.author}">
+        ${safeCharacter.bannerImg || safeCharacter.profileImg ? `
+        <meta property="og:image" content="${characterData.origin || ''}${getImageUrl(safeCharacter.bannerImg || safeCharacter.profileImg, 'og')}">
+        <meta property="og:image:width" content="1200">
+        <meta property="og:image:height" content="630">
+        <meta name="twitter:card" content="summary_large_image">
+        ` : ''}
         <link 
             href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" 
             rel="stylesheet"
@@ -60,12 +68,17 @@ export default async function generateCharacterHTML(characterData, env) {
                     </a>
                     <div class="flex items-center space-x-4">
                         <a href="/author/${safeCharacter.author}" class="text-white hover:text-gray-200">
-                            <img src="${safeCharacter.authorData?.avatar_url || '/default-avatar.jpg'}" 
+                            <img ${responsiveImageAttributes(safeCharacter.authorData?.avatar_url, '/default-avatar.jpg', '40px')} 
                                 alt="${safeCharacter.author}" 
                                 class="w-10 h-10 rounded-full inline-block mr-2">
                             ${safeCharacter.author}
                         </a>
                         <span class="text-white/80">presents</span>
+                        ${safeCharacter.profileImg ? `
+                            <img ${responsiveImageAttributes(safeCharacter.profileImg, '/default-avatar.jpg', '40px')} 
+                                alt="${safeCharacter.name}" 
+                                class="w-10 h-10 rounded-full inline-block object-cover">
+                        ` : ''}
                         <h1 class="text-xl font-bold">${safeCharacter.name}</h1>
                         ${createHeaderSearchBar()}
                     </div>
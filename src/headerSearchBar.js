@@ -3,7 +3,7 @@ const mainLogo = 'https://xrpublisher.com/wp-content/uploads/2024/10/xrpublisher
 const logoMarkup = `<a href="/" class="mr-4"><img src="${mainLogo}" alt="Logo" class="h-8"></a>`;
 
 export function createHeaderSearchBar(currentQuery = '', tags = [], request) {
-	const safeQuery = currentQuery.replace(/[&<>"']/g, (match) => {
+	const escapeHtml = value => String(value).replace(/[&<>"']/g, (match) => {
 		const escape = {
 			'&': '&amp;',
 			'<': '&lt;',
@@ -13,6 +13,7 @@ export function createHeaderSearchBar(currentQuery = '', tags = [], request) {
 		};
 		return escape[match];
 	});
+	const safeQuery = escapeHtml(currentQuery);
 
 	const mainLogo = 'https://xrpublisher.com/wp-content/uploads/2024/10/xrpublisher-logo-300x70.png';
 	const logoMarkup = `<a href="/" class="mr-4"><img src="${mainLogo}" alt="Logo" class="h-8"></a>`;
@@ -21,12 +22,12 @@ export function createHeaderSearchBar(currentQuery = '', tags = [], request) {
 		  <div class="w-full mx-auto px-4 py-2">
 			  <div class="w-full max-w-6xl mx-auto px-2 py-4 flex items-center">
 				${logoMarkup}
-				<form action="/directory/search" method="GET" class="relative flex-grow" autocomplete="off">
+				<form action="/directory/search/all" method="GET" class="relative flex-grow" autocomplete="off">
 				<input 
 					type="search" 
 					name="q" 
 					value="${safeQuery}"
-					placeholder="Search worlds..."
+					placeholder="Search worlds, characters and authors..."
 					class="w-full px-4 py-2 rounded-lg bg-gray-800 text-md text-white border border-gray-700 focus:outline-none focus:border-purple-500"
 				>
 				<button 
@@ -37,6 +38,7 @@ export function createHeaderSearchBar(currentQuery = '', tags = [], request) {
 
 					</svg>
 				</button>
+				${tags.map(tag => `<input type="hidden" name="tag" value="${escapeHtml(tag)}">`).join('')}
 				</form>
 				</div>
 		  </div>
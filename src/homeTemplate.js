@@ -1,6 +1,8 @@
 import { createHeaderSearchBar } from './headerSearchBar';
+import { responsiveImageAttributes } from './imageVariants';
+import { createWorldFeedSection } from './worldFeedSection';
 
-export default async function generateHomeHTML(authors, env) {
+export default async function generateHomeHTML(authors, env, trending = []) {
     const mainLogo = 'https://xrpublisher.com/wp-content/uploads/2024/10/xrpublisher-logo-300x70.png';
     
     // Ensure authors is an array and has data
@@ -74,6 +76,9 @@ export default async function generateHomeHTML(authors, env) {
                 </div>
             </div>
 
+            <!-- Trending Worlds Section -->
+            ${createWorldFeedSection('Trending Worlds', trending)}
+
             <!-- Featured Creators Section -->
             <div class="container mx-auto px-4 py-16">
                 <div class="authors-list-container rounded-3xl shadow-3xl p-8">
@@ -84,7 +89,7 @@ export default async function generateHomeHTML(authors, env) {
                                 <div class="bg-gradient-to-br asset-card-container-home rounded-xl shadow-2xl p-6">
                                     <div class="flex items-center mb-6">
                                         <img 
-                                            src="${author.avatar_url || '/images/default-avatar.jpg'}" 
+                                            ${responsiveImageAttributes(author.avatar_url, '/images/default-avatar.jpg', '112px')} 
                                             alt="${author.username}" 
                                             class="w-28 h-28 rounded-full object-cover"
                                         >
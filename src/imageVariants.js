@@ -0,0 +1,165 @@
+// Sized copies generated for uploaded preview, profile and banner images.
+// Each variant is stored next to the original as <name>@<variant>.webp and <name>@<variant>.jpg.
+export const IMAGE_VARIANTS = {
+	card: { width: 480, height: 360 },
+	og: { width: 1200, height: 630 },
+	hero: { width: 1600, height: 900 }
+};
+
+const VARIANT_FORMATS = {
+	webp: 'image/webp',
+	jpg: 'image/jpeg'
+};
+
+const VARIANT_QUALITY = 82;
+
+// Public R2 domain that character images were linked through before /media existed
+export const UPLOADS_ORIGIN = 'https://uploads.sxp.digital';
+
+/**
+ * Detects an image format from its leading bytes
+ * @param {Uint8Array} bytes - File content
+ * @returns {{ contentType: string }|null} null if the content is not a supported image
+ */
+export function detectImageType(bytes) {
+	const matches = (offset, signature) => signature.every((byte, i) => bytes[offset + i] === byte);
+	const ascii = (offset, text) => matches(offset, [...text].map(char => char.charCodeAt(0)));
+
+	if (matches(0, [0xff, 0xd8, 0xff])) {
+		return { contentType: 'image/jpeg' };
+	}
+	if (matches(0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+		return { contentType: 'image/png' };
+	}
+	if (ascii(0, 'GIF87a') || ascii(0, 'GIF89a')) {
+		return { contentType: 'image/gif' };
+	}
+	if (ascii(0, 'RIFF') && ascii(8, 'WEBP')) {
+		return { contentType: 'image/webp' };
+	}
+	if (ascii(4, 'ftyp') && (ascii(8, 'avif') || ascii(8, 'avis'))) {
+		return { contentType: 'image/avif' };
+	}
+
+	return null;
+}
+
+/**
+ * R2 key of one variant of an image
+ * @param {string} key - R2 key of the original image
+ * @param {string} variant - Name from IMAGE_VARIANTS
+ * @param {string} format - 'webp' or 'jpg'
+ * @returns {string}
+ */
+export function getVariantKey(key, variant, format) {
+	const slash = key.lastIndexOf('/');
+	const dot = key.lastIndexOf('.');
+	const stem = dot > slash ? key.slice(0, dot) : key;
+	return `${stem}@${variant}.${format}`;
+}
+
+/**
+ * Every variant key an image can have, used when copying or deleting an image with its variants
+ * @param {string} key - R2 key of the original image
+ * @returns {Array<string>}
+ */
+export function getVariantKeys(key) {
+	return Object.keys(IMAGE_VARIANTS).flatMap(variant =>
+		Object.keys(VARIANT_FORMATS).map(format => getVariantKey(key, variant, format))
+	);
+}
+
+/**
+ * Stores an uploaded image and its sized variants.
+ * Variants are only generated when the IMAGES binding is configured, otherwise /media serves the original.
+ * @param {string} key - R2 key for the original image
+ * @param {Uint8Array} bytes - Image content
+ * @param {Object} env - Environment containing storage connections
+ * @param {Object} [httpMetadata] - Extra HTTP metadata for the stored objects
+ * @returns {Promise<{ contentType: string, variants: Array<string> }>}
+ * @throws {Error} If the content is not a supported image
+ */
+export async function storeImageWithVariants(key, bytes, env, httpMetadata = {}) {
+	const type = detectImageType(bytes);
+	if (!type) {
+		throw new Error('Unsupported image format, expected JPEG, PNG, GIF, WebP or AVIF');
+	}
+
+	await env.WORLD_BUCKET.put(key, bytes, {
+		httpMetadata: { ...httpMetadata, contentType: type.contentType },
+	});
+
+	const variants = [];
+	if (!env.IMAGES) {
+		// Drop variants of a previous upload so /media falls back to the new original
+		await env.WORLD_BUCKET.delete(getVariantKeys(key));
+		return { contentType: type.contentType, variants };
+	}
+
+	for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+		for (const [format, contentType] of Object.entries(VARIANT_FORMATS)) {
+			const result = await env.IMAGES
+				.input(new Blob([bytes]).stream())
+				.transform({ width: size.width, height: size.height, fit: 'cover' })
+				.output({ format: contentType, quality: VARIANT_QUALITY });
+
+			await env.WORLD_BUCKET.put(getVariantKey(key, variant, format), await result.response().arrayBuffer(), {
+				httpMetadata: { ...httpMetadata, contentType },
+			});
+		}
+		variants.push(variant);
+	}
+
+	return { contentType: type.contentType, variants };
+}
+
+/**
+ * Finds the R2 key behind an image reference
+ * @param {string} value - R2 key, /media URL or uploads domain URL
+ * @returns {string|null} null for images hosted anywhere else
+ */
+export function getImageKey(value) {
+	if (typeof value !== 'string' || value === '') return null;
+
+	if (value.startsWith('/media/')) {
+		return decodeURI(value.slice('/media/'.length).split('?')[0]);
+	}
+	if (value.startsWith(`${UPLOADS_ORIGIN}/`)) {
+		return decodeURI(value.slice(UPLOADS_ORIGIN.length + 1).split('?')[0]);
+	}
+	if (!value.startsWith('/') && !/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+		return value;
+	}
+
+	return null;
+}
+
+/**
+ * URL that serves a stored image, optionally at one of its variant sizes
+ * @param {string} value - Image reference as accepted by getImageKey
+ * @param {string} [variant] - Name from IMAGE_VARIANTS
+ * @returns {string} The value unchanged if it is not a stored image
+ */
+export function getImageUrl(value, variant = null) {
+	const key = getImageKey(value);
+	if (!key) return value;
+	return `/media/${encodeURI(key)}${variant ? `?variant=${variant}` : ''}`;
+}
+
+/**
+ * Builds src, srcset and sizes attributes for an <img> tag
+ * @param {string} value - Image reference as accepted by getImageKey
+ * @param {string} fallback - Image used when there is no value
+ * @param {string} [sizes] - Value for the sizes attribute
+ * @returns {string}
+ */
+export function responsiveImageAttributes(value, fallback, sizes = '100vw') {
+	if (!getImageKey(value)) {
+		return `src="${value || fallback}"`;
+	}
+
+	const srcset = Object.entries(IMAGE_VARIANTS)
+		.map(([variant, size]) => `${getImageUrl(value, variant)} ${size.width}w`)
+		.join(', ');
+	return `src="${getImageUrl(value, 'card')}" srcset="${srcset}" sizes="${sizes}"`;
+}
@@ -1,10 +1,124 @@
+import { getImageKey, getVariantKeys } from './imageVariants';
+
+// Deleted worlds and authors are kept under trash/<id>/ for this many days unless TRASH_RETENTION_DAYS is set
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_PURGE_BATCH_SIZE = 20;
+// Objects moved per request or cron run for one trash entry, the rest waits for the next cron run
+const TRASH_MOVE_BATCH_SIZE = 100;
+// Trash entries the cron job moves a batch of files for on each run
+const TRASH_MOVE_ENTRIES = 5;
+
+/**
+ * How long deleted content is kept before it is purged
+ * @param {Object} env - Environment containing storage connections
+ * @returns {number} Retention period in days
+ */
+export function getTrashRetentionDays(env) {
+    const days = parseInt(env.TRASH_RETENTION_DAYS);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * R2 prefix a trash entry's files are moved to
+ * @param {number} trashId - Trash entry ID
+ * @returns {string}
+ */
+export function getTrashPrefix(trashId) {
+    return `trash/${trashId}/`;
+}
+
+/**
+ * R2 prefix a trash entry's files came from
+ * @param {Object} entry - Trash entry from the world registry
+ * @returns {string}
+ */
+function getOriginalPrefix(entry) {
+    return entry.item_type === 'author' ? `${entry.author}/` : `${entry.author}/${entry.slug}/`;
+}
+
+/**
+ * Moves one batch of the objects under a prefix to another. Each object is deleted once it is copied,
+ * so calling it again carries on where it stopped.
+ * @param {string} sourcePrefix - Prefix to move from
+ * @param {string} destinationPrefix - Prefix to move to
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<boolean>} Whether the source prefix is now empty
+ */
+async function moveObjects(sourcePrefix, destinationPrefix, env) {
+    const listed = await env.WORLD_BUCKET.list({ prefix: sourcePrefix, limit: TRASH_MOVE_BATCH_SIZE });
+    for (const object of listed.objects) {
+        const source = await env.WORLD_BUCKET.get(object.key);
+        if (source) {
+            await env.WORLD_BUCKET.put(`${destinationPrefix}${object.key.slice(sourcePrefix.length)}`, source.body, {
+                httpMetadata: source.httpMetadata,
+                customMetadata: source.customMetadata
+            });
+        }
+        await env.WORLD_BUCKET.delete(object.key);
+    }
+
+    return !listed.truncated;
+}
+
+/**
+ * Deletes every object under a prefix
+ * @param {string} prefix - Prefix to clear
+ * @param {Object} env - Environment containing storage connections
+ */
+async function deleteObjects(prefix, env) {
+    let cursor;
+    do {
+        const listed = await env.WORLD_BUCKET.list({ prefix, cursor });
+        if (listed.objects.length > 0) {
+            await env.WORLD_BUCKET.delete(listed.objects.map(object => object.key));
+        }
+        cursor = listed.truncated ? listed.cursor : undefined;
+    } while (cursor);
+}
+
+/**
+ * Moves the next batch of a trash entry's files in the direction the entry records, and settles the entry
+ * in the registry once they are all moved. A restore only puts the worlds back in the registry then.
+ * @param {Object} entry - Trash entry from the world registry
+ * @param {Object} registry - World registry stub
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<Array<string>|null>} Restored world slugs once the move is done (none when trashing), null while files remain
+ */
+async function continueTrashMove(entry, registry, env) {
+    const trashPrefix = getTrashPrefix(entry.id);
+    const originalPrefix = getOriginalPrefix(entry);
+    const restoring = entry.moving === 'out';
+
+    const done = restoring ?
+        await moveObjects(trashPrefix, originalPrefix, env) :
+        await moveObjects(originalPrefix, trashPrefix, env);
+    if (!done) {
+        return null;
+    }
+
+    const response = await registry.fetch(restoring ?
+        new Request('http://internal/restore-trash', {
+            method: 'POST',
+            body: JSON.stringify({ trashId: entry.id })
+        }) :
+        new Request('http://internal/set-trash-moving', {
+            method: 'POST',
+            body: JSON.stringify({ trashId: entry.id, moving: null })
+        }));
+    if (!response.ok) {
+        throw new Error(`Failed to settle trash entry: ${response.status}`);
+    }
+    return restoring ? (await response.json()).worlds : [];
+}
+
 /**
- * Removes an author and all their associated worlds and data
+ * Moves an author and all their worlds to the trash
  * @param {string} authorName - The name of the author to remove
  * @param {Object} env - Environment containing storage connections
- * @returns {Promise<{ success: boolean, message: string }>}
+ * @param {string} [deletedBy] - Who asked for the delete
+ * @returns {Promise<{ success: boolean, message: string, trashId?: number }>}
  */
-export async function removeAuthor(authorName, env) {
+export async function removeAuthor(authorName, env, deletedBy = null) {
     if (!authorName) {
         return {
             success: false,
@@ -17,10 +131,10 @@ export async function removeAuthor(authorName, env) {
         const id = env.WORLD_REGISTRY.idFromName("global");
         const registry = env.WORLD_REGISTRY.get(id);
 
-        // Create internal request to delete author
+        // Hide the author and their worlds in the registry
         const deleteRequest = new Request('http://internal/delete-author', {
             method: 'POST',
-            body: JSON.stringify({ authorName })
+            body: JSON.stringify({ authorName, deletedBy })
         });
 
         const response = await registry.fetch(deleteRequest);
@@ -28,23 +142,21 @@ export async function removeAuthor(authorName, env) {
             throw new Error(`Failed to delete author: ${response.status}`);
         }
 
-        // Delete from bucket
-        const prefix = `${authorName}/`;
-        const files = await env.WORLD_BUCKET.list({ prefix });
-        for (const file of files.objects) {
-            await env.WORLD_BUCKET.delete(file.key);
-        }
-
-        // Delete visit tracking data if you have any
-        const visitsPrefix = `visits:${authorName}:`;
-        const visits = await env.VISIT_COUNTS.list({ prefix: visitsPrefix });
-        for (const key of visits.keys) {
-            await env.VISIT_COUNTS.delete(key.name);
+        // Move their files out of the public namespace. Visit counts are kept for a restore.
+        // What doesn't fit in this request is moved by the cron job.
+        const entry = await response.json();
+        try {
+            await continueTrashMove(entry, registry, env);
+        } catch (error) {
+            console.error('Error moving author files to the trash:', error);
         }
 
         return {
             success: true,
-            message: `Successfully removed author ${authorName} and all associated worlds`
+            message: `Moved author ${authorName} and ${entry.worlds.length} worlds to the trash`,
+            trashId: entry.id,
+            worlds: entry.worlds,
+            retentionDays: getTrashRetentionDays(env)
         };
 
     } catch (error) {
@@ -57,13 +169,14 @@ export async function removeAuthor(authorName, env) {
 }
 
 /**
- * Removes a specific world
+ * Moves a specific world to the trash
  * @param {string} authorName - The world's author name
  * @param {string} worldName - The name of the world to remove
  * @param {Object} env - Environment containing storage connections
- * @returns {Promise<{ success: boolean, message: string }>}
+ * @param {string} [deletedBy] - Who asked for the delete
+ * @returns {Promise<{ success: boolean, message: string, trashId?: number }>}
  */
-export async function removeWorld(authorName, worldName, env) {
+export async function removeWorld(authorName, worldName, env, deletedBy = null) {
     if (!authorName || !worldName) {
         return {
             success: false,
@@ -76,45 +189,32 @@ export async function removeWorld(authorName, worldName, env) {
         const id = env.WORLD_REGISTRY.idFromName("global");
         const registry = env.WORLD_REGISTRY.get(id);
 
-        // Create internal request to delete world
+        // Hide the world in the registry
         const deleteRequest = new Request('http://internal/delete-world', {
             method: 'POST',
-            body: JSON.stringify({ authorName, worldName })
+            body: JSON.stringify({ authorName, worldName, deletedBy })
         });
 
         const response = await registry.fetch(deleteRequest);
         if (!response.ok) {
-            throw new Error(`Failed to delete world: ${response.status}`);
-        }
-
-        // Get world slug from response
-        const { slug } = await response.json();
-
-        // Delete all world files (HTML, previews, versions)
-        const prefix = `${authorName}/${slug}/`;
-        const files = await env.WORLD_BUCKET.list({ prefix });
-        for (const file of files.objects) {
-            await env.WORLD_BUCKET.delete(file.key);
+            const { error } = await response.json();
+            throw new Error(error || `Failed to delete world: ${response.status}`);
         }
 
-        // Delete version history
-        const versionsPrefix = `versions:${authorName}:${slug}/`;
-        const versions = await env.WORLD_BUCKET.list({ prefix: versionsPrefix });
-        for (const version of versions.objects) {
-            await env.WORLD_BUCKET.delete(version.key);
+        // Move all world files (HTML, previews, versions, channels) out of the public namespace.
+        // What doesn't fit in this request is moved by the cron job.
+        const entry = await response.json();
+        try {
+            await continueTrashMove(entry, registry, env);
+        } catch (error) {
+            console.error('Error moving world files to the trash:', error);
         }
 
-        // Delete visit statistics
-        const visitKey = `visits:${authorName}:${slug}`;
-        await env.VISIT_COUNTS?.delete(visitKey);
-
-        // Delete active users tracking
-        const activeUsersKey = `active:${authorName}:${slug}`;
-        await env.ACTIVE_USERS?.delete(activeUsersKey);
-
         return {
             success: true,
-            message: `Successfully removed world "${worldName}"`
+            message: `Moved world "${worldName}" to the trash`,
+            trashId: entry.id,
+            retentionDays: getTrashRetentionDays(env)
         };
 
     } catch (error) {
@@ -128,6 +228,154 @@ export async function removeWorld(authorName, worldName, env) {
     }
 }
 
+/**
+ * Puts a trashed world or author back where it was. Files go back first so the registry never lists
+ * a world without them, and the cron job finishes restores that don't fit in one request.
+ * @param {Object} entry - Trash entry from the world registry
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<{ success: boolean, message: string, worlds?: Array<string>, pending?: boolean }>}
+ */
+export async function restoreTrashEntry(entry, env) {
+    try {
+        const id = env.WORLD_REGISTRY.idFromName("global");
+        const registry = env.WORLD_REGISTRY.get(id);
+
+        // A move into the trash that hasn't finished is turned around, so only files already moved come back
+        const response = await registry.fetch(new Request('http://internal/set-trash-moving', {
+            method: 'POST',
+            body: JSON.stringify({ trashId: entry.id, moving: 'out' })
+        }));
+        if (!response.ok) {
+            throw new Error(`Failed to restore trash entry: ${response.status}`);
+        }
+
+        const worlds = await continueTrashMove(await response.json(), registry, env);
+        if (!worlds) {
+            return {
+                success: true,
+                pending: true,
+                message: entry.item_type === 'author' ?
+                    `Restoring author ${entry.author}, their files are still being moved back` :
+                    `Restoring world "${entry.slug}", its files are still being moved back`,
+                worlds: []
+            };
+        }
+
+        return {
+            success: true,
+            message: entry.item_type === 'author' ?
+                `Restored author ${entry.author} and ${worlds.length} worlds` :
+                `Restored world "${entry.slug}"`,
+            worlds
+        };
+    } catch (error) {
+        console.error('Error restoring from trash:', error);
+        return {
+            success: false,
+            message: 'Failed to restore from trash. Please try again later.'
+        };
+    }
+}
+
+/**
+ * Moves the next batch of files for trash entries that didn't finish moving in the request that trashed or restored them
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<Array<{ author: string, slug: string }>>} Worlds whose restore finished
+ */
+export async function continueTrashMoves(env) {
+    const id = env.WORLD_REGISTRY.idFromName("global");
+    const registry = env.WORLD_REGISTRY.get(id);
+
+    const response = await registry.fetch(new Request('http://internal/moving-trash', {
+        method: 'POST',
+        body: JSON.stringify({ limit: TRASH_MOVE_ENTRIES })
+    }));
+    const entries = await response.json();
+
+    const restored = [];
+    for (const entry of entries) {
+        const worlds = await continueTrashMove(entry, registry, env);
+        for (const slug of worlds || []) {
+            restored.push({ author: entry.author, slug });
+        }
+    }
+
+    return restored;
+}
+
+/**
+ * Permanently deletes trash entries older than the retention period
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<Array<{ author: string, slug: string }>>} Worlds that were purged
+ */
+export async function purgeExpiredTrash(env) {
+    const id = env.WORLD_REGISTRY.idFromName("global");
+    const registry = env.WORLD_REGISTRY.get(id);
+
+    const response = await registry.fetch(new Request('http://internal/expired-trash', {
+        method: 'POST',
+        body: JSON.stringify({ retentionDays: getTrashRetentionDays(env), limit: TRASH_PURGE_BATCH_SIZE })
+    }));
+    const entries = await response.json();
+
+    const purged = [];
+    for (const entry of entries) {
+        // Delete from storage first so a failure leaves the entry to retry on the next run.
+        // Files that never finished moving into the trash are still under the original prefix.
+        await deleteObjects(getTrashPrefix(entry.id), env);
+        if (entry.moving === 'in') {
+            await deleteObjects(getOriginalPrefix(entry), env);
+        }
+
+        const purgeResponse = await registry.fetch(new Request('http://internal/purge-trash', {
+            method: 'POST',
+            body: JSON.stringify({ trashId: entry.id })
+        }));
+        if (!purgeResponse.ok) continue;
+        const { worlds } = await purgeResponse.json();
+
+        for (const slug of worlds) {
+            await env.VISIT_COUNTS?.delete(`visits:${entry.author}:${slug}`);
+            await env.ACTIVE_USERS?.delete(`active:${entry.author}:${slug}`);
+            purged.push({ author: entry.author, slug });
+        }
+    }
+
+    return purged;
+}
+
+/**
+ * Permanently deletes trashed characters older than the retention period, with their uploaded images
+ * @param {Object} env - Environment containing storage connections
+ * @returns {Promise<Array<{ author: string, slug: string }>>} Characters that were purged
+ */
+export async function purgeExpiredCharacters(env) {
+    const id = env.CHARACTER_REGISTRY.idFromName("global");
+    const registry = env.CHARACTER_REGISTRY.get(id);
+
+    const response = await registry.fetch(new Request('http://internal/purge-expired-characters', {
+        method: 'POST',
+        body: JSON.stringify({ retentionDays: getTrashRetentionDays(env) })
+    }));
+    if (!response.ok) {
+        throw new Error(`Failed to purge characters: ${response.status}`);
+    }
+    const { purged } = await response.json();
+
+    // Only images uploaded to the bucket are deleted, images hosted elsewhere are left alone
+    for (const character of purged) {
+        const keys = [character.profile_img, character.banner_img]
+            .map(getImageKey)
+            .filter(Boolean)
+            .flatMap(key => [key, ...getVariantKeys(key)]);
+        if (keys.length > 0) {
+            await env.WORLD_BUCKET.delete(keys);
+        }
+    }
+
+    return purged.map(({ author, slug }) => ({ author, slug }));
+}
+
 /**
  * Archives a world instead of deleting it
  * @param {string} authorName - The world's author name
@@ -0,0 +1,70 @@
+// List endpoints return { items, nextCursor }. A cursor holds the sort key of the last item on a page,
+// so the next page starts right after it even when items are added or removed in between.
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes the position after an item as an opaque cursor
+ * @param {Object} position - JSON serializable sort key values
+ * @returns {string} URL safe cursor
+ */
+export function encodeCursor(position) {
+	const bytes = new TextEncoder().encode(JSON.stringify(position));
+	let binary = '';
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor
+ * @param {string|null} cursor
+ * @returns {Object|null} null when there is no cursor
+ * @throws {Error} If the cursor was not made by encodeCursor
+ */
+export function decodeCursor(cursor) {
+	if (!cursor) return null;
+	try {
+		const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+		const position = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+		if (typeof position !== 'object' || position === null) {
+			throw new Error('Cursor is not an object');
+		}
+		return position;
+	} catch {
+		throw new Error('Invalid cursor');
+	}
+}
+
+/**
+ * Reads limit and cursor from a query string or request body
+ * @param {URLSearchParams|Object} params
+ * @param {number} [defaultLimit]
+ * @returns {{ limit: number, cursor: Object|null }}
+ * @throws {Error} If the cursor is invalid
+ */
+export function parsePageParams(params, defaultLimit = DEFAULT_PAGE_SIZE) {
+	const read = name => params instanceof URLSearchParams ? params.get(name) : params?.[name];
+	const limit = parseInt(read('limit'), 10);
+
+	return {
+		limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : defaultLimit,
+		cursor: decodeCursor(read('cursor'))
+	};
+}
+
+/**
+ * Builds a page from rows fetched with a limit one higher than the page size
+ * @param {Array<Object>} rows - Up to limit + 1 rows, in order
+ * @param {number} limit - Page size
+ * @param {Function} positionOf - Returns the cursor position after a row
+ * @returns {{ items: Array<Object>, nextCursor: string|null }}
+ */
+export function toPage(rows, limit, positionOf) {
+	const items = rows.slice(0, limit);
+	return {
+		items,
+		nextCursor: rows.length > limit ? encodeCursor(positionOf(items[items.length - 1])) : null
+	};
+}
@@ -0,0 +1,66 @@
+// Best effort sliding window rate limits kept in KV. Each window's count is stored under its own key,
+// and a request is weighed against the current count plus the share of the previous window that
+// still overlaps the last windowSeconds. Counts are read and written separately and KV is eventually
+// consistent, so concurrent requests can get past a limit. Use these to slow down heavy users, not
+// where a limit must hold exactly.
+
+// KV refuses expirations shorter than this
+const MIN_KV_TTL_SECONDS = 60;
+
+/**
+ * Hashes an identifier such as an address or API key so it isn't stored in KV as is
+ * @param {string} value
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export async function hashIdentifier(value) {
+	const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+	return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Estimates the requests made within the last window
+ * @param {number} previous - Count of the previous fixed window
+ * @param {number} current - Count of the current fixed window
+ * @param {number} elapsed - Seconds since the current window started
+ * @param {number} windowSeconds
+ * @returns {number}
+ */
+export function slidingWindowCount(previous, current, elapsed, windowSeconds) {
+	return previous * (1 - elapsed / windowSeconds) + current;
+}
+
+/**
+ * Counts a request against a limit, unless the limit is already reached
+ * @param {KVNamespace} kv - Namespace holding the counters
+ * @param {string} key - What is limited, such as "ip:<hash>" or "ip-world:<hash>:<author>/<slug>"
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowSeconds - Window length
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, retryAfter: number }>}
+ * retryAfter is the seconds until another request would be allowed, 0 when allowed
+ */
+export async function checkRateLimit(kv, key, { limit, windowSeconds }, now = Date.now()) {
+	const seconds = now / 1000;
+	const window = Math.floor(seconds / windowSeconds);
+	const elapsed = seconds - window * windowSeconds;
+
+	const [previous, current] = (await Promise.all([
+		kv.get(`${key}:${window - 1}`),
+		kv.get(`${key}:${window}`)
+	])).map(value => parseInt(value, 10) || 0);
+
+	const count = slidingWindowCount(previous, current, elapsed, windowSeconds);
+	if (count + 1 > limit) {
+		// Wait for enough of the previous window to slide out, or for the next window if this one is full
+		const retryAfter = current + 1 > limit || previous === 0 ?
+			windowSeconds - elapsed :
+			windowSeconds * (1 - (limit - 1 - current) / previous) - elapsed;
+		return { allowed: false, limit, remaining: 0, retryAfter: Math.max(1, Math.ceil(retryAfter)) };
+	}
+
+	await kv.put(`${key}:${window}`, String(current + 1), {
+		expirationTtl: Math.max(MIN_KV_TTL_SECONDS, windowSeconds * 2)
+	});
+	return { allowed: true, limit, remaining: Math.max(0, Math.floor(limit - count - 1)), retryAfter: 0 };
+}
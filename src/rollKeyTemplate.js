@@ -93,7 +93,8 @@ export default async function generateRollKeyHTML() {
                         },
                         body: JSON.stringify({
                             gistUrl: form.gist_url.value,
-                            verificationToken: verificationToken
+                            verificationToken: verificationToken,
+                            revokeNow: form.revoke_now.checked
                         })
                     });
                     
@@ -206,6 +207,13 @@ BUCKET_URL=https://assets.pluginpublisher.com\`;
                                         placeholder="https://gist.github.com/yourusername/..."
                                     >
                                 </div>
+
+                                <div class="flex items-start gap-2">
+                                    <input type="checkbox" id="revoke_now" name="revoke_now" class="mt-1">
+                                    <label for="revoke_now" class="text-sm">
+                                        My old key may be compromised. Stop it working now instead of after the grace period.
+                                    </label>
+                                </div>
                                 
                                 <button
                                     type="submit"
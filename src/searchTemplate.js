@@ -1,34 +1,57 @@
 import { createSearchBar } from './searchBar';
 import { createHeaderSearchBar } from './headerSearchBar';
 import { createSecureHtmlService } from './secureHtmlService';
+import { responsiveImageAttributes } from './imageVariants';
+import { formatSearchParams } from './worldSearch';
 
-export default async function generateSearchHTML(results, query = '', tags = [], offset = 0, limit = 20, env, request) {
+const SORT_LABELS = {
+    relevance: 'Best match',
+    newest: 'Newest',
+    updated: 'Recently updated',
+    visits: 'Most visited',
+    active: 'Most active now'
+};
+
+export default async function generateSearchHTML(search, options, env) {
     const secureHtmlService = createSecureHtmlService();
+    const { items: results = [], nextCursor = null, facets = { tags: [], content_rating: [] } } = search;
+    const { query, tags, ratings } = options;
+
+    // Links keep every filter, changing a filter goes back to the first page
+    const searchUrl = (overrides = {}) => `/directory/search?${secureHtmlService.sanitizeText(formatSearchParams(options, overrides))}`;
+
+    // Selected ratings stay visible even when nothing else matches them
+    const ratingFacet = [
+        ...facets.content_rating,
+        ...ratings
+            .filter(rating => !facets.content_rating.some(facet => facet.value === rating))
+            .map(rating => ({ value: rating, count: 0 }))
+    ];
+    const tagFacet = facets.tags.filter(facet => !tags.includes(facet.value));
+
     const safeResults = results.map(world => ({
         ...world,
         preview_image: world.preview_image || '/images/default-preview.jpg',
         visit_count: world.visit_count || 0,
         active_users: world.active_users || 0
     }));
-    
-    const totalResults = results.length;
-    const hasMore = totalResults === limit;
-    const currentPage = Math.floor(offset / limit) + 1;
 
+
+    // Cursors only lead forward, so later pages link back to the first
     const paginationSection = `
         <div class="mt-8 flex justify-between items-center">
             <div class="text-gray-400">
-                Showing ${offset + 1}-${offset + safeResults.length} results
+                Showing ${safeResults.length} results
             </div>
             <div class="flex gap-2">
-                ${offset > 0 ? `
-                    <a href="/directory/search?q=${encodeURIComponent(query)}&offset=${offset - limit}&limit=${limit}${tags.map(tag => `&tag=${encodeURIComponent(tag)}`).join('')}"
+                ${options.cursor ? `
+                    <a href="${searchUrl()}"
                        class="px-4 py-2 bg-gray-800 rounded-lg hover:bg-gray-700">
-                        Previous
+                        First page
                     </a>
                 ` : ''}
-                ${hasMore ? `
-                    <a href="/directory/search?q=${encodeURIComponent(query)}&offset=${offset + limit}&limit=${limit}${tags.map(tag => `&tag=${encodeURIComponent(tag)}`).join('')}"
+                ${nextCursor ? `
+                    <a href="${searchUrl({ cursor: nextCursor })}"
                        class="px-4 py-2 bg-gray-800 rounded-lg hover:bg-gray-700">
                         Next
                     </a>
@@ -41,7 +64,7 @@ export default async function generateSearchHTML(results, query = '', tags = [],
         <!DOCTYPE html>
         <html lang="en">
         <head>
-            <title>Search Results ${query ? `for "${query}"` : ''} - World Directory</title>
+            <title>Search Results ${query ? `for "${secureHtmlService.sanitizeText(query)}"` : ''} - World Directory</title>
             <link 
                 href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" 
                 rel="stylesheet"
@@ -57,11 +80,12 @@ export default async function generateSearchHTML(results, query = '', tags = [],
                 .hero-card-container { background: linear-gradient(to top left, #8e34d7c4, #30d3669b); }
                 .worlds-list-container { background: linear-gradient(to bottom right, #131313e8, #181818b5); }
                 .preview-image { height: 200px; object-fit: cover; width: 100%; }
+                mark { background-color: #8e34d7; color: white; border-radius: 2px; padding: 0 2px; }
             </style>
         </head>
         <body>
             <div class="min-h-screen bg-[#191919] text-white">
-                ${createHeaderSearchBar()}
+                ${createHeaderSearchBar(query, tags)}
                 
                 <!-- Hero section with search -->
                 <div class="bg-gradient-to-r from-purple-500 to-blue-500 py-16">
@@ -72,28 +96,66 @@ export default async function generateSearchHTML(results, query = '', tags = [],
                                 : 'Explore Virtual Worlds'}
                         </h1>
                         <div class="max-w-3xl mx-auto">
-                            <form action="/directory/search" method="GET" class="flex gap-2">
-                                <input 
-                                    type="text" 
-                                    name="q" 
-                                    value="${query}"
-                                    placeholder="Search worlds..." 
-                                    class="flex-1 px-6 py-3 rounded-lg bg-white bg-opacity-20 text-white placeholder-gray-300 focus:outline-none focus:ring-2 focus:ring-white"
-                                >
-                                <button 
-                                    type="submit"
-                                    class="block text-center bg-purple-600 hover:bg-purple-700 text-white font-medium rounded-lg px-5 py-2.5"
-                                >
-                                    Search
-                                </button>
+                            <form action="/directory/search" method="GET">
+                                <div class="flex gap-2">
+                                    <input 
+                                        type="text" 
+                                        name="q" 
+                                        value="${secureHtmlService.sanitizeText(query)}"
+                                        placeholder="Search worlds..." 
+                                        class="flex-1 px-6 py-3 rounded-lg bg-white bg-opacity-20 text-white placeholder-gray-300 focus:outline-none focus:ring-2 focus:ring-white"
+                                    >
+                                    <button 
+                                        type="submit"
+                                        class="block text-center bg-purple-600 hover:bg-purple-700 text-white font-medium rounded-lg px-5 py-2.5"
+                                    >
+                                        Search
+                                    </button>
+                                </div>
+                                ${tags.map(tag => `<input type="hidden" name="tag" value="${secureHtmlService.sanitizeText(tag)}">`).join('')}
+                                
+                                <!-- Filters and sort -->
+                                <div class="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm">
+                                    <select name="sort" class="px-3 py-2 rounded-lg bg-gray-800 text-white border border-gray-700">
+                                        ${Object.entries(SORT_LABELS)
+                                            .filter(([sort]) => sort !== 'relevance' || query)
+                                            .map(([sort, label]) => `<option value="${sort}" ${options.sort === sort ? 'selected' : ''}>${label}</option>`)
+                                            .join('')}
+                                    </select>
+                                    ${ratingFacet.map(facet => `
+                                        <label class="flex items-center gap-1">
+                                            <input type="checkbox" name="rating" value="${secureHtmlService.sanitizeText(facet.value)}" ${ratings.includes(facet.value) ? 'checked' : ''}>
+                                            ${secureHtmlService.sanitizeText(facet.value)} (${facet.count})
+                                        </label>
+                                    `).join('')}
+                                    <label class="flex items-center gap-1">
+                                        <input type="checkbox" name="active" value="1" ${options.activeOnly ? 'checked' : ''}>
+                                        Active now
+                                    </label>
+                                    <label class="flex items-center gap-1">
+                                        Capacity
+                                        <input type="number" name="min_capacity" min="0" placeholder="min" value="${options.minCapacity ?? ''}" class="w-20 px-2 py-1 rounded bg-gray-800 border border-gray-700">
+                                        -
+                                        <input type="number" name="max_capacity" min="0" placeholder="max" value="${options.maxCapacity ?? ''}" class="w-20 px-2 py-1 rounded bg-gray-800 border border-gray-700">
+                                    </label>
+                                    <label class="flex items-center gap-1">
+                                        Created after
+                                        <input type="date" name="created_after" value="${options.createdAfter ? options.createdAfter.slice(0, 10) : ''}" class="px-2 py-1 rounded bg-gray-800 border border-gray-700">
+                                    </label>
+                                </div>
                             </form>
                         </div>
-                        ${tags.length > 0 ? `
+                        ${tags.length > 0 || tagFacet.length > 0 ? `
                             <div class="mt-4 flex flex-wrap justify-center gap-2">
                                 ${tags.map(tag => `
-                                    <span class="px-3 py-1 bg-purple-600 rounded-full text-sm">
-                                        #${secureHtmlService.sanitizeText(tag)}
-                                    </span>
+                                    <a href="${searchUrl({ tags: tags.filter(selected => selected !== tag) })}" class="px-3 py-1 bg-purple-600 rounded-full text-sm" title="Remove tag">
+                                        #${secureHtmlService.sanitizeText(tag)} &times;
+                                    </a>
+                                `).join('')}
+                                ${tagFacet.map(facet => `
+                                    <a href="${searchUrl({ tags: [...tags, facet.value] })}" class="px-3 py-1 bg-white bg-opacity-20 hover:bg-opacity-30 rounded-full text-sm">
+                                        #${secureHtmlService.sanitizeText(facet.value)} (${facet.count})
+                                    </a>
                                 `).join('')}
                             </div>
                         ` : ''}
@@ -108,19 +170,19 @@ export default async function generateSearchHTML(results, query = '', tags = [],
                                 <div class="bg-gradient-to-br asset-card-container-home rounded-xl shadow-2xl transform flex flex-col overflow-hidden">
                                     <!-- Preview image -->
                                     <div class="w-full h-48 relative">
-                                        <img src="${world.preview_image}" 
-                                             alt="${world.name}" 
+                                        <img ${responsiveImageAttributes(world.preview_image, '/images/default-preview.jpg', '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw')} 
+                                             alt="${secureHtmlService.sanitizeText(world.name)}" 
                                              class="w-full h-full object-cover"
-                                             onerror="this.src='/images/default-preview.jpg'">
+                                             onerror="this.removeAttribute('srcset'); this.src='/images/default-preview.jpg'">
                                         <div class="absolute bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-black to-transparent">
-                                            <h3 class="text-xl font-bold">${world.name}</h3>
+                                            <h3 class="text-xl font-bold">${world.highlights?.name ? secureHtmlService.sanitizeHighlight(world.highlights.name) : secureHtmlService.sanitizeText(world.name)}</h3>
                                             <p class="text-sm text-gray-300">by ${world.author}</p>
                                         </div>
                                     </div>
                                     
                                     <!-- Content section -->
                                     <div class="p-6 flex flex-col flex-grow">
-                                        <p class="text-gray-200 mb-4 flex-grow">${world.short_description}</p>
+                                        <p class="text-gray-200 mb-4 flex-grow">${world.highlights?.description ? secureHtmlService.sanitizeHighlight(world.highlights.description) : secureHtmlService.sanitizeText(world.short_description)}</p>
                                         
                                         <div class="mt-auto">
                                             <div class="flex justify-between items-center mb-4">
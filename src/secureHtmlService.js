@@ -1,3 +1,15 @@
+import { getImageUrl } from './imageVariants';
+import { HIGHLIGHT_START, HIGHLIGHT_END } from './worldSearch';
+
+// Hosts pages may load scripts from. Used both when rendering our templates and when validating uploaded worlds.
+export const ALLOWED_SCRIPT_HOSTS = [
+	'cdn.jsdelivr.net',
+	'playground.wordpress.net',
+	'playground.xr.foundation',
+	'builds.sxp.digital',
+	'unpkg.com'
+];
+
 class SecureHtmlService {
 	generateNonce() {
 		const array = new Uint8Array(16);
@@ -42,6 +54,13 @@ class SecureHtmlService {
 			.replace(/'/g, '&#x27;');
 	}
 
+	// Escapes a search snippet, then turns its highlight markers into <mark> tags
+	sanitizeHighlight(text) {
+		return this.sanitizeText(text)
+			.split(HIGHLIGHT_START).join('<mark>')
+			.split(HIGHLIGHT_END).join('</mark>');
+	}
+
 	sanitizeUrl(url) {
 		if (!url) return '';
 		try {
@@ -52,6 +71,16 @@ class SecureHtmlService {
 		}
 	}
 
+	isAllowedScriptSrc(src) {
+		try {
+			// Relative sources resolve to localhost, which is never on the list
+			const { protocol, hostname } = new URL(src, 'https://localhost/');
+			return protocol === 'https:' && ALLOWED_SCRIPT_HOSTS.includes(hostname);
+		} catch {
+			return false;
+		}
+	}
+
 	createMetaTransformer(nonce) {
 		return {
 			element: (element) => {
@@ -70,13 +99,7 @@ class SecureHtmlService {
 			element: (element) => {
 				if (element.tagName === 'script') {
 					const src = element.getAttribute('src');
-					if (src && (
-						src.includes('cdn.jsdelivr.net') ||
-						src.includes('playground.wordpress.net') ||
-						src.includes('playground.xr.foundation') ||
-						src.includes('builds.sxp.digital') ||
-						src.includes('unpkg.com')
-					)) {
+					if (src && this.isAllowedScriptSrc(src)) {
 						element.setAttribute('nonce', nonce);
 						return;
 					}
@@ -194,6 +217,8 @@ class SecureHtmlService {
 				voice: { model: '' }
 			},
 			vrmUrl: this.sanitizeUrl(character.vrmUrl),
+			profileImg: this.sanitizeUrl(getImageUrl(character.profileImg)),
+			bannerImg: this.sanitizeUrl(getImageUrl(character.bannerImg)),
 			created_at: this.sanitizeText(character.created_at),
 			updated_at: this.sanitizeText(character.updated_at),
 			authorData: character.authorData ? this.sanitizeAuthorData(character.authorData) : null
@@ -240,7 +265,7 @@ class SecureHtmlService {
 			username: this.sanitizeText(author.username),
 			bio: this.sanitizeText(author.bio),
 			website: this.sanitizeUrl(author.website),
-			avatar_url: this.sanitizeUrl(author.avatar_url || '/images/default-avatar.jpg'),
+			avatar_url: this.sanitizeUrl(getImageUrl(author.avatar_url) || '/images/default-avatar.jpg'),
 			twitter: this.sanitizeText(author.twitter),
 			github: this.sanitizeText(author.github),
 			plugins: Array.isArray(author.plugins) ?
@@ -364,7 +389,7 @@ class SecureHtmlService {
 			short_description: this.sanitizeText(world.short_description),
 			long_description: this.sanitizeText(world.long_description),
 			version: this.sanitizeText(world.version),
-			preview_image: this.sanitizeUrl(world.preview_image || '/images/default-preview.jpg'),
+			preview_image: this.sanitizeUrl(getImageUrl(world.preview_image) || '/images/default-preview.jpg'),
 			html_url: this.sanitizeUrl(world.html_url),
 			entry_point: this.sanitizeText(world.entry_point || '0,0,0'),
 			visibility: this.sanitizeText(world.visibility || 'public'),
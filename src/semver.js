@@ -0,0 +1,77 @@
+// Semantic version parsing and ordering for world publishes.
+// Missing minor/patch parts are treated as 0 so legacy versions like "1.2" still compare.
+const SEMVER_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parses a version string
+ * @param {string} version - Version such as "1.4.0" or "2.0.0-beta.1"
+ * @returns {{ major: number, minor: number, patch: number, prerelease: Array<string|number> }|null}
+ */
+export function parseVersion(version) {
+	if (typeof version !== 'string') return null;
+
+	const match = version.trim().match(SEMVER_PATTERN);
+	if (!match) return null;
+
+	return {
+		major: Number(match[1]),
+		minor: Number(match[2] || 0),
+		patch: Number(match[3] || 0),
+		prerelease: match[4] ?
+			match[4].split('.').map(identifier => /^\d+$/.test(identifier) ? Number(identifier) : identifier) :
+			[]
+	};
+}
+
+/**
+ * Checks whether a string is a usable version
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isValidVersion(version) {
+	return parseVersion(version) !== null;
+}
+
+/**
+ * Compares two versions following semver precedence rules
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 if a is newer, -1 if b is newer, 0 if they are equal
+ */
+export function compareVersions(a, b) {
+	const left = parseVersion(a);
+	const right = parseVersion(b);
+
+	if (!left || !right) {
+		throw new Error(`Invalid version: ${!left ? a : b}`);
+	}
+
+	for (const part of ['major', 'minor', 'patch']) {
+		if (left[part] !== right[part]) {
+			return left[part] > right[part] ? 1 : -1;
+		}
+	}
+
+	// A release is newer than any of its prereleases
+	if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+		return left.prerelease.length === right.prerelease.length ? 0 :
+			left.prerelease.length === 0 ? 1 : -1;
+	}
+
+	for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+		const l = left.prerelease[i];
+		const r = right.prerelease[i];
+
+		if (l === undefined) return -1;
+		if (r === undefined) return 1;
+		if (l === r) continue;
+
+		// Numeric identifiers sort before alphanumeric ones
+		if (typeof l === 'number' && typeof r === 'number') return l > r ? 1 : -1;
+		if (typeof l === 'number') return -1;
+		if (typeof r === 'number') return 1;
+		return l > r ? 1 : -1;
+	}
+
+	return 0;
+}
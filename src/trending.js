@@ -0,0 +1,80 @@
+// Trending and similar worlds for the homepage and world pages. Visits and active user gains are
+// counted per hour in the registry's world_activity table, and visitors who open several worlds
+// within a day link those worlds in world_covisits.
+export const ACTIVITY_BUCKET_SECONDS = 3600;
+
+// Activity older than the window no longer counts, and is pruned by the scheduled handler
+export const TRENDING_WINDOW_HOURS = 7 * 24;
+
+// An hour of activity counts half as much a day later
+export const TRENDING_HALF_LIFE_HOURS = 24;
+
+// Someone joining a world says more about it than a page view
+export const ACTIVE_USER_WEIGHT = 5;
+
+// Worlds one visitor opens within this window count as visited together
+export const COVISIT_WINDOW_HOURS = 24;
+
+// Co-visits past this count add less and less to similarity
+const COVISIT_SATURATION = 10;
+const SIMILAR_TAG_WEIGHT = 0.4;
+const SIMILAR_COVISIT_WEIGHT = 0.6;
+
+// Worlds listed in each feed section
+export const FEED_SIZE = 12;
+
+/**
+ * Start of the activity bucket a time falls in
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {number} Seconds since the epoch
+ */
+export function activityBucket(time = Date.now()) {
+	const seconds = Math.floor(time / 1000);
+	return seconds - (seconds % ACTIVITY_BUCKET_SECONDS);
+}
+
+/**
+ * Sums a world's recent activity, with each bucket halving in weight every TRENDING_HALF_LIFE_HOURS
+ * @param {Array<{ bucket: number, visits: number, active_gain: number }>} buckets
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function trendingScore(buckets, now = Date.now()) {
+	const current = activityBucket(now);
+	return buckets.reduce((score, { bucket, visits, active_gain }) => {
+		const ageHours = Math.max(0, current - bucket) / 3600;
+		const decay = Math.pow(0.5, ageHours / TRENDING_HALF_LIFE_HOURS);
+		return score + (visits + ACTIVE_USER_WEIGHT * active_gain) * decay;
+	}, 0);
+}
+
+/**
+ * Scores how alike two worlds are from 0 to 1, by tag overlap and how often they are visited together
+ * @param {Object} counts
+ * @param {number} counts.sharedTags - Tags both worlds have
+ * @param {number} counts.tagCount - Tags on the world being viewed
+ * @param {number} counts.otherTagCount - Tags on the candidate
+ * @param {number} counts.covisits - Visitors who opened both worlds
+ * @returns {number}
+ */
+export function similarityScore({ sharedTags, tagCount, otherTagCount, covisits }) {
+	const tagOverlap = sharedTags > 0 ? sharedTags / Math.sqrt(tagCount * otherTagCount) : 0;
+	const covisitation = covisits / (covisits + COVISIT_SATURATION);
+	return SIMILAR_TAG_WEIGHT * tagOverlap + SIMILAR_COVISIT_WEIGHT * covisitation;
+}
+
+/**
+ * Identifies a visitor for co-visitation without storing who they are. The key is a hash of the
+ * address and user agent that changes every day, so visits can't be linked across days.
+ * @param {Request} request
+ * @returns {Promise<string|null>} null when the request has no client address
+ */
+export async function getVisitorKey(request) {
+	const address = request.headers.get('CF-Connecting-IP');
+	if (!address) return null;
+
+	const day = new Date().toISOString().slice(0, 10);
+	const data = new TextEncoder().encode(`${address}|${request.headers.get('User-Agent') || ''}|${day}`);
+	const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+	return [...digest.slice(0, 16)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
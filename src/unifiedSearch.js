@@ -0,0 +1,149 @@
+import { buildMatchQuery } from './worldSearch';
+import { encodeCursor, parsePageParams } from './pagination';
+
+// Result types, in the order they are listed when scores tie
+export const SEARCH_TYPES = ['world', 'character', 'author'];
+
+// Results are merged from the top of each type, so deep pages cost more than they return
+const MAX_UNIFIED_RESULTS = 200;
+
+function getRegistry(binding) {
+	const id = binding.idFromName("global");
+	return binding.get(id);
+}
+
+async function postJson(stub, route, body) {
+	const response = await stub.fetch(new Request(`http://internal/${route}`, {
+		method: 'POST',
+		body: JSON.stringify(body)
+	}));
+	if (!response.ok) {
+		throw new Error(`${route} failed: ${response.status}`);
+	}
+	return response.json();
+}
+
+// Keeps the top few results of each type from drowning out the rest when ranks are merged
+const RANK_OFFSET = 60;
+
+/**
+ * Scores a result by its rank within its own type, so results from separate indexes can be sorted
+ * together. bm25 values depend on each index's size and text lengths and can't be compared across
+ * indexes, but ranks can, and a result keeps the same score however deep the page is.
+ * @param {number} rank - 0-based position in its type's results, best first
+ * @returns {number}
+ */
+function rankScore(rank) {
+	return 1 / (RANK_OFFSET + rank + 1);
+}
+
+/**
+ * Reads unified search options from a query string
+ * @param {URLSearchParams} searchParams
+ * @returns {{ query: string, types: Array<string>, limit: number, offset: number }}
+ * @throws {Error} If the cursor is invalid
+ */
+export function parseUnifiedSearchParams(searchParams) {
+	const types = searchParams.getAll('type').filter(type => SEARCH_TYPES.includes(type));
+	const { limit, cursor } = parsePageParams(searchParams);
+
+	// Merged lists have no single sort key, so the cursor holds a position in the list
+	const offset = Number.isInteger(cursor?.offset) && cursor.offset > 0 ? cursor.offset : 0;
+
+	return {
+		query: searchParams.get('q') || '',
+		types: types.length > 0 ? types : SEARCH_TYPES,
+		limit: Math.min(limit, 50),
+		offset
+	};
+}
+
+/**
+ * Searches worlds, public characters and author profiles, and merges them into one ranked list
+ * @param {Object} options - Options as returned by parseUnifiedSearchParams
+ * @param {Object} env - Environment containing the registry bindings
+ * @returns {Promise<{ items: Array<Object>, nextCursor: string|null }>} Results carry raw highlight markers
+ */
+export async function searchAll({ query, types, limit, offset }, env) {
+	if (!buildMatchQuery(query) || offset >= MAX_UNIFIED_RESULTS) {
+		return { items: [], nextCursor: null };
+	}
+
+	// Every type has to supply its best results up to the end of the page
+	const depth = Math.min(offset + limit, MAX_UNIFIED_RESULTS);
+	const sources = {
+		world: async () => {
+			const { items } = await postJson(getRegistry(env.WORLD_REGISTRY), 'search', {
+				query,
+				sort: 'relevance',
+				limit: depth,
+				withFacets: false
+			});
+			return items.map(world => ({
+				type: 'world',
+				score: world.score,
+				title: world.name,
+				description: world.short_description,
+				highlights: world.highlights,
+				url: `/directory/${world.author}/${world.slug}`,
+				image: world.preview_image,
+				author: world.author,
+				slug: world.slug,
+				visit_count: world.visit_count,
+				active_users: world.active_users
+			}));
+		},
+		character: async () => {
+			const characters = await postJson(getRegistry(env.CHARACTER_REGISTRY), 'search-characters', { query, limit: depth });
+			return characters.map(character => ({
+				type: 'character',
+				score: character.score,
+				title: character.name,
+				description: character.bio,
+				highlights: character.highlights,
+				url: `/characters/${character.author}/${character.slug}`,
+				image: character.profile_img,
+				author: character.author,
+				slug: character.slug
+			}));
+		},
+		author: async () => {
+			const authors = await postJson(getRegistry(env.WORLD_REGISTRY), 'search-authors', { query, limit: depth });
+			return authors.map(author => ({
+				type: 'author',
+				score: author.score,
+				title: author.username,
+				description: author.bio,
+				highlights: author.highlights,
+				url: `/author/${author.username}`,
+				image: author.avatar_url,
+				author: author.username,
+				world_count: author.world_count
+			}));
+		}
+	};
+
+	// One type failing leaves the others in the results
+	const settled = await Promise.allSettled(types.map(type => sources[type]()));
+	const merged = [];
+	let hasMore = false;
+	settled.forEach((result, index) => {
+		if (result.status === 'rejected') {
+			console.error(`Search of ${types[index]}s failed:`, result.reason);
+			return;
+		}
+		if (result.value.length >= depth && depth < MAX_UNIFIED_RESULTS) {
+			hasMore = true;
+		}
+		merged.push(...result.value.map((item, rank) => ({ ...item, score: rankScore(rank) })));
+	});
+
+	merged.sort((a, b) =>
+		b.score - a.score || SEARCH_TYPES.indexOf(a.type) - SEARCH_TYPES.indexOf(b.type)
+	);
+
+	return {
+		items: merged.slice(offset, offset + limit),
+		nextCursor: hasMore || merged.length > offset + limit ? encodeCursor({ offset: offset + limit }) : null
+	};
+}
@@ -0,0 +1,148 @@
+import { createHeaderSearchBar } from './headerSearchBar';
+import { createSecureHtmlService } from './secureHtmlService';
+import { getImageUrl } from './imageVariants';
+import { SEARCH_TYPES } from './unifiedSearch';
+import { encodeCursor } from './pagination';
+
+const TYPE_LABELS = {
+    world: 'Worlds',
+    character: 'Characters',
+    author: 'Authors'
+};
+
+const TYPE_BADGES = {
+    world: 'bg-purple-600',
+    character: 'bg-blue-600',
+    author: 'bg-green-600'
+};
+
+export default async function generateUnifiedSearchHTML(search, options, env) {
+    const secureHtmlService = createSecureHtmlService();
+    const { items: results = [], nextCursor = null } = search;
+    const { query, types, limit, offset } = options;
+    const allTypes = types.length === SEARCH_TYPES.length;
+
+    const searchUrl = ({ types: linkTypes = types, cursor = null } = {}) => {
+        const params = new URLSearchParams({ q: query });
+        if (linkTypes.length !== SEARCH_TYPES.length) {
+            linkTypes.forEach(type => params.append('type', type));
+        }
+        params.set('limit', limit);
+        if (cursor) params.set('cursor', cursor);
+        return `/directory/search/all?${secureHtmlService.sanitizeText(params.toString())}`;
+    };
+
+    const tabs = [
+        { label: 'All', types: SEARCH_TYPES, active: allTypes },
+        ...SEARCH_TYPES.map(type => ({
+            label: TYPE_LABELS[type],
+            types: [type],
+            active: types.length === 1 && types[0] === type
+        }))
+    ];
+
+    const paginationSection = `
+        <div class="mt-8 flex justify-between items-center">
+            <div class="text-gray-400">
+                ${results.length > 0 ? `Showing ${offset + 1}-${offset + results.length} results` : ''}
+            </div>
+            <div class="flex gap-2">
+                ${offset > 0 ? `
+                    <a href="${searchUrl({ cursor: offset > limit ? encodeCursor({ offset: offset - limit }) : null })}"
+                       class="px-4 py-2 bg-gray-800 rounded-lg hover:bg-gray-700">
+                        Previous
+                    </a>
+                ` : ''}
+                ${nextCursor ? `
+                    <a href="${searchUrl({ cursor: nextCursor })}"
+                       class="px-4 py-2 bg-gray-800 rounded-lg hover:bg-gray-700">
+                        Next
+                    </a>
+                ` : ''}
+            </div>
+        </div>
+    `;
+
+    const html = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <title>Search ${query ? `for "${secureHtmlService.sanitizeText(query)}"` : ''} - XR Publisher</title>
+            <link
+                href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css"
+                rel="stylesheet"
+                crossorigin="anonymous"
+            >
+            <style>
+                body { background-color: #191919; color: white; }
+                .asset-card-container-home { background: linear-gradient(to bottom right, #212020c9, #2c2c2cb5); }
+                .worlds-list-container { background: linear-gradient(to bottom right, #131313e8, #181818b5); }
+                mark { background-color: #8e34d7; color: white; border-radius: 2px; padding: 0 2px; }
+            </style>
+        </head>
+        <body>
+            <div class="min-h-screen bg-[#191919] text-white">
+                ${createHeaderSearchBar(query)}
+
+                <div class="container mx-auto px-4 py-8">
+                    <h1 class="text-3xl font-bold mb-6">
+                        ${query ? `Results for "${secureHtmlService.sanitizeText(query)}"` : 'Search worlds, characters and authors'}
+                    </h1>
+
+                    <!-- Type filter -->
+                    <div class="flex flex-wrap gap-2 mb-6">
+                        ${tabs.map(tab => `
+                            <a href="${searchUrl({ types: tab.types })}"
+                               class="px-4 py-2 rounded-lg text-sm ${tab.active ? 'bg-purple-600' : 'bg-gray-800 hover:bg-gray-700'}">
+                                ${tab.label}
+                            </a>
+                        `).join('')}
+                        ${types.length === 1 && types[0] === 'world' ? `
+                            <a href="/directory/search?q=${secureHtmlService.sanitizeText(encodeURIComponent(query))}"
+                               class="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white">
+                                More world filters
+                            </a>
+                        ` : ''}
+                    </div>
+
+                    <div class="worlds-list-container rounded-3xl shadow-3xl p-8">
+                        <div class="flex flex-col gap-4">
+                            ${results.length > 0 ? results.map(result => `
+                                <a href="${secureHtmlService.sanitizeText(result.url)}" class="asset-card-container-home rounded-xl flex items-center gap-4 p-4 hover:bg-gray-800">
+                                    ${result.image ? `
+                                        <img src="${secureHtmlService.sanitizeText(getImageUrl(result.image, 'card'))}"
+                                             alt="${secureHtmlService.sanitizeText(result.title)}"
+                                             class="w-20 h-20 object-cover ${result.type === 'world' ? 'rounded-lg' : 'rounded-full'}">
+                                    ` : `
+                                        <div class="w-20 h-20 bg-gray-700 ${result.type === 'world' ? 'rounded-lg' : 'rounded-full'}"></div>
+                                    `}
+                                    <div class="flex-1 min-w-0">
+                                        <div class="flex items-center gap-2">
+                                            <span class="px-2 py-0.5 rounded text-xs ${TYPE_BADGES[result.type]}">${TYPE_LABELS[result.type].slice(0, -1)}</span>
+                                            <h3 class="text-lg font-bold truncate">${result.highlights?.name ? secureHtmlService.sanitizeHighlight(result.highlights.name) : secureHtmlService.sanitizeText(result.title)}</h3>
+                                        </div>
+                                        ${result.type !== 'author' ? `
+                                            <p class="text-sm text-gray-400">by ${secureHtmlService.sanitizeText(result.author)}</p>
+                                        ` : `
+                                            <p class="text-sm text-gray-400">${result.world_count} ${result.world_count === 1 ? 'world' : 'worlds'}</p>
+                                        `}
+                                        <p class="text-gray-200 mt-1">${result.highlights?.description ? secureHtmlService.sanitizeHighlight(result.highlights.description) : secureHtmlService.sanitizeText(result.description)}</p>
+                                    </div>
+                                </a>
+                            `).join('') : `
+                                <div class="text-center py-16">
+                                    <h3 class="text-2xl font-bold text-gray-400">Nothing found</h3>
+                                    <p class="text-gray-500 mt-2">Try adjusting your search terms</p>
+                                </div>
+                            `}
+                        </div>
+                        ${paginationSection}
+                    </div>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+    return secureHtmlService.transformHTML(html);
+}
@@ -1,3 +1,16 @@
+import { API_SCOPES, MAX_KEY_NAME_LENGTH, normalizeScopes } from './apiScopes';
+
+// Last use is written at most this often per key, so busy keys don't write on every request
+const KEY_USAGE_RESOLUTION = '-1 minute';
+
+// A rotated primary key keeps working this long unless KEY_ROTATION_GRACE_HOURS says otherwise
+const DEFAULT_KEY_ROTATION_GRACE_HOURS = 24;
+
+// SQLite timestamps are UTC without a zone
+function toIsoTime(timestamp) {
+	return timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`).toISOString() : null;
+}
+
 export class UserAuthDO {
 	constructor(state, env) {
 		this.state = state;
@@ -38,7 +51,61 @@ export class UserAuthDO {
 					used BOOLEAN DEFAULT 0,
 					FOREIGN KEY(username) REFERENCES users(username)
 				);
+
+				-- Team namespaces share the username namespace, so a team name is never a username
+				CREATE TABLE IF NOT EXISTS teams (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					name TEXT NOT NULL UNIQUE,
+					display_name TEXT,
+					created_by TEXT NOT NULL,
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+				);
+
+				CREATE TABLE IF NOT EXISTS team_members (
+					team_name TEXT NOT NULL,
+					username TEXT NOT NULL,
+					role TEXT NOT NULL CHECK(role IN ('owner', 'publisher', 'viewer')),
+					added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					FOREIGN KEY(team_name) REFERENCES teams(name),
+					FOREIGN KEY(username) REFERENCES users(username),
+					PRIMARY KEY(team_name, username)
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_team_members_username
+				ON team_members(username);
+
+				-- Named keys a user made beside their primary key, each limited to its scopes
+				CREATE TABLE IF NOT EXISTS api_keys (
+					id INTEGER PRIMARY KEY AUTOINCREMENT,
+					username TEXT NOT NULL,
+					name TEXT NOT NULL,
+					key_id TEXT NOT NULL UNIQUE,
+					key_hash TEXT NOT NULL,
+					scopes TEXT NOT NULL,
+					expires_at TIMESTAMP,
+					last_used_at TIMESTAMP,
+					created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+					FOREIGN KEY(username) REFERENCES users(username)
+				);
+
+				CREATE INDEX IF NOT EXISTS idx_api_keys_username
+				ON api_keys(username);
 			`);
+
+			// Primary keys track their last use like named keys, and a rotated primary key is kept
+			// beside the new one until its grace period ends
+			const columns = this.sql.exec(`PRAGMA table_info(users)`).toArray().map(col => col.name);
+			for (const [name, definition] of [
+				['key_last_used_at', 'TIMESTAMP'],
+				['previous_key_id', 'TEXT'],
+				['previous_key_hash', 'TEXT'],
+				['previous_key_expires_at', 'TIMESTAMP'],
+				['previous_key_last_used_at', 'TIMESTAMP']
+			]) {
+				if (!columns.includes(name)) {
+					this.sql.exec(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+				}
+			}
 		} catch (error) {
 			console.error("Error initializing user auth schema:", error);
 			throw error;
@@ -94,7 +161,12 @@ export class UserAuthDO {
 				[username]
 			).toArray();
 	
-			if (existingUser.length > 0) {
+			const existingTeam = await this.sql.exec(
+				"SELECT 1 FROM teams WHERE name = ?",
+				username
+			).toArray();
+	
+			if (existingUser.length > 0 || existingTeam.length > 0) {
 				throw new Error('Username already taken');
 			}
 	
@@ -184,6 +256,11 @@ export class UserAuthDO {
 
 				updateFields.push('last_key_rotation = CURRENT_TIMESTAMP');
 
+				// Admins replace keys when they can't be trusted, so the old key stops at once
+				updateFields.push('previous_key_id = NULL');
+				updateFields.push('previous_key_hash = NULL');
+				updateFields.push('previous_key_expires_at = NULL');
+
 				// Store the new API key to return to admin
 				updates.newApiKey = `${updates.newUsername || username}.${newKeyId}`;
 			}
@@ -201,13 +278,24 @@ export class UserAuthDO {
 
 			await this.sql.exec(query, ...updateValues, username);
 
+			// Keys start with the username, so named keys can't follow a rename and are revoked.
+			// They have to be created again under the new username.
+			let revokedKeys = 0;
+			if (updates.newUsername) {
+				revokedKeys = this.sql.exec(
+					"DELETE FROM api_keys WHERE username = ? RETURNING id",
+					username
+				).toArray().length;
+			}
+
 			return {
 				success: true,
 				message: 'User updated successfully',
 				username: updates.newUsername || username,
 				email: updates.email,
 				github_username: updates.github_username,
-				newApiKey: updates.newApiKey
+				newApiKey: updates.newApiKey,
+				revokedKeys
 			};
 		} catch (error) {
 			console.error("Admin update error:", error);
@@ -217,11 +305,19 @@ export class UserAuthDO {
 
 	async deleteUser(username) {
 		try {
-			// First delete any pending key roll verifications
+			// First delete any pending key roll verifications and team memberships
 			await this.sql.exec(
 				"DELETE FROM key_roll_verifications WHERE username = ?",
 				username
 			);
+			await this.sql.exec(
+				"DELETE FROM team_members WHERE username = ?",
+				username
+			);
+			await this.sql.exec(
+				"DELETE FROM api_keys WHERE username = ?",
+				username
+			);
 	
 			// Then delete the user
 			const result = await this.sql.exec(
@@ -240,50 +336,331 @@ export class UserAuthDO {
 		}
 	}	
 
-	// Verify API key
+	// Verify API key, either a user's primary key or one of their named keys.
+	// Expired named keys are not valid. Returns the key's scopes and notes its use.
 	async verifyApiKey(apiKey) {
 		try {
-			const [username, keyId] = apiKey.split('.');
+			const [username, keyId] = String(apiKey || '').split('.');
 			if (!username || !keyId) {
-				return false;
+				return { valid: false, username: null };
 			}
 
 			const expectedHash = await this.generateApiKey(keyId);
-			const user = await this.sql.exec(
+			const users = this.sql.exec(
 				"SELECT username FROM users WHERE username = ? AND key_id = ? AND key_hash = ?",
 				username, keyId, expectedHash
-			).one();
+			).toArray();
+
+			if (users.length > 0) {
+				this.sql.exec(`
+					UPDATE users SET key_last_used_at = CURRENT_TIMESTAMP
+					WHERE username = ? AND (key_last_used_at IS NULL OR key_last_used_at < datetime('now', ?))
+				`, username, KEY_USAGE_RESOLUTION);
+				return { valid: true, username, primary: true, scopes: Object.keys(API_SCOPES) };
+			}
+
+			// A rotated primary key within its grace period. It can't manage keys, so a leaked old key
+			// can't mint keys that would outlive the grace period.
+			const rotated = this.sql.exec(`
+				SELECT previous_key_expires_at FROM users
+				WHERE username = ? AND previous_key_id = ? AND previous_key_hash = ?
+				AND previous_key_expires_at > CURRENT_TIMESTAMP
+			`, username, keyId, expectedHash).toArray();
+
+			if (rotated.length > 0) {
+				this.sql.exec(`
+					UPDATE users SET previous_key_last_used_at = CURRENT_TIMESTAMP
+					WHERE username = ? AND (previous_key_last_used_at IS NULL OR previous_key_last_used_at < datetime('now', ?))
+				`, username, KEY_USAGE_RESOLUTION);
+				return {
+					valid: true,
+					username,
+					primary: true,
+					previous: true,
+					expiresAt: toIsoTime(rotated[0].previous_key_expires_at),
+					scopes: Object.keys(API_SCOPES).filter(scope => scope !== 'keys:manage')
+				};
+			}
+
+			const keys = this.sql.exec(`
+				SELECT id, name, scopes FROM api_keys
+				WHERE username = ? AND key_id = ? AND key_hash = ?
+				AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+			`, username, keyId, expectedHash).toArray();
 
-			return {valid: !!user, username: username};
+			if (keys.length === 0) {
+				return { valid: false, username };
+			}
+
+			this.sql.exec(`
+				UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+				WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))
+			`, keys[0].id, KEY_USAGE_RESOLUTION);
+			return {
+				valid: true,
+				username,
+				primary: false,
+				keyName: keys[0].name,
+				scopes: JSON.parse(keys[0].scopes)
+			};
 		} catch (error) {
 			console.error("Error verifying API key:", error);
-			return false;
+			return { valid: false, username: null };
+		}
+	}
+
+	// Create a named key holding some of the creator's scopes. expiresIn is in seconds, omitted keys never expire.
+	async createNamedKey(username, name, scopes, expiresIn, grantableScopes = Object.keys(API_SCOPES)) {
+		const keyName = String(name || '').trim();
+		if (!keyName || keyName.length > MAX_KEY_NAME_LENGTH) {
+			throw new Error(`name is required and can be at most ${MAX_KEY_NAME_LENGTH} characters`);
+		}
+
+		const keyScopes = normalizeScopes(scopes);
+		const ungranted = keyScopes.filter(scope => !grantableScopes.includes(scope));
+		if (ungranted.length > 0) {
+			throw new Error(`A key can't grant scopes it doesn't hold: ${ungranted.join(', ')}`);
+		}
+
+		let expiresModifier = null;
+		if (expiresIn !== undefined && expiresIn !== null) {
+			const ttl = Number(expiresIn);
+			if (!Number.isFinite(ttl) || ttl <= 0) {
+				throw new Error('expiresIn must be a positive number of seconds');
+			}
+			expiresModifier = `+${Math.floor(ttl)} seconds`;
+		}
+
+		const users = this.sql.exec("SELECT 1 FROM users WHERE username = ?", username).toArray();
+		if (users.length === 0) {
+			throw new Error('User not found');
+		}
+
+		const keyId = this.generateKeyId();
+		const keyHash = await this.generateApiKey(keyId);
+		const key = this.sql.exec(`
+			INSERT INTO api_keys (username, name, key_id, key_hash, scopes, expires_at)
+			VALUES (?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+			RETURNING id, name, scopes, expires_at, created_at
+		`, username, keyName, keyId, keyHash, JSON.stringify(keyScopes), expiresModifier, expiresModifier).one();
+
+		return {
+			...key,
+			scopes: keyScopes,
+			message: 'Store this API key securely - it cannot be recovered if lost',
+			apiKey: `${username}.${keyId}`
+		};
+	}
+
+	// A user's keys without their secrets, the primary key first
+	listKeys(username) {
+		const users = this.sql.exec(`
+			SELECT last_key_rotation, key_last_used_at,
+				CASE WHEN previous_key_expires_at > CURRENT_TIMESTAMP THEN previous_key_expires_at END as previous_key_expires_at,
+				previous_key_last_used_at
+			FROM users WHERE username = ?
+		`, username).toArray();
+		if (users.length === 0) return null;
+
+		const keys = this.sql.exec(`
+			SELECT id, name, scopes, expires_at, last_used_at, created_at,
+				(expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP) as expired
+			FROM api_keys
+			WHERE username = ?
+			ORDER BY created_at DESC, id DESC
+		`, username).toArray();
+
+		return {
+			primary: {
+				scopes: Object.keys(API_SCOPES),
+				last_key_rotation: users[0].last_key_rotation,
+				last_used_at: users[0].key_last_used_at,
+				// The key replaced by the last rotation, while it still works
+				previous: users[0].previous_key_expires_at ? {
+					expires_at: toIsoTime(users[0].previous_key_expires_at),
+					last_used_at: users[0].previous_key_last_used_at
+				} : null
+			},
+			keys: keys.map(key => ({
+				...key,
+				scopes: JSON.parse(key.scopes),
+				expired: Boolean(key.expired)
+			}))
+		};
+	}
+
+	revokeKey(username, id) {
+		const revoked = this.sql.exec(
+			"DELETE FROM api_keys WHERE username = ? AND id = ? RETURNING id",
+			username, id
+		).toArray();
+		return revoked.length > 0;
+	}
+
+	// Whether a user or team owns the namespace
+	namespaceExists(name) {
+		return this.sql.exec(`
+			SELECT 1 FROM users WHERE username = ?
+			UNION ALL
+			SELECT 1 FROM teams WHERE name = ?
+		`, name, name).toArray().length > 0;
+	}
+
+	// Create a team namespace owned by an existing user
+	async createTeam(name, owner, displayName) {
+		const taken = this.sql.exec(`
+			SELECT 1 FROM users WHERE username = ?
+			UNION ALL
+			SELECT 1 FROM teams WHERE name = ?
+		`, name, name).toArray();
+		if (taken.length > 0) {
+			throw new Error('Team name already taken');
 		}
+
+		await this.state.storage.transaction(async (txn) => {
+			this.sql.exec(
+				"INSERT INTO teams (name, display_name, created_by) VALUES (?, ?, ?)",
+				name, displayName || name, owner
+			);
+			this.sql.exec(
+				"INSERT INTO team_members (team_name, username, role) VALUES (?, ?, 'owner')",
+				name, owner
+			);
+		});
+
+		return { name, displayName: displayName || name, owner };
+	}
+
+	getTeam(name) {
+		const teams = this.sql.exec("SELECT * FROM teams WHERE name = ?", name).toArray();
+		if (teams.length === 0) return null;
+
+		const members = this.sql.exec(`
+			SELECT username, role, added_at
+			FROM team_members
+			WHERE team_name = ?
+			ORDER BY role, username
+		`, name).toArray();
+
+		return { ...teams[0], members };
+	}
+
+	getTeamRole(name, username) {
+		const rows = this.sql.exec(
+			"SELECT role FROM team_members WHERE team_name = ? AND username = ?",
+			name, username
+		).toArray();
+		return rows.length > 0 ? rows[0].role : null;
+	}
+
+	listUserTeams(username) {
+		return this.sql.exec(`
+			SELECT t.name, t.display_name, m.role
+			FROM team_members m
+			JOIN teams t ON t.name = m.team_name
+			WHERE m.username = ?
+			ORDER BY t.name
+		`, username).toArray();
+	}
+
+	countTeamOwners(name) {
+		return this.sql.exec(
+			"SELECT COUNT(*) as count FROM team_members WHERE team_name = ? AND role = 'owner'",
+			name
+		).one().count;
+	}
+
+	// Adds a member or changes their role
+	async setTeamMember(name, username, role) {
+		if (!this.getTeam(name)) {
+			throw new Error('Team not found');
+		}
+		const users = this.sql.exec("SELECT 1 FROM users WHERE username = ?", username).toArray();
+		if (users.length === 0) {
+			throw new Error('User not found');
+		}
+		if (this.getTeamRole(name, username) === 'owner' && role !== 'owner' && this.countTeamOwners(name) === 1) {
+			throw new Error('A team must keep at least one owner');
+		}
+
+		this.sql.exec(`
+			INSERT INTO team_members (team_name, username, role)
+			VALUES (?, ?, ?)
+			ON CONFLICT(team_name, username) DO UPDATE SET
+				role = EXCLUDED.role
+		`, name, username, role);
+
+		return { team: name, username, role };
+	}
+
+	async removeTeamMember(name, username) {
+		if (this.getTeamRole(name, username) === 'owner' && this.countTeamOwners(name) === 1) {
+			throw new Error('A team must keep at least one owner');
+		}
+
+		this.sql.exec(
+			"DELETE FROM team_members WHERE team_name = ? AND username = ?",
+			name, username
+		);
+
+		return { team: name, username, removed: true };
+	}
+
+	getKeyRotationGraceHours() {
+		const hours = parseInt(this.env.KEY_ROTATION_GRACE_HOURS);
+		return Number.isInteger(hours) && hours >= 0 ? hours : DEFAULT_KEY_ROTATION_GRACE_HOURS;
+	}
+
+	// Swap in a new primary key. The old one keeps working for the grace period so running plugins
+	// and bots can be moved over, unless revokeNow says it may be compromised.
+	async replacePrimaryKey(username, revokeNow = false) {
+		const newKeyId = this.generateKeyId();
+		const newKeyHash = await this.generateApiKey(newKeyId);
+		const graceHours = revokeNow ? 0 : this.getKeyRotationGraceHours();
+
+		// SET expressions read the row as it was, so the previous key columns get the old key
+		const user = this.sql.exec(`
+			UPDATE users
+			SET previous_key_id = CASE WHEN ? > 0 THEN key_id END,
+				previous_key_hash = CASE WHEN ? > 0 THEN key_hash END,
+				previous_key_expires_at = CASE WHEN ? > 0 THEN datetime('now', ?) END,
+				previous_key_last_used_at = NULL,
+				key_id = ?,
+				key_hash = ?,
+				last_key_rotation = CURRENT_TIMESTAMP
+			WHERE username = ?
+			RETURNING previous_key_expires_at
+		`, graceHours, graceHours, graceHours, `+${graceHours} hours`, newKeyId, newKeyHash, username).one();
+
+		return {
+			apiKey: `${username}.${newKeyId}`,
+			previousKeyExpiresAt: toIsoTime(user.previous_key_expires_at)
+		};
+	}
+
+	// Describes what happened to the replaced key for rotation responses
+	describePreviousKey(previousKeyExpiresAt) {
+		return previousKeyExpiresAt ?
+			`Your previous key keeps working until ${previousKeyExpiresAt}.` :
+			'Your previous key no longer works.';
 	}
 
 	// Rotate API key for a user
-	async rotateApiKey(username, currentApiKey) {
+	async rotateApiKey(username, currentApiKey, revokeNow = false) {
 		try {
-			// Verify current API key
-			if (!await this.verifyApiKey(currentApiKey)) {
+			// Only the current primary key can replace the primary key
+			const current = await this.verifyApiKey(currentApiKey);
+			if (!current.valid || !current.primary || current.previous || current.username !== username) {
 				throw new Error('Invalid credentials');
 			}
 
-			// Generate new key ID and hash
-			const newKeyId = this.generateKeyId();
-			const newKeyHash = await this.generateApiKey(newKeyId);
-
-			// Update user record
-			await this.sql.exec(`
-        UPDATE users 
-        SET key_id = ?, key_hash = ?, last_key_rotation = CURRENT_TIMESTAMP
-        WHERE username = ?
-      `, newKeyId, newKeyHash, username);
+			const { apiKey, previousKeyExpiresAt } = await this.replacePrimaryKey(username, revokeNow);
 
 			return {
 				success: true,
-				message: 'Store this API key securely - it cannot be recovered if lost',
-				apiKey: `${username}.${newKeyId}`
+				message: `Store this API key securely - it cannot be recovered if lost. ${this.describePreviousKey(previousKeyExpiresAt)}`,
+				apiKey,
+				previousKeyExpiresAt
 			};
 		} catch (error) {
 			console.error("Error rotating API key:", error);
@@ -291,6 +668,25 @@ export class UserAuthDO {
 		}
 	}
 
+	// End a rotated key's grace period now, for when it may have leaked
+	async revokePreviousKey(username, currentApiKey) {
+		const current = await this.verifyApiKey(currentApiKey);
+		if (!current.valid || !current.primary || current.previous || current.username !== username) {
+			throw new Error('Invalid credentials');
+		}
+
+		const revoked = this.sql.exec(`
+			UPDATE users
+			SET previous_key_id = NULL,
+				previous_key_hash = NULL,
+				previous_key_expires_at = NULL
+			WHERE username = ? AND previous_key_expires_at > CURRENT_TIMESTAMP
+			RETURNING username
+		`, username).toArray();
+
+		return { success: true, revoked: revoked.length > 0 };
+	}
+
 	async initiateKeyRoll(username, email) {
 		// Verify username and email match
 		const user = await this.sql.exec(
@@ -330,7 +726,7 @@ export class UserAuthDO {
 		};
 	}
 
-	async verifyGistAndRollKey(gistUrl, verificationToken) {
+	async verifyGistAndRollKey(gistUrl, verificationToken, revokeNow = false) {
 		try {
 			// Verify the token is valid and not expired
 			const verification = await this.sql.exec(`
@@ -394,21 +790,13 @@ export class UserAuthDO {
 			`, verificationToken);
 
 			// Generate and set new API key
-			const newKeyId = this.generateKeyId();
-			const newKeyHash = await this.generateApiKey(newKeyId);
-
-			await this.sql.exec(`
-				UPDATE users 
-				SET key_id = ?, 
-					key_hash = ?,
-					last_key_rotation = CURRENT_TIMESTAMP
-				WHERE username = ?
-			`, newKeyId, newKeyHash, verification.username);
+			const { apiKey, previousKeyExpiresAt } = await this.replacePrimaryKey(verification.username, revokeNow);
 
 			return {
 				success: true,
-				message: 'API key successfully rolled. Store this key securely - it cannot be recovered if lost.',
-				apiKey: `${verification.username}.${newKeyId}`
+				message: `API key successfully rolled. Store this key securely - it cannot be recovered if lost. ${this.describePreviousKey(previousKeyExpiresAt)}`,
+				apiKey,
+				previousKeyExpiresAt
 			};
 		} catch (error) {
 			console.error("Error verifying gist and rolling key:", error);
@@ -465,10 +853,42 @@ export class UserAuthDO {
 					return new Response(JSON.stringify(verifyResponse));
 				}
 
+				case '/create-key': {
+					const { username, name, scopes, expiresIn, grantableScopes } = body;
+					try {
+						const result = await this.createNamedKey(username, name, scopes, expiresIn, grantableScopes);
+						return new Response(JSON.stringify(result));
+					} catch (error) {
+						return new Response(JSON.stringify({
+							error: error.message
+						}), { status: 400 });
+					}
+				}
+
+				case '/list-keys': {
+					const keys = this.listKeys(body.username);
+					if (!keys) {
+						return new Response(JSON.stringify({
+							error: 'User not found'
+						}), { status: 404 });
+					}
+					return new Response(JSON.stringify(keys));
+				}
+
+				case '/revoke-key': {
+					const { username, id } = body;
+					if (!this.revokeKey(username, id)) {
+						return new Response(JSON.stringify({
+							error: 'Key not found'
+						}), { status: 404 });
+					}
+					return new Response(JSON.stringify({ success: true, id }));
+				}
+
 				case '/rotate-key': {
-					const { username, currentApiKey } = body;
+					const { username, currentApiKey, revokeNow } = body;
 					try {
-						const result = await this.rotateApiKey(username, currentApiKey);
+						const result = await this.rotateApiKey(username, currentApiKey, revokeNow === true);
 						return new Response(JSON.stringify(result));
 					} catch (error) {
 						return new Response(JSON.stringify({
@@ -477,6 +897,18 @@ export class UserAuthDO {
 					}
 				}
 
+				case '/revoke-previous-key': {
+					const { username, currentApiKey } = body;
+					try {
+						const result = await this.revokePreviousKey(username, currentApiKey);
+						return new Response(JSON.stringify(result));
+					} catch (error) {
+						return new Response(JSON.stringify({
+							error: error.message
+						}), { status: 401 });
+					}
+				}
+
 				case '/initiate-key-roll': {
 					const { username, email } = body;
 					try {
@@ -495,9 +927,9 @@ export class UserAuthDO {
 				}
 
 				case '/verify-key-roll': {
-					const { gistUrl, verificationToken } = body;
+					const { gistUrl, verificationToken, revokeNow } = body;
 					try {
-						const result = await this.verifyGistAndRollKey(gistUrl, verificationToken);
+						const result = await this.verifyGistAndRollKey(gistUrl, verificationToken, revokeNow === true);
 						return new Response(JSON.stringify(result), {
 							headers: { 'Content-Type': 'application/json' }
 						});
@@ -511,6 +943,71 @@ export class UserAuthDO {
 					}
 				}
 
+				case '/create-team': {
+					const { name, owner, displayName } = body;
+					if (!name || !owner) {
+						return new Response(JSON.stringify({
+							error: 'Missing required fields'
+						}), { status: 400 });
+					}
+
+					try {
+						const result = await this.createTeam(name, owner, displayName);
+						return new Response(JSON.stringify(result));
+					} catch (error) {
+						return new Response(JSON.stringify({
+							error: error.message
+						}), { status: 400 });
+					}
+				}
+
+				case '/get-team': {
+					const team = this.getTeam(body.name);
+					if (!team) {
+						return new Response(JSON.stringify({
+							error: 'Team not found'
+						}), { status: 404 });
+					}
+					return new Response(JSON.stringify(team));
+				}
+
+				case '/namespace-exists': {
+					return new Response(JSON.stringify({ exists: this.namespaceExists(body.name) }));
+				}
+
+				case '/get-team-role': {
+					const { team, username } = body;
+					return new Response(JSON.stringify({ role: this.getTeamRole(team, username) }));
+				}
+
+				case '/list-user-teams': {
+					return new Response(JSON.stringify(this.listUserTeams(body.username)));
+				}
+
+				case '/set-team-member': {
+					const { team, username, role } = body;
+					try {
+						const result = await this.setTeamMember(team, username, role);
+						return new Response(JSON.stringify(result));
+					} catch (error) {
+						return new Response(JSON.stringify({
+							error: error.message
+						}), { status: 400 });
+					}
+				}
+
+				case '/remove-team-member': {
+					const { team, username } = body;
+					try {
+						const result = await this.removeTeamMember(team, username);
+						return new Response(JSON.stringify(result));
+					} catch (error) {
+						return new Response(JSON.stringify({
+							error: error.message
+						}), { status: 400 });
+					}
+				}
+
 				case '/admin-update-user': {
 					const { username, ...updates } = body;
 					if (!username) {
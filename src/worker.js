@@ -1,8 +1,8 @@
 // Import necessary dependencies
-import { Buffer } from 'buffer';
 import generateWorldHTML from './worldTemplate';
 import generateAuthorHTML from './authorTemplate';
 import generateSearchHTML from './searchTemplate';
+import generateUnifiedSearchHTML from './unifiedSearchTemplate';
 import generateHomeHTML from './homeTemplate';
 import generateRegisterHTML from './registrationTemplate';
 import generateRequestKeyRollHTML from './rollKeyTemplate';
@@ -14,10 +14,64 @@ import { UserAuthDO } from './userAuthDO';
 import { WorldRegistryDO } from './WorldRegistryDO';
 import { CharacterRegistryDO } from './CharacterRegistryDO';
 import { DiscordBotDO } from './discordBotDO';
-
-import { removeAuthor, removeWorld } from './management';
-
-export { UserAuthDO, WorldRegistryDO, CharacterRegistryDO, DiscordBotDO };
+import { WorldPresenceDO } from './WorldPresenceDO';
+import { WorldRoomDO } from './WorldRoomDO';
+
+import {
+	removeAuthor,
+	removeWorld,
+	restoreTrashEntry,
+	continueTrashMoves,
+	purgeExpiredTrash,
+	purgeExpiredCharacters,
+	getTrashRetentionDays
+} from './management';
+import { readWorldBundle, normalizeBundlePath, getContentType, decodeBase64 } from './worldBundle';
+import { compareVersions, isValidVersion } from './semver';
+import { BLOB_PREFIX, getBlobKey, storeBlobs, moveObjectToBlobStore, collectOrphanBlobs } from './blobStore';
+import { validateWorldUpload } from './worldValidation';
+import { exportCatalog, importCatalog } from './catalogArchive';
+import { createSecureHtmlService } from './secureHtmlService';
+import { buildMatchQuery, parseSearchParams } from './worldSearch';
+import { parseUnifiedSearchParams, searchAll } from './unifiedSearch';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, encodeCursor, parsePageParams } from './pagination';
+import { FEED_SIZE, getVisitorKey } from './trending';
+import { buildDailySeries, parseAnalyticsRange, summarizeDailySeries } from './analytics';
+import {
+	IMAGE_VARIANTS,
+	UPLOADS_ORIGIN,
+	detectImageType,
+	getVariantKey,
+	getVariantKeys,
+	storeImageWithVariants
+} from './imageVariants';
+import {
+	WORLD_VISIBILITIES,
+	DEFAULT_SHARE_TTL_SECONDS,
+	MAX_SHARE_TTL_SECONDS,
+	DRAFT_TOKEN_TTL_SECONDS,
+	normalizePublishAt,
+	isWorldLive,
+	isWorldListed,
+	isWorldOpen,
+	createShareToken,
+	verifyShareToken,
+	createDraftToken,
+	verifyDraftToken,
+	createDownloadToken,
+	verifyDownloadToken
+} from './worldAccess';
+import { checkRateLimit, hashIdentifier } from './rateLimit';
+import { API_SCOPES, getRouteScope } from './apiScopes';
+import {
+	DOWNLOAD_URL_TTL_SECONDS,
+	DOWNLOAD_IP_LIMIT,
+	DOWNLOAD_IP_WORLD_LIMIT,
+	DOWNLOAD_API_KEY_LIMIT,
+	writeWorldDownload
+} from './worldDownload';
+
+export { UserAuthDO, WorldRegistryDO, CharacterRegistryDO, DiscordBotDO, WorldPresenceDO, WorldRoomDO };
 
 // Define CORS
 const CORS_HEADERS = {
@@ -35,11 +89,60 @@ function corsHeaders() {
 	};
 }
 
+// Hosts whose edge cache holds rendered pages
+const CACHE_DOMAINS = [
+	'pluginpublisher.com',
+	'xr-publisher.sxpdigital.workers.dev'
+];
+
+// Release channels a world can publish to; stable is what the directory serves by default
+const RELEASE_CHANNELS = ['stable', 'beta', 'draft'];
+
+// Rollbacks stage a version in author/slug/releases/<id>/ and serve the stable channel from there
+const RELEASES_FOLDER = 'releases';
+
+// R2 multipart limits: every part but the last must be at least 5 MiB
+const MIN_UPLOAD_PART_SIZE = 5 * 1024 * 1024;
+const MAX_UPLOAD_PARTS = 10000;
+
+// What each team role may do in the team's namespace
+const TEAM_ROLE_PERMISSIONS = {
+	owner: ['view', 'publish', 'delete', 'manage'],
+	publisher: ['view', 'publish'],
+	viewer: ['view']
+};
+
+// Key checks made while handling a request, so the routing scope check and the route itself share one lookup
+const requestKeyVerifications = new WeakMap();
+
+// List endpoints answer a cursor they did not issue with 400
+function invalidCursorResponse(error) {
+	return new Response(JSON.stringify({ error: 'Invalid cursor', details: error.message }), {
+		status: 400,
+		headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+	});
+}
+
+// Each world has its own presence object, which also brokers the world's rooms
+const getWorldPresence = (env, author, slug) => {
+	const id = env.WORLD_PRESENCE.idFromName(`${author}/${slug}`);
+	return env.WORLD_PRESENCE.get(id);
+};
+
+const getWorldRoom = (env, author, slug, roomId) => {
+	const id = env.WORLD_ROOMS.idFromName(`${author}/${slug}/${roomId}`);
+	return env.WORLD_ROOMS.get(id);
+};
+
 const getDiscordBot = (env, preferredId = 'default') => {
 	const id = env.DISCORD_BOTS.idFromName(preferredId);
 	return env.DISCORD_BOTS.get(id);
 };
 
+// The world page and its metadata are only published through /upload-world and /world-metadata,
+// which validate the page and check the version, so chunked uploads can't write them
+const isWorldPageFile = fileName => /\.(html?|xhtml)$/i.test(fileName) || fileName === 'metadata.json';
+
 
 // Main worker class
 export default {
@@ -56,15 +159,55 @@ export default {
 			const result = await response.json();
 			const responseData = {
 				username: result.username,
-				success: result.valid
+				success: result.valid,
+				primary: Boolean(result.primary),
+				previous: Boolean(result.previous),
+				scopes: result.scopes || []
 			}
 			return responseData;
 		} catch (error) {
 			console.error('API key verification error:', error);
-			return { success: false, username: null };
+			return { success: false, username: null, primary: false, previous: false, scopes: [] };
 		}
 	},
 
+	// The key a request carries and what it verified as, looked up once per request. Every route reads
+	// its key from here so the scope check sees the same key the route acts with, whatever the scheme.
+	// The admin key verifies with every scope and no username.
+	verifyRequestKey(request, env) {
+		if (!requestKeyVerifications.has(request)) {
+			const authHeader = request.headers.get('Authorization');
+			const [, apiKey] = authHeader ? authHeader.split(' ') : [];
+			let verification;
+			if (!apiKey) {
+				verification = Promise.resolve({ apiKey: null, admin: false, success: false, username: null, scopes: [] });
+			} else if (apiKey === env.API_SECRET) {
+				verification = Promise.resolve({ apiKey, admin: true, success: true, username: null, scopes: Object.keys(API_SCOPES) });
+			} else {
+				verification = this.verifyApiKey(apiKey, env).then(result => ({ apiKey, admin: false, ...result }));
+			}
+			requestKeyVerifications.set(request, verification);
+		}
+		return requestKeyVerifications.get(request);
+	},
+
+	// Refuses requests whose key lacks the scope a route needs, whatever scheme the key is sent with.
+	// Requests without a key, the admin key and keys that don't verify are left to the route, which
+	// treats them as it always has.
+	async checkRouteScope(request, scope, env) {
+		const { admin, success, scopes } = await this.verifyRequestKey(request, env);
+		if (admin || !success || scopes.includes(scope)) {
+			return null;
+		}
+		return new Response(JSON.stringify({
+			error: 'Forbidden',
+			details: `This API key does not have the ${scope} scope`
+		}), {
+			status: 403,
+			headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+		});
+	},
+
 	async verifyApiKeyAndUsername(apiKey, username, env) {
 		try {
 			// First check if it's the admin API_SECRET (admins can publish anywhere)
@@ -96,6 +239,36 @@ export default {
 		}
 	},
 
+	// Checks a key may act on a namespace: its own username, or a team it belongs to with a role allowing the action.
+	// Pass the key's verification when it's already known to skip looking it up again.
+	async verifyNamespaceAccess(apiKey, namespace, action, env, verification = null) {
+		try {
+			if (apiKey === env.API_SECRET) {
+				return true;
+			}
+
+			const { success, username } = verification || await this.verifyApiKey(apiKey, env);
+			if (!success || !namespace) {
+				return false;
+			}
+			if (username === namespace) {
+				return true;
+			}
+
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/get-team-role', {
+				method: 'POST',
+				body: JSON.stringify({ team: namespace, username })
+			}));
+			const { role } = await response.json();
+			return Boolean(role && TEAM_ROLE_PERMISSIONS[role]?.includes(action));
+		} catch (error) {
+			console.error('Namespace access verification error:', error);
+			return false;
+		}
+	},
+
 	handleOptions(request) {
 		return new Response(null, {
 			status: 204,
@@ -118,13 +291,8 @@ export default {
 			return false;
 		}
 
-		// Check if it's the admin API_SECRET
-		if (authToken === env.API_SECRET) {
-			return true;
-		}
-
-		// If not admin key, verify against user API keys
-		const authResult = await this.verifyApiKey(authToken, env);
+		// The admin API_SECRET or a user API key
+		const authResult = await this.verifyRequestKey(request, env);
 		return authResult.success;
 	},
 
@@ -170,234 +338,265 @@ export default {
 		return await auth.fetch(request);
 	},
 
-	async scheduled(controller, env, ctx) {
+	// Handle POST /revoke-previous-key
+	// Ends the grace period of the key the last rotation replaced, for when it may have leaked
+	async handleRevokePreviousKey(request, env) {
 		try {
-			if (!env.VISIT_COUNTS || !env.WORLD_REGISTRY) {
-				console.error('Missing required KV namespaces');
-				return;
-			}
-
-			let visits = new Map();
-			let cursor = undefined;
-
-			// Process visit queues from KV storage
-			do {
-				const result = await env.VISIT_COUNTS.list({
-					cursor,
-					prefix: 'queue:'
-				});
-
-				if (!result) break;
-				cursor = result.cursor;
+			const { apiKey } = await this.verifyRequestKey(request, env);
+			const [username] = (apiKey || '').split('.');
 
-				for (const key of result.keys || []) {
-					if (!key?.name) continue;
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/revoke-previous-key', {
+				method: 'POST',
+				body: JSON.stringify({ username, currentApiKey: apiKey })
+			}));
 
-					const parts = key.name.split(':');
-					if (parts.length < 4) continue;
+			return new Response(await response.text(), {
+				status: response.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Revoke previous key error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
 
-					const author = parts[2];
-					const slug = parts[3];
-					const worldKey = `${author}:${slug}`;
+	// Whose keys a request manages: the key's own user, or any user named by the admin key.
+	// A rotated key in its grace period manages nothing.
+	async getKeyOwner(request, username, env) {
+		const result = await this.verifyRequestKey(request, env);
+		if (!result.apiKey) return null;
 
-					visits.set(
-						worldKey,
-						(visits.get(worldKey) || 0) + 1
-					);
+		if (result.admin) {
+			return username ? { username, scopes: result.scopes } : null;
+		}
 
-					// Delete the processed key
-					await env.VISIT_COUNTS.delete(key.name)
-						.catch(err => console.error(`Error deleting key ${key.name}:`, err));
-				}
-			} while (cursor);
+		if (!result.success || result.previous || (username && username !== result.username)) {
+			return null;
+		}
+		return result;
+	},
 
-			// Update DO if we have changes
-			if (visits.size > 0) {
-				const id = env.WORLD_REGISTRY.idFromName("global");
-				const registry = env.WORLD_REGISTRY.get(id);
+	// Handle POST /api-keys/create
+	// Makes a named key with some of the caller's scopes, optionally expiring after expiresIn seconds
+	async handleCreateApiKey(request, env) {
+		try {
+			const { username, name, scopes, expiresIn } = await request.json();
 
-				await registry.fetch(new Request('http://internal/update-visit-counts', {
-					method: 'POST',
-					body: JSON.stringify({
-						visits: Array.from(visits)
-					})
-				}));
+			const owner = await this.getKeyOwner(request, username, env);
+			if (!owner) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
 			}
 
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/create-key', {
+				method: 'POST',
+				body: JSON.stringify({
+					username: owner.username,
+					name,
+					scopes,
+					expiresIn,
+					grantableScopes: owner.scopes
+				})
+			}));
+
+			return new Response(await response.text(), {
+				status: response.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
 		} catch (error) {
-			console.error('Queue processing error:', error);
-			console.error('Environment state:', {
-				hasVisitCounts: !!env?.VISIT_COUNTS,
-				hasWorldRegistry: !!env?.WORLD_REGISTRY
+			console.error('Create API key error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	// Handle GET /author-data
-	async handleGetAuthorData(request, env) {
+	// Handle GET /api-keys
+	// Lists the caller's keys with their scopes, expiry and last use, never the keys themselves
+	async handleListApiKeys(request, env) {
 		try {
-			const url = new URL(request.url);
-			const author = url.searchParams.get('author');
-
-			if (!author) {
-				return new Response(JSON.stringify({ error: 'Missing author parameter' }), {
-					status: 400,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			const owner = await this.getKeyOwner(request, new URL(request.url).searchParams.get('username'), env);
+			if (!owner) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			// Check cache first
-			const cacheKey = `author-data:${author}`;
-			const cache = caches.default;
-			let response = await cache.match(request);
-
-			if (!response) {
-				const authorData = await this.fetchAuthorData(author, env);
-
-				if (!authorData) {
-					return new Response(JSON.stringify({ error: 'Author not found' }), {
-						status: 404,
-						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-					});
-				}
-
-				const worlds = await this.fetchAuthorWorlds(author, env);
-
-				const responseData = {
-					...authorData,
-					worlds,
-				};
-
-				response = new Response(JSON.stringify(responseData), {
-					status: 200,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-				});
-
-				// Cache the response
-				response.headers.set('Cache-Control', 'public, max-age=3600');
-				await cache.put(request, response.clone());
-			}
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/list-keys', {
+				method: 'POST',
+				body: JSON.stringify({ username: owner.username })
+			}));
 
-			return response;
+			return new Response(await response.text(), {
+				status: response.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Cache-Control': 'private, no-store' }
+			});
 		} catch (error) {
-			console.error('Get author data error:', error);
+			console.error('List API keys error:', error);
 			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
 				status: 500,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	// Handle GET /authors-list
-	async handleGetAuthorsList(env) {
+	// Handle POST /api-keys/revoke
+	// Deletes one of the caller's named keys by the id /api-keys lists it under
+	async handleRevokeApiKey(request, env) {
 		try {
-			// Check cache first
-			const cacheKey = 'authors-list';
-			const cache = caches.default;
-			let response = await cache.match(cacheKey);
+			const { username, id: keyId } = await request.json();
 
-			if (!response) {
-				const list = await env.WORLD_BUCKET.list();
-				const authors = [];
-
-				for (const item of list.objects) {
-					const parts = item.key.split('/');
-					if (parts.length > 1 && parts[1] === 'author_info.json') {
-						const authorInfoKey = item.key;
-						const authorInfoObject = await env.WORLD_BUCKET.get(authorInfoKey);
-
-						if (authorInfoObject) {
-							const authorData = JSON.parse(await authorInfoObject.text());
-							authorData.authorId = parts[0];
-
-							const authorPrefix = `${parts[0]}/`;
-							const worldsList = await env.WORLD_BUCKET.list({ prefix: authorPrefix });
-							const worldCount = worldsList.objects.filter(obj => obj.key.endsWith('.json') && !obj.key.endsWith('author_info.json')).length;
-
-							authors.push({
-								...authorData,
-								world_count: worldCount
-							});
-						}
-					}
-				}
-
-				response = new Response(JSON.stringify(authors), {
-					status: 200,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			const owner = await this.getKeyOwner(request, username, env);
+			if (!owner) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			if (!Number.isInteger(keyId)) {
+				return new Response(JSON.stringify({ error: 'Missing key id' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
-
-				// Cache the response
-				response.headers.set('Cache-Control', 'public, max-age=3600');
-				await cache.put(cacheKey, response.clone());
 			}
 
-			return response;
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/revoke-key', {
+				method: 'POST',
+				body: JSON.stringify({ username: owner.username, id: keyId })
+			}));
+
+			return new Response(await response.text(), {
+				status: response.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
 		} catch (error) {
-			console.error('Get authors list error:', error);
+			console.error('Revoke API key error:', error);
 			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
 				status: 500,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	// Handle POST /update-author-info
-	async handleUpdateAuthorInfo(request, env) {
+	// Handle POST /teams/create
+	// Creates a team namespace with the caller as its first owner
+	async handleCreateTeam(request, env) {
 		try {
-			const { userId, worldName, authorData } = await request.json();
+			const { userId, team, displayName } = await request.json();
 
-			if (!userId || !worldName || !authorData) {
-				return new Response(JSON.stringify({ error: `Missing userId, worldName, or authorData received ${userId}, ${worldName}, ${authorData}` }), {
-					status: 400,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
-			// Convert authorData from serialized JSON to object if necessary
-			let parsedAuthorData = authorData;
-			if (typeof authorData === 'string') {
-				parsedAuthorData = JSON.parse(authorData);
+			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
 			}
 
-			const authorInfoKey = `${userId}/author_info.json`;
-
-			await env.WORLD_BUCKET.put(authorInfoKey, JSON.stringify(parsedAuthorData, null, 2), {
-				httpMetadata: {
-					contentType: 'application/json',
-				},
-			});
+			// Team names become the path prefix of the team's worlds
+			if (!team || !/^[A-Za-z0-9_-]+$/.test(team)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid team name',
+					details: 'Team names may only contain letters, numbers, hyphens and underscores'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
 
-			const cache = caches.default;
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/create-team', {
+				method: 'POST',
+				body: JSON.stringify({ name: team, owner: userId, displayName })
+			}));
+			const result = await response.json();
 
-			// Bust author directory cache
-			await cache.delete(`https://${request.headers.get('host')}/author/${userId}`);
+			return new Response(JSON.stringify(response.ok ? { success: true, team: result } : result), {
+				status: response.ok ? 200 : 409,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Create team error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
 
-			// Bust author data cache
-			await cache.delete(`https://${request.headers.get('host')}/author-data?author=${userId}`);
+	// Handle GET /team?name=
+	// Lists a team's members and roles, visible to its members
+	async handleGetTeam(request, env) {
+		try {
+			const team = new URL(request.url).searchParams.get('name');
 
-			// Bust authors list cache
-			await cache.delete(`https://${request.headers.get('host')}/authors-list`);
+			if (!team || !await this.isAuthorRequest(request, team, env, 'teams:manage')) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
 
-			return new Response(JSON.stringify({ success: true, message: 'Author info uploaded successfully' }), {
-				status: 200,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request('http://internal/get-team', {
+				method: 'POST',
+				body: JSON.stringify({ name: team })
+			}));
+
+			return new Response(JSON.stringify(await response.json()), {
+				status: response.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		} catch (error) {
-			console.error('Author info upload error:', error);
-			return new Response(JSON.stringify({ success: false, error: 'Internal server error', details: error.message }), {
+			console.error('Get team error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
 				status: 500,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	// Handle POST /upload-asset
-	async handleUploadAsset(request, env) {
+	// Handle POST /teams/members/set and /teams/members/remove
+	// Owners manage members. Anyone may remove themselves.
+	async handleUpdateTeamMember(request, env, remove = false) {
 		try {
-			const { userId, worldName, fileName, fileData, assetType } = await request.json();
+			const { team, username, role } = await request.json();
 
-			// Get API key from Authorization header
 			const authHeader = request.headers.get('Authorization');
 			if (!authHeader) {
 				return new Response(JSON.stringify({
@@ -407,388 +606,2991 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
-			// Verify API key and username match
-			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
-			if (!isValid) {
+			if (!team || !username || (!remove && !TEAM_ROLE_PERMISSIONS[role])) {
 				return new Response(JSON.stringify({
-					error: 'Unauthorized: Invalid API key or username mismatch'
+					error: 'Invalid parameters',
+					details: `team and username are required and role must be one of ${Object.keys(TEAM_ROLE_PERMISSIONS).join(', ')}`
 				}), {
-					status: 401,
+					status: 400,
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			const sanitizedWorldName = worldName.replace(/\s/g, '-');
-			const folderName = `${userId}`;
-			const assetKey = `${folderName}/${sanitizedWorldName}/${fileName}`;
+			const canManage = await this.verifyNamespaceAccess(apiKey, team, 'manage', env) ||
+				(remove && await this.verifyApiKeyAndUsername(apiKey, username, env));
+			if (!canManage) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Only team owners can manage members'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
 
-			const assetBuffer = Buffer.from(fileData, 'base64');
-			await env.WORLD_BUCKET.put(assetKey, assetBuffer, {
-				httpMetadata: {
-					contentType: 'image/jpeg', // Consider making this dynamic based on file type
-				},
-			});
+			const id = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(id);
+			const response = await auth.fetch(new Request(`http://internal/${remove ? 'remove-team-member' : 'set-team-member'}`, {
+				method: 'POST',
+				body: JSON.stringify({ team, username, role })
+			}));
+			const result = await response.json();
 
-			return new Response(JSON.stringify({
-				success: true,
-				message: `${assetType} uploaded successfully`,
-				assetUrl: assetKey
-			}), {
-				status: 200,
-				headers: { ...CORS_HEADERS }
+			return new Response(JSON.stringify(response.ok ? { success: true, ...result } : result), {
+				status: response.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		} catch (error) {
-			console.error('Asset upload error:', error);
+			console.error('Team member update error:', error);
 			return new Response(JSON.stringify({
 				error: 'Internal server error',
 				details: error.message
 			}), {
 				status: 500,
-				headers: { ...CORS_HEADERS }
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	// Helper function to fetch author data
-	async fetchAuthorData(author, env) {
-		const authorInfoKey = `${author}/author_info.json`;
+	async scheduled(controller, env, ctx) {
 		try {
-			const authorInfoObject = await env.WORLD_BUCKET.get(authorInfoKey);
-			if (!authorInfoObject) {
-				console.error(`Author info not found for ${author}`);
-				return null;
+			if (!env.VISIT_COUNTS || !env.WORLD_REGISTRY) {
+				console.error('Missing required KV namespaces');
+				return;
 			}
-			const authorInfoText = await authorInfoObject.text();
-			return JSON.parse(authorInfoText);
-		} catch (error) {
-			console.error(`Error fetching author data for ${author}:`, error);
-			return null;
-		}
-	},
-
-	// Helper function to fetch author worlds.
-	async fetchAuthorWorlds(author, env) {
-		const prefix = `${author}/`;
-		const list = await env.WORLD_BUCKET.list({ prefix });
-		const worlds = []; // Changed from plugins array
 
-		for (const item of list.objects) {
-			const parts = item.key.split('/');
-			if (parts.length === 3 && parts[2] === 'metadata.json') { // Changed from ${parts[1]}.json
-				const jsonData = await env.WORLD_BUCKET.get(item.key);
-				const worldData = JSON.parse(await jsonData.text());
+			let visits = new Map();
+			let cursor = undefined;
 
-				worlds.push({
-					slug: worldData.slug,
-					name: worldData.name,
-					short_description: worldData.short_description,
-					preview_image: worldData.preview_image, // Changed from icons
-					tags: worldData.tags,
-					version: worldData.version,
-					visit_count: worldData.visit_count || 0, // Changed from rating
-					active_users: worldData.active_users || 0 // Changed from active_installs
+			// Process visit queues from KV storage
+			do {
+				const result = await env.VISIT_COUNTS.list({
+					cursor,
+					prefix: 'queue:'
 				});
-			}
-		}
-
-		return worlds;
-	},
 
-	async handleGetWorldDirectory(request, env) {
-		const url = new URL(request.url);
-		const pathParts = url.pathname.split('/').filter(part => part !== '');
+				if (!result) break;
+				cursor = result.cursor;
 
-		if (pathParts.length !== 3 || pathParts[0] !== 'directory') {
-			return new Response('Invalid URL format', { status: 400 });
-		}
+				for (const key of result.keys || []) {
+					if (!key?.name) continue;
 
-		const author = pathParts[1];
-		const world = pathParts[2];
+					const parts = key.name.split(':');
+					if (parts.length < 4) continue;
 
-		// Check cache first
-		const cacheKey = `world:${author}:${world}`;
-		const cache = caches.default;
-		let response = await cache.match(request);
+					const author = parts[2];
+					const slug = parts[3];
+					const worldKey = `${author}:${slug}`;
 
-		if (!response) {
-			try {
-				const worldData = await this.fetchWorldData(author, world, env);
-				const authorData = await this.fetchAuthorData(author, env);
+					visits.set(
+						worldKey,
+						(visits.get(worldKey) || 0) + 1
+					);
 
-				if (!worldData) {
-					return new Response('World not found', { status: 404 });
+					// Delete the processed key
+					await env.VISIT_COUNTS.delete(key.name)
+						.catch(err => console.error(`Error deleting key ${key.name}:`, err));
 				}
-				// world_url is antpb/Scene/Scene.html, we need to use the asset directory of http://xrpassets.sxp.digital/antpb/Scene/Scene.html
-				worldData.asset_directory = `http://xrpassets.sxp.digital/${author}/${world}/`;
-				// pull html content and include it as a stringified object in the worldData named `world_html`
-				const htmlKey = `${author}/${world}/${world}.html`;
-				const htmlObject = await env.WORLD_BUCKET.get(htmlKey);
-				worldData.html_content = await htmlObject.text();
+			} while (cursor);
 
-				worldData.authorData = authorData;
-				response = await generateWorldHTML(worldData, env);
+			// Update DO if we have changes
+			if (visits.size > 0) {
+				const id = env.WORLD_REGISTRY.idFromName("global");
+				const registry = env.WORLD_REGISTRY.get(id);
 
-				// Cache the response
-				response.headers.set('Cache-Control', 'public, max-age=3600');
-				await cache.put(request, response.clone());
-			} catch (error) {
-				console.error('Error generating world page:', error);
-				return new Response('Internal Server Error', { status: 500 });
+				await registry.fetch(new Request('http://internal/update-visit-counts', {
+					method: 'POST',
+					body: JSON.stringify({
+						visits: Array.from(visits)
+					})
+				}));
 			}
-		}
-
-		return response;
-	},
-
-	async handleGetAuthorDirectory(request, env) {
-		const url = new URL(request.url);
-		const pathParts = url.pathname.split('/').filter(part => part !== '');
 
-		if (pathParts.length !== 2 || pathParts[0] !== 'author') {
-			return new Response('Invalid URL format', { status: 400 });
+		} catch (error) {
+			console.error('Queue processing error:', error);
+			console.error('Environment state:', {
+				hasVisitCounts: !!env?.VISIT_COUNTS,
+				hasWorldRegistry: !!env?.WORLD_REGISTRY
+			});
 		}
 
-		const author = pathParts[1];
+		// Forget activity too old to count towards trending
+		try {
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			await registry.fetch(new Request('http://internal/prune-activity', {
+				method: 'POST'
+			}));
+		} catch (error) {
+			console.error('Activity pruning error:', error);
+		}
 
-		// Check cache first
-		const cacheKey = `author:${author}`;
-		const cache = caches.default;
-		let response = await cache.match(request);
+		// Forget chunked upload sessions that R2 has already expired
+		try {
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			await registry.fetch(new Request('http://internal/expire-upload-sessions', {
+				method: 'POST'
+			}));
+		} catch (error) {
+			console.error('Upload session cleanup error:', error);
+		}
 
-		if (!response) {
-			try {
-				const authorData = await this.fetchAuthorPageData(author, env);
-				if (!authorData) {
-					return new Response('Author not found', { status: 404 });
-				}
-				response = await generateAuthorHTML(authorData, env, request);
+		// Make scheduled worlds live once their publish time has passed
+		try {
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const response = await registry.fetch(new Request('http://internal/publish-scheduled', {
+				method: 'POST'
+			}));
+			const { published } = await response.json();
 
-				// Cache the response
-				response.headers.set('Cache-Control', 'public, max-age=3600');
-				await cache.put(request, response.clone());
-			} catch (error) {
-				console.error('Error generating author page:', error);
-				return new Response('Internal Server Error', { status: 500 });
+			for (const world of published) {
+				await this.purgeWorldCaches(world.author, world.slug, env);
 			}
+		} catch (error) {
+			console.error('Scheduled publish error:', error);
 		}
 
-		return response;
-	},
+		// Finish moving files for worlds and authors trashed or restored since the last run
+		try {
+			const restored = await continueTrashMoves(env);
+			for (const world of restored) {
+				await this.purgeWorldCaches(world.author, world.slug, env);
+			}
+		} catch (error) {
+			console.error('Trash move error:', error);
+		}
 
-	async fetchWorldData(author, slug, env) {
-		// remove .html from slug
-		slug = slug.replace('.html', '');
-		const jsonKey = `${author}/${slug}/metadata.json`;
-		const jsonObject = await env.WORLD_BUCKET.get(jsonKey);
+		// Permanently delete trashed worlds, authors and characters past the retention period
+		try {
+			const purged = await purgeExpiredTrash(env);
+			for (const world of purged) {
+				await this.purgeWorldCaches(world.author, world.slug, env);
+			}
 
-		if (!jsonObject) {
-			console.error(`World data not found for ${jsonKey}`);
-			return null;
+			await purgeExpiredCharacters(env);
+		} catch (error) {
+			console.error('Trash purge error:', error);
 		}
 
+		// Sweep blobs no world or archived version references anymore
 		try {
-			const text = await jsonObject.text();
-			const parsed = JSON.parse(text);
-			return Array.isArray(parsed) ? parsed[0] : parsed;
+			await collectOrphanBlobs(env);
 		} catch (error) {
-			console.error(`Error parsing JSON for ${jsonKey}:`, error);
-			return null;
+			console.error('Blob garbage collection error:', error);
 		}
 	},
 
+	// Handle GET /author-data
+	async handleGetAuthorData(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
 
-	async fetchAuthorPageData(author, env) {
-		const authorInfoKey = `${author}/author_info.json`;
-		const authorInfoObject = await env.WORLD_BUCKET.get(authorInfoKey);
-		// stringify and log the authorInfoObject
-		if (!authorInfoObject) {
-			console.error(`Author info not found for ${author}`);
-			return null;
+			if (!author) {
+				return new Response(JSON.stringify({ error: 'Missing author parameter' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			// Check cache first
+			const cacheKey = `author-data:${author}`;
+			const cache = caches.default;
+			let response = await cache.match(request);
+
+			if (!response) {
+				const authorData = await this.fetchAuthorData(author, env);
+
+				if (!authorData) {
+					return new Response(JSON.stringify({ error: 'Author not found' }), {
+						status: 404,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+					});
+				}
+
+				// The first page of worlds, /author-worlds continues from worlds_next_cursor
+				const worlds = await this.fetchAuthorWorlds(author, env);
+
+				const responseData = {
+					...authorData,
+					worlds: worlds.items,
+					worlds_next_cursor: worlds.nextCursor,
+				};
+
+				response = new Response(JSON.stringify(responseData), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+
+				// Cache the response
+				response.headers.set('Cache-Control', 'public, max-age=3600');
+				await cache.put(request, response.clone());
+			}
+
+			return response;
+		} catch (error) {
+			console.error('Get author data error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
 		}
+	},
 
+	// Handle GET /authors-list
+	async handleGetAuthorsList(request, env) {
 		try {
-			const authorInfoText = await authorInfoObject.text();
+			const url = new URL(request.url);
+			let page;
+			try {
+				page = parsePageParams(url.searchParams);
+			} catch (error) {
+				return invalidCursorResponse(error);
+			}
 
-			const authorData = JSON.parse(authorInfoText);
+			// Only the unpaged list is cached, purges clear it by its bare URL and can't know every page's
+			const cacheable = url.search === '';
+			const cache = caches.default;
+			let response = cacheable ? await cache.match(request) : null;
 
-			// Fetch and combine world data
-			const worldPrefix = `${author}/`;
-			const worldList = await env.WORLD_BUCKET.list({ prefix: worldPrefix });
+			if (!response) {
+				// Top level prefixes are authors, the cursor carries R2's own listing cursor
+				const list = await env.WORLD_BUCKET.list({
+					delimiter: '/',
+					limit: page.limit,
+					cursor: page.cursor?.r2
+				});
+				const names = list.delimitedPrefixes.map(prefix => prefix.slice(0, -1));
 
-			const worlds = [];
+				const id = env.WORLD_REGISTRY.idFromName("global");
+				const registry = env.WORLD_REGISTRY.get(id);
+				const countsResponse = await registry.fetch(new Request('http://internal/count-author-worlds', {
+					method: 'POST',
+					body: JSON.stringify({ authors: names })
+				}));
+				const worldCounts = countsResponse.ok ? await countsResponse.json() : {};
 
-			for (const item of worldList.objects) {
-				// log 
-				const parts = item.key.split('/');
-				if (parts.length === 3 && parts[2] === `metadata.json`) {
-					const jsonData = await env.WORLD_BUCKET.get(item.key);
-					const worldData = JSON.parse(await jsonData.text());
-					// Preserve the original structure of the world data
-					worlds.push({
-						...worldData[0],
+				// Prefixes without an author_info.json are storage, not authors
+				const authors = [];
+				for (const name of names) {
+					const authorInfoObject = await env.WORLD_BUCKET.get(`${name}/author_info.json`);
+					if (!authorInfoObject) continue;
+
+					const authorData = JSON.parse(await authorInfoObject.text());
+					authorData.authorId = name;
+					authors.push({
+						...authorData,
+						world_count: worldCounts[name] || 0
 					});
 				}
+
+				response = new Response(JSON.stringify({
+					items: authors,
+					nextCursor: list.truncated ? encodeCursor({ r2: list.cursor }) : null
+				}), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+
+				// Cache the response
+				if (cacheable) {
+					response.headers.set('Cache-Control', 'public, max-age=3600');
+					await cache.put(request, response.clone());
+				} else {
+					response.headers.set('Cache-Control', 'no-store');
+				}
+			}
+
+			return response;
+		} catch (error) {
+			console.error('Get authors list error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+	},
+
+	// Handle POST /update-author-info
+	async handleUpdateAuthorInfo(request, env) {
+		try {
+			const { userId, worldName, authorData } = await request.json();
+
+			if (!userId || !worldName || !authorData) {
+				return new Response(JSON.stringify({ error: `Missing userId, worldName, or authorData received ${userId}, ${worldName}, ${authorData}` }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			// Convert authorData from serialized JSON to object if necessary
+			let parsedAuthorData = authorData;
+			if (typeof authorData === 'string') {
+				parsedAuthorData = JSON.parse(authorData);
+			}
+
+			const authorInfoKey = `${userId}/author_info.json`;
+
+			await env.WORLD_BUCKET.put(authorInfoKey, JSON.stringify(parsedAuthorData, null, 2), {
+				httpMetadata: {
+					contentType: 'application/json',
+				},
+			});
+
+			const cache = caches.default;
+
+			// Bust author directory cache
+			await cache.delete(`https://${request.headers.get('host')}/author/${userId}`);
+
+			// Bust author data cache
+			await cache.delete(`https://${request.headers.get('host')}/author-data?author=${userId}`);
+
+			// Bust authors list cache
+			await cache.delete(`https://${request.headers.get('host')}/authors-list`);
+
+			return new Response(JSON.stringify({ success: true, message: 'Author info uploaded successfully' }), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		} catch (error) {
+			console.error('Author info upload error:', error);
+			return new Response(JSON.stringify({ success: false, error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+	},
+
+	// Handle POST /upload-asset
+	async handleUploadAsset(request, env) {
+		try {
+			const { userId, worldName, fileName, fileData, assetType } = await request.json();
+
+			// Get API key from Authorization header
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			// Verify API key and username match
+			const isValid = await this.verifyNamespaceAccess(apiKey, userId, 'publish', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const sanitizedWorldName = worldName.replace(/\s/g, '-');
+			const folderName = `${userId}`;
+			const assetKey = `${folderName}/${sanitizedWorldName}/${fileName}`;
+
+			const { error: trashError } = await this.checkNotTrashed(folderName, sanitizedWorldName, env);
+			if (trashError) return trashError;
+
+			const assetBytes = decodeBase64(fileData || '');
+			if (!detectImageType(assetBytes)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid image',
+					details: 'Assets must be JPEG, PNG, GIF, WebP or AVIF images'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
 			}
+			const storedImage = await storeImageWithVariants(assetKey, assetBytes, env);
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: `${assetType} uploaded successfully`,
+				assetUrl: assetKey,
+				contentType: storedImage.contentType,
+				variants: storedImage.variants
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS }
+			});
+		} catch (error) {
+			console.error('Asset upload error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS }
+			});
+		}
+	},
+
+	// Loads an upload session and checks the caller owns it
+	async authorizeUploadSession(request, uploadId, env) {
+		const authHeader = request.headers.get('Authorization');
+		if (!authHeader) {
+			return {
+				error: new Response(JSON.stringify({ error: 'Missing Authorization header' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+		const { apiKey } = await this.verifyRequestKey(request, env);
+
+		if (!uploadId) {
+			return {
+				error: new Response(JSON.stringify({ error: 'Missing uploadId' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+		const sessionResponse = await registry.fetch(new Request('http://internal/get-upload-session', {
+			method: 'POST',
+			body: JSON.stringify({ uploadId })
+		}));
+
+		if (!sessionResponse.ok) {
+			return {
+				error: new Response(JSON.stringify({ error: 'Upload session not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		const session = await sessionResponse.json();
+		const isValid = await this.verifyNamespaceAccess(apiKey, session.author, 'publish', env);
+		if (!isValid) {
+			return {
+				error: new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		if (session.status !== 'active') {
+			return {
+				error: new Response(JSON.stringify({
+					error: 'Upload session is no longer active',
+					details: `Session status is ${session.status}`
+				}), {
+					status: 409,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		return { session, registry };
+	},
+
+	// Start a chunked upload for a world file
+	async handleUploadSessionInitiate(request, env) {
+		try {
+			const { userId, worldName, fileName, path, contentType, channel = 'stable' } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const isValid = await this.verifyNamespaceAccess(apiKey, userId, 'publish', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!worldName || (!fileName && !path)) {
+				return new Response(JSON.stringify({
+					error: 'Missing required fields',
+					details: 'worldName and either fileName or path are required'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// fileName targets the world folder itself (e.g. the preview), path targets a bundle file
+			const filePath = normalizeBundlePath(path || fileName);
+			if (!filePath || (!path && filePath.includes('/'))) {
+				return new Response(JSON.stringify({
+					error: 'Invalid file name or path'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			if (!path && isWorldPageFile(filePath)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid file name',
+					details: 'Upload the world HTML with /upload-world and its metadata with /world-metadata'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!RELEASE_CHANNELS.includes(channel)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid channel',
+					details: `Channel must be one of ${RELEASE_CHANNELS.join(', ')}`
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Bundle files are staged and moved into the blob store once the upload completes
+			const sanitizedWorldName = worldName.replace(/\s/g, '-');
+			const { error: trashError } = await this.checkNotTrashed(userId, sanitizedWorldName, env);
+			if (trashError) return trashError;
+
+			const key = path ?
+				`uploads/${crypto.randomUUID()}` :
+				`${await this.resolveChannelFolder(userId, sanitizedWorldName, channel, env)}/${filePath}`;
+			const resolvedContentType = contentType || getContentType(filePath);
+
+			const upload = await env.WORLD_BUCKET.createMultipartUpload(key, {
+				httpMetadata: {
+					contentType: resolvedContentType,
+				},
+			});
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			await registry.fetch(new Request('http://internal/create-upload-session', {
+				method: 'POST',
+				body: JSON.stringify({
+					uploadId: upload.uploadId,
+					author: userId,
+					slug: sanitizedWorldName,
+					key,
+					contentType: resolvedContentType,
+					assetPath: path ? filePath : null,
+					assetScope: path ? channel : null
+				})
+			}));
+
+			return new Response(JSON.stringify({
+				success: true,
+				uploadId: upload.uploadId,
+				key: path ? null : key,
+				path: path ? filePath : null,
+				minPartSize: MIN_UPLOAD_PART_SIZE,
+				maxParts: MAX_UPLOAD_PARTS
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Upload session initiate error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Upload one part as the raw request body: /upload-session/part?uploadId=&partNumber=
+	async handleUploadSessionPart(request, env) {
+		try {
+			const url = new URL(request.url);
+			const uploadId = url.searchParams.get('uploadId');
+			const partNumber = parseInt(url.searchParams.get('partNumber'), 10);
+
+			const { session, registry, error } = await this.authorizeUploadSession(request, uploadId, env);
+			if (error) return error;
+
+			if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_UPLOAD_PARTS) {
+				return new Response(JSON.stringify({
+					error: 'Invalid partNumber',
+					details: `partNumber must be between 1 and ${MAX_UPLOAD_PARTS}`
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const partData = await request.arrayBuffer();
+			if (partData.byteLength === 0) {
+				return new Response(JSON.stringify({ error: 'Empty part body' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const upload = env.WORLD_BUCKET.resumeMultipartUpload(session.r2_key, uploadId);
+			const part = await upload.uploadPart(partNumber, partData);
+
+			await registry.fetch(new Request('http://internal/record-upload-part', {
+				method: 'POST',
+				body: JSON.stringify({
+					uploadId,
+					partNumber,
+					etag: part.etag,
+					size: partData.byteLength
+				})
+			}));
+
+			return new Response(JSON.stringify({
+				success: true,
+				partNumber,
+				etag: part.etag,
+				size: partData.byteLength
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Upload part error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Report which parts have been acknowledged so a client can resume
+	async handleUploadSessionStatus(request, env) {
+		try {
+			const url = new URL(request.url);
+			const uploadId = url.searchParams.get('uploadId');
+
+			const { session, error } = await this.authorizeUploadSession(request, uploadId, env);
+			if (error) return error;
+
+			// The next part to send is the first gap in the acknowledged part numbers
+			let nextPartNumber = 1;
+			for (const part of session.parts) {
+				if (part.part_number !== nextPartNumber) break;
+				nextPartNumber++;
+			}
+
+			return new Response(JSON.stringify({
+				uploadId,
+				key: session.r2_key,
+				path: session.asset_path || null,
+				status: session.status,
+				parts: session.parts.map(part => ({
+					partNumber: part.part_number,
+					etag: part.etag,
+					size: part.size
+				})),
+				uploadedBytes: session.parts.reduce((sum, part) => sum + part.size, 0),
+				nextPartNumber
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Upload status error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	async handleUploadSessionComplete(request, env) {
+		try {
+			const { uploadId } = await request.json();
+
+			const { session, registry, error } = await this.authorizeUploadSession(request, uploadId, env);
+			if (error) return error;
+
+			if (session.parts.length === 0) {
+				return new Response(JSON.stringify({ error: 'No parts have been uploaded' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const upload = env.WORLD_BUCKET.resumeMultipartUpload(session.r2_key, uploadId);
+
+			const abortSession = async () => {
+				await upload.abort();
+				await registry.fetch(new Request('http://internal/close-upload-session', {
+					method: 'POST',
+					body: JSON.stringify({ uploadId, status: 'aborted' })
+				}));
+			};
+
+			// Sessions started before world pages were refused for chunked uploads must not publish one
+			if (!session.asset_path && isWorldPageFile(session.r2_key.split('/').pop())) {
+				await abortSession();
+				return new Response(JSON.stringify({
+					error: 'Invalid file name',
+					details: 'Upload the world HTML with /upload-world and its metadata with /world-metadata'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// The world may have been deleted since the upload started, so nothing is written into the trashed slug
+			const { error: trashError } = await this.checkNotTrashed(session.author, session.slug, env);
+			if (trashError) {
+				await abortSession();
+				return trashError;
+			}
+
+			const object = await upload.complete(session.parts.map(part => ({
+				partNumber: part.part_number,
+				etag: part.etag
+			})));
+
+			// Bundle files go into the blob store and are added to the world's files
+			let blob = null;
+			if (session.asset_path) {
+				blob = await moveObjectToBlobStore(session.r2_key, env);
+				await registry.fetch(new Request('http://internal/set-asset-refs', {
+					method: 'POST',
+					body: JSON.stringify({
+						author: session.author,
+						slug: session.slug,
+						scope: session.asset_scope || 'stable',
+						files: [{ path: session.asset_path, hash: blob.hash, size: blob.size, contentType: blob.contentType }],
+						replace: false
+					})
+				}));
+			}
+
+			// Previews sent in parts get the same checks and variants as inline ones
+			let previewVariants = null;
+			if (session.r2_key.endsWith('/preview.jpg')) {
+				const previewObject = await env.WORLD_BUCKET.get(session.r2_key);
+				const previewBytes = new Uint8Array(await previewObject.arrayBuffer());
+				if (!detectImageType(previewBytes)) {
+					await env.WORLD_BUCKET.delete(session.r2_key);
+					await registry.fetch(new Request('http://internal/close-upload-session', {
+						method: 'POST',
+						body: JSON.stringify({ uploadId, status: 'aborted' })
+					}));
+					return new Response(JSON.stringify({
+						error: 'Invalid preview image',
+						details: 'Preview must be a JPEG, PNG, GIF, WebP or AVIF image'
+					}), {
+						status: 400,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+					});
+				}
+				previewVariants = (await storeImageWithVariants(session.r2_key, previewBytes, env)).variants;
+			}
+
+			await registry.fetch(new Request('http://internal/close-upload-session', {
+				method: 'POST',
+				body: JSON.stringify({ uploadId, status: 'completed' })
+			}));
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: 'Upload completed successfully',
+				key: session.asset_path ? null : session.r2_key,
+				path: session.asset_path || null,
+				hash: blob?.hash || null,
+				deduplicated: blob?.deduplicated || false,
+				previewVariants,
+				size: object.size,
+				etag: object.httpEtag
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Upload complete error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	async handleUploadSessionAbort(request, env) {
+		try {
+			const { uploadId } = await request.json();
+
+			const { session, registry, error } = await this.authorizeUploadSession(request, uploadId, env);
+			if (error) return error;
+
+			const upload = env.WORLD_BUCKET.resumeMultipartUpload(session.r2_key, uploadId);
+			await upload.abort();
+
+			await registry.fetch(new Request('http://internal/close-upload-session', {
+				method: 'POST',
+				body: JSON.stringify({ uploadId, status: 'aborted' })
+			}));
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: 'Upload aborted'
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Upload abort error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Helper function to fetch author data
+	async fetchAuthorData(author, env) {
+		const authorInfoKey = `${author}/author_info.json`;
+		try {
+			const authorInfoObject = await env.WORLD_BUCKET.get(authorInfoKey);
+			if (!authorInfoObject) {
+				console.error(`Author info not found for ${author}`);
+				return null;
+			}
+			const authorInfoText = await authorInfoObject.text();
+			return JSON.parse(authorInfoText);
+		} catch (error) {
+			console.error(`Error fetching author data for ${author}:`, error);
+			return null;
+		}
+	},
+
+	// Helper function to fetch a page of an author's listed worlds from the registry
+	async fetchAuthorWorlds(author, env, page = { limit: DEFAULT_PAGE_SIZE, cursor: null }) {
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+		const response = await registry.fetch(new Request('http://internal/list-author-worlds', {
+			method: 'POST',
+			body: JSON.stringify({ author, ...page })
+		}));
+		if (!response.ok) {
+			throw new Error(`Failed to list worlds: ${await response.text()}`);
+		}
+
+		const { items, nextCursor } = await response.json();
+		return {
+			items: items.map(world => ({
+				slug: world.slug,
+				name: world.name,
+				short_description: world.short_description,
+				preview_image: world.preview_image,
+				tags: world.tags,
+				version: world.version,
+				visit_count: world.visit_count || 0,
+				active_users: world.active_users || 0
+			})),
+			nextCursor
+		};
+	},
+
+	// Handle GET /author-worlds
+	async handleGetAuthorWorlds(request, env) {
+		const url = new URL(request.url);
+		const author = url.searchParams.get('author');
+		if (!author) {
+			return new Response(JSON.stringify({ error: 'Missing author parameter' }), {
+				status: 400,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+
+		let page;
+		try {
+			page = parsePageParams(url.searchParams);
+		} catch (error) {
+			return invalidCursorResponse(error);
+		}
+
+		try {
+			return new Response(JSON.stringify(await this.fetchAuthorWorlds(author, env, page)), {
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		} catch (error) {
+			console.error('Get author worlds error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+	},
+
+	async handleGetWorldDirectory(request, env) {
+		const url = new URL(request.url);
+		const pathParts = url.pathname.split('/').filter(part => part !== '');
+
+		if (pathParts.length !== 3 || pathParts[0] !== 'directory') {
+			return new Response('Invalid URL format', { status: 400 });
+		}
+
+		const author = pathParts[1];
+		const world = pathParts[2];
+		const channel = url.searchParams.get('channel') || 'stable';
+
+		if (!RELEASE_CHANNELS.includes(channel)) {
+			return new Response('Invalid channel', { status: 400 });
+		}
+		if (!await this.canViewChannel(request, author, world, channel, env)) {
+			return new Response('Unauthorized', { status: 401 });
+		}
+
+		// Check cache first, drafts are never cached
+		const cacheKey = `world:${author}:${world}`;
+		const cache = caches.default;
+		let response = channel === 'draft' ? null : await cache.match(request);
+
+		if (!response) {
+			try {
+				const worldData = await this.fetchWorldData(author, world, env, channel);
+				const authorData = await this.fetchAuthorData(author, env);
+
+				if (!worldData) {
+					// Transferred worlds keep answering at their old address
+					const id = env.WORLD_REGISTRY.idFromName("global");
+					const registry = env.WORLD_REGISTRY.get(id);
+					const redirectResponse = await registry.fetch(new Request('http://internal/get-redirect', {
+						method: 'POST',
+						body: JSON.stringify({ author, slug: world })
+					}));
+					if (redirectResponse.ok) {
+						const { to_author, to_slug } = await redirectResponse.json();
+						return Response.redirect(`${url.origin}/directory/${to_author}/${to_slug}${url.search}`, 301);
+					}
+				}
+				if (!worldData || !await this.canViewWorld(request, worldData, env)) {
+					return new Response('World not found', { status: 404 });
+				}
+				// world_url is antpb/Scene/Scene.html, we need to use the asset directory of http://xrpassets.sxp.digital/antpb/Scene/Scene.html
+				// Private worlds and drafts can't be read from the public bucket, the worker serves their files after checking access
+				const isPrivate = channel === 'draft' || !isWorldOpen(worldData);
+				const worldFolder = await this.resolveChannelFolder(author, world, channel, env);
+				worldData.asset_directory = isPrivate ?
+					this.getWorldBaseUrl(author, world, channel) :
+					`http://xrpassets.sxp.digital/${worldFolder}/`;
+				// pull html content and include it as a stringified object in the worldData named `world_html`
+				const htmlKey = `${worldFolder}/${world}.html`;
+				const htmlObject = await env.WORLD_BUCKET.get(htmlKey);
+				if (!htmlObject) {
+					return new Response('World not found', { status: 404 });
+				}
+				// The frame and the world's files can't send the author's key, so drafts hand them a draft token
+				const draftToken = channel === 'draft' ?
+					await createDraftToken(author, world, Math.floor(Date.now() / 1000) + DRAFT_TOKEN_TTL_SECONDS, env.WORLD_SHARE_SECRET) :
+					null;
+				if (htmlObject.customMetadata?.bundle === 'true') {
+					// Bundled worlds load their own files, so frame them from their base path instead of inlining
+					worldData.asset_directory = this.getWorldBaseUrl(author, world, channel);
+					const shareParam = url.searchParams.get('share') ? `&share=${encodeURIComponent(url.searchParams.get('share'))}` : '';
+					const draftParam = draftToken ? `&draft=${encodeURIComponent(draftToken)}` : '';
+					worldData.html_content = `<iframe src="${worldData.asset_directory}?track=false${shareParam}${draftParam}" style="width:100%;height:100%;border:0" allow="xr-spatial-tracking; fullscreen; autoplay"></iframe>`;
+				} else {
+					worldData.html_content = await htmlObject.text();
+				}
+
+				worldData.authorData = authorData;
+				worldData.channel = channel;
+				worldData.origin = url.origin;
+				worldData.similar = (await this.fetchFeed(env, { author, slug: world, withTrending: false })).similar;
+				const presence = await this.fetchPresence(author, world, env);
+				if (presence) {
+					worldData.active_users = presence.count;
+				}
+				response = await generateWorldHTML(worldData, env);
+
+				// Cache the response
+				if (isPrivate) {
+					response.headers.set('Cache-Control', 'private, no-store');
+					for (const cookie of [
+						this.getTokenCookie('world_share', url.searchParams.get('share'), author, world, channel),
+						this.getTokenCookie('world_draft', draftToken, author, world, channel)
+					]) {
+						if (cookie) response.headers.append('Set-Cookie', cookie);
+					}
+				} else {
+					response.headers.set('Cache-Control', 'public, max-age=3600');
+					await cache.put(request, response.clone());
+				}
+			} catch (error) {
+				console.error('Error generating world page:', error);
+				return new Response('Internal Server Error', { status: 500 });
+			}
+		}
+
+		return response;
+	},
+
+	async handleGetAuthorDirectory(request, env) {
+		const url = new URL(request.url);
+		const pathParts = url.pathname.split('/').filter(part => part !== '');
+
+		if (pathParts.length !== 2 || pathParts[0] !== 'author') {
+			return new Response('Invalid URL format', { status: 400 });
+		}
+
+		const author = pathParts[1];
+
+		// Check cache first
+		const cacheKey = `author:${author}`;
+		const cache = caches.default;
+		let response = await cache.match(request);
+
+		if (!response) {
+			try {
+				const authorData = await this.fetchAuthorPageData(author, env);
+				if (!authorData) {
+					return new Response('Author not found', { status: 404 });
+				}
+				response = await generateAuthorHTML(authorData, env, request);
+
+				// Cache the response
+				response.headers.set('Cache-Control', 'public, max-age=3600');
+				await cache.put(request, response.clone());
+			} catch (error) {
+				console.error('Error generating author page:', error);
+				return new Response('Internal Server Error', { status: 500 });
+			}
+		}
+
+		return response;
+	},
+
+	async fetchWorldData(author, slug, env, channel = 'stable') {
+		// remove .html from slug
+		slug = slug.replace('.html', '');
+		const jsonKey = `${await this.resolveChannelFolder(author, slug, channel, env)}/metadata.json`;
+		const jsonObject = await env.WORLD_BUCKET.get(jsonKey);
+
+		if (!jsonObject) {
+			console.error(`World data not found for ${jsonKey}`);
+			return null;
+		}
+
+		try {
+			const text = await jsonObject.text();
+			const parsed = JSON.parse(text);
+			return Array.isArray(parsed) ? parsed[0] : parsed;
+		} catch (error) {
+			console.error(`Error parsing JSON for ${jsonKey}:`, error);
+			return null;
+		}
+	},
+
+
+	async fetchAuthorPageData(author, env) {
+		const authorInfoKey = `${author}/author_info.json`;
+		const authorInfoObject = await env.WORLD_BUCKET.get(authorInfoKey);
+		// stringify and log the authorInfoObject
+		if (!authorInfoObject) {
+			console.error(`Author info not found for ${author}`);
+			return null;
+		}
+
+		try {
+			const authorInfoText = await authorInfoObject.text();
+
+			const authorData = JSON.parse(authorInfoText);
+
+			// Fetch and combine world data
+			const worldPrefix = `${author}/`;
+			const worldList = await env.WORLD_BUCKET.list({ prefix: worldPrefix });
+
+			const worlds = [];
+
+			for (const item of worldList.objects) {
+				// log 
+				const parts = item.key.split('/');
+				if (parts.length === 3 && parts[2] === `metadata.json`) {
+					const jsonData = await env.WORLD_BUCKET.get(item.key);
+					const worldData = JSON.parse(await jsonData.text());
+					if (!isWorldListed(worldData[0])) continue;
+
+					// Preserve the original structure of the world data
+					worlds.push({
+						...worldData[0],
+					});
+				}
+			}
+
+			// Remixes other authors made of these worlds
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+
+			// Metadata holds whatever count was last saved, the registry follows world presence
+			const activeResponse = await registry.fetch(new Request('http://internal/active-users', {
+				method: 'POST',
+				body: JSON.stringify({ author })
+			}));
+			const activeUsers = activeResponse.ok ? await activeResponse.json() : {};
+
+			// Replace the worlds array in authorData
+			authorData.worlds = worlds.map(world => ({
+				...world,
+				active_users: activeUsers[world.slug] ?? world.active_users
+			}));
+			const forksResponse = await registry.fetch(new Request('http://internal/list-forks', {
+				method: 'POST',
+				body: JSON.stringify({ author })
+			}));
+			authorData.forks = forksResponse.ok ? await forksResponse.json() : [];
+
+			// Daily visits to listed worlds over the last month, for the page's chart
+			const { from, to } = parseAnalyticsRange(new URLSearchParams());
+			const statsResponse = await registry.fetch(new Request('http://internal/daily-stats', {
+				method: 'POST',
+				body: JSON.stringify({ author, from, to, listedOnly: true })
+			}));
+			authorData.visitHistory = statsResponse.ok
+				? buildDailySeries((await statsResponse.json()).days, from, to)
+				: [];
+
+			return authorData;
+		} catch (error) {
+			console.error(`Error processing data for ${authorInfoKey}:`, error);
+			return null;
+		}
+	},
+
+	async handleVersionCheck(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const worldName = url.searchParams.get('worldName');
+			const newVersion = url.searchParams.get('newVersion');
+			const channel = url.searchParams.get('channel') || 'stable';
+
+			if (!author || !worldName || !newVersion) {
+				return new Response(JSON.stringify({ error: 'Missing required parameters' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			if (!isValidVersion(newVersion) || !RELEASE_CHANNELS.includes(channel)) {
+				return new Response(JSON.stringify({ error: 'Invalid version or channel' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			const sanitizedWorldName = worldName.replace(/\s/g, '-');
+			const jsonKey = `${await this.resolveChannelFolder(author, sanitizedWorldName, channel, env)}/metadata.json`;
+			const jsonObject = await env.WORLD_BUCKET.get(jsonKey);
+
+			if (!jsonObject) {
+				return new Response(JSON.stringify({ isNew: true, canUpload: true }), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			const jsonData = JSON.parse(await jsonObject.text());
+			const currentVersion = jsonData[0].version;
+
+			const isHigherVersion = !isValidVersion(currentVersion) || compareVersions(newVersion, currentVersion) > 0;
+
+			return new Response(JSON.stringify({
+				isNew: false,
+				canUpload: isHigherVersion,
+				currentVersion: currentVersion
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		} catch (error) {
+			console.error('Version check error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+	},
+
+	// R2 folder holding a world's files for a release channel
+	getChannelFolder(author, slug, channel = 'stable') {
+		return channel === 'stable' ? `${author}/${slug}` : `${author}/${slug}/channels/${channel}`;
+	},
+
+	// R2 folder the stable channel is served from. That's author/slug unless a rollback moved the
+	// world's html_url into a release folder, in which case the release folder is live.
+	async getLiveFolder(author, slug, env) {
+		const worldFolder = `${author}/${slug}`;
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+		const response = await registry.fetch(new Request('http://internal/get-html-url', {
+			method: 'POST',
+			body: JSON.stringify({ author, slug })
+		}));
+		if (!response.ok) {
+			return worldFolder;
+		}
+
+		const { html_url: htmlUrl } = await response.json();
+		const releasePrefix = `${worldFolder}/${RELEASES_FOLDER}/`;
+		if (typeof htmlUrl === 'string' && htmlUrl.startsWith(releasePrefix)) {
+			const [release, file] = htmlUrl.slice(releasePrefix.length).split('/');
+			if (release && file === `${slug}.html`) {
+				return `${releasePrefix}${release}`;
+			}
+		}
+		return worldFolder;
+	},
+
+	// R2 folder a channel is read from and published to
+	async resolveChannelFolder(author, slug, channel, env) {
+		return channel === 'stable' ? this.getLiveFolder(author, slug, env) : this.getChannelFolder(author, slug, channel);
+	},
+
+	// Rejects publishes that would move a channel back to an older version.
+	// Republishing the current version is allowed so metadata can be corrected.
+	async checkPublishVersion(author, slug, channel, version, env) {
+		if (!RELEASE_CHANNELS.includes(channel)) {
+			return {
+				error: new Response(JSON.stringify({
+					error: 'Invalid channel',
+					details: `Channel must be one of ${RELEASE_CHANNELS.join(', ')}`
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		if (!isValidVersion(version)) {
+			return {
+				error: new Response(JSON.stringify({
+					error: 'Invalid version',
+					details: version ? `${version} is not a semantic version` : 'version is required'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		const metadataObject = await env.WORLD_BUCKET.get(`${await this.resolveChannelFolder(author, slug, channel, env)}/metadata.json`);
+		if (!metadataObject) {
+			return { currentVersion: null };
+		}
+
+		const metadata = JSON.parse(await metadataObject.text());
+		const currentVersion = (Array.isArray(metadata) ? metadata[0] : metadata)?.version;
+
+		// Versions published before ordering was enforced may not parse; let them be replaced
+		if (isValidVersion(currentVersion) && compareVersions(version, currentVersion) < 0) {
+			return {
+				currentVersion,
+				error: new Response(JSON.stringify({
+					error: 'Version conflict',
+					details: `Version ${version} is older than the published ${channel} version ${currentVersion}`,
+					currentVersion
+				}), {
+					status: 409,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				})
+			};
+		}
+
+		return { currentVersion };
+	},
+
+	// Rejects writes to a world that is in the trash, its slug stays reserved until it is restored or purged
+	async checkNotTrashed(author, slug, env) {
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+		const response = await registry.fetch(new Request('http://internal/get-trashed-world', {
+			method: 'POST',
+			body: JSON.stringify({ author, slug })
+		}));
+		if (!response.ok) {
+			return {};
+		}
+
+		const entry = await response.json();
+		return {
+			error: new Response(JSON.stringify({
+				error: 'World is in the trash',
+				details: `${author}/${slug} was deleted on ${entry.deleted_at}. Restore it from the trash or wait for it to be purged.`,
+				trashId: entry.id
+			}), {
+				status: 409,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			})
+		};
+	},
+
+	// Path bundled world files are served from, relative URLs in the entry HTML resolve against it
+	getWorldBaseUrl(author, slug, channel = 'stable') {
+		const base = `/get-world/${encodeURIComponent(author)}/${encodeURIComponent(slug)}/`;
+		return channel === 'stable' ? base : `${base}channels/${channel}/`;
+	},
+
+	// Cookie carrying a share or draft token to a world's files until the token expires, or null without a token
+	getTokenCookie(name, token, author, slug, channel = 'stable') {
+		if (!token) return null;
+		const [expiresAt] = token.split('.');
+		const maxAge = Math.max(0, Number(expiresAt) - Math.floor(Date.now() / 1000));
+		return `${name}=${encodeURIComponent(token)}; Path=${this.getWorldBaseUrl(author, slug, channel)}; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+	},
+
+	// Whether the request carries the author's (or an admin) API key. Any member of a team namespace counts.
+	// Only keys holding the scope count, worlds:read unless another is given, so routes serving public worlds
+	// can leave the scope check to the point where a key grants access to a private one.
+	async isAuthorRequest(request, author, env, scope = 'worlds:read') {
+		const verification = await this.verifyRequestKey(request, env);
+		if (!verification.apiKey || !verification.scopes.includes(scope)) return false;
+		return await this.verifyNamespaceAccess(verification.apiKey, author, 'view', env, verification);
+	},
+
+	// Whether the request carries a draft token for the world, which stands in for the author's key
+	async hasDraftToken(request, author, slug, env) {
+		const draftToken = this.getRequestToken(request, 'draft', 'world_draft');
+		return Boolean(slug && draftToken && await verifyDraftToken(draftToken, author, slug, env.WORLD_SHARE_SECRET));
+	},
+
+	// Drafts are only visible to their author, or through the draft token their preview page hands its frame
+	async canViewChannel(request, author, slug, channel, env) {
+		if (channel !== 'draft') return true;
+		return await this.hasDraftToken(request, author, slug, env) || await this.isAuthorRequest(request, author, env);
+	},
+
+	// Tokens arrive as a query parameter or, for a world's files, the cookie set when its page loaded
+	getRequestToken(request, param, cookie) {
+		const value = new URL(request.url).searchParams.get(param);
+		if (value) return value;
+
+		const cookieHeader = request.headers.get('Cookie') || '';
+		const match = cookieHeader.match(new RegExp(`(?:^|;\\s*)${cookie}=([^;]+)`));
+		return match ? decodeURIComponent(match[1]) : null;
+	},
+
+	getShareToken(request) {
+		return this.getRequestToken(request, 'share', 'world_share');
+	},
+
+	// Private and scheduled worlds are only visible to their author or holders of a valid share or draft token
+	async canViewWorld(request, worldData, env) {
+		if (isWorldOpen(worldData)) return true;
+
+		const shareToken = this.getShareToken(request);
+		if (shareToken && await verifyShareToken(shareToken, worldData.author, worldData.slug, env.WORLD_SHARE_SECRET)) {
+			return true;
+		}
+		if (await this.hasDraftToken(request, worldData.author, worldData.slug, env)) {
+			return true;
+		}
+
+		return await this.isAuthorRequest(request, worldData.author, env);
+	},
+
+	async handleBackupWorld(request, env) {
+		try {
+			if (!await this.authenticateRequest(request, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			const { author, slug, version } = await request.json();
+
+			if (!author || !slug || !version) {
+				return new Response(JSON.stringify({ error: 'Missing required parameters' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			const worldFolder = await this.getLiveFolder(author, slug, env);
+
+			const created = await this.archiveWorldVersion(author, slug, version, env);
+			if (!created) {
+				return new Response(JSON.stringify({
+					success: false,
+					message: `Backup for version ${version} already exists`,
+				}), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
+			// Update the main world metadata to reflect the current version
+			const metadataKey = `${worldFolder}/metadata.json`;
+			const metadataObject = await env.WORLD_BUCKET.get(metadataKey);
+			if (metadataObject) {
+				const metadata = JSON.parse(await metadataObject.text());
+				metadata[0].version = version;
+				await env.WORLD_BUCKET.put(metadataKey, JSON.stringify(metadata), {
+					httpMetadata: { contentType: 'application/json' },
+				});
+			}
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: `Backup created for ${author}/${slug} version ${version}`,
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+
+		} catch (error) {
+			console.error('Backup creation error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+	},
+
+	// Copies every object under one prefix to another, keeping content types
+	async copyWorldObjects(sourcePrefix, destinationPrefix, env) {
+		let cursor;
+		do {
+			const listed = await env.WORLD_BUCKET.list({ prefix: sourcePrefix, cursor });
+			for (const object of listed.objects) {
+				const source = await env.WORLD_BUCKET.get(object.key);
+				if (!source) continue;
+				await env.WORLD_BUCKET.put(`${destinationPrefix}${object.key.slice(sourcePrefix.length)}`, source.body, {
+					httpMetadata: source.httpMetadata,
+					customMetadata: source.customMetadata
+				});
+			}
+			cursor = listed.truncated ? listed.cursor : undefined;
+		} while (cursor);
+	},
+
+	// Paths of every file a world channel currently serves, from the blob store and legacy files/ objects
+	async listWorldFilePaths(author, slug, channel, env) {
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+		const refsResponse = await registry.fetch(new Request('http://internal/list-asset-refs', {
+			method: 'POST',
+			body: JSON.stringify({ author, slug, scope: channel })
+		}));
+		const paths = (await refsResponse.json()).map(ref => ref.path);
+
+		const prefix = `${await this.resolveChannelFolder(author, slug, channel, env)}/files/`;
+		let cursor;
+		do {
+			const listed = await env.WORLD_BUCKET.list({ prefix, cursor });
+			paths.push(...listed.objects.map(object => object.key.slice(prefix.length)));
+			cursor = listed.truncated ? listed.cursor : undefined;
+		} while (cursor);
+
+		return paths;
+	},
+
+	async deleteWorldObjects(prefix, env) {
+		let cursor;
+		do {
+			const listed = await env.WORLD_BUCKET.list({ prefix, cursor });
+			for (const object of listed.objects) {
+				await env.WORLD_BUCKET.delete(object.key);
+			}
+			cursor = listed.truncated ? listed.cursor : undefined;
+		} while (cursor);
+	},
+
+	// Copies the live world files into author/slug/<version>/ and records the archive in the registry.
+	// Returns false if that version is already archived.
+	async archiveWorldVersion(author, slug, version, env) {
+		const worldFolder = await this.getLiveFolder(author, slug, env);
+		const backupFolder = `${author}/${slug}/${version}/`;
+
+		const existingBackup = await env.WORLD_BUCKET.list({ prefix: backupFolder, limit: 1 });
+		if (existingBackup.objects.length > 0) {
+			return false;
+		}
+
+		for (const file of [`${slug}.html`, 'metadata.json', 'preview.jpg', ...getVariantKeys('preview.jpg')]) {
+			const sourceObject = await env.WORLD_BUCKET.get(`${worldFolder}/${file}`);
+			if (sourceObject) {
+				await env.WORLD_BUCKET.put(`${backupFolder}${file}`, sourceObject.body, {
+					httpMetadata: sourceObject.httpMetadata,
+					customMetadata: sourceObject.customMetadata
+				});
+			}
+		}
+
+		// Bundled worlds also keep their files. Blob store files only need their references copied.
+		await this.copyWorldObjects(`${worldFolder}/files/`, `${backupFolder}files/`, env);
+
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+		await registry.fetch(new Request('http://internal/copy-asset-refs', {
+			method: 'POST',
+			body: JSON.stringify({ author, slug, fromScope: 'stable', toScope: `v:${version}` })
+		}));
+		await registry.fetch(new Request('http://internal/record-archived-version', {
+			method: 'POST',
+			body: JSON.stringify({
+				author,
+				slug,
+				version,
+				htmlUrl: `${backupFolder}${slug}.html`
+			})
+		}));
+
+		return true;
+	},
+
+	// Drop cached pages that render a world. host is the request's host when there is one.
+	async purgeWorldCaches(author, slug, env, host = null) {
+		const cache = caches.default;
+		const domains = host ? [host, ...CACHE_DOMAINS] : CACHE_DOMAINS;
+		const paths = [
+			`/`,
+			`/directory/${author}/${slug}`,
+			`/world-data?author=${author}&slug=${slug}`,
+			`/author/${author}`,
+			`/author-data?author=${author}`,
+			`/authors-list`
+		];
+
+		for (const domain of domains) {
+			for (const path of paths) {
+				await cache.delete(`https://${domain}${path}`);
+				await cache.delete(`http://${domain}${path}`);
+			}
+		}
+	},
+
+	// Handle GET /world-versions
+	async handleGetWorldVersions(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const slug = url.searchParams.get('slug');
+
+			if (!author || !slug) {
+				return new Response(JSON.stringify({ error: 'Missing author or slug parameter' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env);
+			if (worldData && !await this.canViewWorld(request, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const versionsResponse = await registry.fetch(new Request('http://internal/list-versions', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug })
+			}));
+
+			if (!versionsResponse.ok) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const versions = await versionsResponse.json();
+
+			// Archived copies live in author/slug/<version>/ folders
+			const worldPrefix = `${author}/${slug}/`;
+			const archived = new Set();
+			let cursor;
+			do {
+				const listed = await env.WORLD_BUCKET.list({ prefix: worldPrefix, delimiter: '/', cursor });
+				for (const prefix of listed.delimitedPrefixes) {
+					const folder = prefix.slice(worldPrefix.length, -1);
+					if (folder !== 'files' && folder !== 'channels' && folder !== RELEASES_FOLDER) {
+						archived.add(folder);
+					}
+				}
+				cursor = listed.truncated ? listed.cursor : undefined;
+			} while (cursor);
+
+			const result = versions.map(version => ({
+				version: version.version,
+				changelog: version.changelog || '',
+				published_at: version.published_at,
+				is_current: version.is_current,
+				archived: archived.has(version.version),
+				downloads: version.downloads || 0
+			}));
+
+			// Backups made before versions were tracked only exist in storage
+			for (const version of archived) {
+				if (!result.some(entry => entry.version === version)) {
+					result.push({
+						version,
+						changelog: '',
+						published_at: null,
+						is_current: false,
+						archived: true,
+						downloads: 0
+					});
+				}
+			}
+
+			return new Response(JSON.stringify({ author, slug, versions: result }), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('List world versions error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /world-version, add format=html for the archived page itself
+	async handleGetWorldVersion(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const slug = url.searchParams.get('slug');
+			const version = url.searchParams.get('version');
+
+			if (!author || !slug || !version) {
+				return new Response(JSON.stringify({ error: 'Missing author, slug or version parameter' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env);
+			if (worldData && !await this.canViewWorld(request, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const backupFolder = `${author}/${slug}/${version}`;
+			const htmlObject = await env.WORLD_BUCKET.get(`${backupFolder}/${slug}.html`);
+			if (!htmlObject) {
+				return new Response(JSON.stringify({ error: 'Archived version not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (url.searchParams.get('format') === 'html') {
+				return new Response(htmlObject.body, {
+					status: 200,
+					headers: {
+						...CORS_HEADERS,
+						'Content-Type': 'text/html',
+						'X-Content-Type-Options': 'nosniff'
+					}
+				});
+			}
+
+			const metadataObject = await env.WORLD_BUCKET.get(`${backupFolder}/metadata.json`);
+			let metadata = null;
+			if (metadataObject) {
+				const parsed = JSON.parse(await metadataObject.text());
+				metadata = Array.isArray(parsed) ? parsed[0] : parsed;
+			}
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const versionResponse = await registry.fetch(new Request('http://internal/get-version', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, version })
+			}));
+			const versionData = versionResponse.ok ? await versionResponse.json() : {};
+
+			return new Response(JSON.stringify({
+				author,
+				slug,
+				version,
+				changelog: versionData.changelog || '',
+				published_at: versionData.published_at || null,
+				metadata,
+				html: await htmlObject.text()
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Get world version error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Where a version of a world is stored: the live folder for the current version, its archive otherwise
+	async resolveDownloadSource(author, slug, version, worldData, env) {
+		if (version === worldData.version) {
+			return { author, slug, folder: await this.getLiveFolder(author, slug, env), scope: 'stable' };
+		}
+
+		// Archives sit beside the files/, channels/ and releases/ folders, anything else is not a version
+		if (version.includes('/') || ['files', 'channels', RELEASES_FOLDER].includes(version)) {
+			return null;
+		}
+		const folder = `${author}/${slug}/${version}`;
+		const archived = await env.WORLD_BUCKET.head(`${folder}/${slug}.html`);
+		return archived ? { author, slug, folder, scope: `v:${version}` } : null;
+	},
+
+	// Every request is limited per address across every world and per address for this world, those with an
+	// API key also per key across every world. Returns the tightest of the limits that apply. The admin key is not limited.
+	async checkDownloadRateLimit(request, author, slug, env) {
+		const { apiKey } = await this.verifyRequestKey(request, env);
+
+		if (apiKey && apiKey === env.API_SECRET) {
+			return null;
+		}
+
+		const addressHash = await hashIdentifier(request.headers.get('CF-Connecting-IP') || 'unknown');
+		const addressLimit = await checkRateLimit(env.DOWNLOAD_RATELIMIT, `ip:${addressHash}`, DOWNLOAD_IP_LIMIT);
+		if (!addressLimit.allowed) {
+			return addressLimit;
+		}
+
+		const worldLimit = await checkRateLimit(env.DOWNLOAD_RATELIMIT, `ip-world:${addressHash}:${author}/${slug}`, DOWNLOAD_IP_WORLD_LIMIT);
+		const tightest = worldLimit.remaining < addressLimit.remaining ? worldLimit : addressLimit;
+		if (!worldLimit.allowed || !apiKey || !(await this.verifyApiKey(apiKey, env)).success) {
+			return worldLimit.allowed ? tightest : worldLimit;
+		}
+
+		const keyLimit = await checkRateLimit(env.DOWNLOAD_RATELIMIT, `key:${await hashIdentifier(apiKey)}`, DOWNLOAD_API_KEY_LIMIT);
+		return !keyLimit.allowed || keyLimit.remaining < tightest.remaining ? keyLimit : tightest;
+	},
+
+	// Handle GET /download?author=&slug=&version=
+	// Issues a short-lived signed link to a zip of the version, the current one when version is left out
+	async handleDownload(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const slug = url.searchParams.get('slug');
+
+			if (!author || !slug) {
+				return new Response(JSON.stringify({ error: 'Missing author or slug parameter' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env);
+			if (!worldData || !await this.canViewWorld(request, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const version = url.searchParams.get('version') || worldData.version;
+			if (!version || !await this.resolveDownloadSource(author, slug, version, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'Version not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const rateLimit = await this.checkDownloadRateLimit(request, author, slug, env);
+			const rateLimitHeaders = rateLimit ? {
+				'X-RateLimit-Limit': String(rateLimit.limit),
+				'X-RateLimit-Remaining': String(rateLimit.remaining)
+			} : {};
+			if (rateLimit && !rateLimit.allowed) {
+				return new Response(JSON.stringify({
+					error: 'Too many downloads',
+					retry_after: rateLimit.retryAfter
+				}), {
+					status: 429,
+					headers: {
+						...CORS_HEADERS,
+						...rateLimitHeaders,
+						'Content-Type': 'application/json',
+						'Retry-After': String(rateLimit.retryAfter)
+					}
+				});
+			}
+
+			const expiresAt = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+			const linkId = crypto.randomUUID();
+			const token = await createDownloadToken(author, slug, version, linkId, expiresAt, env.WORLD_SHARE_SECRET);
+			const downloadUrl = new URL('/download/file', url.origin);
+			downloadUrl.search = new URLSearchParams({ author, slug, version, link: linkId, token }).toString();
+
+			return new Response(JSON.stringify({
+				url: downloadUrl.toString(),
+				version,
+				expires_at: new Date(expiresAt * 1000).toISOString()
+			}), {
+				status: 200,
+				headers: {
+					...CORS_HEADERS,
+					...rateLimitHeaders,
+					'Content-Type': 'application/json',
+					'Cache-Control': 'private, no-store'
+				}
+			});
+		} catch (error) {
+			console.error('Download link error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /download/file, the signed link from /download. The link is the only credential needed
+	// and serves one download.
+	async handleDownloadFile(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const slug = url.searchParams.get('slug');
+			const version = url.searchParams.get('version');
+			const linkId = url.searchParams.get('link');
+			const token = url.searchParams.get('token');
+
+			if (!author || !slug || !version || !linkId ||
+				!await verifyDownloadToken(token, author, slug, version, linkId, env.WORLD_SHARE_SECRET)) {
+				return new Response(JSON.stringify({ error: 'Invalid or expired download link' }), {
+					status: 403,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env);
+			const source = worldData && await this.resolveDownloadSource(author, slug, version, worldData, env);
+			if (!source) {
+				return new Response(JSON.stringify({ error: 'Version not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const recordResponse = await registry.fetch(new Request('http://internal/record-download', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, version, linkId, expiresAt: Number(token.split('.')[0]) })
+			}));
+			if (recordResponse.status === 410) {
+				return new Response(JSON.stringify({ error: 'Download link already used' }), {
+					status: 410,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const { readable, writable } = new TransformStream();
+			writeWorldDownload(source, env, writable).catch(error => {
+				console.error('World download error:', error);
+			});
+
+			return new Response(readable, {
+				status: 200,
+				headers: {
+					...CORS_HEADERS,
+					'Content-Type': 'application/zip',
+					'Content-Disposition': `attachment; filename="${slug}-${version}.zip"`,
+					'Cache-Control': 'private, no-store'
+				}
+			});
+		} catch (error) {
+			console.error('Download error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /download-count?author=&slug=
+	async handleGetDownloadCount(request, env) {
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const slug = url.searchParams.get('slug');
+
+			if (!author || !slug) {
+				return new Response(JSON.stringify({ error: 'Missing author or slug parameter' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env);
+			if (worldData && !await this.canViewWorld(request, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const countsResponse = await registry.fetch(new Request('http://internal/download-counts', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug })
+			}));
+
+			return new Response(await countsResponse.text(), {
+				status: countsResponse.status,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Get download count error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle POST /rollback-world
+	async handleRollbackWorld(request, env) {
+		try {
+			const { author, slug, version } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const isValid = await this.verifyNamespaceAccess(apiKey, author, 'publish', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!author || !slug || !version) {
+				return new Response(JSON.stringify({ error: 'Missing required parameters' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldFolder = `${author}/${slug}`;
+			const backupFolder = `${worldFolder}/${version}`;
+			const archivedHtml = await env.WORLD_BUCKET.head(`${backupFolder}/${slug}.html`);
+			if (!archivedHtml) {
+				return new Response(JSON.stringify({ error: `Archived version ${version} not found` }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Keep the current live files so the rollback itself can be undone
+			const liveFolder = await this.getLiveFolder(author, slug, env);
+			const liveWorld = await this.fetchWorldData(author, slug, env);
+			if (liveWorld?.version && liveWorld.version !== version) {
+				await this.archiveWorldVersion(author, slug, liveWorld.version, env);
+			}
+
+			// Stage the archived files in a fresh release folder. Nothing live changes until the registry
+			// switches html_url to it, so a rollback that fails partway leaves the world as it was.
+			const releaseFolder = `${worldFolder}/${RELEASES_FOLDER}/${crypto.randomUUID()}`;
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			let hasPreview = false;
+			try {
+				for (const file of [`${slug}.html`, 'preview.jpg', ...getVariantKeys('preview.jpg')]) {
+					const archivedObject = await env.WORLD_BUCKET.get(`${backupFolder}/${file}`);
+					if (archivedObject) {
+						await env.WORLD_BUCKET.put(`${releaseFolder}/${file}`, archivedObject.body, {
+							httpMetadata: archivedObject.httpMetadata,
+							customMetadata: archivedObject.customMetadata
+						});
+						hasPreview ||= file === 'preview.jpg';
+					}
+				}
+				await this.copyWorldObjects(`${backupFolder}/files/`, `${releaseFolder}/files/`, env);
+
+				const archivedMetadata = await env.WORLD_BUCKET.get(`${backupFolder}/metadata.json`);
+				if (archivedMetadata) {
+					const metadata = JSON.parse(await archivedMetadata.text());
+					const entries = Array.isArray(metadata) ? metadata : [metadata];
+					entries[0].version = version;
+					entries[0].updated_at = new Date().toISOString();
+					entries[0].html_url = `${releaseFolder}/${slug}.html`;
+					entries[0].preview_image = hasPreview ? `${releaseFolder}/preview.jpg` : null;
+					await env.WORLD_BUCKET.put(`${releaseFolder}/metadata.json`, JSON.stringify(entries), {
+						httpMetadata: { contentType: 'application/json' },
+					});
+				}
+
+				await registry.fetch(new Request('http://internal/record-archived-version', {
+					method: 'POST',
+					body: JSON.stringify({ author, slug, version, htmlUrl: `${backupFolder}/${slug}.html` })
+				}));
+				// One registry transaction moves html_url, the preview and the blob references to the release
+				const rollbackResponse = await registry.fetch(new Request('http://internal/rollback-world', {
+					method: 'POST',
+					body: JSON.stringify({
+						author,
+						slug,
+						version,
+						htmlUrl: `${releaseFolder}/${slug}.html`,
+						previewImage: hasPreview ? `${releaseFolder}/preview.jpg` : null
+					})
+				}));
+				if (!rollbackResponse.ok) {
+					const { error } = await rollbackResponse.json();
+					throw new Error(error);
+				}
+			} catch (error) {
+				await this.deleteWorldObjects(`${releaseFolder}/`, env);
+				throw error;
+			}
+
+			// The previous live files are archived and no longer served, clearing them is best effort
+			try {
+				if (liveFolder !== worldFolder) {
+					await this.deleteWorldObjects(`${liveFolder}/`, env);
+				} else {
+					for (const file of [`${slug}.html`, 'metadata.json', 'preview.jpg', ...getVariantKeys('preview.jpg')]) {
+						await env.WORLD_BUCKET.delete(`${worldFolder}/${file}`);
+					}
+					await this.deleteWorldObjects(`${worldFolder}/files/`, env);
+				}
+			} catch (error) {
+				console.error('Failed to clear previous live files after rollback:', error);
+			}
+
+			await this.purgeWorldCaches(author, slug, env, new URL(request.url).host);
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: `Rolled back ${author}/${slug} to version ${version}`,
+				version
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('World rollback error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle POST /world-share-link, mints an expiring link to a private or scheduled world
+	async handleCreateShareLink(request, env) {
+		try {
+			const { author, slug, expiresIn = DEFAULT_SHARE_TTL_SECONDS } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const isValid = await this.verifyNamespaceAccess(apiKey, author, 'publish', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const ttl = Number(expiresIn);
+			if (!author || !slug || !Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_SHARE_TTL_SECONDS) {
+				return new Response(JSON.stringify({
+					error: 'Invalid parameters',
+					details: `author and slug are required and expiresIn must be between 1 and ${MAX_SHARE_TTL_SECONDS} seconds`
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env);
+			if (!worldData) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const expiresAt = Math.floor(Date.now() / 1000) + Math.floor(ttl);
+			const token = await createShareToken(author, slug, expiresAt, env.WORLD_SHARE_SECRET);
+			const origin = new URL(request.url).origin;
+
+			return new Response(JSON.stringify({
+				success: true,
+				token,
+				expiresAt: new Date(expiresAt * 1000).toISOString(),
+				url: `${origin}/directory/${author}/${slug}?share=${encodeURIComponent(token)}`,
+				worldUrl: `${origin}${this.getWorldBaseUrl(author, slug)}?share=${encodeURIComponent(token)}`
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Share link error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle POST /fork-world
+	// Copies a public world's live version into the caller's namespace and records where it came from
+	async handleForkWorld(request, env) {
+		try {
+			const { userId, author, slug, newSlug, name } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const isValid = await this.verifyNamespaceAccess(apiKey, userId, 'publish', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!author || !slug) {
+				return new Response(JSON.stringify({
+					error: 'Missing required parameters',
+					details: 'author and slug are required'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Only worlds anyone can find can be remixed
+			const source = await this.fetchWorldData(author, slug, env);
+			if (!source || !isWorldListed(source)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			if (source.allow_forks === false) {
+				return new Response(JSON.stringify({
+					error: 'Forking is disabled for this world'
+				}), {
+					status: 403,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Slugged like an upload's world name. It becomes a folder under userId, so it can't name another path.
+			const targetSlug = String(newSlug || slug).replace(/\s/g, '-');
+			if (!/^[^/\\?#%]+$/.test(targetSlug) || targetSlug === '.' || targetSlug === '..') {
+				return new Response(JSON.stringify({
+					error: 'Invalid newSlug',
+					details: 'newSlug can\'t contain /, \\, ?, # or %, or be . or ..'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { error: trashError } = await this.checkNotTrashed(userId, targetSlug, env);
+			if (trashError) return trashError;
+			if (await this.fetchWorldData(userId, targetSlug, env)) {
+				return new Response(JSON.stringify({
+					error: 'World already exists',
+					details: `${userId}/${targetSlug} already exists, choose another newSlug`
+				}), {
+					status: 409,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const sourceFolder = await this.getLiveFolder(author, slug, env);
+			const targetFolder = `${userId}/${targetSlug}`;
+
+			// The world page keeps its bundle flag, previews keep their variants
+			const previewFiles = ['preview.jpg', ...getVariantKeys('preview.jpg')];
+			for (const [from, to] of [[`${slug}.html`, `${targetSlug}.html`], ...previewFiles.map(file => [file, file])]) {
+				const sourceObject = await env.WORLD_BUCKET.get(`${sourceFolder}/${from}`);
+				if (sourceObject) {
+					await env.WORLD_BUCKET.put(`${targetFolder}/${to}`, sourceObject.body, {
+						httpMetadata: sourceObject.httpMetadata,
+						customMetadata: sourceObject.customMetadata
+					});
+				}
+			}
+			await this.copyWorldObjects(`${sourceFolder}/files/`, `${targetFolder}/files/`, env);
+
+			const now = new Date().toISOString();
+			const forkMetadata = {
+				...source,
+				name: name || source.name,
+				slug: targetSlug,
+				author: userId,
+				created_at: now,
+				updated_at: now,
+				visibility: 'public',
+				publish_at: null,
+				html_url: `${targetFolder}/${targetSlug}.html`,
+				preview_image: `${targetFolder}/preview.jpg`,
+				visit_count: 0,
+				active_users: 0,
+				allow_forks: true,
+				forked_from: {
+					author,
+					slug,
+					name: source.name,
+					version: source.version
+				}
+			};
+			await env.WORLD_BUCKET.put(`${targetFolder}/metadata.json`, JSON.stringify([forkMetadata]), {
+				httpMetadata: {
+					contentType: 'application/json',
+				},
+			});
+
+			// Bundle files are shared with the original through the blob store
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			await registry.fetch(new Request('http://internal/copy-asset-refs', {
+				method: 'POST',
+				body: JSON.stringify({
+					author,
+					slug,
+					fromScope: 'stable',
+					toScope: 'stable',
+					target: { author: userId, slug: targetSlug }
+				})
+			}));
+
+			const createResponse = await registry.fetch(new Request('http://internal/create-world', {
+				method: 'POST',
+				body: JSON.stringify({ ...forkMetadata, changelog: `Remixed from ${author}/${slug} v${source.version}` })
+			}));
+			if (!createResponse.ok) {
+				throw new Error(`Database update failed: ${await createResponse.text()}`);
+			}
+
+			// The original author's page lists its forks
+			const host = new URL(request.url).host;
+			await this.purgeWorldCaches(userId, targetSlug, env, host);
+			await this.purgeWorldCaches(author, slug, env, host);
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: 'World forked successfully',
+				world: { author: userId, slug: targetSlug, name: forkMetadata.name, version: forkMetadata.version },
+				forked_from: forkMetadata.forked_from,
+				url: `/directory/${userId}/${targetSlug}`
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('World fork error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Copies a world's objects to a new author, pointing every metadata.json at the new location
+	async copyWorldToAuthor(fromAuthor, toAuthor, slug, env) {
+		const sourcePrefix = `${fromAuthor}/${slug}/`;
+		const destinationPrefix = `${toAuthor}/${slug}/`;
+		const movePath = value => typeof value === 'string' && value.startsWith(sourcePrefix) ?
+			`${destinationPrefix}${value.slice(sourcePrefix.length)}` :
+			value;
+
+		let cursor;
+		do {
+			const listed = await env.WORLD_BUCKET.list({ prefix: sourcePrefix, cursor });
+			for (const object of listed.objects) {
+				const source = await env.WORLD_BUCKET.get(object.key);
+				if (!source) continue;
+
+				let body = source.body;
+				if (object.key.endsWith('/metadata.json')) {
+					const parsed = JSON.parse(await source.text());
+					const entries = (Array.isArray(parsed) ? parsed : [parsed]).map(entry => ({
+						...entry,
+						author: toAuthor,
+						html_url: movePath(entry.html_url),
+						preview_image: movePath(entry.preview_image)
+					}));
+					body = JSON.stringify(Array.isArray(parsed) ? entries : entries[0]);
+				}
+
+				await env.WORLD_BUCKET.put(`${destinationPrefix}${object.key.slice(sourcePrefix.length)}`, body, {
+					httpMetadata: source.httpMetadata,
+					customMetadata: source.customMetadata
+				});
+			}
+			cursor = listed.truncated ? listed.cursor : undefined;
+		} while (cursor);
+	},
+
+	// Handle POST /transfer-world/initiate
+	// Only the owner of the world's namespace (or an admin) can give a world away
+	async handleInitiateTransfer(request, env) {
+		try {
+			const { author, slug, toAuthor } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const isValid = await this.verifyNamespaceAccess(apiKey, author, 'delete', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!author || !slug || !toAuthor) {
+				return new Response(JSON.stringify({
+					error: 'Missing required parameters',
+					details: 'author, slug and toAuthor are required'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			if (toAuthor === author || !/^[A-Za-z0-9_-]+$/.test(toAuthor)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid toAuthor',
+					details: 'toAuthor must be another author or team'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// A transfer to a name nobody holds could be accepted by whoever registers it later
+			const authId = env.USER_AUTH.idFromName("global");
+			const auth = env.USER_AUTH.get(authId);
+			const namespaceResponse = await auth.fetch(new Request('http://internal/namespace-exists', {
+				method: 'POST',
+				body: JSON.stringify({ name: toAuthor })
+			}));
+			if (!namespaceResponse.ok) {
+				throw new Error('Failed to look up toAuthor');
+			}
+			const { exists } = await namespaceResponse.json();
+			if (!exists) {
+				return new Response(JSON.stringify({
+					error: 'Recipient not found',
+					details: `No author or team is named ${toAuthor}`
+				}), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const initiatedBy = apiKey === env.API_SECRET ? 'admin' : (await this.verifyApiKey(apiKey, env)).username;
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const response = await registry.fetch(new Request('http://internal/create-transfer', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, toAuthor, initiatedBy })
+			}));
+			const result = await response.json();
+			if (!response.ok) {
+				return new Response(JSON.stringify({
+					error: 'Transfer could not be created',
+					details: result.error
+				}), {
+					status: response.status,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: `Transfer is waiting for ${toAuthor} to accept`,
+				transfer: result
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Transfer initiate error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle POST /transfer-world/accept and /transfer-world/decline
+	// The receiving author accepts or declines. The sending side can withdraw by declining its own transfer.
+	async handleResolveTransfer(request, env, accept = false) {
+		try {
+			const { transferId } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const transferResponse = await registry.fetch(new Request('http://internal/get-transfer', {
+				method: 'POST',
+				body: JSON.stringify({ transferId })
+			}));
+			const transfer = transferResponse.ok ? await transferResponse.json() : null;
+			if (!transfer || transfer.status !== 'pending') {
+				return new Response(JSON.stringify({ error: 'Transfer not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const { from_author: fromAuthor, to_author: toAuthor, slug } = transfer;
+			const isRecipient = await this.verifyNamespaceAccess(apiKey, toAuthor, 'publish', env);
+			const isSender = !accept && await this.verifyNamespaceAccess(apiKey, fromAuthor, 'delete', env);
+			if (!isRecipient && !isSender) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!accept) {
+				await registry.fetch(new Request('http://internal/resolve-transfer', {
+					method: 'POST',
+					body: JSON.stringify({ transferId, status: isRecipient ? 'declined' : 'cancelled' })
+				}));
+				return new Response(JSON.stringify({
+					success: true,
+					message: isRecipient ? 'Transfer declined' : 'Transfer cancelled'
+				}), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (await this.fetchWorldData(toAuthor, slug, env)) {
+				return new Response(JSON.stringify({
+					error: 'World already exists',
+					details: `${toAuthor}/${slug} already exists`
+				}), {
+					status: 409,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Copy first so the world is never without its files, then move the registry rows
+			await this.copyWorldToAuthor(fromAuthor, toAuthor, slug, env);
+			const completeResponse = await registry.fetch(new Request('http://internal/complete-transfer', {
+				method: 'POST',
+				body: JSON.stringify({ transferId })
+			}));
+			if (!completeResponse.ok) {
+				await this.deleteWorldObjects(`${toAuthor}/${slug}/`, env);
+				const { error } = await completeResponse.json();
+				return new Response(JSON.stringify({
+					error: 'Transfer could not be completed',
+					details: error
+				}), {
+					status: 409,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			await this.deleteWorldObjects(`${fromAuthor}/${slug}/`, env);
+
+			const visits = await env.VISIT_COUNTS.get(`visits:${fromAuthor}:${slug}`);
+			if (visits !== null) {
+				await env.VISIT_COUNTS.put(`visits:${toAuthor}:${slug}`, visits);
+				await env.VISIT_COUNTS.delete(`visits:${fromAuthor}:${slug}`);
+			}
+
+			const host = new URL(request.url).host;
+			await this.purgeWorldCaches(fromAuthor, slug, env, host);
+			await this.purgeWorldCaches(toAuthor, slug, env, host);
+
+			return new Response(JSON.stringify({
+				success: true,
+				message: 'World transferred successfully',
+				world: { author: toAuthor, slug },
+				url: `/directory/${toAuthor}/${slug}`
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Transfer resolve error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /world-transfers?author=
+	async handleListTransfers(request, env) {
+		try {
+			const author = new URL(request.url).searchParams.get('author');
+
+			if (!author || !await this.isAuthorRequest(request, author, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const response = await registry.fetch(new Request('http://internal/list-transfers', {
+				method: 'POST',
+				body: JSON.stringify({ author })
+			}));
+			const transfers = await response.json();
+
+			return new Response(JSON.stringify({
+				incoming: transfers.filter(transfer => transfer.to_author === author),
+				outgoing: transfers.filter(transfer => transfer.from_author === author)
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('List transfers error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /export-catalog?author=, streams the author's worlds and characters as one zip
+	async handleExportCatalog(request, env) {
+		const author = new URL(request.url).searchParams.get('author');
+
+		if (!author || !await this.isAuthorRequest(request, author, env)) {
+			return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+				status: 401,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+
+		const { readable, writable } = new TransformStream();
+		exportCatalog(author, env, writable).catch(error => {
+			console.error('Catalog export error:', error);
+		});
+
+		return new Response(readable, {
+			status: 200,
+			headers: {
+				...CORS_HEADERS,
+				'Content-Type': 'application/zip',
+				'Content-Disposition': `attachment; filename="${author}-catalog.zip"`,
+				'Cache-Control': 'private, no-store'
+			}
+		});
+	},
+
+	// Handle POST /import-catalog?author=, the body is a zip from /export-catalog
+	async handleImportCatalog(request, env) {
+		try {
+			const author = new URL(request.url).searchParams.get('author');
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			const isValid = await this.verifyNamespaceAccess(apiKey, author, 'publish', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// The archive is staged in R2 and read back an entry at a time rather than held in memory.
+			// R2 needs the length of a streamed body up front.
+			if (!request.body || !request.headers.get('Content-Length')) {
+				return new Response(JSON.stringify({
+					error: 'Length required',
+					details: 'Send the archive with a Content-Length header'
+				}), {
+					status: 411,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const archiveKey = `imports/${crypto.randomUUID()}.zip`;
+			await env.WORLD_BUCKET.put(archiveKey, request.body, {
+				httpMetadata: {
+					contentType: 'application/zip',
+				},
+			});
+
+			let report;
+			try {
+				report = await importCatalog(archiveKey, author, env);
+			} catch (error) {
+				return new Response(JSON.stringify({
+					error: 'Invalid catalog archive',
+					details: error.message
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			} finally {
+				await env.WORLD_BUCKET.delete(archiveKey);
+			}
+
+			const host = new URL(request.url).host;
+			for (const slug of report.worlds) {
+				await this.purgeWorldCaches(author, slug, env, host);
+			}
+			if (report.characters.length > 0) {
+				await caches.default.delete(`https://${request.headers.get('host')}/author-characters?author=${author}`);
+			}
+
+			return new Response(JSON.stringify({
+				success: report.failed.length === 0,
+				imported: { worlds: report.worlds, characters: report.characters },
+				conflicts: report.conflicts,
+				failed: report.failed
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		} catch (error) {
+			console.error('Catalog import error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /trash?author=
+	async handleGetTrash(request, env) {
+		try {
+			const author = new URL(request.url).searchParams.get('author');
+
+			if (!author || !await this.isAuthorRequest(request, author, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const retentionDays = getTrashRetentionDays(env);
+
+			const worldRegistry = env.WORLD_REGISTRY.get(env.WORLD_REGISTRY.idFromName("global"));
+			const trashResponse = await worldRegistry.fetch(new Request('http://internal/list-trash', {
+				method: 'POST',
+				body: JSON.stringify({ author, retentionDays })
+			}));
 
-			// Replace the worlds array in authorData
-			authorData.worlds = worlds;
+			const characterRegistry = env.CHARACTER_REGISTRY.get(env.CHARACTER_REGISTRY.idFromName("global"));
+			const charactersResponse = await characterRegistry.fetch(new Request('http://internal/list-trashed-characters', {
+				method: 'POST',
+				body: JSON.stringify({ author, retentionDays })
+			}));
 
-			return authorData;
+			return new Response(JSON.stringify({
+				retentionDays,
+				items: await trashResponse.json(),
+				characters: await charactersResponse.json()
+			}), {
+				status: 200,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
 		} catch (error) {
-			console.error(`Error processing data for ${authorInfoKey}:`, error);
-			return null;
+			console.error('Get trash error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
 		}
 	},
 
-	async handleVersionCheck(request, env) {
+	// Handle GET /analytics
+	async handleGetAnalytics(request, env) {
 		try {
 			const url = new URL(request.url);
 			const author = url.searchParams.get('author');
-			const worldName = url.searchParams.get('worldName');
-			const newVersion = url.searchParams.get('newVersion');
+			const slug = url.searchParams.get('slug');
 
-			if (!author || !worldName || !newVersion) {
-				return new Response(JSON.stringify({ error: 'Missing required parameters' }), {
-					status: 400,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			if (!author || !await this.isAuthorRequest(request, author, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			const sanitizedWorldName = worldName.replace(/\s/g, '-');
-			const jsonKey = `${author}/${sanitizedWorldName}/metadata.json`;
-			const jsonObject = await env.WORLD_BUCKET.get(jsonKey);
-
-			if (!jsonObject) {
-				return new Response(JSON.stringify({ isNew: true, canUpload: true }), {
-					status: 200,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			let range;
+			try {
+				range = parseAnalyticsRange(url.searchParams);
+			} catch (error) {
+				return new Response(JSON.stringify({ error: error.message }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			const jsonData = JSON.parse(await jsonObject.text());
-			const currentVersion = jsonData[0].version;
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const statsResponse = await registry.fetch(new Request('http://internal/daily-stats', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, ...range })
+			}));
+			if (!statsResponse.ok) {
+				throw new Error(`Failed to fetch stats: ${await statsResponse.text()}`);
+			}
 
-			const isHigherVersion = this.compareVersions(newVersion, currentVersion);
+			const { days, worlds } = await statsResponse.json();
+			const series = buildDailySeries(days, range.from, range.to);
 
 			return new Response(JSON.stringify({
-				isNew: false,
-				canUpload: isHigherVersion,
-				currentVersion: currentVersion
+				author,
+				slug,
+				...range,
+				totals: summarizeDailySeries(series),
+				days: series,
+				worlds
 			}), {
 				status: 200,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		} catch (error) {
-			console.error('Version check error:', error);
-			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+			console.error('Get analytics error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
 				status: 500,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	// Helper function to compare version strings
-	compareVersions(v1, v2) {
-		const parts1 = v1.split('.').map(Number);
-		const parts2 = v2.split('.').map(Number);
-
-		for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-			const part1 = parts1[i] || 0;
-			const part2 = parts2[i] || 0;
-
-			if (part1 > part2) return true;
-			if (part1 < part2) return false;
-		}
-
-		return false; // versions are equal
-	},
-
-	async handleBackupWorld(request, env) {
+	// Handle POST /trash/restore
+	// { type: 'world' | 'author', id } restores a registry trash entry, { type: 'character', author, id } a character
+	async handleRestoreTrash(request, env) {
 		try {
-			if (!this.authenticateRequest(request, env)) {
-				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+			const { type, id, author } = await request.json();
+
+			const authHeader = request.headers.get('Authorization');
+			if (!authHeader) {
+				return new Response(JSON.stringify({
+					error: 'Missing Authorization header'
+				}), {
 					status: 401,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
+			const { apiKey } = await this.verifyRequestKey(request, env);
+
+			if (type === 'character') {
+				const isValid = await this.verifyApiKeyAndUsername(apiKey, author, env);
+				if (!isValid) {
+					return new Response(JSON.stringify({
+						error: 'Unauthorized: Invalid API key or username mismatch'
+					}), {
+						status: 401,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+					});
+				}
 
-			const { author, slug, version } = await request.json();
-
-			if (!author || !slug || !version) {
-				return new Response(JSON.stringify({ error: 'Missing required parameters' }), {
-					status: 400,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-				});
-			}
+				const registry = env.CHARACTER_REGISTRY.get(env.CHARACTER_REGISTRY.idFromName("global"));
+				const response = await registry.fetch(new Request('http://internal/restore-character', {
+					method: 'POST',
+					body: JSON.stringify({ author, characterId: id })
+				}));
+				const result = await response.json();
+				if (!response.ok) {
+					return new Response(JSON.stringify(result), {
+						status: response.status,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+					});
+				}
 
-			const worldFolder = `${author}/${slug}`;
-			const backupFolder = `${worldFolder}/${version}`;
+				const cache = caches.default;
+				await cache.delete(`https://${request.headers.get('host')}/characters/${author}/${result.slug}`);
+				await cache.delete(`https://${request.headers.get('host')}/author-characters?author=${author}`);
 
-			// Check if backup already exists
-			const existingBackup = await env.WORLD_BUCKET.list({ prefix: backupFolder });
-			if (existingBackup.objects.length > 0) {
 				return new Response(JSON.stringify({
-					success: false,
-					message: `Backup for version ${version} already exists`,
+					success: true,
+					message: `Restored character "${result.name}"`
 				}), {
 					status: 200,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			// Files to backup
-			const filesToBackup = [
-				`${slug}.html`,           // Changed from .zip
-				`metadata.json`,          // Changed from metadata.json
-				'preview.jpg',            // Changed from banner/icon
-			];
-
-			for (const file of filesToBackup) {
-				const sourceKey = `${worldFolder}/${file}`;
-				const sourceObject = await env.WORLD_BUCKET.get(sourceKey);
-
-				if (sourceObject) {
-					const destinationKey = `${backupFolder}/${file}`;
-					await env.WORLD_BUCKET.put(destinationKey, sourceObject.body, sourceObject.httpMetadata);
-				}
+			const registry = env.WORLD_REGISTRY.get(env.WORLD_REGISTRY.idFromName("global"));
+			const entryResponse = await registry.fetch(new Request('http://internal/get-trash-entry', {
+				method: 'POST',
+				body: JSON.stringify({ trashId: id })
+			}));
+			const entry = entryResponse.ok ? await entryResponse.json() : null;
+			if (!entry || entry.item_type !== type) {
+				return new Response(JSON.stringify({ error: 'Trash entry not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
 			}
 
-			// Update the main world metadata to reflect the current version
-			const metadataKey = `${worldFolder}/metadata.json`;
-			const metadataObject = await env.WORLD_BUCKET.get(metadataKey);
-			if (metadataObject) {
-				const metadata = JSON.parse(await metadataObject.text());
-				metadata[0].version = version;
-				await env.WORLD_BUCKET.put(metadataKey, JSON.stringify(metadata), {
-					httpMetadata: { contentType: 'application/json' },
+			// Restoring needs the same access as deleting
+			const isValid = await this.verifyNamespaceAccess(apiKey, entry.author, 'delete', env);
+			if (!isValid) {
+				return new Response(JSON.stringify({
+					error: 'Unauthorized: Invalid API key or username mismatch'
+				}), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			return new Response(JSON.stringify({
-				success: true,
-				message: `Backup created for ${author}/${slug} version ${version}`,
-			}), {
-				status: 200,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-			});
+			const result = await restoreTrashEntry(entry, env);
+			if (result.success) {
+				const host = new URL(request.url).host;
+				for (const slug of result.worlds) {
+					await this.purgeWorldCaches(entry.author, slug, env, host);
+				}
+			}
 
+			return new Response(JSON.stringify(result), {
+				status: result.success ? 200 : 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
 		} catch (error) {
-			console.error('Backup creation error:', error);
-			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+			console.error('Restore trash error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
 				status: 500,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
 	async handleSearchResultsPage(request, env) {
 		const url = new URL(request.url);
-		const query = url.searchParams.get('q') || '';
-		const tags = url.searchParams.getAll('tag');
-		const limit = parseInt(url.searchParams.get('limit') || '20');
-		const offset = parseInt(url.searchParams.get('offset') || '0');
+		let options;
+		try {
+			options = parseSearchParams(url.searchParams);
+		} catch (error) {
+			return new Response('Invalid cursor', { status: 400 });
+		}
 
 		// Get DO instance
 		const id = env.WORLD_REGISTRY.idFromName("global");
@@ -797,12 +3599,7 @@ export default {
 		// Create internal search request
 		const searchRequest = new Request('http://internal/search', {
 			method: 'POST',
-			body: JSON.stringify({
-				query,
-				tags,
-				limit,
-				offset
-			})
+			body: JSON.stringify(options)
 		});
 
 		try {
@@ -812,10 +3609,37 @@ export default {
 				throw new Error(`Search request failed: ${searchResponse.status}`);
 			}
 
-			const results = await searchResponse.json();
+			const search = await searchResponse.json();
 
 			// Generate the HTML page with the results
-			return generateSearchHTML(results, query, tags, offset, limit, env);
+			return generateSearchHTML(search, options, env);
+		} catch (error) {
+			console.error('Search error:', error);
+			return new Response('Internal Server Error', { status: 500 });
+		}
+	},
+	// One search box over worlds, characters and authors
+	async handleUnifiedSearchPage(request, env) {
+		const url = new URL(request.url);
+		let options;
+		try {
+			options = parseUnifiedSearchParams(url.searchParams);
+		} catch (error) {
+			return new Response('Invalid cursor', { status: 400 });
+		}
+
+		// Browsing without a query and tag filters are only offered by the world search
+		if (!buildMatchQuery(options.query) || url.searchParams.has('tag')) {
+			const params = new URLSearchParams(url.searchParams);
+			params.delete('type');
+			params.delete('cursor');
+			const search = params.toString();
+			return Response.redirect(`${url.origin}/directory/search${search ? `?${search}` : ''}`, 302);
+		}
+
+		try {
+			const search = await searchAll(options, env);
+			return generateUnifiedSearchHTML(search, options, env);
 		} catch (error) {
 			console.error('Search error:', error);
 			return new Response('Internal Server Error', { status: 500 });
@@ -850,6 +3674,77 @@ export default {
 		}
 	},
 
+	// Trending worlds, and worlds like the given one when author and slug are set.
+	// withTrending: false skips the trending query for pages that only show similar worlds.
+	async fetchFeed(env, { author, slug, withTrending = true } = {}, limit = FEED_SIZE) {
+		const id = env.WORLD_REGISTRY.idFromName("global");
+		const registry = env.WORLD_REGISTRY.get(id);
+
+		const fetchWorlds = async (route, body) => {
+			const response = await registry.fetch(new Request(`http://internal/${route}`, {
+				method: 'POST',
+				body: JSON.stringify(body)
+			}));
+			if (!response.ok) {
+				console.error(`Feed ${route} error:`, await response.text());
+				return [];
+			}
+			return (await response.json()).map(world => ({
+				author: world.author,
+				slug: world.slug,
+				name: world.name,
+				short_description: world.short_description,
+				preview_image: world.preview_image,
+				tags: world.tags,
+				visit_count: world.visit_count || 0,
+				active_users: world.active_users || 0,
+				score: world.trending_score ?? world.similarity
+			}));
+		};
+
+		const [trending, similar] = await Promise.all([
+			withTrending ? fetchWorlds('trending-worlds', { limit }) : [],
+			author && slug ? fetchWorlds('similar-worlds', { author, slug, limit }) : []
+		]);
+		return { trending, similar };
+	},
+
+	// Handle GET /feed
+	async handleGetFeed(request, env) {
+		try {
+			const cache = caches.default;
+			let response = await cache.match(request);
+
+			if (!response) {
+				const url = new URL(request.url);
+				const author = url.searchParams.get('author');
+				const slug = url.searchParams.get('slug');
+				const limit = parseInt(url.searchParams.get('limit'), 10);
+
+				const feed = await this.fetchFeed(
+					env,
+					{ author, slug },
+					Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : FEED_SIZE
+				);
+				response = new Response(JSON.stringify(feed), {
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+
+				// Trending moves quickly, so the feed is only cached briefly
+				response.headers.set('Cache-Control', 'public, max-age=300');
+				await cache.put(request, response.clone());
+			}
+
+			return response;
+		} catch (error) {
+			console.error('Get feed error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		}
+	},
+
 	async handleHomepage(request, env) {
 		try {
 			// Check cache first
@@ -872,7 +3767,8 @@ export default {
 				}
 
 				const authors = await authorsResponse.json();
-				response = await generateHomeHTML(authors, env, request);
+				const { trending } = await this.fetchFeed(env);
+				response = await generateHomeHTML(authors, env, trending);
 
 				// Cache the response
 				response.headers.set('Cache-Control', 'public, max-age=3600');
@@ -900,11 +3796,7 @@ export default {
 			const url = new URL(request.url);
 
 			// List of all domains to clear cache for
-			const domains = [
-				request.headers.get('host'),
-				'pluginpublisher.com',
-				'xr-publisher.sxpdigital.workers.dev'
-			];
+			const domains = [request.headers.get('host'), ...CACHE_DOMAINS];
 
 			// List of URL patterns to clear
 			const urlPatterns = [
@@ -1007,11 +3899,7 @@ export default {
 			const url = new URL(request.url);
 
 			// List of all domains to clear cache for
-			const domains = [
-				request.headers.get('host'),
-				'pluginpublisher.com',
-				'xr-publisher.sxpdigital.workers.dev'
-			];
+			const domains = [request.headers.get('host'), ...CACHE_DOMAINS];
 
 			// List of URL patterns to clear
 			const urlPatterns = [
@@ -1213,7 +4101,19 @@ export default {
 
 	async handleWorldUpload(request, env) {
 		try {
-			const { userId, worldName, htmlData, preview } = await request.json();
+			const {
+				userId,
+				worldName,
+				htmlData,
+				preview,
+				bundle,
+				files,
+				entry,
+				version,
+				channel = 'stable',
+				replaceFiles = true,
+				validateOnly = false
+			} = await request.json();
 
 			// Auth check
 			const authHeader = request.headers.get('Authorization');
@@ -1225,10 +4125,10 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
-			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
+			const isValid = await this.verifyNamespaceAccess(apiKey, userId, 'publish', env);
 			if (!isValid) {
 				return new Response(JSON.stringify({
 					error: 'Unauthorized: Invalid API key or username mismatch'
@@ -1240,31 +4140,170 @@ export default {
 
 			const sanitizedWorldName = worldName.replace(/\s/g, '-');
 			const folderName = `${userId}`;
-			const htmlKey = `${folderName}/${sanitizedWorldName}/${sanitizedWorldName}.html`;
+			const worldFolder = await this.resolveChannelFolder(folderName, sanitizedWorldName, channel, env);
+			const htmlKey = `${worldFolder}/${sanitizedWorldName}.html`;
+
+			if (!RELEASE_CHANNELS.includes(channel)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid channel',
+					details: `Channel must be one of ${RELEASE_CHANNELS.join(', ')}`
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const { error: trashError } = await this.checkNotTrashed(folderName, sanitizedWorldName, env);
+			if (trashError) return trashError;
+
+			// Never let an upload replace a newer version on the same channel, so every upload names its version
+			const { error: versionError } = await this.checkPublishVersion(folderName, sanitizedWorldName, channel, version, env);
+			if (versionError) return versionError;
+
+			// Check the preview is really an image before anything is written
+			const previewBytes = preview ? decodeBase64(preview) : null;
+			if (previewBytes && !detectImageType(previewBytes)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid preview image',
+					details: 'Preview must be a JPEG, PNG, GIF, WebP or AVIF image'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Multi-file bundles: the entry HTML becomes the world page and everything else goes under files/
+			let bundleFiles = [];
+			if (bundle || files) {
+				try {
+					bundleFiles = await readWorldBundle({ bundle, files });
+				} catch (error) {
+					return new Response(JSON.stringify({
+						error: 'Invalid world bundle',
+						details: error.message
+					}), {
+						status: 400,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+					});
+				}
+			}
+
+			let worldHtml = htmlData;
+			if (bundleFiles.length > 0) {
+				const entryPath = normalizeBundlePath(entry || 'index.html');
+				const htmlFiles = bundleFiles.filter(file => file.contentType === 'text/html');
+				const entryFile = bundleFiles.find(file => file.path === entryPath) ||
+					(!entry && htmlFiles.length === 1 ? htmlFiles[0] : null);
+
+				if (!entryFile) {
+					return new Response(JSON.stringify({
+						error: 'Invalid world bundle',
+						details: `Entry file ${entry || 'index.html'} not found in bundle`
+					}), {
+						status: 400,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+					});
+				}
+
+				worldHtml = entryFile.data;
+				bundleFiles = bundleFiles.filter(file => file !== entryFile);
+			}
+
+			if (!worldHtml) {
+				return new Response(JSON.stringify({
+					error: 'Missing htmlData, bundle or files'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Validate the page against the files it will be served with before anything goes live.
+			// Files already published count too when this upload keeps them.
+			const filePaths = new Set(bundleFiles.map(file => file.path));
+			if (!(bundle || files) || replaceFiles === false) {
+				for (const path of await this.listWorldFilePaths(folderName, sanitizedWorldName, channel, env)) {
+					filePaths.add(path);
+				}
+			}
+			const validation = await validateWorldUpload({
+				html: worldHtml,
+				filePaths,
+				requireFiles: Boolean(bundle || files)
+			});
+			if (!validation.valid) {
+				return new Response(JSON.stringify({
+					error: 'World validation failed',
+					details: validation.errors.map(error => error.message).join('; '),
+					errors: validation.errors,
+					warnings: validation.warnings
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			if (validateOnly) {
+				return new Response(JSON.stringify({
+					success: true,
+					valid: true,
+					errors: [],
+					warnings: validation.warnings
+				}), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
 
 			// Store HTML content
-			await env.WORLD_BUCKET.put(htmlKey, htmlData, {
+			await env.WORLD_BUCKET.put(htmlKey, worldHtml, {
 				httpMetadata: {
 					contentType: 'text/html',
 				},
+				customMetadata: bundle || files ? { bundle: 'true' } : undefined
 			});
 
-			// Store preview image if provided
-			if (preview) {
-				const previewKey = `${folderName}/${sanitizedWorldName}/preview.jpg`;
-				const previewBuffer = Buffer.from(preview.split(',')[1], 'base64');
-				await env.WORLD_BUCKET.put(previewKey, previewBuffer, {
-					httpMetadata: {
-						contentType: 'image/jpeg',
-					},
-				});
+			// Store bundle files in the blob store and point this channel at them.
+			// By default the upload replaces the channel's files, replaceFiles: false merges into them.
+			let storedBundle = { files: [], deduplicated: 0 };
+			if (bundle || files) {
+				storedBundle = await storeBlobs(bundleFiles, env);
+
+				const id = env.WORLD_REGISTRY.idFromName("global");
+				const registry = env.WORLD_REGISTRY.get(id);
+				await registry.fetch(new Request('http://internal/set-asset-refs', {
+					method: 'POST',
+					body: JSON.stringify({
+						author: folderName,
+						slug: sanitizedWorldName,
+						scope: channel,
+						files: storedBundle.files,
+						replace: replaceFiles !== false
+					})
+				}));
+
+				// Files stored before the blob store existed are superseded by the new references
+				if (replaceFiles !== false) {
+					await this.deleteWorldObjects(`${worldFolder}/files/`, env);
+				}
+			}
+
+			// Store preview image and its sized variants if provided
+			let storedPreview = null;
+			if (preview) {
+				storedPreview = await storeImageWithVariants(`${worldFolder}/preview.jpg`, previewBytes, env);
 			}
 
 			return new Response(JSON.stringify({
 				success: true,
 				message: 'World uploaded successfully',
 				htmlUrl: htmlKey,
-				previewUrl: preview ? `${folderName}/${sanitizedWorldName}/preview.jpg` : null
+				previewUrl: preview ? `${worldFolder}/preview.jpg` : null,
+				previewVariants: storedPreview ? storedPreview.variants : [],
+				baseUrl: bundle || files ? this.getWorldBaseUrl(folderName, sanitizedWorldName, channel) : null,
+				files: storedBundle.files.map(file => ({ path: file.path, hash: file.hash, size: file.size })),
+				deduplicated: storedBundle.deduplicated,
+				warnings: validation.warnings,
+				channel
 			}), {
 				status: 200,
 				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
@@ -1283,7 +4322,7 @@ export default {
 
 	async handleWorldMetadata(request, env) {
 		try {
-			const { userId, worldName, metadata } = await request.json();
+			const { userId, worldName, metadata, channel = 'stable' } = await request.json();
 
 			// Auth check
 			const authHeader = request.headers.get('Authorization');
@@ -1295,10 +4334,10 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
-			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
+			const isValid = await this.verifyNamespaceAccess(apiKey, userId, 'publish', env);
 			if (!isValid) {
 				return new Response(JSON.stringify({
 					error: 'Unauthorized: Invalid API key or username mismatch'
@@ -1310,7 +4349,40 @@ export default {
 
 			const sanitizedWorldName = worldName.replace(/\s/g, '-');
 			const folderName = `${userId}`;
-			const metadataKey = `${folderName}/${sanitizedWorldName}/metadata.json`;
+			const worldFolder = await this.resolveChannelFolder(folderName, sanitizedWorldName, channel, env);
+			const metadataKey = `${worldFolder}/metadata.json`;
+
+			const { error: trashError } = await this.checkNotTrashed(folderName, sanitizedWorldName, env);
+			if (trashError) return trashError;
+
+			const { error: versionError } = await this.checkPublishVersion(
+				folderName,
+				sanitizedWorldName,
+				channel,
+				metadata.version || '1.0.0',
+				env
+			);
+			if (versionError) return versionError;
+
+			const visibility = metadata.visibility || 'public';
+			let publishAt;
+			try {
+				publishAt = normalizePublishAt(metadata.publish_at);
+				if (!WORLD_VISIBILITIES.includes(visibility)) {
+					throw new Error(`Visibility must be one of ${WORLD_VISIBILITIES.join(', ')}`);
+				}
+			} catch (error) {
+				return new Response(JSON.stringify({
+					error: 'Invalid metadata',
+					details: error.message
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// A fork keeps pointing at its original across republishes
+			const existingWorld = await this.fetchWorldData(folderName, sanitizedWorldName, env);
 
 			// Process metadata with correct path formatting
 			let processedMetadata = {
@@ -1321,15 +4393,19 @@ export default {
 				updated_at: new Date().toISOString(),
 				version: metadata.version || '1.0.0',
 				entry_point: metadata.entry_point || '0,0,0',
-				visibility: metadata.visibility || 'public',
+				visibility,
+				publish_at: publishAt,
 				capacity: metadata.capacity || 100,
-				html_url: `${folderName}/${sanitizedWorldName}/${sanitizedWorldName}.html`,
-				preview_image: `${folderName}/${sanitizedWorldName}/preview.jpg`,
+				html_url: `${worldFolder}/${sanitizedWorldName}.html`,
+				preview_image: `${worldFolder}/preview.jpg`,
 				content_rating: metadata.content_rating || 'everyone',
 				short_description: metadata.short_description || '',
 				long_description: metadata.long_description || '',
 				tags: Array.isArray(metadata.tags) ? metadata.tags : [],
-				properties: metadata.properties || null
+				properties: metadata.properties || null,
+				// Republishing without allow_forks keeps the world's current setting
+				allow_forks: metadata.allow_forks === undefined ? existingWorld?.allow_forks !== false : metadata.allow_forks !== false,
+				forked_from: existingWorld?.forked_from || null
 			};
 
 			// Store metadata in R2
@@ -1339,6 +4415,18 @@ export default {
 				},
 			});
 
+			// Only the stable channel is listed in the registry
+			if (channel !== 'stable') {
+				return new Response(JSON.stringify({
+					success: true,
+					message: `World metadata updated on the ${channel} channel`,
+					metadata: { ...processedMetadata, channel }
+				}), {
+					status: 200,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				});
+			}
+
 			// Update SQLite database via WorldRegistryDO
 			const id = env.WORLD_REGISTRY.idFromName("global");
 			const registry = env.WORLD_REGISTRY.get(id);
@@ -1355,16 +4443,383 @@ export default {
 				throw new Error(`Database update failed: ${errorText}`);
 			}
 
+			// Visibility may have changed, so drop pages cached under the old one
+			await this.purgeWorldCaches(folderName, sanitizedWorldName, env, new URL(request.url).host);
+
 			return new Response(JSON.stringify({
 				success: true,
 				message: 'World metadata updated successfully',
 				metadata: processedMetadata
 			}), {
 				status: 200,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+			});
+		} catch (error) {
+			console.error('Metadata update error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+
+	async handleGetWorldData(request, env) {  // Updated version of handleGetPluginData
+		try {
+			const url = new URL(request.url);
+			const author = url.searchParams.get('author');
+			const slug = url.searchParams.get('slug');
+			const channel = url.searchParams.get('channel') || 'stable';
+
+			if (!author || !slug || !RELEASE_CHANNELS.includes(channel)) {
+				return new Response(JSON.stringify({ error: 'Missing parameters' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS }
+				});
+			}
+
+			if (!await this.canViewChannel(request, author, slug, channel, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS }
+				});
+			}
+
+			const metadataKey = `${await this.resolveChannelFolder(author, slug, channel, env)}/metadata.json`;
+			const worldData = await env.WORLD_BUCKET.get(metadataKey);
+
+			if (!worldData) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS }
+				});
+			}
+
+			const metadata = JSON.parse(await worldData.text());
+			const world = Array.isArray(metadata) ? metadata[0] : metadata;
+			if (!await this.canViewWorld(request, world, env)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS }
+				});
+			}
+
+			const presence = await this.fetchPresence(author, slug, env);
+			if (presence) {
+				world.active_users = presence.count;
+				world.participants = presence.participants;
+			}
+
+			return new Response(JSON.stringify(metadata), {
+				status: 200,
+				headers: { ...CORS_HEADERS }
+			});
+		} catch (error) {
+			console.error('Get world data error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error' }), {
+				status: 500,
+				headers: {
+					...CORS_HEADERS,
+					'Cache-Control': 'no-store, no-cache, must-revalidate',
+					'Pragma': 'no-cache',
+					'Expires': '0'
+				}
+			});
+		}
+	},
+
+	async handleGetWorld(request, env) {
+		try {
+			const url = new URL(request.url);
+			// Accept both /get-world?author=&slug= and /get-world/{author}/{slug}/[channels/{channel}/]
+			const pathParts = url.pathname.split('/').filter(part => part !== '');
+			const author = pathParts[1] ? decodeURIComponent(pathParts[1]) : url.searchParams.get('author');
+			const slug = pathParts[2] ? decodeURIComponent(pathParts[2]) : url.searchParams.get('slug');
+			const channel = pathParts[4] || url.searchParams.get('channel') || 'stable';
+
+			if (!author || !slug || !RELEASE_CHANNELS.includes(channel)) {
+				return new Response(JSON.stringify({
+					error: 'Missing author or slug parameter'
+				}), {
+					status: 400,
+					headers: {
+						...CORS_HEADERS,
+						'Content-Type': 'application/json',
+						'Cache-Control': 'no-store, no-cache, must-revalidate',
+						'Pragma': 'no-cache',
+						'Expires': '0'
+					}
+				});
+			}
+
+			if (!await this.canViewChannel(request, author, slug, channel, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env, channel);
+			if (worldData && !await this.canViewWorld(request, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Record visit if not disabled, previews on other channels don't count
+			const trackVisit = url.searchParams.get('track') !== 'false' && channel === 'stable';
+			if (trackVisit) {
+				// Get DO instance
+				const id = env.WORLD_REGISTRY.idFromName("global");
+				const registry = env.WORLD_REGISTRY.get(id);
+
+				await registry.fetch(new Request('http://internal/record-visit', {
+					method: 'POST',
+					body: JSON.stringify({ author, slug, visitor: await getVisitorKey(request) })
+				}));
+			}
+
+			// Get and return the HTML file
+			const htmlKey = `${await this.resolveChannelFolder(author, slug, channel, env)}/${slug}.html`;
+			const htmlObject = await env.WORLD_BUCKET.get(htmlKey);
+
+			if (!htmlObject) {
+				return new Response(JSON.stringify({ error: 'World not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Add security headers for iframes, etc.
+			const securityHeaders = {
+				...CORS_HEADERS,
+				'Content-Type': 'text/html',
+				'Content-Security-Policy': [
+					"default-src 'self'",
+					"script-src 'self' 'unsafe-inline' 'unsafe-eval' https://cdn.jsdelivr.net",
+					"style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
+					"img-src 'self' data: blob: https:",
+					"connect-src 'self' wss: https:",
+					"frame-src 'self' https:",
+					"worker-src 'self' blob:",
+					"font-src 'self' https://cdn.jsdelivr.net"
+				].join('; '),
+				'X-Frame-Options': 'SAMEORIGIN',
+				'X-Content-Type-Options': 'nosniff'
+			};
+			if (channel === 'draft' || !isWorldOpen(worldData)) {
+				securityHeaders['Cache-Control'] = 'private, no-store';
+			}
+
+			const response = new Response(htmlObject.body, {
+				status: 200,
+				headers: securityHeaders
+			});
+
+			// Carry share and draft tokens over to the world's own files, which are loaded without the query string
+			for (const cookie of [
+				worldData && !isWorldOpen(worldData) ?
+					this.getTokenCookie('world_share', url.searchParams.get('share'), author, slug, channel) :
+					null,
+				channel === 'draft' ?
+					this.getTokenCookie('world_draft', url.searchParams.get('draft'), author, slug, channel) :
+					null
+			]) {
+				if (cookie) response.headers.append('Set-Cookie', cookie);
+			}
+
+			// Bundled worlds reference their files relatively, so point the query-string form at the world's base path
+			if (htmlObject.customMetadata?.bundle === 'true' && pathParts.length < 3) {
+				const baseHref = this.getWorldBaseUrl(author, slug, channel);
+				return new HTMLRewriter()
+					.on('head', {
+						element(element) {
+							element.prepend(`<base href="${baseHref}">`, { html: true });
+						}
+					})
+					.transform(response);
+			}
+
+			return response;
+		} catch (error) {
+			console.error('World fetch error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Serves a file of a world at /get-world/{author}/{slug}/[channels/{channel}/]{path}, bundled worlds
+	// from the blob store and others from the files stored next to their page
+	async handleGetWorldFile(request, env) {
+		try {
+			const url = new URL(request.url);
+			const [, author, slug, ...rest] = url.pathname.split('/').filter(part => part !== '').map(decodeURIComponent);
+
+			let channel = 'stable';
+			if (rest[0] === 'channels' && RELEASE_CHANNELS.includes(rest[1])) {
+				channel = rest[1];
+				rest.splice(0, 2);
+			}
+			const filePath = normalizeBundlePath(rest.join('/'));
+
+			if (!author || !slug || !filePath) {
+				return new Response(JSON.stringify({ error: 'Invalid file path' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			if (!await this.canViewChannel(request, author, slug, channel, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			const worldData = await this.fetchWorldData(author, slug, env, channel);
+			if (worldData && !await this.canViewWorld(request, worldData, env)) {
+				return new Response(JSON.stringify({ error: 'File not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			const isPrivate = channel === 'draft' || (worldData && !isWorldOpen(worldData));
+
+			// Look the file up in the blob store, falling back to files stored directly under the world
+			const id = env.WORLD_REGISTRY.idFromName("global");
+			const registry = env.WORLD_REGISTRY.get(id);
+			const assetResponse = await registry.fetch(new Request('http://internal/resolve-asset', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, scope: channel, path: filePath })
+			}));
+			const asset = assetResponse.ok ? await assetResponse.json() : null;
+
+			const folder = asset ? null : await this.resolveChannelFolder(author, slug, channel, env);
+			let fileObject = asset ?
+				await env.WORLD_BUCKET.get(getBlobKey(asset.hash)) :
+				await env.WORLD_BUCKET.get(`${folder}/files/${filePath}`);
+			// Archived versions, other channels and releases share the world's folder, keep them out of reach of the live world's paths
+			const [firstSegment] = filePath.split('/');
+			if (!asset && !fileObject && !isValidVersion(firstSegment) && !['channels', RELEASES_FOLDER].includes(firstSegment)) {
+				fileObject = await env.WORLD_BUCKET.get(`${folder}/${filePath}`);
+			}
+			if (!fileObject) {
+				return new Response(JSON.stringify({ error: 'File not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			return new Response(fileObject.body, {
+				status: 200,
+				headers: {
+					...CORS_HEADERS,
+					'Content-Type': asset?.content_type || fileObject.httpMetadata?.contentType || 'application/octet-stream',
+					'Content-Length': String(fileObject.size),
+					'ETag': fileObject.httpEtag,
+					'Cache-Control': isPrivate ? 'private, max-age=300' : 'public, max-age=3600',
+					'X-Content-Type-Options': 'nosniff'
+				}
+			});
+		} catch (error) {
+			console.error('World file fetch error:', error);
+			return new Response(JSON.stringify({
+				error: 'Internal server error',
+				details: error.message
+			}), {
+				status: 500,
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+			});
+		}
+	},
+
+	// Handle GET /media/<key>?variant=card|og|hero
+	// Serves an uploaded image at a variant size, WebP when the browser accepts it, falling back to the original
+	async handleGetMedia(request, env) {
+		try {
+			const url = new URL(request.url);
+			const key = normalizeBundlePath(decodeURIComponent(url.pathname.slice('/media/'.length)));
+			const variant = url.searchParams.get('variant');
+
+			if (!key || (variant && !IMAGE_VARIANTS[variant])) {
+				return new Response(JSON.stringify({ error: 'Invalid image path or variant' }), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Blobs and trashed files belong to no world of their own, so there'd be no access rules to apply
+			if (key.startsWith(BLOB_PREFIX) || key.startsWith('trash/')) {
+				return new Response(JSON.stringify({ error: 'Image not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// World previews follow the same access rules as the world itself
+			let isPrivate = false;
+			if (!key.startsWith('characters/')) {
+				const [author, slug, channelFolder, channelName] = key.split('/');
+				const channel = channelFolder === 'channels' && RELEASE_CHANNELS.includes(channelName) ? channelName : 'stable';
+				const worldData = slug ? await this.fetchWorldData(author, slug, env, channel) : null;
+
+				if (!await this.canViewChannel(request, author, slug, channel, env) ||
+					(worldData && !await this.canViewWorld(request, worldData, env))) {
+					return new Response(JSON.stringify({ error: 'Image not found' }), {
+						status: 404,
+						headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+					});
+				}
+				isPrivate = channel === 'draft' || (worldData && !isWorldOpen(worldData));
+			}
+
+			const candidates = [];
+			if (variant) {
+				if ((request.headers.get('Accept') || '').includes('image/webp')) {
+					candidates.push(getVariantKey(key, variant, 'webp'));
+				}
+				candidates.push(getVariantKey(key, variant, 'jpg'));
+			}
+			candidates.push(key);
+
+			let imageObject = null;
+			for (const candidate of candidates) {
+				imageObject = await env.WORLD_BUCKET.get(candidate);
+				if (imageObject) break;
+			}
+
+			// Only serve images, never world HTML or metadata that happens to share the prefix
+			const contentType = imageObject?.httpMetadata?.contentType || '';
+			if (!imageObject || !contentType.startsWith('image/') || contentType === 'image/svg+xml') {
+				return new Response(JSON.stringify({ error: 'Image not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			return new Response(imageObject.body, {
+				status: 200,
+				headers: {
+					...CORS_HEADERS,
+					'Content-Type': contentType,
+					'Content-Length': String(imageObject.size),
+					'ETag': imageObject.httpEtag,
+					'Cache-Control': isPrivate ? 'private, max-age=300' : 'public, max-age=3600',
+					'Vary': 'Accept',
+					'X-Content-Type-Options': 'nosniff'
+				}
 			});
 		} catch (error) {
-			console.error('Metadata update error:', error);
+			console.error('Media fetch error:', error);
 			return new Response(JSON.stringify({
 				error: 'Internal server error',
 				details: error.message
@@ -1375,166 +4830,157 @@ export default {
 		}
 	},
 
-
-	async handleGetWorldData(request, env) {  // Updated version of handleGetPluginData
+	// Live count and participants of a world, or null if its presence object can't be reached
+	async fetchPresence(author, slug, env) {
 		try {
-			const url = new URL(request.url);
-			const author = url.searchParams.get('author');
-			const slug = url.searchParams.get('slug');
+			const response = await getWorldPresence(env, author, slug).fetch(new Request('http://internal/state'));
+			return response.ok ? await response.json() : null;
+		} catch (error) {
+			console.error('Presence error:', error);
+			return null;
+		}
+	},
 
+	// Handle POST /rooms/join
+	// { author, slug } reserves a slot in a room with space and returns where to connect
+	async handleJoinRoom(request, env) {
+		try {
+			const { author, slug } = await request.json();
 			if (!author || !slug) {
-				return new Response(JSON.stringify({ error: 'Missing parameters' }), {
+				return new Response(JSON.stringify({ error: 'Missing author or slug' }), {
 					status: 400,
-					headers: { ...CORS_HEADERS }
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			const metadataKey = `${author}/${slug}/metadata.json`;
-			const worldData = await env.WORLD_BUCKET.get(metadataKey);
-
-			if (!worldData) {
+			const worldData = await this.fetchWorldData(author, slug, env);
+			if (!worldData || !await this.canViewWorld(request, worldData, env)) {
 				return new Response(JSON.stringify({ error: 'World not found' }), {
 					status: 404,
-					headers: { ...CORS_HEADERS }
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			return new Response(await worldData.text(), {
-				status: 200,
-				headers: { ...CORS_HEADERS }
+			// Joins need no key, so the broker limits them per address
+			const capacity = parseInt(worldData.capacity) || 100;
+			const address = await hashIdentifier(request.headers.get('CF-Connecting-IP') || 'unknown');
+			const response = await getWorldPresence(env, author, slug).fetch(new Request('http://internal/join-room', {
+				method: 'POST',
+				body: JSON.stringify({ author, slug, capacity, address })
+			}));
+			const assignment = await response.json();
+			if (!response.ok) {
+				const retryAfter = response.headers.get('Retry-After');
+				return new Response(JSON.stringify(assignment), {
+					status: response.status,
+					headers: {
+						...CORS_HEADERS,
+						'Content-Type': 'application/json',
+						...(retryAfter ? { 'Retry-After': retryAfter } : {})
+					}
+				});
+			}
+
+			return new Response(JSON.stringify({
+				...assignment,
+				url: `/rooms/${author}/${slug}/${assignment.roomId}?ticket=${assignment.ticket}`
+			}), {
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		} catch (error) {
-			console.error('Get world data error:', error);
-			return new Response(JSON.stringify({ error: 'Internal server error' }), {
+			console.error('Join room error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
 				status: 500,
-				headers: {
-					...CORS_HEADERS,
-					'Cache-Control': 'no-store, no-cache, must-revalidate',
-					'Pragma': 'no-cache',
-					'Expires': '0'
-				}
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	async handleGetWorld(request, env) {
+	// Handle GET /rooms, an author's view of a world's open rooms
+	async handleListRooms(request, env) {
 		try {
 			const url = new URL(request.url);
 			const author = url.searchParams.get('author');
 			const slug = url.searchParams.get('slug');
 
-			if (!author || !slug) {
-				return new Response(JSON.stringify({
-					error: 'Missing author or slug parameter'
-				}), {
-					status: 400,
-					headers: {
-						...CORS_HEADERS,
-						'Content-Type': 'application/json',
-						'Cache-Control': 'no-store, no-cache, must-revalidate',
-						'Pragma': 'no-cache',
-						'Expires': '0'
-					}
+			if (!author || !await this.isAuthorRequest(request, author, env)) {
+				return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+					status: 401,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-
-			// Record visit if not disabled
-			const trackVisit = url.searchParams.get('track') !== 'false';
-			if (trackVisit) {
-				// Get DO instance
-				const id = env.WORLD_REGISTRY.idFromName("global");
-				const registry = env.WORLD_REGISTRY.get(id);
-
-				await registry.fetch(new Request('http://internal/record-visit', {
-					method: 'POST',
-					body: JSON.stringify({ author, slug })
-				}));
-			}
-
-			// Get and return the HTML file
-			const htmlKey = `${author}/${slug}/${slug}.html`;
-			const htmlObject = await env.WORLD_BUCKET.get(htmlKey);
-
-			if (!htmlObject) {
-				return new Response(JSON.stringify({ error: 'World not found' }), {
-					status: 404,
+			if (!slug) {
+				return new Response(JSON.stringify({ error: 'Missing slug parameter' }), {
+					status: 400,
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
 
-			// Add security headers for iframes, etc.
-			const securityHeaders = {
-				...CORS_HEADERS,
-				'Content-Type': 'text/html',
-				'Content-Security-Policy': [
-					"default-src 'self'",
-					"script-src 'self' 'unsafe-inline' 'unsafe-eval' https://cdn.jsdelivr.net",
-					"style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
-					"img-src 'self' data: blob: https:",
-					"connect-src 'self' wss: https:",
-					"frame-src 'self' https:",
-					"worker-src 'self' blob:",
-					"font-src 'self' https://cdn.jsdelivr.net"
-				].join('; '),
-				'X-Frame-Options': 'SAMEORIGIN',
-				'X-Content-Type-Options': 'nosniff'
-			};
+			const response = await getWorldPresence(env, author, slug).fetch(new Request('http://internal/rooms'));
+			const rooms = await response.json();
 
-			return new Response(htmlObject.body, {
-				status: 200,
-				headers: securityHeaders
-			});
-		} catch (error) {
-			console.error('World fetch error:', error);
 			return new Response(JSON.stringify({
-				error: 'Internal server error',
-				details: error.message
+				rooms,
+				occupants: rooms.reduce((total, room) => total + room.occupants, 0)
 			}), {
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+			});
+		} catch (error) {
+			console.error('List rooms error:', error);
+			return new Response(JSON.stringify({ error: 'Internal server error', details: error.message }), {
 				status: 500,
 				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
 		}
 	},
 
-	async handleUpdateActiveUsers(request, env) {
-		try {
-			const { author, slug, count } = await request.json();
+	// Handle GET /rooms/{author}/{slug}/{roomId}, the WebSocket a room ticket is redeemed on
+	async handleRoomConnect(request, env) {
+		const url = new URL(request.url);
+		const [, , author, slug, roomId] = url.pathname.split('/');
 
-			if (!author || !slug || typeof count !== 'number') {
-				return new Response(JSON.stringify({
-					error: 'Missing required parameters'
-				}), {
-					status: 400,
-					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
-				});
-			}
+		if (request.headers.get('Upgrade') !== 'websocket') {
+			return new Response('Expected Upgrade: websocket', { status: 426 });
+		}
 
-			// Update active users count in registry
-			const id = env.WORLD_REGISTRY.idFromName("global");
-			const registry = env.WORLD_REGISTRY.get(id);
+		const connectUrl = new URL('http://internal/connect');
+		connectUrl.searchParams.set('ticket', url.searchParams.get('ticket') || '');
+		connectUrl.searchParams.set('name', url.searchParams.get('name') || '');
+		return getWorldRoom(env, author, slug, roomId).fetch(new Request(connectUrl, request));
+	},
 
-			await registry.fetch(new Request('http://internal/update-active-users', {
-				method: 'POST',
-				body: JSON.stringify({ author, slug, count })
-			}));
+	// Handle GET /presence/{author}/{slug}
+	// With Upgrade: websocket the client joins the world, otherwise returns { count, participants }
+	async handlePresence(request, env) {
+		const url = new URL(request.url);
+		const [, , author, slug] = url.pathname.split('/');
 
-			return new Response(JSON.stringify({
-				success: true,
-				message: 'Active users count updated'
-			}), {
-				status: 200,
+		const worldData = await this.fetchWorldData(author, slug, env);
+		if (!worldData || !await this.canViewWorld(request, worldData, env)) {
+			return new Response(JSON.stringify({ error: 'World not found' }), {
+				status: 404,
 				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 			});
-		} catch (error) {
-			console.error('Active users update error:', error);
-			return new Response(JSON.stringify({
-				error: 'Internal server error',
-				details: error.message
-			}), {
-				status: 500,
-				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+		}
+
+		if (request.headers.get('Upgrade') !== 'websocket') {
+			const presence = await this.fetchPresence(author, slug, env);
+			if (!presence) {
+				return new Response(JSON.stringify({ error: 'Presence unavailable' }), {
+					status: 503,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+			return new Response(JSON.stringify(presence), {
+				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
 			});
 		}
+
+		const connectUrl = new URL('http://internal/connect');
+		connectUrl.searchParams.set('author', author);
+		connectUrl.searchParams.set('slug', slug);
+		connectUrl.searchParams.set('name', url.searchParams.get('name') || '');
+		return getWorldPresence(env, author, slug).fetch(new Request(connectUrl, request));
 	},
 
 	async handleGetCharacterDirectory(request, env) {
@@ -1572,6 +5018,7 @@ export default {
 				// Get author data to include with character
 				const authorData = await this.fetchAuthorData(author, env);
 				characterData.authorData = authorData;
+				characterData.origin = url.origin;
 
 				response = await generateCharacterHTML(characterData, env);
 
@@ -1603,6 +5050,13 @@ export default {
 				});
 			}
 
+			let page;
+			try {
+				page = parsePageParams(url.searchParams);
+			} catch (error) {
+				return invalidCursorResponse(error);
+			}
+
 			// const cacheKey = `author-characters:${author}`;
 			// const cache = caches.default;
 			// let response = await cache.match(request);
@@ -1615,7 +5069,7 @@ export default {
 
 			const characterResponse = await registry.fetch(new Request('http://internal/get-author-characters', {
 				method: 'POST',
-				body: JSON.stringify({ author })
+				body: JSON.stringify({ author, ...page })
 			}));
 
 			if (!characterResponse.ok) {
@@ -1747,7 +5201,7 @@ export default {
 					headers: { ...CORS_HEADERS }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
 			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -1817,7 +5271,7 @@ export default {
 					headers: { ...CORS_HEADERS }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
 			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -1889,7 +5343,7 @@ export default {
 					headers: { ...CORS_HEADERS }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
 			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -1962,7 +5416,7 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
 			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -1975,17 +5429,18 @@ export default {
 				});
 			}
 
-			const timestamp = Date.now();
-			const sanitizedCharacterName = characterName.replace(/\s/g, '-');
-			const assetKey = `characters/${userId}/${sanitizedCharacterName}/${fileName}`;
-			// Upload to R2 bucket with cache control headers
-			await env.WORLD_BUCKET.put(assetKey, Buffer.from(fileData, 'base64'), {
-				httpMetadata: {
-					contentType: 'image/jpeg',
-					cacheControl: 'public, max-age=0, must-revalidate'
-				}
-			});
-			// Get the existing character data first
+			const imageBytes = decodeBase64(fileData || '');
+			if (!detectImageType(imageBytes)) {
+				return new Response(JSON.stringify({
+					error: 'Invalid image',
+					details: 'Profile and banner images must be JPEG, PNG, GIF, WebP or AVIF'
+				}), {
+					status: 400,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
+
+			// Get the existing character data first, trashed characters aren't found so nothing is written for them
 			const id = env.CHARACTER_REGISTRY.idFromName("global");
 			const registry = env.CHARACTER_REGISTRY.get(id);
 
@@ -1995,14 +5450,28 @@ export default {
 			});
 
 			const charResponse = await registry.fetch(getCharRequest);
+			if (charResponse.status === 404) {
+				return new Response(JSON.stringify({ error: 'Character not found' }), {
+					status: 404,
+					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+				});
+			}
 			if (!charResponse.ok) {
 				throw new Error('Failed to get current character data');
 			}
 
 			const currentChar = await charResponse.json();
 
+			const timestamp = Date.now();
+			const sanitizedCharacterName = characterName.replace(/\s/g, '-');
+			const assetKey = `characters/${userId}/${sanitizedCharacterName}/${fileName}`;
+			// Upload to R2 bucket with cache control headers
+			const storedImage = await storeImageWithVariants(assetKey, imageBytes, env, {
+				cacheControl: 'public, max-age=0, must-revalidate'
+			});
+
 			// Store the URL with a cache-busting query parameter
-			const imageUrl = `https://uploads.sxp.digital/${assetKey}?v=${timestamp}`;
+			const imageUrl = `${UPLOADS_ORIGIN}/${assetKey}?v=${timestamp}`;
 
 			const updateRequest = new Request('http://internal/update-character', {
 				method: 'POST',
@@ -2028,7 +5497,9 @@ export default {
 			return new Response(JSON.stringify({
 				success: true,
 				message: `${assetType} image uploaded successfully`,
-				assetUrl: imageUrl
+				assetUrl: imageUrl,
+				contentType: storedImage.contentType,
+				variants: storedImage.variants
 			}), {
 				status: 200,
 				headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
@@ -2060,7 +5531,7 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
 			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -2135,7 +5606,7 @@ export default {
 					headers: { ...CORS_HEADERS }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 
 			// Verify API key and username match
 			const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -2174,7 +5645,8 @@ export default {
 
 			return new Response(JSON.stringify({
 				success: true,
-				message: 'Character deleted successfully'
+				message: 'Character moved to the trash',
+				retentionDays: getTrashRetentionDays(env)
 			}), {
 				status: 200,
 				headers: { ...CORS_HEADERS }
@@ -2376,7 +5848,7 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 			
 			// get the user from the api key
 			const authResult = await this.verifyApiKey(apiKey, env);
@@ -2450,7 +5922,7 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 			// get the user from the api key
 			const authResult = await this.verifyApiKey(apiKey, env);
 			console.log('[handleFindMemory] Auth result:', authResult);
@@ -2503,7 +5975,7 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
+			const { apiKey } = await this.verifyRequestKey(request, env);
 			
 			// get the user from the api key
 			const authResult = await this.verifyApiKey(apiKey, env);
@@ -2566,7 +6038,7 @@ export default {
 	},
 	async handleMemoryList(request, env) {
 		try {
-			let sessionId, type, slug;
+			let sessionId, type, slug, page;
 			
 			// get api key from header
 			const authHeader = request.headers.get('Authorization');
@@ -2578,12 +6050,10 @@ export default {
 					headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 				});
 			}
-			const [, apiKey] = authHeader.split(' ');
-			
 			// get the user from the api key
-			const authResult = await this.verifyApiKey(apiKey, env);
-			console.log('[handleMemoryList] Auth result:', authResult);
-			if (!authResult.success) {
+			const authResult = await this.verifyRequestKey(request, env);
+			console.log('[handleMemoryList] Auth result:', { success: authResult.success, username: authResult.username });
+			if (!authResult.success || authResult.admin) {
 				return new Response(JSON.stringify({
 					error: 'Invalid API key'
 				}), {
@@ -2597,11 +6067,13 @@ export default {
 				sessionId = url.searchParams.get('sessionId');
 				slug = url.searchParams.get('slug');
 				type = url.searchParams.get('type');
+				page = url.searchParams;
 			} else if (request.method === 'POST') {
 				const body = await request.json();
 				sessionId = body.sessionId;
 				slug = body.slug;
 				type = body.type;
+				page = body;
 			} else {
 				return new Response(JSON.stringify({
 					error: 'Method not allowed'
@@ -2613,6 +6085,14 @@ export default {
 
 			console.log('[handleMemoryList] Request params:', { sessionId, type, slug, method: request.method });
 
+			// Pages hold 100 memories unless asked otherwise, as many as the list used to return
+			let limit, cursor;
+			try {
+				({ limit, cursor } = parsePageParams(page, MAX_PAGE_SIZE));
+			} catch (error) {
+				return invalidCursorResponse(error);
+			}
+
 			if (!sessionId) {
 				return new Response(JSON.stringify({
 					error: 'Missing sessionId parameter'
@@ -2631,7 +6111,9 @@ export default {
 					slug, 
 					sessionId, 
 					type,
-					username: authResult.username // Pass authenticated username
+					username: authResult.username, // Pass authenticated username
+					limit,
+					cursor
 				})
 			}));
 
@@ -2747,7 +6229,7 @@ export default {
 			'/discord/check',
 			'/discord/interactions',
 			'/interactions',
-			'/memory-list',
+			'/rooms/join',
 			'/init',
 			'/check'
 		].includes(path)) {
@@ -2759,6 +6241,13 @@ export default {
 			}
 		}
 
+		// Keys only reach the routes their scopes cover
+		const requiredScope = getRouteScope(request.method, path);
+		if (requiredScope) {
+			const scopeError = await this.checkRouteScope(request, requiredScope, env);
+			if (scopeError) return scopeError;
+		}
+
 		// Main request routing
 		switch (request.method) {
 			case 'GET': {
@@ -2778,11 +6267,53 @@ export default {
 					case '/world-data': {
 						return this.handleGetWorldData(request, env);
 					}
+					case '/trash': {
+						return this.handleGetTrash(request, env);
+					}
+					case '/analytics': {
+						return this.handleGetAnalytics(request, env);
+					}
+					case '/rooms': {
+						return this.handleListRooms(request, env);
+					}
+					case '/export-catalog': {
+						return this.handleExportCatalog(request, env);
+					}
+					case '/world-transfers': {
+						return this.handleListTransfers(request, env);
+					}
+					case '/team': {
+						return this.handleGetTeam(request, env);
+					}
+					case '/world-versions': {
+						return this.handleGetWorldVersions(request, env);
+					}
+					case '/world-version': {
+						return this.handleGetWorldVersion(request, env);
+					}
+					case '/download': {
+						return this.handleDownload(request, env);
+					}
+					case '/download/file': {
+						return this.handleDownloadFile(request, env);
+					}
+					case '/download-count': {
+						return this.handleGetDownloadCount(request, env);
+					}
+					case '/upload-session/status': {
+						return this.handleUploadSessionStatus(request, env);
+					}
+					case '/api-keys': {
+						return this.handleListApiKeys(request, env);
+					}
 					case '/author-data': {
 						return this.handleGetAuthorData(request, env);
 					}
+					case '/author-worlds': {
+						return this.handleGetAuthorWorlds(request, env);
+					}
 					case '/authors-list': {
-						return this.handleGetAuthorsList(env);
+						return this.handleGetAuthorsList(request, env);
 					}
 					case '/version-check': {
 						return this.handleVersionCheck(request, env);
@@ -2809,33 +6340,83 @@ export default {
 						return await auth.fetch(request);
 					}
 					case '/search': {
-						const searchQuery = url.searchParams.get('q') || '';
-						const searchTags = url.searchParams.getAll('tag');
-						const limit = parseInt(url.searchParams.get('limit') || '20');
-						const offset = parseInt(url.searchParams.get('offset') || '0');
+						let options;
+						try {
+							options = parseSearchParams(url.searchParams);
+						} catch (error) {
+							return invalidCursorResponse(error);
+						}
 
 						const searchRequest = new Request('http://internal/search', {
 							method: 'POST',
-							body: JSON.stringify({
-								query: searchQuery,
-								tags: searchTags,
-								limit,
-								offset
-							})
+							body: JSON.stringify(options)
 						});
 
-						const results = await registry.fetch(searchRequest);
-						return new Response(await results.text(), {
+						const { items, nextCursor, facets } = await (await registry.fetch(searchRequest)).json();
+
+						// Highlights are returned as escaped HTML with matched terms in <mark> tags
+						const secureHtmlService = createSecureHtmlService();
+						const worlds = items.map(world => world.highlights ? {
+							...world,
+							highlights: {
+								name: secureHtmlService.sanitizeHighlight(world.highlights.name),
+								description: secureHtmlService.sanitizeHighlight(world.highlights.description)
+							}
+						} : world);
+
+						return new Response(JSON.stringify({
+							items: worlds,
+							nextCursor,
+							facets,
+							sort: options.sort
+						}), {
 							headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
 						});
 					}
 					case '/directory/search': {
 						return this.handleSearchResultsPage(request, env);
 					}
+					case '/search/all': {
+						let options;
+						try {
+							options = parseUnifiedSearchParams(url.searchParams);
+						} catch (error) {
+							return invalidCursorResponse(error);
+						}
+						const { items, nextCursor } = await searchAll(options, env);
+
+						const secureHtmlService = createSecureHtmlService();
+						return new Response(JSON.stringify({
+							items: items.map(result => result.highlights ? {
+								...result,
+								highlights: {
+									name: secureHtmlService.sanitizeHighlight(result.highlights.name),
+									description: secureHtmlService.sanitizeHighlight(result.highlights.description)
+								}
+							} : result),
+							nextCursor,
+							types: options.types
+						}), {
+							headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+						});
+					}
+					case '/directory/search/all': {
+						return this.handleUnifiedSearchPage(request, env);
+					}
+					case '/feed': {
+						return this.handleGetFeed(request, env);
+					}
 					case '/character-data': {
 						return this.handleGetCharacterData(request, env);
 					}
 					case '/featured-characters': {
+						let page;
+						try {
+							page = parsePageParams(url.searchParams);
+						} catch (error) {
+							return invalidCursorResponse(error);
+						}
+
 						const id = env.CHARACTER_REGISTRY.idFromName("global");
 						const registry = env.CHARACTER_REGISTRY.get(id);
 
@@ -2844,7 +6425,7 @@ export default {
 							headers: {
 								'Content-Type': 'application/json'
 							},
-							body: JSON.stringify({ authors: ['antpb'] })
+							body: JSON.stringify({ authors: ['antpb'], ...page })
 						});
 
 						const response = await registry.fetch(request);
@@ -2878,6 +6459,26 @@ export default {
 						if (path.startsWith('/author/') && path.split('/').length === 3) {
 							return this.handleGetAuthorDirectory(request, env);
 						}
+						if (path.startsWith('/media/')) {
+							return this.handleGetMedia(request, env);
+						}
+						if (path.startsWith('/presence/') && path.split('/').length === 4) {
+							return this.handlePresence(request, env);
+						}
+						if (path.startsWith('/rooms/') && path.split('/').length === 5) {
+							return this.handleRoomConnect(request, env);
+						}
+						if (path.startsWith('/get-world/')) {
+							const segments = path.split('/').filter(part => part !== '');
+							const isChannelRoot = segments.length === 5 && segments[3] === 'channels' &&
+								RELEASE_CHANNELS.includes(segments[4]);
+							if (segments.length === 3 || isChannelRoot) {
+								return this.handleGetWorld(request, env);
+							}
+							if (segments.length > 3) {
+								return this.handleGetWorldFile(request, env);
+							}
+						}
 						break;
 					}
 				}
@@ -2977,7 +6578,24 @@ export default {
 					case '/delete-world': {
 						try {
 							const { authorName, worldName } = await request.json();
-							const response = await removeWorld(authorName, worldName, env);
+
+							// Personal worlds can be deleted by their author, team worlds by team owners
+							const { apiKey } = await this.verifyRequestKey(request, env);
+							if (!await this.verifyNamespaceAccess(apiKey, authorName, 'delete', env)) {
+								return new Response(JSON.stringify({
+									success: false,
+									error: 'Unauthorized: You cannot delete worlds in this namespace'
+								}), {
+									status: 401,
+									headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+								});
+							}
+
+							const deletedBy = apiKey === env.API_SECRET ? 'admin' : (await this.verifyApiKey(apiKey, env)).username;
+							const response = await removeWorld(authorName, worldName, env, deletedBy);
+							if (response.success) {
+								await this.purgeWorldCaches(authorName, worldName, env, new URL(request.url).host);
+							}
 							return new Response(JSON.stringify(response), {
 								status: response.success ? 200 : 400,
 								headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
@@ -3077,7 +6695,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -3133,7 +6751,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -3190,7 +6808,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -3251,7 +6869,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -3314,7 +6932,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -3373,7 +6991,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							// Verify API key and username match
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
@@ -3442,7 +7060,7 @@ export default {
 							  headers: { ...CORS_HEADERS }
 							});
 						  }
-						  const [, apiKey] = authHeader.split(' ');
+						  const { apiKey } = await this.verifyRequestKey(request, env);
 						  // Verify API key and username match
 						  const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 						  if (!isValid) {
@@ -3502,7 +7120,7 @@ export default {
 							  headers: { ...CORS_HEADERS }
 							});
 						  }
-						  const [, apiKey] = authHeader.split(' ');
+						  const { apiKey } = await this.verifyRequestKey(request, env);
 					  
 						  const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 						  if (!isValid) {
@@ -3747,7 +7365,7 @@ export default {
 							  headers: { ...CORS_HEADERS }
 							});
 						  }
-						  const [, apiKey] = authHeader.split(' ');
+						  const { apiKey } = await this.verifyRequestKey(request, env);
 					  
 						  const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 						  if (!isValid) {
@@ -3819,7 +7437,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 							// Verify API key and username match
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -3898,7 +7516,7 @@ export default {
 						return await this.handleUpdateCharacterKeys(request, env);
 					}
 					case '/verify-key-roll': {
-						const { gistUrl, verificationToken } = await request.json();
+						const { gistUrl, verificationToken, revokeNow } = await request.json();
 						if (!gistUrl || !verificationToken) {
 							return new Response(JSON.stringify({
 								error: 'Missing required fields'
@@ -3916,7 +7534,7 @@ export default {
 							headers: {
 								'Content-Type': 'application/json'
 							},
-							body: JSON.stringify({ gistUrl, verificationToken })
+							body: JSON.stringify({ gistUrl, verificationToken, revokeNow })
 						});
 
 						return await auth.fetch(internalRequest);
@@ -3925,7 +7543,12 @@ export default {
 					case '/delete-author': {
 						try {
 							const { authorName } = await request.json();
-							const response = await removeAuthor(authorName, env);
+							const { apiKey } = await this.verifyRequestKey(request, env);
+							const deletedBy = apiKey === env.API_SECRET ? 'admin' : (await this.verifyApiKey(apiKey, env)).username;
+							const response = await removeAuthor(authorName, env, deletedBy);
+							for (const slug of response.worlds || []) {
+								await this.purgeWorldCaches(authorName, slug, env, new URL(request.url).host);
+							}
 							return new Response(JSON.stringify(response), {
 								status: response.success ? 200 : 400,
 								headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
@@ -3968,7 +7591,7 @@ export default {
 
 						const downloadRequest = new Request(url, {
 							method: 'POST',
-							body: JSON.stringify({ author, slug })
+							body: JSON.stringify({ author, slug, visitor: await getVisitorKey(request) })
 						});
 						return await registry.fetch(downloadRequest);
 					}
@@ -4097,14 +7720,35 @@ export default {
 					case '/upload-world': {
 						return await this.handleWorldUpload(request, env);
 					}
+					case '/upload-session/initiate': {
+						return await this.handleUploadSessionInitiate(request, env);
+					}
+					case '/upload-session/part': {
+						return await this.handleUploadSessionPart(request, env);
+					}
+					case '/upload-session/complete': {
+						return await this.handleUploadSessionComplete(request, env);
+					}
+					case '/upload-session/abort': {
+						return await this.handleUploadSessionAbort(request, env);
+					}
 					case 'update-world': {
 						return await this.handleWorldMetadata(request, env);
 					}
 					case '/world-metadata': {
 						return await this.handleWorldMetadata(request, env);
 					}
+					case '/rooms/join': {
+						return this.handleJoinRoom(request, env);
+					}
 					case '/update-active-users': {
-						return await this.handleUpdateActiveUsers(request, env);
+						// Counts come from world presence now
+						return new Response(JSON.stringify({
+							error: 'Active users are tracked by presence connections, join /presence/{author}/{slug} over WebSocket'
+						}), {
+							status: 410,
+							headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+						});
 					}
 					case '/world-upload-assets': {
 						return this.handleUploadAsset(request, env);
@@ -4115,6 +7759,39 @@ export default {
 					case '/backup-world': {
 						return this.handleBackupWorld(request, env);
 					}
+					case '/rollback-world': {
+						return this.handleRollbackWorld(request, env);
+					}
+					case '/world-share-link': {
+						return this.handleCreateShareLink(request, env);
+					}
+					case '/fork-world': {
+						return this.handleForkWorld(request, env);
+					}
+					case '/import-catalog': {
+						return this.handleImportCatalog(request, env);
+					}
+					case '/trash/restore': {
+						return this.handleRestoreTrash(request, env);
+					}
+					case '/transfer-world/initiate': {
+						return this.handleInitiateTransfer(request, env);
+					}
+					case '/transfer-world/accept': {
+						return this.handleResolveTransfer(request, env, true);
+					}
+					case '/transfer-world/decline': {
+						return this.handleResolveTransfer(request, env);
+					}
+					case '/teams/create': {
+						return this.handleCreateTeam(request, env);
+					}
+					case '/teams/members/set': {
+						return this.handleUpdateTeamMember(request, env);
+					}
+					case '/teams/members/remove': {
+						return this.handleUpdateTeamMember(request, env, true);
+					}
 					case '/clear-cache': {
 						return this.handleClearCache(request, env);
 					}
@@ -4127,6 +7804,15 @@ export default {
 					case '/rotate-key': {
 						return await this.handleRotateApiKey(request, env);
 					}
+					case '/revoke-previous-key': {
+						return this.handleRevokePreviousKey(request, env);
+					}
+					case '/api-keys/create': {
+						return this.handleCreateApiKey(request, env);
+					}
+					case '/api-keys/revoke': {
+						return this.handleRevokeApiKey(request, env);
+					}
 					case '/admin-update-user': {
 						const id = env.USER_AUTH.idFromName("global");
 						const auth = env.USER_AUTH.get(id);
@@ -4165,7 +7851,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -4228,7 +7914,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
@@ -4289,7 +7975,7 @@ export default {
 									headers: { ...CORS_HEADERS }
 								});
 							}
-							const [, apiKey] = authHeader.split(' ');
+							const { apiKey } = await this.verifyRequestKey(request, env);
 
 							const isValid = await this.verifyApiKeyAndUsername(apiKey, userId, env);
 							if (!isValid) {
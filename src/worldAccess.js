@@ -0,0 +1,196 @@
+// Visibility values a world can be published with.
+// unlisted worlds are served by direct link but left out of search, the homepage and author pages.
+// private worlds are only served to their author or to holders of a share token.
+export const WORLD_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Share tokens last a day unless asked otherwise, and never more than 30 days
+export const DEFAULT_SHARE_TTL_SECONDS = 24 * 60 * 60;
+export const MAX_SHARE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Draft tokens let a draft preview load its frame and files, which can't send the author's key
+export const DRAFT_TOKEN_TTL_SECONDS = 60 * 60;
+
+/**
+ * Validates a requested publish time
+ * @param {string|number|null|undefined} value - ISO date string or epoch milliseconds
+ * @returns {string|null} The publish time as an ISO string, or null to publish immediately
+ */
+export function normalizePublishAt(value) {
+	if (value === undefined || value === null || value === '') return null;
+
+	const time = new Date(value);
+	if (Number.isNaN(time.getTime())) {
+		throw new Error(`Invalid publish_at: ${value}`);
+	}
+
+	return time.toISOString();
+}
+
+/**
+ * Checks whether a world's scheduled publish time has passed
+ * @param {Object} world - World metadata or registry row
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+export function isWorldLive(world, now = Date.now()) {
+	if (!world) return false;
+	if (!world.publish_at) return true;
+
+	// Registry rows store SQLite timestamps, metadata stores ISO strings
+	const publishAt = Date.parse(world.publish_at.includes('T') ? world.publish_at : `${world.publish_at.replace(' ', 'T')}Z`);
+	return Number.isNaN(publishAt) || publishAt <= now;
+}
+
+/**
+ * Checks whether a world should appear in listings
+ * @param {Object} world - World metadata or registry row
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+export function isWorldListed(world, now = Date.now()) {
+	return isWorldLive(world, now) && (world.visibility || 'public') === 'public';
+}
+
+/**
+ * Checks whether anyone may load a world without credentials
+ * @param {Object} world - World metadata or registry row
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+export function isWorldOpen(world, now = Date.now()) {
+	return isWorldLive(world, now) && world.visibility !== 'private';
+}
+
+function toBase64Url(buffer) {
+	return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_')
+		.replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+	const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+	const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+	return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function importShareKey(secret, usage) {
+	if (!secret) {
+		throw new Error('Missing required secret: WORLD_SHARE_SECRET');
+	}
+	return crypto.subtle.importKey(
+		'raw',
+		new TextEncoder().encode(secret),
+		{ name: 'HMAC', hash: 'SHA-256' },
+		false,
+		[usage]
+	);
+}
+
+// Signs a token that is valid until expiresAt, as `<expiresAt>.<signature>`
+async function signToken(message, expiresAt, secret) {
+	const key = await importShareKey(secret, 'sign');
+	const signature = await crypto.subtle.sign(
+		'HMAC',
+		key,
+		new TextEncoder().encode(`${message}.${expiresAt}`)
+	);
+	return `${expiresAt}.${toBase64Url(signature)}`;
+}
+
+async function verifyToken(token, message, secret) {
+	if (typeof token !== 'string' || !secret) return false;
+
+	const [expiresAt, signature] = token.split('.');
+	if (!/^\d+$/.test(expiresAt || '') || !signature) return false;
+	if (Number(expiresAt) * 1000 <= Date.now()) return false;
+
+	try {
+		const key = await importShareKey(secret, 'verify');
+		return await crypto.subtle.verify(
+			'HMAC',
+			key,
+			fromBase64Url(signature),
+			new TextEncoder().encode(`${message}.${expiresAt}`)
+		);
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Mints a signed share token for one world
+ * @param {string} author - World author
+ * @param {string} slug - World slug
+ * @param {number} expiresAt - Expiry in epoch seconds
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Token in the form `<expiresAt>.<signature>`
+ */
+export async function createShareToken(author, slug, expiresAt, secret) {
+	return signToken(`${author}/${slug}`, expiresAt, secret);
+}
+
+/**
+ * Verifies a share token against a world and the current time
+ * @param {string} token - Token from createShareToken
+ * @param {string} author - World author
+ * @param {string} slug - World slug
+ * @param {string} secret - Signing secret
+ * @returns {Promise<boolean>}
+ */
+export async function verifyShareToken(token, author, slug, secret) {
+	return verifyToken(token, `${author}/${slug}`, secret);
+}
+
+/**
+ * Mints a signed token letting its holder view one world's draft, as its author can
+ * @param {string} author - World author
+ * @param {string} slug - World slug
+ * @param {number} expiresAt - Expiry in epoch seconds
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Token in the form `<expiresAt>.<signature>`
+ */
+export async function createDraftToken(author, slug, expiresAt, secret) {
+	return signToken(`draft:${author}/${slug}`, expiresAt, secret);
+}
+
+/**
+ * Verifies a draft token against a world and the current time
+ * @param {string} token - Token from createDraftToken
+ * @param {string} author - World author
+ * @param {string} slug - World slug
+ * @param {string} secret - Signing secret
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDraftToken(token, author, slug, secret) {
+	return verifyToken(token, `draft:${author}/${slug}`, secret);
+}
+
+/**
+ * Mints a signed download token for one version of a world. Download tokens are signed over a
+ * different message than share tokens, so neither can stand in for the other.
+ * @param {string} author - World author
+ * @param {string} slug - World slug
+ * @param {string} version - World version
+ * @param {string} linkId - Unique ID of the link, so each link can be used once
+ * @param {number} expiresAt - Expiry in epoch seconds
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Token in the form `<expiresAt>.<signature>`
+ */
+export async function createDownloadToken(author, slug, version, linkId, expiresAt, secret) {
+	return signToken(`download:${author}/${slug}@${version}#${linkId}`, expiresAt, secret);
+}
+
+/**
+ * Verifies a download token against a world version, link and the current time
+ * @param {string} token - Token from createDownloadToken
+ * @param {string} author - World author
+ * @param {string} slug - World slug
+ * @param {string} version - World version
+ * @param {string} linkId - Link ID the token was minted with
+ * @param {string} secret - Signing secret
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDownloadToken(token, author, slug, version, linkId, secret) {
+	return verifyToken(token, `download:${author}/${slug}@${version}#${linkId}`, secret);
+}
@@ -0,0 +1,421 @@
+// Limits for multi-file world bundles
+export const MAX_BUNDLE_FILES = 500;
+export const MAX_BUNDLE_BYTES = 95 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+	html: 'text/html',
+	htm: 'text/html',
+	js: 'text/javascript',
+	mjs: 'text/javascript',
+	css: 'text/css',
+	json: 'application/json',
+	txt: 'text/plain',
+	xml: 'application/xml',
+	wasm: 'application/wasm',
+	glb: 'model/gltf-binary',
+	gltf: 'model/gltf+json',
+	vrm: 'model/gltf-binary',
+	bin: 'application/octet-stream',
+	fbx: 'application/octet-stream',
+	obj: 'model/obj',
+	usdz: 'model/vnd.usdz+zip',
+	hdr: 'image/vnd.radiance',
+	ktx2: 'image/ktx2',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	gif: 'image/gif',
+	webp: 'image/webp',
+	avif: 'image/avif',
+	svg: 'image/svg+xml',
+	ico: 'image/x-icon',
+	mp3: 'audio/mpeg',
+	ogg: 'audio/ogg',
+	wav: 'audio/wav',
+	m4a: 'audio/mp4',
+	mp4: 'video/mp4',
+	webm: 'video/webm',
+	woff: 'font/woff',
+	woff2: 'font/woff2',
+	ttf: 'font/ttf',
+	otf: 'font/otf'
+};
+
+/**
+ * Resolves the content type for a bundle file from its extension
+ * @param {string} path - File path inside the bundle
+ * @returns {string}
+ */
+export function getContentType(path) {
+	const extension = path.split('.').pop().toLowerCase();
+	return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * Normalizes a bundle file path and rejects anything that could escape the world's prefix
+ * @param {string} path - Raw path from a manifest or zip entry
+ * @returns {string|null} The cleaned relative path, or null if it is not allowed
+ */
+export function normalizeBundlePath(path) {
+	if (typeof path !== 'string') return null;
+
+	const segments = path
+		.replace(/\\/g, '/')
+		.split('/')
+		.filter(segment => segment !== '' && segment !== '.');
+
+	if (segments.length === 0 || segments.some(segment => segment === '..')) {
+		return null;
+	}
+
+	return segments.join('/');
+}
+
+/**
+ * Decodes base64 file data, accepting data URLs as sent by the publisher plugin
+ * @param {string} data - Base64 string or data URL
+ * @returns {Uint8Array}
+ */
+export function decodeBase64(data) {
+	const base64 = data.includes(',') ? data.split(',')[1] : data;
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+// Stops inflating once the output passes maxBytes and returns null, so a small entry can't expand without bound
+async function inflateRaw(data, maxBytes) {
+	const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+	const chunks = [];
+	let length = 0;
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		length += value.byteLength;
+		if (length > maxBytes) {
+			await reader.cancel();
+			return null;
+		}
+		chunks.push(value);
+	}
+
+	const bytes = new Uint8Array(length);
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+	return bytes;
+}
+
+/**
+ * Lists the entries of a zip archive from its central directory without reading their data.
+ * Directory entries and macOS resource forks are left out.
+ * @param {(offset: number, length: number) => Promise<Uint8Array>} readRange - Reads part of the archive
+ * @param {number} size - Archive size in bytes
+ * @returns {Promise<Array<{ path: string, method: number, compressedSize: number, size: number, localOffset: number }>>}
+ */
+export async function readZipDirectory(readRange, size) {
+	// The end of central directory record sits in the last 22 bytes plus an optional comment
+	const tailStart = Math.max(0, size - 22 - 0xffff);
+	const tail = await readRange(tailStart, size - tailStart);
+	const tailView = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+	let eocd = -1;
+	for (let i = tail.byteLength - 22; i >= 0; i--) {
+		if (tailView.getUint32(i, true) === 0x06054b50) {
+			eocd = i;
+			break;
+		}
+	}
+	if (eocd < 0) {
+		throw new Error('Invalid zip archive: end of central directory not found');
+	}
+
+	const entryCount = tailView.getUint16(eocd + 10, true);
+	const directorySize = tailView.getUint32(eocd + 12, true);
+	const directoryOffset = tailView.getUint32(eocd + 16, true);
+	if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+		throw new Error('Zip64 archives are not supported');
+	}
+	if (directoryOffset + directorySize > size) {
+		throw new Error('Invalid zip archive: corrupt central directory');
+	}
+
+	const directory = await readRange(directoryOffset, directorySize);
+	const view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+	const decoder = new TextDecoder();
+	const entries = [];
+
+	let offset = 0;
+	for (let i = 0; i < entryCount; i++) {
+		if (offset + 46 > directory.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+			throw new Error('Invalid zip archive: corrupt central directory');
+		}
+
+		const method = view.getUint16(offset + 10, true);
+		const compressedSize = view.getUint32(offset + 20, true);
+		const uncompressedSize = view.getUint32(offset + 24, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const extraLength = view.getUint16(offset + 30, true);
+		const commentLength = view.getUint16(offset + 32, true);
+		const localOffset = view.getUint32(offset + 42, true);
+		const name = decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength));
+
+		offset += 46 + nameLength + extraLength + commentLength;
+
+		// Skip directory entries and macOS resource forks
+		if (name.endsWith('/') || name.startsWith('__MACOSX/')) {
+			continue;
+		}
+
+		entries.push({ path: name, method, compressedSize, size: uncompressedSize, localOffset });
+	}
+
+	return entries;
+}
+
+/**
+ * Reads and decompresses one entry listed by readZipDirectory. Supports stored and deflated entries.
+ * @param {(offset: number, length: number) => Promise<Uint8Array>} readRange - Reads part of the archive
+ * @param {{ path: string, method: number, compressedSize: number, localOffset: number }} entry
+ * @param {number} [maxBytes] - Most bytes the entry may decompress to
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the entry decompresses to more than maxBytes
+ */
+export async function readZipEntry(readRange, entry, maxBytes = Infinity) {
+	const header = await readRange(entry.localOffset, 30);
+	const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+	if (header.byteLength < 30 || view.getUint32(0, true) !== 0x04034b50) {
+		throw new Error(`Invalid zip archive: corrupt entry ${entry.path}`);
+	}
+
+	const dataStart = entry.localOffset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+	const compressed = await readRange(dataStart, entry.compressedSize);
+
+	if (entry.method !== 0 && entry.method !== 8) {
+		throw new Error(`Unsupported compression method ${entry.method} for ${entry.path}`);
+	}
+
+	const data = entry.method === 0 ? compressed : await inflateRaw(compressed, maxBytes);
+	if (!data || data.byteLength > maxBytes) {
+		throw new Error(`${entry.path} decompresses to more than ${maxBytes} bytes`);
+	}
+	return data;
+}
+
+/**
+ * Extracts every file from a zip archive held in memory. Supports stored and deflated entries.
+ * The limits are checked against the central directory before anything is inflated, and again
+ * while inflating in case the directory understates the sizes.
+ * @param {ArrayBuffer|Uint8Array} buffer - The zip archive
+ * @param {Object} [limits]
+ * @param {number} [limits.maxFiles] - Most files the archive may hold
+ * @param {number} [limits.maxBytes] - Most bytes the files may add up to uncompressed
+ * @returns {Promise<Array<{ path: string, data: Uint8Array }>>}
+ * @throws {Error} If the archive is over a limit
+ */
+export async function extractZip(buffer, { maxFiles = Infinity, maxBytes = Infinity } = {}) {
+	const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+	const readRange = async (offset, length) => bytes.subarray(offset, offset + length);
+
+	const entries = await readZipDirectory(readRange, bytes.byteLength);
+	if (entries.length > maxFiles) {
+		throw new Error(`Bundle contains ${entries.length} files, the limit is ${maxFiles}`);
+	}
+	const declaredBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+	if (declaredBytes > maxBytes) {
+		throw new Error(`Bundle is ${declaredBytes} bytes, the limit is ${maxBytes}`);
+	}
+
+	const files = [];
+	let totalBytes = 0;
+	for (const entry of entries) {
+		const data = await readZipEntry(readRange, entry, maxBytes - totalBytes);
+		totalBytes += data.byteLength;
+		files.push({ path: entry.path, data });
+	}
+	return files;
+}
+
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+function updateCrc32(crc, bytes) {
+	let c = crc ^ 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) {
+		c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+	}
+	return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+	return {
+		time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+		date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+	};
+}
+
+/**
+ * Writes a zip archive to a stream one file at a time, so archives larger than memory can be produced.
+ * Entries are stored uncompressed with their sizes in a trailing data descriptor. Zip64 is not supported.
+ * @param {WritableStream} writable - Stream the archive is written to
+ * @returns {{ addFile: (path: string, data: string|Uint8Array|ReadableStream) => Promise<void>, close: () => Promise<void>, abort: (reason: Error) => Promise<void> }}
+ */
+export function createZipWriter(writable) {
+	const writer = writable.getWriter();
+	const encoder = new TextEncoder();
+	const entries = [];
+	const { time, date } = dosDateTime(new Date());
+	let offset = 0;
+
+	const write = async (bytes) => {
+		if (offset + bytes.byteLength > 0xffffffff) {
+			throw new Error('Archive exceeds 4 GiB, Zip64 is not supported');
+		}
+		offset += bytes.byteLength;
+		await writer.write(bytes);
+	};
+
+	const addFile = async (path, data) => {
+		const name = encoder.encode(path);
+		const localOffset = offset;
+
+		const header = new DataView(new ArrayBuffer(30));
+		header.setUint32(0, 0x04034b50, true);
+		header.setUint16(4, 20, true);
+		// Bit 3: sizes follow the data, bit 11: UTF-8 names
+		header.setUint16(6, 0x0808, true);
+		header.setUint16(10, time, true);
+		header.setUint16(12, date, true);
+		header.setUint16(26, name.byteLength, true);
+		await write(new Uint8Array(header.buffer));
+		await write(name);
+
+		let crc = 0;
+		let size = 0;
+		const writeChunk = async (chunk) => {
+			crc = updateCrc32(crc, chunk);
+			size += chunk.byteLength;
+			await write(chunk);
+		};
+
+		if (data instanceof ReadableStream) {
+			const reader = data.getReader();
+			for (let result = await reader.read(); !result.done; result = await reader.read()) {
+				await writeChunk(result.value instanceof Uint8Array ? result.value : new Uint8Array(result.value));
+			}
+		} else {
+			await writeChunk(typeof data === 'string' ? encoder.encode(data) : data);
+		}
+
+		const descriptor = new DataView(new ArrayBuffer(16));
+		descriptor.setUint32(0, 0x08074b50, true);
+		descriptor.setUint32(4, crc, true);
+		descriptor.setUint32(8, size, true);
+		descriptor.setUint32(12, size, true);
+		await write(new Uint8Array(descriptor.buffer));
+
+		entries.push({ name, crc, size, localOffset });
+	};
+
+	const close = async () => {
+		if (entries.length > 0xffff) {
+			throw new Error(`Archive has ${entries.length} files, Zip64 is not supported`);
+		}
+
+		const directoryOffset = offset;
+		for (const entry of entries) {
+			const record = new DataView(new ArrayBuffer(46));
+			record.setUint32(0, 0x02014b50, true);
+			record.setUint16(4, 20, true);
+			record.setUint16(6, 20, true);
+			record.setUint16(8, 0x0808, true);
+			record.setUint16(12, time, true);
+			record.setUint16(14, date, true);
+			record.setUint32(16, entry.crc, true);
+			record.setUint32(20, entry.size, true);
+			record.setUint32(24, entry.size, true);
+			record.setUint16(28, entry.name.byteLength, true);
+			record.setUint32(42, entry.localOffset, true);
+			await write(new Uint8Array(record.buffer));
+			await write(entry.name);
+		}
+
+		const end = new DataView(new ArrayBuffer(22));
+		end.setUint32(0, 0x06054b50, true);
+		end.setUint16(8, entries.length, true);
+		end.setUint16(10, entries.length, true);
+		end.setUint32(12, offset - directoryOffset, true);
+		end.setUint32(16, directoryOffset, true);
+		await write(new Uint8Array(end.buffer));
+		await writer.close();
+	};
+
+	// Ends the stream with an error so the client sees a failed download rather than a truncated archive
+	const abort = reason => writer.abort(reason);
+
+	return { addFile, close, abort };
+}
+
+/**
+ * Builds the list of bundle files from either a base64 zip or a manifest of base64 files.
+ * Paths are normalized, a single shared root folder is stripped, and size limits are enforced.
+ * @param {{ bundle?: string, files?: Array<{ path: string, data: string, contentType?: string }> }} upload
+ * @returns {Promise<Array<{ path: string, data: Uint8Array, contentType: string }>>}
+ */
+export async function readWorldBundle({ bundle, files }) {
+	let entries;
+
+	if (bundle) {
+		entries = await extractZip(decodeBase64(bundle), { maxFiles: MAX_BUNDLE_FILES, maxBytes: MAX_BUNDLE_BYTES });
+	} else if (Array.isArray(files)) {
+		entries = files.map(file => ({
+			path: file.path,
+			data: decodeBase64(file.data || ''),
+			contentType: file.contentType
+		}));
+	} else {
+		return [];
+	}
+
+	if (entries.length > MAX_BUNDLE_FILES) {
+		throw new Error(`Bundle contains ${entries.length} files, the limit is ${MAX_BUNDLE_FILES}`);
+	}
+
+	const normalized = entries.map(entry => {
+		const path = normalizeBundlePath(entry.path);
+		if (!path) {
+			throw new Error(`Invalid file path in bundle: ${entry.path}`);
+		}
+		return { ...entry, path };
+	});
+
+	// Zips are often created from a parent folder, so drop a root folder shared by every file
+	const roots = new Set(normalized.map(entry => entry.path.split('/')[0]));
+	if (roots.size === 1 && normalized.every(entry => entry.path.includes('/'))) {
+		const [root] = roots;
+		for (const entry of normalized) {
+			entry.path = entry.path.slice(root.length + 1);
+		}
+	}
+
+	const totalBytes = normalized.reduce((sum, entry) => sum + entry.data.byteLength, 0);
+	if (totalBytes > MAX_BUNDLE_BYTES) {
+		throw new Error(`Bundle is ${totalBytes} bytes, the limit is ${MAX_BUNDLE_BYTES}`);
+	}
+
+	return normalized.map(entry => ({
+		path: entry.path,
+		data: entry.data,
+		contentType: entry.contentType || getContentType(entry.path)
+	}));
+}
@@ -0,0 +1,76 @@
+import { createZipWriter } from './worldBundle';
+import { getBlobKey } from './blobStore';
+
+// A world download is a zip of one version:
+//   <slug>.html       the world page
+//   metadata.json     the version's metadata
+//   <path>            every bundle file, from the blob store or legacy files/ objects
+//
+// /download hands out a signed link to /download/file that is valid for DOWNLOAD_URL_TTL_SECONDS
+// and serves a single download, so links can be passed to a launcher or download manager but
+// can't be shared to get around the rate limits.
+export const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+// Downloads are limited per address across every world and per address for each world, and those made
+// with an API key also per key across every world
+export const DOWNLOAD_IP_LIMIT = { limit: 30, windowSeconds: 60 * 60 };
+export const DOWNLOAD_IP_WORLD_LIMIT = { limit: 5, windowSeconds: 60 * 60 };
+export const DOWNLOAD_API_KEY_LIMIT = { limit: 100, windowSeconds: 60 * 60 };
+
+function getRegistry(env) {
+	const id = env.WORLD_REGISTRY.idFromName("global");
+	return env.WORLD_REGISTRY.get(id);
+}
+
+/**
+ * Writes one version of a world to a zip stream
+ * @param {Object} source
+ * @param {string} source.author - World author
+ * @param {string} source.slug - World slug
+ * @param {string} source.folder - R2 folder the version's page lives in
+ * @param {string} source.scope - Asset reference scope of the version, 'stable' or 'v:<version>'
+ * @param {Object} env - Environment containing storage connections
+ * @param {WritableStream} writable - Stream the archive is written to
+ * @returns {Promise<void>}
+ */
+export async function writeWorldDownload({ author, slug, folder, scope }, env, writable) {
+	const zip = createZipWriter(writable);
+
+	try {
+		for (const file of [`${slug}.html`, 'metadata.json']) {
+			const object = await env.WORLD_BUCKET.get(`${folder}/${file}`);
+			if (object) {
+				await zip.addFile(file, object.body);
+			}
+		}
+
+		const refsResponse = await getRegistry(env).fetch(new Request('http://internal/list-asset-refs', {
+			method: 'POST',
+			body: JSON.stringify({ author, slug, scope })
+		}));
+		for (const ref of await refsResponse.json()) {
+			const blob = await env.WORLD_BUCKET.get(getBlobKey(ref.hash));
+			if (blob) {
+				await zip.addFile(ref.path, blob.body);
+			}
+		}
+
+		const prefix = `${folder}/files/`;
+		let cursor;
+		do {
+			const listed = await env.WORLD_BUCKET.list({ prefix, cursor });
+			for (const object of listed.objects) {
+				const file = await env.WORLD_BUCKET.get(object.key);
+				if (file) {
+					await zip.addFile(object.key.slice(prefix.length), file.body);
+				}
+			}
+			cursor = listed.truncated ? listed.cursor : undefined;
+		} while (cursor);
+
+		await zip.close();
+	} catch (error) {
+		await zip.abort(error);
+		throw error;
+	}
+}
@@ -0,0 +1,34 @@
+import { createSecureHtmlService } from './secureHtmlService';
+import { responsiveImageAttributes } from './imageVariants';
+
+// A titled row of world cards, used for the trending and similar world feeds
+export function createWorldFeedSection(title, worlds = []) {
+	if (worlds.length === 0) return '';
+
+	const secureHtmlService = createSecureHtmlService();
+
+	return `
+		<div class="container mx-auto px-4 py-8">
+			<h2 class="text-2xl font-bold mb-6">${secureHtmlService.sanitizeText(title)}</h2>
+			<div class="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-6">
+				${worlds.map(world => `
+					<a href="/directory/${secureHtmlService.sanitizeText(world.author)}/${secureHtmlService.sanitizeText(world.slug)}"
+					   class="asset-card-container-home bg-[#242424] rounded-xl shadow-2xl overflow-hidden block hover:opacity-90">
+						<img ${responsiveImageAttributes(world.preview_image, '/images/default-preview.jpg', '(min-width: 1024px) 25vw, (min-width: 768px) 33vw, 100vw')}
+							 alt="${secureHtmlService.sanitizeText(world.name)}"
+							 class="w-full h-40 object-cover">
+						<div class="p-4">
+							<h3 class="text-lg font-bold truncate">${secureHtmlService.sanitizeText(world.name)}</h3>
+							<p class="text-sm text-gray-400">by ${secureHtmlService.sanitizeText(world.author)}</p>
+							<p class="text-sm text-gray-300 mt-2 line-clamp-2">${secureHtmlService.sanitizeText(world.short_description || '')}</p>
+							<div class="flex gap-4 text-xs text-gray-400 mt-3">
+								<span>👥 ${world.active_users || 0} Active</span>
+								<span>👁️ ${(world.visit_count || 0).toLocaleString()} Visits</span>
+							</div>
+						</div>
+					</a>
+				`).join('')}
+			</div>
+		</div>
+	`;
+}
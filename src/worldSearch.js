@@ -0,0 +1,123 @@
+import { parsePageParams } from './pagination';
+
+// Private use characters wrap matched terms in search snippets. Unlike tags, they survive HTML
+// escaping, and are turned into <mark> tags afterwards.
+export const HIGHLIGHT_START = '\uE000';
+export const HIGHLIGHT_END = '\uE001';
+
+// Columns of the worlds_fts index, in order, with their bm25 weights
+export const SEARCH_COLUMNS = {
+	name: 10.0,
+	short_description: 4.0,
+	long_description: 1.0,
+	tags: 6.0,
+	author: 3.0
+};
+
+/**
+ * Turns free text into an FTS5 query. Every term must match, and every term matches as a
+ * prefix, so "neon cit" finds "Neon City" and so does "neo cit".
+ * @param {string} query - Search text as typed
+ * @returns {string|null} FTS5 MATCH expression, or null if the text has no searchable terms
+ */
+export function buildMatchQuery(query) {
+	const terms = String(query || '').match(/[\p{L}\p{N}_]+/gu) || [];
+	if (terms.length === 0) return null;
+
+	// Quoting keeps FTS5 operators like AND, NOT and column filters from being interpreted
+	return terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+}
+
+// Columns of the characters_fts index, in order, with their bm25 weights
+export const CHARACTER_SEARCH_COLUMNS = {
+	name: 10.0,
+	bio: 2.0,
+	topics: 4.0,
+	author: 3.0
+};
+
+// Columns of the authors_fts index, in order, with their bm25 weights
+export const AUTHOR_SEARCH_COLUMNS = {
+	username: 10.0,
+	bio: 2.0
+};
+
+// Sort modes accepted by /search and the worlds column each sorts by, newest world first on ties.
+// Relevance sorts by bm25 rank, needs a query and falls back to most visited without one.
+export const SORT_MODES = {
+	relevance: { column: 'rank', ascending: true },
+	newest: { column: 'created_at', ascending: false },
+	updated: { column: 'updated_at', ascending: false },
+	visits: { column: 'visit_count', ascending: false },
+	active: { column: 'active_users', ascending: false }
+};
+
+// Tags listed in the tag facet, most used first
+export const TAG_FACET_LIMIT = 30;
+
+function parseCount(value) {
+	const count = parseInt(value, 10);
+	return Number.isFinite(count) && count >= 0 ? count : null;
+}
+
+function parseDate(value) {
+	if (!value) return null;
+	const date = new Date(value);
+	return isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Reads search options from a query string. Shared by /search and /directory/search so both accept the same filters.
+ * @param {URLSearchParams} searchParams
+ * @returns {{ query: string, tags: Array<string>, ratings: Array<string>, minCapacity: number|null, maxCapacity: number|null, activeOnly: boolean, createdAfter: string|null, updatedAfter: string|null, sort: string, limit: number, cursor: Object|null }}
+ * @throws {Error} If the cursor is invalid or came from a search with another sort
+ */
+export function parseSearchParams(searchParams) {
+	const query = searchParams.get('q') || '';
+	const requestedSort = searchParams.get('sort');
+	const sort = SORT_MODES[requestedSort] ? requestedSort : (query ? 'relevance' : 'visits');
+	const { limit, cursor } = parsePageParams(searchParams);
+	if (cursor && cursor.sort !== sort) {
+		throw new Error('Invalid cursor');
+	}
+
+	return {
+		query,
+		tags: searchParams.getAll('tag').filter(Boolean),
+		ratings: searchParams.getAll('rating').filter(Boolean),
+		minCapacity: parseCount(searchParams.get('min_capacity')),
+		maxCapacity: parseCount(searchParams.get('max_capacity')),
+		activeOnly: ['1', 'true'].includes(searchParams.get('active')),
+		// Dates are compared with SQLite's CURRENT_TIMESTAMP format
+		createdAfter: parseDate(searchParams.get('created_after')),
+		updatedAfter: parseDate(searchParams.get('updated_after')),
+		sort,
+		limit,
+		cursor
+	};
+}
+
+/**
+ * Writes search options back to a query string, for pagination and facet links
+ * @param {Object} options - Options as returned by parseSearchParams
+ * @param {Object} [overrides] - Options to change in the link, cursor is the encoded cursor of the page to link to
+ * @returns {string} Query string without the leading "?"
+ */
+export function formatSearchParams(options, overrides = {}) {
+	const merged = { ...options, ...overrides };
+	const params = new URLSearchParams();
+
+	if (merged.query) params.set('q', merged.query);
+	for (const tag of merged.tags || []) params.append('tag', tag);
+	for (const rating of merged.ratings || []) params.append('rating', rating);
+	if (merged.minCapacity !== null && merged.minCapacity !== undefined) params.set('min_capacity', merged.minCapacity);
+	if (merged.maxCapacity !== null && merged.maxCapacity !== undefined) params.set('max_capacity', merged.maxCapacity);
+	if (merged.activeOnly) params.set('active', '1');
+	if (merged.createdAfter) params.set('created_after', merged.createdAfter.slice(0, 10));
+	if (merged.updatedAfter) params.set('updated_after', merged.updatedAfter.slice(0, 10));
+	if (merged.sort) params.set('sort', merged.sort);
+	if (merged.limit) params.set('limit', merged.limit);
+	if (typeof merged.cursor === 'string') params.set('cursor', merged.cursor);
+
+	return params.toString();
+}
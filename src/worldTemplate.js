@@ -1,5 +1,7 @@
 import { createSecureHtmlService } from './secureHtmlService';
 import { createHeaderSearchBar } from './headerSearchBar';
+import { getImageUrl, responsiveImageAttributes } from './imageVariants';
+import { createWorldFeedSection } from './worldFeedSection';
 
 export default async function generateWorldHTML(worldData, env) {
     const secureHtmlService = createSecureHtmlService();
@@ -12,6 +14,14 @@ export default async function generateWorldHTML(worldData, env) {
     <html lang="en">
     <head>
         <title>${worldData.name} by ${worldData.author}</title>
+        <meta property="og:title" content="${secureHtmlService.sanitizeText(`${worldData.name} by ${worldData.author}`)}">
+        <meta property="og:description" content="${secureHtmlService.sanitizeText(worldData.short_description)}">
+        ${worldData.preview_image ? `
+        <meta property="og:image" content="${worldData.origin || ''}${getImageUrl(worldData.preview_image, 'og')}">
+        <meta property="og:image:width" content="1200">
+        <meta property="og:image:height" content="630">
+        <meta name="twitter:card" content="summary_large_image">
+        ` : ''}
         <link 
             href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" 
             rel="stylesheet"
@@ -42,13 +52,25 @@ export default async function generateWorldHTML(worldData, env) {
                     </a>
                     <div class="flex items-center space-x-4">
                         <a href="/author/${worldData.author}" class="text-white hover:text-gray-200">
-                            <img src="${worldData.authorData?.avatar_url || '/default-avatar.jpg'}" 
+                            <img ${responsiveImageAttributes(worldData.authorData?.avatar_url, '/default-avatar.jpg', '40px')} 
                                 alt="${worldData.author}" 
                                 class="w-10 h-10 rounded-full inline-block mr-2">
                             ${worldData.author}
                         </a>
                         <span class="text-white/80">presents</span>
                         <h1 class="text-xl font-bold">${worldData.name}</h1>
+                        ${worldData.forked_from ? `
+                            <span class="text-sm text-white/60" style="pointer-events: auto;">
+                                remixed from
+                                <a href="/directory/${secureHtmlService.sanitizeText(worldData.forked_from.author)}/${secureHtmlService.sanitizeText(worldData.forked_from.slug)}" class="underline hover:text-white">
+                                    ${secureHtmlService.sanitizeText(worldData.forked_from.name || worldData.forked_from.slug)}
+                                </a>
+                                by
+                                <a href="/author/${secureHtmlService.sanitizeText(worldData.forked_from.author)}" class="underline hover:text-white">
+                                    ${secureHtmlService.sanitizeText(worldData.forked_from.author)}
+                                </a>
+                            </span>
+                        ` : ''}
                         ${createHeaderSearchBar()}
                         <div class="flex items-center space-x-4 text-sm">
                             <span>👥 ${worldData.active_users || 0} Active</span>
@@ -80,6 +102,9 @@ export default async function generateWorldHTML(worldData, env) {
                     <div>
                         <span class="block font-medium">Version</span>
                         ${worldData.version}
+                        ${worldData.channel && worldData.channel !== 'stable' ? `
+                            <span class="ml-1 px-2 py-0.5 rounded bg-yellow-600 text-white text-xs uppercase">${worldData.channel}</span>
+                        ` : ''}
                     </div>
                     <div>
                         <span class="block font-medium">Capacity</span>
@@ -97,6 +122,8 @@ export default async function generateWorldHTML(worldData, env) {
             </div>
         </div>
 
+        ${createWorldFeedSection('You Might Also Like', worldData.similar)}
+
         <div class="bg-black py-8">
             <div class="container mx-auto px-4 text-center text-gray-400">
                 <p>&copy; ${new Date().getFullYear()} World Publisher</p>
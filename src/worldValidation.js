@@ -0,0 +1,151 @@
+import { createSecureHtmlService } from './secureHtmlService';
+import { normalizeBundlePath } from './worldBundle';
+
+// World pages larger than this are rejected, assets belong in the bundle instead
+export const MAX_WORLD_HTML_BYTES = 10 * 1024 * 1024;
+
+// Attributes that load another file, by element
+const ASSET_ATTRIBUTES = {
+	link: ['href'],
+	img: ['src'],
+	source: ['src'],
+	video: ['src', 'poster'],
+	audio: ['src'],
+	track: ['src'],
+	iframe: ['src'],
+	embed: ['src'],
+	object: ['data']
+};
+
+/**
+ * Works out where a reference in the world page points
+ * @param {string} value - Attribute value
+ * @returns {{ kind: 'bundle', path: string|null }|{ kind: 'external'|'root'|'ignored' }}
+ */
+function resolveReference(value) {
+	const reference = value.trim();
+
+	if (reference === '' || reference.startsWith('#') || /^(data|blob|mailto|tel):/i.test(reference)) {
+		return { kind: 'ignored' };
+	}
+	if (/^[a-z][a-z0-9+.-]*:/i.test(reference) || reference.startsWith('//')) {
+		return { kind: 'external' };
+	}
+	if (reference.startsWith('/')) {
+		return { kind: 'root' };
+	}
+
+	// The page is served from the bundle root, so relative references resolve from there
+	const { pathname } = new URL(reference, 'https://bundle.invalid/');
+	let path;
+	try {
+		path = normalizeBundlePath(decodeURIComponent(pathname));
+	} catch {
+		path = null;
+	}
+	return { kind: 'bundle', path };
+}
+
+/**
+ * Checks a world page before it is published. Scripts must come from the bundle or an allowed host,
+ * files the page references must exist, and the page must be within the size limit.
+ * @param {Object} options
+ * @param {string|Uint8Array} options.html - The world page
+ * @param {Set<string>} options.filePaths - Bundle paths the world will have once published
+ * @param {boolean} options.requireFiles - Whether a missing file is an error rather than a warning
+ * @returns {Promise<{ valid: boolean, errors: Array<Object>, warnings: Array<Object> }>}
+ */
+export async function validateWorldUpload({ html, filePaths, requireFiles }) {
+	const secureHtmlService = createSecureHtmlService();
+	const errors = [];
+	const warnings = [];
+
+	const size = typeof html === 'string' ? new TextEncoder().encode(html).byteLength : html.byteLength;
+	if (size > MAX_WORLD_HTML_BYTES) {
+		errors.push({
+			code: 'html_too_large',
+			message: `World HTML is ${size} bytes, the limit is ${MAX_WORLD_HTML_BYTES}`
+		});
+		return { valid: false, errors, warnings };
+	}
+
+	const checkFile = (element, attribute, value) => {
+		const target = resolveReference(value);
+		if (target.kind === 'root') {
+			warnings.push({
+				code: 'root_relative_reference',
+				message: `<${element}> ${attribute}="${value}" points at the site root, use a path relative to the world instead`,
+				reference: value
+			});
+		} else if (target.kind === 'external' && value.trim().toLowerCase().startsWith('http:')) {
+			warnings.push({
+				code: 'insecure_reference',
+				message: `<${element}> ${attribute}="${value}" is loaded over plain HTTP and will be blocked by browsers`,
+				reference: value
+			});
+		} else if (target.kind === 'bundle' && !filePaths.has(target.path)) {
+			(requireFiles ? errors : warnings).push({
+				code: 'missing_file',
+				message: `<${element}> ${attribute}="${value}" is not in the world bundle`,
+				reference: value
+			});
+		}
+	};
+
+	let hasTitle = false;
+	const rewriter = new HTMLRewriter()
+		.on('title', {
+			element: () => {
+				hasTitle = true;
+			}
+		})
+		.on('script', {
+			element: (element) => {
+				const src = element.getAttribute('src');
+				if (src === null) return;
+
+				const target = resolveReference(src);
+				if (target.kind === 'bundle') {
+					checkFile('script', 'src', src);
+				} else if (!secureHtmlService.isAllowedScriptSrc(src)) {
+					errors.push({
+						code: 'disallowed_script_origin',
+						message: `<script src="${src}"> is not from the bundle or an allowed host`,
+						reference: src
+					});
+				}
+			}
+		})
+		.on('*', {
+			element: (element) => {
+				// Only links that load something, not canonical or alternate pages
+				if (element.tagName === 'link' &&
+					!/\b(stylesheet|icon|preload|modulepreload|prefetch|manifest)\b/i.test(element.getAttribute('rel') || '')) {
+					return;
+				}
+
+				const attributes = ASSET_ATTRIBUTES[element.tagName] ||
+					// XR Publisher blocks reference models and textures through *url attributes
+					(element.tagName.includes('-') ?
+						[...element.attributes].map(([name]) => name).filter(name => name.endsWith('url')) :
+						[]);
+
+				for (const attribute of attributes) {
+					const value = element.getAttribute(attribute);
+					if (value) checkFile(element.tagName, attribute, value);
+				}
+			}
+		});
+
+	// The rewriter only runs as its output is read
+	await rewriter.transform(new Response(html)).arrayBuffer();
+
+	if (!hasTitle) {
+		warnings.push({
+			code: 'missing_title',
+			message: 'World HTML has no <title>'
+		});
+	}
+
+	return { valid: errors.length === 0, errors, warnings };
+}